@@ -0,0 +1,138 @@
+/**
+ * Backtest Engine
+ * Replays historical candles bar-by-bar through a registered strategy (RenkoEMA by default) on a simulated clock
+ * No live DeltaAPIService calls are made - the strategy only sees the supplied candles
+ */
+
+import StrategyRegistry, { DEFAULT_STRATEGY } from '../strategies/StrategyRegistry.js';
+import SimulatedClock from './SimulatedClock.js';
+import PerformanceAnalyzer from './PerformanceAnalyzer.js';
+import RiskManager from '../risk/RiskManager.js';
+
+class BacktestEngine {
+  constructor(config = {}) {
+    this.config = {
+      strategyName: DEFAULT_STRATEGY,  // Registered strategy to replay (see StrategyRegistry)
+      strategy: {},             // Strategy config (for RenkoEMA: brickSize, emaLength, supertrendMultipliers, ...)
+      warmupCandles: 500,       // Candles passed to initialize() before bar-by-bar replay starts (matches live warm-up)
+      initialCapital: 10000,    // Starting equity for the equity curve and return %
+      closeOpenPosition: true,  // Close any position still open on the last candle
+      riskLimits: null,         // RiskManager limits - a tripped kill switch flattens and ends the replay
+      ...config
+    };
+  }
+
+  /**
+   * Normalize and chronologically sort a copy of the candle series
+   * @param {Array} candles - Array of OHLCV candles
+   * @returns {Array} Sorted copy with Date timestamps and numeric prices
+   */
+  static prepareCandles(candles = []) {
+    return candles
+      .map(candle => ({
+        timestamp: new Date(candle.timestamp),
+        open: parseFloat(candle.open),
+        high: parseFloat(candle.high),
+        low: parseFloat(candle.low),
+        close: parseFloat(candle.close),
+        volume: parseFloat(candle.volume || 0)
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Run a backtest over a candle series
+   * @param {Array} candles - Historical OHLCV candles (1m bars as used live)
+   * @returns {Promise<Object>} {symbol, period, trades, roundTrips, equityCurve, stats, ...}
+   */
+  async run(candles) {
+    const series = BacktestEngine.prepareCandles(candles);
+    const warmupCount = Math.min(this.config.warmupCandles, series.length);
+
+    const strategy = await StrategyRegistry.create(this.config.strategyName, {
+      initialCapital: this.config.initialCapital,
+      ...this.config.strategy,
+      logging: false
+    });
+
+    // ATR-sized bricks (anchored at the end of the warm-up unless atrAnchor is set) need enough candles for the ATR
+    const { brickMode, atrPeriod, atrAnchor } = strategy.config;
+    const needsWarmupATR = brickMode === 'dynamic' || (brickMode === 'atr' && !atrAnchor);
+    if (needsWarmupATR && warmupCount < atrPeriod) {
+      throw new Error(`Backtest needs at least ${atrPeriod} warm-up candles for ATR(${atrPeriod}) brick sizing`);
+    }
+
+    if (series.length <= warmupCount) {
+      throw new Error(`Backtest needs more candles than the warm-up period (${series.length} candles, ${warmupCount} warm-up)`);
+    }
+
+    const clock = new SimulatedClock(series[0].timestamp);
+    strategy.setClock(clock);
+
+    let riskHalt = null;
+    let flattening = null;
+    if (this.config.riskLimits) {
+      const riskManager = new RiskManager(this.config.riskLimits);
+      riskManager.on('halt', (event) => {
+        riskHalt = event;
+        flattening = strategy.flatten('risk_halt');
+      });
+      strategy.setRiskManager(riskManager);
+    }
+
+    const warmup = series.slice(0, warmupCount);
+    const replay = series.slice(warmupCount);
+
+    if (warmup.length > 0) {
+      clock.set(warmup[warmup.length - 1].timestamp);
+    }
+    await strategy.initialize(warmup.map(candle => ({ ...candle })));
+
+    // Last candle actually replayed - a risk halt ends the replay before the end of the series
+    let lastCandle = null;
+    for (const candle of replay) {
+      clock.set(candle.timestamp);
+      await strategy.processNewData({ ...candle });
+      lastCandle = candle;
+
+      if (riskHalt) {
+        await flattening;
+        break;
+      }
+    }
+
+    strategy.cancelPendingOrder();
+    if (this.config.closeOpenPosition && strategy.position.isActive) {
+      await strategy.exitPosition(lastCandle.close, lastCandle.timestamp, 'backtest_end', {}, { force: true });
+    }
+
+    strategy.stop();
+
+    const trades = strategy.getTrades();
+    const { roundTrips, equityCurve, stats } = PerformanceAnalyzer.analyze(trades, {
+      initialCapital: this.config.initialCapital
+    });
+
+    return {
+      symbol: strategy.config.symbol,
+      strategyName: strategy.getStrategyName(),
+      config: { ...strategy.config },
+      period: {
+        start: series[0].timestamp,
+        end: lastCandle.timestamp,
+        replayStart: replay[0].timestamp
+      },
+      candles: series.length,
+      warmupCandles: warmupCount,
+      bricks: strategy.renkoBricks?.length ?? 0,
+      trades,
+      signals: strategy.getSignals(),
+      roundTrips,
+      equityCurve,
+      stats,
+      riskHalt
+    };
+  }
+}
+
+export default BacktestEngine;
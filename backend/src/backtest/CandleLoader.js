@@ -0,0 +1,115 @@
+/**
+ * Candle Loader
+ * Loads historical OHLCV candles for backtests from CSV files or the MarketData collection
+ */
+
+import fs from 'fs/promises';
+
+// Accepted time column names, in order of preference (e.g. CryptoDataDownload files have both unix and date)
+const TIME_COLUMNS = ['timestamp', 'time', 'unix', 'open_time', 'open time', 'date', 'datetime'];
+
+class CandleLoader {
+
+  /**
+   * Parse a timestamp column value (epoch seconds, epoch milliseconds or date string)
+   * @param {string|number} value - Raw timestamp
+   * @returns {Date} Parsed date (Invalid Date if unparseable)
+   */
+  static parseTimestamp(value) {
+    const trimmed = String(value).trim();
+
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+      const numeric = parseFloat(trimmed);
+      // Delta returns epoch seconds; most exports use milliseconds
+      return new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+    }
+
+    return new Date(trimmed);
+  }
+
+  /**
+   * Parse CSV text into candle objects
+   * Expects a header row containing a time column (see TIME_COLUMNS), open, high, low, close and optionally
+   * volume (the first "volume ..." column when there is no plain volume column, e.g. "Volume BTC")
+   * @param {string} text - CSV content
+   * @returns {Array} Array of {timestamp, open, high, low, close, volume} sorted by timestamp
+   */
+  static parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+
+    const header = lines[0].split(',').map(column => column.trim().replace(/^"|"$/g, '').toLowerCase());
+    const timeIndex = TIME_COLUMNS.map(name => header.indexOf(name)).find(index => index !== -1) ?? -1;
+    const columnIndex = {
+      open: header.indexOf('open'),
+      high: header.indexOf('high'),
+      low: header.indexOf('low'),
+      close: header.indexOf('close'),
+      volume: header.includes('volume') ? header.indexOf('volume') : header.findIndex(column => column.startsWith('volume') || column === 'vol')
+    };
+
+    if (timeIndex === -1 || ['open', 'high', 'low', 'close'].some(key => columnIndex[key] === -1)) {
+      throw new Error('CSV header must contain timestamp, open, high, low and close columns');
+    }
+
+    const candles = [];
+    for (let i = 1; i < lines.length; i++) {
+      const values = lines[i].split(',').map(value => value.trim().replace(/^"|"$/g, ''));
+      const candle = {
+        timestamp: this.parseTimestamp(values[timeIndex]),
+        open: parseFloat(values[columnIndex.open]),
+        high: parseFloat(values[columnIndex.high]),
+        low: parseFloat(values[columnIndex.low]),
+        close: parseFloat(values[columnIndex.close]),
+        volume: columnIndex.volume === -1 ? 0 : parseFloat(values[columnIndex.volume] || 0)
+      };
+
+      if (isNaN(candle.timestamp.getTime()) || [candle.open, candle.high, candle.low, candle.close].some(isNaN)) {
+        throw new Error(`Invalid candle on CSV line ${i + 1}: ${lines[i]}`);
+      }
+
+      candles.push(candle);
+    }
+
+    return candles.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Load candles from a CSV file
+   * @param {string} filePath - Path to CSV file
+   * @returns {Promise<Array>} Array of candles
+   */
+  static async loadCSV(filePath) {
+    const text = await fs.readFile(filePath, 'utf8');
+    return this.parseCSV(text);
+  }
+
+  /**
+   * Load candles stored in the MarketData collection (requires an open mongoose connection)
+   * @param {Object} query - {symbol, start, end}
+   * @returns {Promise<Array>} Array of candles
+   */
+  static async loadFromStore({ symbol, start, end } = {}) {
+    const { MarketData } = await import('../models/MarketData.js');
+
+    const filter = { symbol };
+    if (start || end) {
+      filter.timestamp = {};
+      if (start) filter.timestamp.$gte = new Date(start);
+      if (end) filter.timestamp.$lte = new Date(end);
+    }
+
+    const documents = await MarketData.find(filter).sort({ timestamp: 1 }).lean();
+
+    return documents.map(doc => ({
+      timestamp: new Date(doc.timestamp),
+      open: doc.open,
+      high: doc.high,
+      low: doc.low,
+      close: doc.close,
+      volume: doc.volume || 0
+    }));
+  }
+}
+
+export default CandleLoader;
@@ -0,0 +1,216 @@
+/**
+ * Monte Carlo Analyzer
+ * Reshuffles and resamples trade outcomes to estimate the spread of final equity,
+ * max drawdown and losing streaks that the same edge could have produced
+ */
+
+import PerformanceAnalyzer from './PerformanceAnalyzer.js';
+
+// Small seeded PRNG (mulberry32) so reports are reproducible
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Upper bound for simulations requested over HTTP - each one replays every trade per method on the event loop
+export const MAX_REQUEST_SIMULATIONS = 2000;
+
+class MonteCarloAnalyzer {
+  constructor(config = {}) {
+    this.config = {
+      simulations: 5000,
+      methods: ['shuffle', 'bootstrap'],  // shuffle: reorder trades, bootstrap: resample with replacement
+      initialCapital: 10000,
+      percentiles: [5, 25, 50, 75, 95],
+      ruinDrawdownPct: 50,                // Drawdown (% of peak equity) counted as ruin
+      includeEquityBands: false,          // Per-trade percentile bands of the equity paths
+      seed: 42,
+      ...config
+    };
+  }
+
+  /**
+   * Parse and validate Monte Carlo options from string query parameters
+   * @param {Object} query - { simulations, ruinDrawdownPct, capital }
+   * @returns {Object} Config for the analyzer
+   * @throws {Error} When a parameter is not a number or out of range
+   */
+  static parseQuery({ simulations = '1000', ruinDrawdownPct = '50', capital = '10000' } = {}) {
+    const count = Number(simulations);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_REQUEST_SIMULATIONS) {
+      throw new Error(`simulations must be an integer between 1 and ${MAX_REQUEST_SIMULATIONS}`);
+    }
+
+    const ruin = Number(ruinDrawdownPct);
+    if (!(ruin > 0 && ruin <= 100)) {
+      throw new Error('ruinDrawdownPct must be a number above 0 and at most 100');
+    }
+
+    const initialCapital = Number(capital);
+    if (!(Number.isFinite(initialCapital) && initialCapital > 0)) {
+      throw new Error('capital must be a positive number');
+    }
+
+    return { simulations: count, ruinDrawdownPct: ruin, initialCapital };
+  }
+
+  /**
+   * Percentile of a sorted array (linear interpolation)
+   */
+  static percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  /**
+   * Distribution summary of a set of simulated values
+   */
+  summarize(values) {
+    const sorted = Float64Array.from(values).sort();
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const percentiles = {};
+    for (const p of this.config.percentiles) {
+      percentiles[`p${p}`] = MonteCarloAnalyzer.percentile(sorted, p);
+    }
+
+    return {
+      mean,
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      percentiles
+    };
+  }
+
+  /**
+   * Build one simulated sequence of trade PnLs
+   */
+  static samplePath(pnls, method, random) {
+    if (method === 'bootstrap') {
+      return pnls.map(() => pnls[Math.floor(random() * pnls.length)]);
+    }
+
+    // Fisher-Yates shuffle
+    const path = [...pnls];
+    for (let i = path.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [path[i], path[j]] = [path[j], path[i]];
+    }
+    return path;
+  }
+
+  /**
+   * Simulate one method and summarize its distributions
+   */
+  simulate(pnls, method, random) {
+    const { simulations, initialCapital, ruinDrawdownPct } = this.config;
+    const finalEquity = [];
+    const maxDrawdown = [];
+    const maxDrawdownPct = [];
+    const maxLosingStreak = [];
+    const equityPaths = this.config.includeEquityBands ? [] : null;
+    let losses = 0;
+    let ruins = 0;
+
+    for (let i = 0; i < simulations; i++) {
+      const path = MonteCarloAnalyzer.samplePath(pnls, method, random);
+
+      let equity = initialCapital;
+      const equityCurve = [{ equity }];
+      for (const pnl of path) {
+        equity += pnl;
+        equityCurve.push({ equity });
+      }
+
+      const drawdown = PerformanceAnalyzer.calculateMaxDrawdown(equityCurve);
+      const { maxConsecutiveLosses } = PerformanceAnalyzer.calculateStreaks(path);
+
+      finalEquity.push(equity);
+      maxDrawdown.push(drawdown.maxDrawdown);
+      maxDrawdownPct.push(drawdown.maxDrawdownPct);
+      maxLosingStreak.push(maxConsecutiveLosses);
+
+      if (equity < initialCapital) losses++;
+      if (drawdown.maxDrawdownPct >= ruinDrawdownPct) ruins++;
+      if (equityPaths) equityPaths.push(equityCurve.map(point => point.equity));
+    }
+
+    const report = {
+      finalEquity: this.summarize(finalEquity),
+      maxDrawdown: this.summarize(maxDrawdown),
+      maxDrawdownPct: this.summarize(maxDrawdownPct),
+      maxLosingStreak: this.summarize(maxLosingStreak),
+      probabilityOfLoss: (losses / simulations) * 100,
+      probabilityOfRuin: (ruins / simulations) * 100
+    };
+
+    if (equityPaths) {
+      report.equityBands = this.buildEquityBands(equityPaths);
+    }
+
+    return report;
+  }
+
+  /**
+   * Percentile bands of equity after each trade across all simulated paths
+   */
+  buildEquityBands(equityPaths) {
+    const steps = equityPaths[0]?.length || 0;
+    const bands = [];
+
+    for (let step = 0; step < steps; step++) {
+      const sorted = Float64Array.from(equityPaths, path => path[step]).sort();
+      const band = { trade: step };
+      for (const p of this.config.percentiles) {
+        band[`p${p}`] = MonteCarloAnalyzer.percentile(sorted, p);
+      }
+      bands.push(band);
+    }
+
+    return bands;
+  }
+
+  /**
+   * Run the Monte Carlo analysis on strategy trade records (entry/exit) or round trips
+   * @param {Array} trades - Trade records from RenkoEMAStrategy, or round trips with a pnl field
+   * @returns {Object} Historical single-path stats plus one distribution report per method
+   */
+  analyze(trades = []) {
+    const isRoundTrips = trades.length > 0 && trades[0].type === undefined;
+    const roundTrips = isRoundTrips ? trades : PerformanceAnalyzer.buildRoundTrips(trades);
+    const pnls = roundTrips.map(trip => trip.pnl);
+
+    const report = {
+      simulations: this.config.simulations,
+      trades: pnls.length,
+      initialCapital: this.config.initialCapital,
+      historical: PerformanceAnalyzer.analyzeRoundTrips(roundTrips, { initialCapital: this.config.initialCapital }).stats,
+      methods: {}
+    };
+
+    if (pnls.length === 0) {
+      return report;
+    }
+
+    const random = createRandom(this.config.seed);
+    for (const method of this.config.methods) {
+      if (!['shuffle', 'bootstrap'].includes(method)) {
+        throw new Error(`Unknown Monte Carlo method "${method}". Use shuffle or bootstrap`);
+      }
+      report.methods[method] = this.simulate(pnls, method, random);
+    }
+
+    return report;
+  }
+}
+
+export default MonteCarloAnalyzer;
@@ -0,0 +1,190 @@
+/**
+ * Strategy Parameter Optimizer
+ * Grid-searches RenkoEMAStrategy parameters by running every combination through BacktestEngine
+ * in parallel worker threads, then ranks the results by a chosen objective
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { EventEmitter } from 'events';
+import BacktestEngine from './BacktestEngine.js';
+
+// Objective -> stats field and whether higher or lower is better
+export const OBJECTIVES = {
+  netPnL: { key: 'netPnL', direction: 'max' },
+  returnPct: { key: 'returnPct', direction: 'max' },
+  profitFactor: { key: 'profitFactor', direction: 'max' },
+  winRate: { key: 'winRate', direction: 'max' },
+  expectancy: { key: 'expectancy', direction: 'max' },
+  maxDrawdown: { key: 'maxDrawdown', direction: 'min' }
+};
+
+class Optimizer extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      baseStrategy: {},       // Strategy config shared by every combination (symbol, defaultQuantity, ...)
+      parameterRanges: {},    // {brickSize | atrPeriod, emaLength, supertrendAtrPeriod, supertrendMultipliers: [range, range, range]}
+      objective: 'netPnL',
+      minTrades: 1,           // Combinations with fewer round trips are reported but not ranked
+      workers: Math.max(1, os.cpus().length - 1),
+      warmupCandles: 500,
+      initialCapital: 10000,
+      ...config
+    };
+
+    if (!OBJECTIVES[this.config.objective]) {
+      throw new Error(`Unknown objective "${this.config.objective}". Use one of: ${Object.keys(OBJECTIVES).join(', ')}`);
+    }
+  }
+
+  /**
+   * Expand a range definition into its values
+   * @param {Array|Object|number} range - [values], {min, max, step} or a single value
+   * @returns {Array} Array of values
+   */
+  static expandRange(range) {
+    if (Array.isArray(range)) return range;
+    if (typeof range === 'number') return [range];
+
+    const { min, max, step } = range || {};
+    if (![min, max, step].every(Number.isFinite) || step <= 0 || max < min) {
+      throw new Error(`Invalid range ${JSON.stringify(range)} - expected {min, max, step} with step > 0`);
+    }
+
+    const count = Math.floor((max - min) / step + 1e-9) + 1;
+    return Array.from({ length: count }, (_, i) => parseFloat((min + i * step).toFixed(10)));
+  }
+
+  /**
+   * Cartesian product of parameter ranges
+   * @param {Object} parameterRanges - Range definitions keyed by strategy config field
+   * @returns {Array} Array of strategy config overrides, one per combination
+   */
+  static buildGrid(parameterRanges = {}) {
+    const { supertrendMultipliers, ...scalarRanges } = parameterRanges;
+
+    if (scalarRanges.brickSize !== undefined && scalarRanges.atrPeriod !== undefined) {
+      throw new Error('Sweep either brickSize (fixed bricks) or atrPeriod (ATR brick sizing), not both');
+    }
+
+    let grid = [{}];
+
+    for (const [key, range] of Object.entries(scalarRanges)) {
+      const values = this.expandRange(range);
+      grid = grid.flatMap(params => values.map(value => ({ ...params, [key]: value })));
+    }
+
+    if (supertrendMultipliers) {
+      let multiplierSets = [[]];
+      for (const range of supertrendMultipliers) {
+        const values = this.expandRange(range);
+        multiplierSets = multiplierSets.flatMap(set => values.map(value => [...set, value]));
+      }
+
+      // SuperTrend results are keyed by multiplier, so each set must be unique
+      multiplierSets = multiplierSets.filter(set => new Set(set).size === set.length);
+      grid = grid.flatMap(params => multiplierSets.map(set => ({ ...params, supertrendMultipliers: set })));
+    }
+
+    return grid.map(params => {
+      if (params.brickSize !== undefined) return { ...params, brickMode: 'fixed' };
+      if (params.atrPeriod !== undefined) return { ...params, brickMode: 'atr' };
+      return params;
+    });
+  }
+
+  /**
+   * Sort results best-first for an objective; errored or under-traded runs go last
+   * @param {Array} results - Array of {params, stats}
+   * @param {string} objective - Objective name
+   * @param {number} minTrades - Minimum round trips for a run to be ranked
+   * @returns {Array} Ranked results with a 1-based rank (null when unranked)
+   */
+  static rankResults(results, objective = 'netPnL', minTrades = 1) {
+    const { key, direction } = OBJECTIVES[objective];
+    const isRankable = result => result.stats && result.stats.totalTrades >= minTrades;
+
+    const ranked = results
+      .filter(isRankable)
+      .sort((a, b) => direction === 'max' ? b.stats[key] - a.stats[key] : a.stats[key] - b.stats[key])
+      .map((result, i) => ({ ...result, rank: i + 1, score: result.stats[key] }));
+
+    const unranked = results
+      .filter(result => !isRankable(result))
+      .map(result => ({ ...result, rank: null, score: null }));
+
+    return [...ranked, ...unranked];
+  }
+
+  /**
+   * Run the grid search
+   * @param {Array} candles - Historical candles shared by every backtest
+   * @returns {Promise<Object>} {objective, combinations, best, results, durationMs}
+   */
+  async run(candles) {
+    const startedAt = Date.now();
+    const grid = Optimizer.buildGrid(this.config.parameterRanges);
+    const combinations = grid.map((params, index) => ({ index, params }));
+    const series = BacktestEngine.prepareCandles(candles);
+
+    const engineConfig = {
+      strategy: this.config.baseStrategy,
+      warmupCandles: this.config.warmupCandles,
+      initialCapital: this.config.initialCapital
+    };
+
+    const workerCount = Math.max(1, Math.min(this.config.workers, combinations.length));
+    const batches = Array.from({ length: workerCount }, () => []);
+    combinations.forEach((combination, i) => batches[i % workerCount].push(combination));
+
+    const results = [];
+    const onResult = (result) => {
+      results.push(result);
+      this.emit('progress', { completed: results.length, total: combinations.length, result });
+    };
+
+    await Promise.all(batches.map(batch => this.runWorker(series, batch, engineConfig, onResult)));
+
+    results.sort((a, b) => a.index - b.index);
+    const ranked = Optimizer.rankResults(results, this.config.objective, this.config.minTrades);
+
+    return {
+      objective: this.config.objective,
+      combinations: combinations.length,
+      workers: workerCount,
+      best: ranked[0]?.rank ? ranked[0] : null,
+      results: ranked,
+      durationMs: Date.now() - startedAt
+    };
+  }
+
+  /**
+   * Run one batch of combinations in a worker thread
+   */
+  runWorker(candles, combinations, engineConfig, onResult) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./optimizerWorker.js', import.meta.url), {
+        workerData: { candles, combinations, engineConfig }
+      });
+
+      worker.on('message', (message) => {
+        if (message.type === 'result') {
+          onResult(message.result);
+        } else if (message.type === 'done') {
+          resolve();
+        }
+      });
+
+      worker.on('error', reject);
+      worker.on('exit', (code) => {
+        if (code !== 0) {
+          reject(new Error(`Optimizer worker exited with code ${code}`));
+        }
+      });
+    });
+  }
+}
+
+export default Optimizer;
@@ -0,0 +1,232 @@
+/**
+ * Performance Analyzer
+ * Turns the strategy's entry/exit trade records into round trips, an equity curve and summary stats
+ */
+
+// Relative tolerance when matching exited against entered quantity (floating point dust)
+const QUANTITY_TOLERANCE = 1e-9;
+
+class PerformanceAnalyzer {
+
+  /**
+   * Pair entry and exit trade records into completed round trips
+   * Partial fills are aggregated: entries scale in at the average price, exits accumulate PnL and fees
+   * until the entered quantity is closed
+   * @param {Array} trades - Trade records as produced by RenkoEMAStrategy (type: 'entry' | 'exit')
+   * @returns {Array} Array of round trips {side, entryTime, exitTime, entryPrice, exitPrice, quantity, pnl, fees, ...}
+   */
+  static buildRoundTrips(trades = []) {
+    const roundTrips = [];
+    let open = null;
+
+    const closeTrip = () => {
+      const entryTime = new Date(open.entries[0].timestamp);
+      const lastExit = open.exits[open.exits.length - 1];
+      const exitTime = new Date(lastExit.timestamp);
+      const entryQuantity = open.entries.reduce((sum, trade) => sum + trade.quantity, 0);
+      const exitQuantity = open.exits.reduce((sum, trade) => sum + trade.quantity, 0);
+      const entryPrice = open.entries.reduce((sum, trade) => sum + trade.price * trade.quantity, 0) / entryQuantity;
+      const exitPrice = open.exits.reduce((sum, trade) => sum + trade.price * trade.quantity, 0) / exitQuantity;
+      const pnl = open.exits.reduce((sum, trade) => sum + trade.pnl, 0);
+      const fills = [...open.entries, ...open.exits];
+      const notional = entryPrice * entryQuantity;
+
+      roundTrips.push({
+        symbol: open.entries[0].symbol,
+        side: open.entries[0].side === 'buy' ? 'long' : 'short',
+        entryTime,
+        exitTime,
+        entryPrice,
+        exitPrice,
+        quantity: exitQuantity,
+        pnl,
+        fees: fills.reduce((sum, trade) => sum + (trade.fee || 0), 0),
+        slippageCost: fills.reduce((sum, trade) => sum + (trade.slippageCost || 0), 0),
+        exitReason: lastExit.exitReason || 'signal',
+        returnPct: notional > 0 ? (pnl / notional) * 100 : 0,
+        holdingMinutes: (exitTime.getTime() - entryTime.getTime()) / 60000,
+        entryId: open.entries[0].id,
+        exitId: lastExit.id
+      });
+
+      open = null;
+    };
+
+    for (const trade of trades) {
+      if (trade.type === 'entry') {
+        // A new entry after exits means the previous position was left partially open - close the books on it
+        if (open?.exits.length > 0) closeTrip();
+        if (!open) open = { entries: [], exits: [] };
+        open.entries.push(trade);
+        continue;
+      }
+
+      if (trade.type !== 'exit' || !open) continue;
+
+      open.exits.push(trade);
+
+      const entered = open.entries.reduce((sum, fill) => sum + fill.quantity, 0);
+      const exited = open.exits.reduce((sum, fill) => sum + fill.quantity, 0);
+      if (exited >= entered - QUANTITY_TOLERANCE * entered) {
+        closeTrip();
+      }
+    }
+
+    return roundTrips;
+  }
+
+  /**
+   * Build an equity curve from round trips (one point per closed trade)
+   * @param {Array} roundTrips - Completed round trips
+   * @param {number} initialCapital - Starting equity
+   * @returns {Array} Array of {timestamp, equity, pnl}
+   */
+  static buildEquityCurve(roundTrips = [], initialCapital = 0) {
+    const curve = [{
+      timestamp: roundTrips.length > 0 ? roundTrips[0].entryTime : null,
+      equity: initialCapital,
+      pnl: 0
+    }];
+
+    let equity = initialCapital;
+    for (const trip of roundTrips) {
+      equity += trip.pnl;
+      curve.push({
+        timestamp: trip.exitTime,
+        equity,
+        pnl: trip.pnl
+      });
+    }
+
+    return curve;
+  }
+
+  /**
+   * Calculate the largest peak-to-trough decline of an equity curve
+   * @param {Array} equityCurve - Array of {equity}
+   * @returns {Object} {maxDrawdown, maxDrawdownPct}
+   */
+  static calculateMaxDrawdown(equityCurve = []) {
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+
+    for (const point of equityCurve) {
+      if (point.equity > peak) {
+        peak = point.equity;
+      }
+
+      const drawdown = peak - point.equity;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+        maxDrawdownPct = peak > 0 ? (drawdown / peak) * 100 : 0;
+      }
+    }
+
+    return { maxDrawdown, maxDrawdownPct };
+  }
+
+  /**
+   * Longest runs of consecutive winning and losing trades
+   * @param {Array} pnls - Array of trade PnL values
+   * @returns {Object} {maxConsecutiveWins, maxConsecutiveLosses}
+   */
+  static calculateStreaks(pnls = []) {
+    let maxConsecutiveWins = 0;
+    let maxConsecutiveLosses = 0;
+    let wins = 0;
+    let losses = 0;
+
+    for (const pnl of pnls) {
+      if (pnl > 0) {
+        wins++;
+        losses = 0;
+      } else if (pnl < 0) {
+        losses++;
+        wins = 0;
+      } else {
+        wins = 0;
+        losses = 0;
+      }
+
+      maxConsecutiveWins = Math.max(maxConsecutiveWins, wins);
+      maxConsecutiveLosses = Math.max(maxConsecutiveLosses, losses);
+    }
+
+    return { maxConsecutiveWins, maxConsecutiveLosses };
+  }
+
+  /**
+   * Full performance report for a list of trade records
+   * @param {Array} trades - Trade records (entry/exit)
+   * @param {Object} options - {initialCapital}
+   * @returns {Object} {roundTrips, equityCurve, stats}
+   */
+  static analyze(trades = [], options = {}) {
+    return this.analyzeRoundTrips(this.buildRoundTrips(trades), options);
+  }
+
+  /**
+   * Performance report for already-paired round trips (e.g. stitched walk-forward segments)
+   * @param {Array} roundTrips - Completed round trips in chronological order
+   * @param {Object} options - {initialCapital}
+   * @returns {Object} {roundTrips, equityCurve, stats}
+   */
+  static analyzeRoundTrips(roundTrips = [], options = {}) {
+    const initialCapital = options.initialCapital ?? 10000;
+
+    const equityCurve = this.buildEquityCurve(roundTrips, initialCapital);
+    const { maxDrawdown, maxDrawdownPct } = this.calculateMaxDrawdown(equityCurve);
+
+    const pnls = roundTrips.map(trip => trip.pnl);
+    const wins = pnls.filter(pnl => pnl > 0);
+    const losses = pnls.filter(pnl => pnl < 0);
+
+    const netPnL = pnls.reduce((sum, pnl) => sum + pnl, 0);
+    const grossProfit = wins.reduce((sum, pnl) => sum + pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, pnl) => sum + pnl, 0));
+
+    const avgWin = wins.length > 0 ? grossProfit / wins.length : 0;
+    const avgLoss = losses.length > 0 ? grossLoss / losses.length : 0;
+    const winRate = roundTrips.length > 0 ? (wins.length / roundTrips.length) * 100 : 0;
+    const totalHolding = roundTrips.reduce((sum, trip) => sum + trip.holdingMinutes, 0);
+    const totalFees = roundTrips.reduce((sum, trip) => sum + (trip.fees || 0), 0);
+    const totalSlippage = roundTrips.reduce((sum, trip) => sum + (trip.slippageCost || 0), 0);
+    const exitReasons = {};
+    for (const trip of roundTrips) {
+      const reason = trip.exitReason || 'signal';
+      exitReasons[reason] = (exitReasons[reason] || 0) + 1;
+    }
+
+    const stats = {
+      totalTrades: roundTrips.length,
+      winningTrades: wins.length,
+      losingTrades: losses.length,
+      winRate,
+      netPnL,
+      grossProfit,
+      grossLoss,
+      // Same convention as RenkoEMAStrategy.getTradeStatistics(): no losses -> gross profit
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : grossProfit,
+      avgWin,
+      avgLoss,
+      expectancy: roundTrips.length > 0 ? netPnL / roundTrips.length : 0,
+      largestWin: wins.length > 0 ? Math.max(...wins) : 0,
+      largestLoss: losses.length > 0 ? Math.min(...losses) : 0,
+      totalFees,
+      totalSlippage,
+      exitReasons,
+      maxDrawdown,
+      maxDrawdownPct,
+      ...this.calculateStreaks(pnls),
+      avgHoldingMinutes: roundTrips.length > 0 ? totalHolding / roundTrips.length : 0,
+      initialCapital,
+      finalEquity: initialCapital + netPnL,
+      returnPct: initialCapital > 0 ? (netPnL / initialCapital) * 100 : 0
+    };
+
+    return { roundTrips, equityCurve, stats };
+  }
+}
+
+export default PerformanceAnalyzer;
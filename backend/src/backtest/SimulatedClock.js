@@ -0,0 +1,35 @@
+/**
+ * Simulated Clock
+ * Deterministic time source for backtests - advanced explicitly by the replay loop
+ */
+
+class SimulatedClock {
+  constructor(startTime = 0) {
+    this.currentTime = new Date(startTime).getTime();
+  }
+
+  /**
+   * Current simulated time in milliseconds (same contract as Date.now())
+   */
+  now() {
+    return this.currentTime;
+  }
+
+  /**
+   * Jump to a specific time
+   * @param {Date|number|string} timestamp - New simulated time
+   */
+  set(timestamp) {
+    this.currentTime = new Date(timestamp).getTime();
+  }
+
+  /**
+   * Move the clock forward
+   * @param {number} ms - Milliseconds to advance
+   */
+  advance(ms) {
+    this.currentTime += ms;
+  }
+}
+
+export default SimulatedClock;
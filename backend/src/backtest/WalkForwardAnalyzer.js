@@ -0,0 +1,190 @@
+/**
+ * Walk-Forward Analyzer
+ * Splits a candle series into rolling in-sample / out-of-sample windows, optimizes RenkoEMAStrategy
+ * parameters on each in-sample window and scores the winners on the following out-of-sample window
+ */
+
+import { EventEmitter } from 'events';
+import Optimizer from './Optimizer.js';
+import BacktestEngine from './BacktestEngine.js';
+import PerformanceAnalyzer from './PerformanceAnalyzer.js';
+
+class WalkForwardAnalyzer extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      optimizer: {},              // Optimizer config: {baseStrategy, parameterRanges, objective, minTrades, workers}
+      inSampleCandles: 7 * 1440,  // One week of 1m candles
+      outOfSampleCandles: 1440,   // One day of 1m candles
+      stepCandles: null,          // Window step, at least outOfSampleCandles (default) so OOS segments never overlap
+      anchored: false,            // true: in-sample always starts at the first candle
+      warmupCandles: 500,
+      initialCapital: 10000,
+      ...config
+    };
+
+    if (this.config.inSampleCandles <= this.config.warmupCandles) {
+      throw new Error('inSampleCandles must be larger than warmupCandles');
+    }
+
+    // Overlapping out-of-sample segments would count the same trades twice in the stitched report
+    if (this.config.stepCandles && this.config.stepCandles < this.config.outOfSampleCandles) {
+      throw new Error('stepCandles must be at least outOfSampleCandles');
+    }
+  }
+
+  /**
+   * Compute window boundaries (candle indexes) for a series length
+   * @param {number} totalCandles - Length of the candle series
+   * @returns {Array} Array of {index, inSample: {start, end}, outOfSample: {start, end}} (end exclusive)
+   */
+  buildWindows(totalCandles) {
+    const { inSampleCandles, outOfSampleCandles, anchored } = this.config;
+    const step = this.config.stepCandles || outOfSampleCandles;
+    const windows = [];
+
+    for (let start = 0; start + inSampleCandles + outOfSampleCandles <= totalCandles; start += step) {
+      const inSampleEnd = start + inSampleCandles;
+      windows.push({
+        index: windows.length,
+        inSample: { start: anchored ? 0 : start, end: inSampleEnd },
+        outOfSample: { start: inSampleEnd, end: inSampleEnd + outOfSampleCandles }
+      });
+    }
+
+    return windows;
+  }
+
+  /**
+   * Summarize how much each optimized parameter moved across windows
+   * @param {Array} paramSets - Best params per window
+   * @returns {Object} Per-parameter {values, mean, stdDev, coefficientOfVariation, min, max, distinct, changes}
+   */
+  static calculateParameterStability(paramSets) {
+    const series = {};
+
+    for (const params of paramSets) {
+      for (const [key, value] of Object.entries(params)) {
+        if (Array.isArray(value)) {
+          value.forEach((item, i) => {
+            (series[`${key}[${i}]`] ||= []).push(item);
+          });
+        } else if (typeof value === 'number') {
+          (series[key] ||= []).push(value);
+        }
+      }
+    }
+
+    const stability = {};
+    for (const [key, values] of Object.entries(series)) {
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+      const stdDev = Math.sqrt(variance);
+
+      stability[key] = {
+        values,
+        mean,
+        stdDev,
+        coefficientOfVariation: mean !== 0 ? stdDev / Math.abs(mean) : 0,
+        min: Math.min(...values),
+        max: Math.max(...values),
+        distinct: new Set(values).size,
+        changes: values.filter((value, i) => i > 0 && value !== values[i - 1]).length
+      };
+    }
+
+    return stability;
+  }
+
+  /**
+   * Run the walk-forward analysis
+   * @param {Array} candles - Historical candles
+   * @returns {Promise<Object>} {windows, outOfSample: {roundTrips, equityCurve, stats}, parameterStability, efficiency}
+   */
+  async run(candles) {
+    const series = BacktestEngine.prepareCandles(candles);
+    const windows = this.buildWindows(series.length);
+
+    if (windows.length === 0) {
+      throw new Error(
+        `Not enough candles for one walk-forward window (${series.length} candles, ` +
+        `need ${this.config.inSampleCandles + this.config.outOfSampleCandles})`
+      );
+    }
+
+    const windowResults = [];
+    const stitchedRoundTrips = [];
+
+    for (const window of windows) {
+      const inSample = series.slice(window.inSample.start, window.inSample.end);
+      const outOfSample = series.slice(window.outOfSample.start, window.outOfSample.end);
+
+      const optimizer = new Optimizer({
+        ...this.config.optimizer,
+        warmupCandles: this.config.warmupCandles,
+        initialCapital: this.config.initialCapital
+      });
+      const optimization = await optimizer.run(inSample);
+
+      const result = {
+        index: window.index,
+        inSample: { start: inSample[0].timestamp, end: inSample[inSample.length - 1].timestamp, candles: inSample.length },
+        outOfSample: { start: outOfSample[0].timestamp, end: outOfSample[outOfSample.length - 1].timestamp, candles: outOfSample.length },
+        params: optimization.best?.params || null,
+        inSampleStats: optimization.best?.stats || null,
+        outOfSampleStats: null
+      };
+
+      if (optimization.best) {
+        // Warm the strategy up on the tail of the in-sample window so OOS trading starts immediately
+        const engine = new BacktestEngine({
+          strategy: { ...this.config.optimizer.baseStrategy, ...optimization.best.params },
+          warmupCandles: this.config.warmupCandles,
+          initialCapital: this.config.initialCapital
+        });
+        const backtest = await engine.run([...inSample.slice(-this.config.warmupCandles), ...outOfSample]);
+
+        result.outOfSampleStats = backtest.stats;
+        stitchedRoundTrips.push(...backtest.roundTrips.map(trip => ({ ...trip, window: window.index })));
+      }
+
+      windowResults.push(result);
+      this.emit('window', { completed: windowResults.length, total: windows.length, result });
+    }
+
+    const outOfSample = PerformanceAnalyzer.analyzeRoundTrips(stitchedRoundTrips, {
+      initialCapital: this.config.initialCapital
+    });
+
+    const optimizedWindows = windowResults.filter(result => result.params);
+
+    return {
+      objective: this.config.optimizer.objective || 'netPnL',
+      windows: windowResults,
+      outOfSample,
+      parameterStability: WalkForwardAnalyzer.calculateParameterStability(optimizedWindows.map(result => result.params)),
+      efficiency: this.calculateEfficiency(optimizedWindows)
+    };
+  }
+
+  /**
+   * Walk-forward efficiency: out-of-sample PnL per candle relative to in-sample PnL per candle
+   * Values near 1 mean the optimized parameters held up out of sample; near 0 or negative means over-fitting
+   */
+  calculateEfficiency(windowResults) {
+    const scored = windowResults.filter(result => result.outOfSampleStats);
+    const inSamplePnL = scored.reduce((sum, result) => sum + result.inSampleStats.netPnL, 0);
+    const outOfSamplePnL = scored.reduce((sum, result) => sum + result.outOfSampleStats.netPnL, 0);
+    const inSampleCandles = scored.reduce((sum, result) => sum + result.inSample.candles, 0);
+    const outOfSampleCandles = scored.reduce((sum, result) => sum + result.outOfSample.candles, 0);
+
+    if (scored.length === 0 || inSamplePnL <= 0 || outOfSampleCandles === 0) {
+      return null;
+    }
+
+    return (outOfSamplePnL / outOfSampleCandles) / (inSamplePnL / inSampleCandles);
+  }
+}
+
+export default WalkForwardAnalyzer;
@@ -0,0 +1,31 @@
+/**
+ * Optimizer Worker
+ * Runs a batch of parameter combinations through BacktestEngine inside a worker thread
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import BacktestEngine from './BacktestEngine.js';
+
+const { candles, combinations, engineConfig } = workerData;
+
+for (const combination of combinations) {
+  try {
+    const engine = new BacktestEngine({
+      ...engineConfig,
+      strategy: { ...engineConfig.strategy, ...combination.params }
+    });
+    const result = await engine.run(candles);
+
+    parentPort.postMessage({
+      type: 'result',
+      result: { index: combination.index, params: combination.params, stats: result.stats }
+    });
+  } catch (error) {
+    parentPort.postMessage({
+      type: 'result',
+      result: { index: combination.index, params: combination.params, stats: null, error: error.message }
+    });
+  }
+}
+
+parentPort.postMessage({ type: 'done' });
@@ -3,7 +3,12 @@ import dotenv from 'dotenv';
 
 dotenv.config({ path: '../../../.env' });
 
-const connectDB = async () => {
+/**
+ * Connect to MongoDB
+ * @param {Object} options - {exitOnFailure}: set false when the caller can run without persistence
+ * @returns {Promise<boolean>} true when connected
+ */
+const connectDB = async ({ exitOnFailure = true } = {}) => {
   try {
     // Use MongoDB Atlas or local MongoDB
     const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/algo-trading';
@@ -17,10 +22,49 @@ const connectDB = async () => {
     
     // Create indexes for better performance
     await createIndexes();
-    
+
+    return true;
   } catch (error) {
     console.error('Database connection error:', error);
-    process.exit(1);
+    if (exitOnFailure) {
+      process.exit(1);
+    }
+    return false;
+  }
+};
+
+/**
+ * Replace the earlier non-unique {symbol, timestamp} index with a unique one
+ * Fails (and is logged) while the collection still holds duplicate minutes - remove them first
+ */
+const createUniqueCandleIndex = async (collection) => {
+  const key = { symbol: 1, timestamp: -1 };
+
+  try {
+    const indexes = await collection.indexes().catch(() => []);  // Collection not created yet
+    const existing = indexes.find(index => index.name === 'symbol_1_timestamp_-1');
+    if (existing && !existing.unique) {
+      await collection.dropIndex(existing.name);
+    }
+    await collection.createIndex(key, { unique: true });
+  } catch (error) {
+    console.error('Error creating the unique market data index (duplicate candles?):', error.message);
+  }
+};
+
+const createTradeIdIndex = async (collection) => {
+  try {
+    // Trade ids used to be unique on their own; two symbols can now journal the same id
+    const indexes = await collection.indexes().catch(() => []);  // Collection not created yet
+    if (indexes.some(index => index.name === 'tradeId_1')) {
+      await collection.dropIndex('tradeId_1');
+    }
+    await collection.createIndex(
+      { symbol: 1, tradeId: 1 },
+      { unique: true, partialFilterExpression: { tradeId: { $type: 'string' } } }
+    );
+  } catch (error) {
+    console.error('Error creating the unique trade id index:', error.message);
   }
 };
 
@@ -28,12 +72,14 @@ const createIndexes = async () => {
   try {
     const db = mongoose.connection.db;
     
-    // Market Data indexes
-    await db.collection('marketdatas').createIndex({ symbol: 1, timestamp: -1 });
+    // Market Data indexes - one candle per symbol and minute
+    await createUniqueCandleIndex(db.collection('marketdatas'));
+    await db.collection('emptycandleranges').createIndex({ symbol: 1, start: 1 });
     
     // Trade indexes
     await db.collection('trades').createIndex({ symbol: 1, timestamp: -1 });
     await db.collection('trades').createIndex({ strategy: 1, timestamp: -1 });
+    await createTradeIdIndex(db.collection('trades'));
     
     // Position indexes
     await db.collection('positions').createIndex({ symbol: 1 });
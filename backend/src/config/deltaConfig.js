@@ -12,7 +12,7 @@ export const deltaConfig = {
   apiKey: process.env.DELTA_API_KEY,
   apiSecret: process.env.DELTA_API_SECRET,
   baseUrl: process.env.DELTA_BASE_URL || 'https://api.delta.exchange',
-  websocketUrl: 'wss://socket.india.delta.exchange',
+  websocketUrl: process.env.DELTA_WS_URL || 'wss://socket.india.delta.exchange',
 
   // API endpoints
   endpoints: {
@@ -29,12 +29,34 @@ export const deltaConfig = {
 
   // WebSocket channels
   wsChannels: {
-    ticker: 'ticker',
+    ticker: 'v2/ticker',
+    markPrice: 'mark_price',  // Symbols are subscribed as MARK:<symbol>
     orderbook: 'l2_orderbook',
     trades: 'all_trades',
     candlestick: 'candlestick_1m'
   },
 
+  // Market-data socket: reconnect backoff, staleness watchdog and candle close timing (see MarketDataFeed)
+  websocket: {
+    reconnectBaseMs: 1000,   // First reconnect delay, doubled per failed attempt
+    reconnectMaxMs: 60000,
+    heartbeatMs: 30000,
+    staleAfterMs: parseInt(process.env.DELTA_WS_STALE_MS, 10) || 15000,  // No market data for this long = stale socket
+    closeGraceMs: 2000,      // Wait after a minute ends for its last updates before closing the candle
+    pollIntervalMs: 1000     // REST polling interval while the socket is down or stale
+  },
+
+  // Historical candles (/v2/history/candles returns at most this many per request)
+  candles: {
+    maxPerRequest: parseInt(process.env.DELTA_MAX_CANDLES_PER_REQUEST, 10) || 2000
+  },
+
+  // Candle data-quality checks (see CandleValidator)
+  dataQuality: {
+    spikeAtrMultiple: parseFloat(process.env.DATA_SPIKE_ATR_MULTIPLE) || 10,
+    allowZeroVolume: process.env.DATA_ALLOW_ZERO_VOLUME === 'true'
+  },
+
   // Rate limiting
   rateLimit: {
     maxRequestsPer5Min: 10000,
@@ -45,9 +67,16 @@ export const deltaConfig = {
   defaultSymbol: 'BTCUSD',
   defaultQuantity: 0.001,
 
+  // Account-level risk limits (unset = no limit)
+  riskLimits: {
+    maxDailyLoss: parseFloat(process.env.MAX_DAILY_LOSS) || null,
+    maxConsecutiveLosses: parseInt(process.env.MAX_CONSECUTIVE_LOSSES, 10) || null,
+    maxTradesPerHour: parseInt(process.env.MAX_TRADES_PER_HOUR, 10) || null,
+    maxOpenNotional: parseFloat(process.env.MAX_OPEN_NOTIONAL) || null
+  },
+
   // Strategy parameters
   strategy: {
-    brickSize: 10.0,
     emaLength: 21,
     atrPeriod: 14,  // ATR period for Renko brick sizing
     supertrendAtrPeriod: 10,  // ATR period for SuperTrend (matches TradingView SuperTrend 10)
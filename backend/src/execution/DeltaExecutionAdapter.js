@@ -0,0 +1,149 @@
+/**
+ * Delta Execution Adapter - Sends strategy orders to Delta Exchange through signed v2 order requests
+ * Strategy quantities are in base currency (e.g. BTC) and are converted to whole contracts via the product's contract_value
+ * (rounded down - a quantity below one contract is rejected instead of being sent as a larger order)
+ */
+
+// Delta order state -> normalized order status
+const ORDER_STATUS = {
+  pending: 'pending',
+  open: 'open',
+  cancelled: 'cancelled'
+};
+
+class DeltaExecutionAdapter {
+  constructor(deltaAPI, config = {}) {
+    this.mode = 'live';
+    this.deltaAPI = deltaAPI;
+    this.config = {
+      orderType: 'market_order',  // market_order | limit_order (limit orders use the signal price)
+      ...config
+    };
+    this.orders = [];
+  }
+
+  /**
+   * Convert a base-currency quantity to whole contracts, rounding down so an order never exceeds the strategy's size
+   * @throws {Error} When the quantity is less than one contract
+   */
+  static toContracts(quantity, product) {
+    const contractValue = parseFloat(product.contract_value) || 1;
+    // Tolerance keeps exact multiples whole despite float division (0.003 / 0.001 = 2.9999999999999996)
+    const contracts = Math.floor(quantity / contractValue + 1e-9);
+
+    if (!(contracts >= 1)) {
+      throw new Error(`Quantity ${quantity} is below one ${product.symbol} contract (${contractValue})`);
+    }
+    return contracts;
+  }
+
+  /**
+   * Map a Delta order payload to the normalized order record shared with PaperExecutionAdapter
+   */
+  static normalizeOrder(order, product, request = {}) {
+    const contractValue = parseFloat(product.contract_value) || 1;
+    const filledContracts = order.size - (order.unfilled_size ?? order.size);
+
+    let status = ORDER_STATUS[order.state] || order.state;
+    if (order.state === 'closed') {
+      status = order.unfilled_size > 0 ? 'cancelled' : 'filled';
+    } else if (order.state === 'open' && filledContracts > 0) {
+      status = 'partially_filled';
+    }
+
+    return {
+      id: String(order.id),
+      clientOrderId: order.client_order_id || request.clientOrderId || null,
+      symbol: order.product_symbol || product.symbol,
+      side: order.side,
+      quantity: order.size * contractValue,
+      size: order.size,
+      orderType: order.order_type,
+      reduceOnly: Boolean(order.reduce_only),
+      status,
+      filledQuantity: filledContracts * contractValue,
+      requestedPrice: request.price ?? null,
+      averagePrice: order.average_fill_price ? parseFloat(order.average_fill_price) : null,
+      mode: 'live',
+      timestamp: order.created_at ? new Date(order.created_at) : new Date(),
+      productId: product.id
+    };
+  }
+
+  /**
+   * Submit an order
+   * @param {Object} request - {symbol, side: buy|sell, quantity, price, reduceOnly, clientOrderId}
+   * @returns {Object} Normalized order record
+   */
+  async submitOrder(request) {
+    const product = await this.deltaAPI.getProductBySymbol(request.symbol);
+
+    const payload = {
+      product_id: product.id,
+      product_symbol: product.symbol,
+      size: DeltaExecutionAdapter.toContracts(request.quantity, product),
+      side: request.side,
+      order_type: this.config.orderType
+    };
+
+    if (this.config.orderType === 'limit_order') {
+      payload.limit_price = String(request.price);
+    }
+    if (request.reduceOnly) {
+      payload.reduce_only = true;
+    }
+    if (request.clientOrderId) {
+      payload.client_order_id = request.clientOrderId;
+    }
+
+    const response = await this.deltaAPI.placeOrder(payload);
+    const order = DeltaExecutionAdapter.normalizeOrder(response.result, product, request);
+
+    this.orders.push(order);
+    return order;
+  }
+
+  /**
+   * Cancel an open order
+   */
+  async cancelOrder(orderId) {
+    const existing = this.orders.find(order => order.id === String(orderId));
+    if (!existing) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+
+    const product = await this.deltaAPI.getProductBySymbol(existing.symbol);
+    const response = await this.deltaAPI.cancelOrder(Number(orderId), product.id);
+    const order = DeltaExecutionAdapter.normalizeOrder(response.result, product, existing);
+
+    Object.assign(existing, order);
+    return existing;
+  }
+
+  /**
+   * Open orders for a symbol as reported by the exchange
+   */
+  async getOpenOrders(symbol) {
+    const product = await this.deltaAPI.getProductBySymbol(symbol);
+    const response = await this.deltaAPI.getOrders({ productIds: product.id });
+    return (response.result || []).map(order => DeltaExecutionAdapter.normalizeOrder(order, product));
+  }
+
+  /**
+   * Signed size of the exchange position for a symbol in base currency (negative when short)
+   */
+  async getPositionQuantity(symbol) {
+    const product = await this.deltaAPI.getProductBySymbol(symbol);
+    const response = await this.deltaAPI.getPosition(product.id);
+    return (Number(response.result?.size) || 0) * (parseFloat(product.contract_value) || 1);
+  }
+
+  /**
+   * All orders submitted through this adapter
+   */
+  getOrders() {
+    return this.orders;
+  }
+}
+
+export default DeltaExecutionAdapter;
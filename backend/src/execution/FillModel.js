@@ -0,0 +1,110 @@
+/**
+ * Fill Model - Turns a simulated order into a fill with fees, slippage and (optionally) partial fills
+ * Used by RenkoEMAStrategy for paper trading and backtests; live orders are filled by the exchange instead
+ */
+
+const SLIPPAGE_MODES = ['fixed', 'atr'];
+const FILL_TIMINGS = ['signal', 'next_candle_open'];
+const REMAINDER_POLICIES = ['next_candle', 'cancel'];
+
+class FillModel {
+  constructor(config = {}) {
+    this.config = {
+      makerFeeRate: 0.0002,         // Delta Exchange futures maker fee (0.02% of notional)
+      takerFeeRate: 0.0005,         // Delta Exchange futures taker fee (0.05% of notional)
+      orderType: 'market',          // market: taker fee + slippage, limit: maker fee at the signal price
+      slippageMode: 'fixed',        // fixed: `slippage` price units, atr: `slippageAtrMultiplier` x ATR
+      slippage: 0,
+      slippageAtrMultiplier: 0.1,
+      fillTiming: 'signal',         // signal: fill at the signal price, next_candle_open: fill at the next candle's open
+      partialFills: false,          // Cap each fill at the top-of-book size on the opposite side
+      bookSize: null,               // Top-of-book size (base units) used when no live order book is available
+      remainder: 'next_candle',     // Unfilled remainder: keep working on the next candle or cancel it
+      ...config
+    };
+
+    if (!SLIPPAGE_MODES.includes(this.config.slippageMode)) {
+      throw new Error(`Unknown slippage mode "${this.config.slippageMode}". Use one of: ${SLIPPAGE_MODES.join(', ')}`);
+    }
+    if (!FILL_TIMINGS.includes(this.config.fillTiming)) {
+      throw new Error(`Unknown fill timing "${this.config.fillTiming}". Use one of: ${FILL_TIMINGS.join(', ')}`);
+    }
+    if (!REMAINDER_POLICIES.includes(this.config.remainder)) {
+      throw new Error(`Unknown remainder policy "${this.config.remainder}". Use one of: ${REMAINDER_POLICIES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Whether orders wait for the next candle instead of filling at the signal
+   */
+  defersFill() {
+    return this.config.fillTiming === 'next_candle_open';
+  }
+
+  /**
+   * Whether an unfilled remainder keeps working on later candles
+   */
+  keepsRemainder() {
+    return this.config.remainder === 'next_candle';
+  }
+
+  /**
+   * Adverse price move per unit for a market order
+   */
+  calculateSlippage(atr = 0) {
+    if (this.config.orderType === 'limit') return 0;
+
+    return this.config.slippageMode === 'atr'
+      ? (atr || 0) * this.config.slippageAtrMultiplier
+      : this.config.slippage;
+  }
+
+  /**
+   * Size available at the top of the book for an order side
+   */
+  availableSize(side, book) {
+    if (!this.config.partialFills) return Infinity;
+
+    const bookSize = side === 'buy' ? book?.askSize : book?.bidSize;
+    return bookSize ?? this.config.bookSize ?? Infinity;
+  }
+
+  /**
+   * Simulate a fill
+   * @param {Object} order - {side: buy|sell, quantity, price: reference price, atr, book: {bidSize, askSize}}
+   * @param {Object} options - {force: ignore book size (e.g. closing out at the end of a backtest)}
+   * @returns {Object} {status, price, quantity, remainingQuantity, referencePrice, fee, feeRate, liquidity, slippage, slippageCost}
+   */
+  fill(order, options = {}) {
+    const liquidity = this.config.orderType === 'limit' ? 'maker' : 'taker';
+    const feeRate = liquidity === 'maker' ? this.config.makerFeeRate : this.config.takerFeeRate;
+    const slippage = this.calculateSlippage(order.atr);
+    const price = order.side === 'buy' ? order.price + slippage : order.price - slippage;
+
+    const available = options.force ? Infinity : this.availableSize(order.side, order.book);
+    const quantity = Math.min(order.quantity, Math.max(0, available));
+    const remainingQuantity = order.quantity - quantity;
+
+    let status = 'filled';
+    if (quantity <= 0) {
+      status = 'unfilled';
+    } else if (remainingQuantity > 0) {
+      status = 'partial';
+    }
+
+    return {
+      status,
+      price,
+      quantity,
+      remainingQuantity,
+      referencePrice: order.price,
+      fee: price * quantity * feeRate,
+      feeRate,
+      liquidity,
+      slippage,
+      slippageCost: slippage * quantity
+    };
+  }
+}
+
+export default FillModel;
@@ -0,0 +1,210 @@
+/**
+ * Mock Delta Server - Local stand-in for Delta Exchange's v2 REST order API
+ * Verifies request signatures the same way the exchange does, fills market orders at the mark price
+ * and rests limit orders, so the live execution path can be exercised without touching the real exchange
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+
+const DEFAULT_PRODUCTS = [
+  { id: 27, symbol: 'BTCUSD', contract_value: '0.001', tick_size: '0.5', contract_type: 'perpetual_futures' },
+  { id: 3136, symbol: 'ETHUSD', contract_value: '0.01', tick_size: '0.05', contract_type: 'perpetual_futures' }
+];
+
+class MockDeltaServer {
+  constructor(config = {}) {
+    this.config = {
+      apiKey: 'mock-api-key',
+      apiSecret: 'mock-api-secret',
+      products: DEFAULT_PRODUCTS,
+      markPrices: { BTCUSD: 60000, ETHUSD: 3000 },
+      signatureTtlSeconds: 5,       // Delta rejects signatures older than 5 seconds
+      ...config
+    };
+
+    this.orders = [];
+    this.positions = new Map();  // product_id -> signed size in contracts
+    this.nextOrderId = 1000;
+    this.server = null;
+    this.app = this.createApp();
+  }
+
+  /**
+   * Standard Delta error payload
+   */
+  static sendError(res, status, code, context = {}) {
+    res.status(status).json({ success: false, error: { code, context } });
+  }
+
+  createApp() {
+    const app = express();
+
+    // Keep the raw body: the signature covers the exact bytes the client sent
+    app.use(express.json({
+      type: () => true,
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString();
+      }
+    }));
+
+    app.get('/v2/products', (req, res) => {
+      res.json({ success: true, result: this.config.products });
+    });
+
+    app.get('/v2/products/:symbol', (req, res) => {
+      const product = this.findProduct(req.params.symbol);
+      if (!product) return MockDeltaServer.sendError(res, 404, 'not_found');
+      res.json({ success: true, result: product });
+    });
+
+    app.get('/v2/tickers/:symbol', (req, res) => {
+      const product = this.findProduct(req.params.symbol);
+      if (!product) return MockDeltaServer.sendError(res, 404, 'not_found');
+      const price = String(this.config.markPrices[product.symbol]);
+      res.json({ success: true, result: { symbol: product.symbol, close: price, mark_price: price } });
+    });
+
+    app.use('/v2', (req, res, next) => this.authenticate(req, res, next));
+
+    app.post('/v2/orders', (req, res) => this.placeOrder(req, res));
+    app.delete('/v2/orders', (req, res) => this.cancelOrder(req, res));
+
+    app.get('/v2/orders', (req, res) => {
+      const states = (req.query.states || 'open,pending').split(',');
+      const productIds = req.query.product_ids ? req.query.product_ids.split(',').map(Number) : null;
+      const result = this.orders.filter(order =>
+        states.includes(order.state) && (!productIds || productIds.includes(order.product_id))
+      );
+      res.json({ success: true, result });
+    });
+
+    app.get('/v2/orders/:id', (req, res) => {
+      const order = this.orders.find(existing => existing.id === Number(req.params.id));
+      if (!order) return MockDeltaServer.sendError(res, 404, 'not_found');
+      res.json({ success: true, result: order });
+    });
+
+    app.get('/v2/positions', (req, res) => {
+      const productId = Number(req.query.product_id);
+      res.json({ success: true, result: { product_id: productId, size: this.positions.get(productId) || 0 } });
+    });
+
+    app.get('/v2/wallet/balances', (req, res) => {
+      res.json({ success: true, result: [{ asset_symbol: 'USD', balance: '10000', available_balance: '10000' }] });
+    });
+
+    return app;
+  }
+
+  findProduct(symbolOrId) {
+    return this.config.products.find(product =>
+      product.symbol === symbolOrId || product.id === Number(symbolOrId)
+    );
+  }
+
+  /**
+   * Check api-key, timestamp freshness and the HMAC signature
+   */
+  authenticate(req, res, next) {
+    const apiKey = req.get('api-key');
+    const timestamp = req.get('timestamp');
+    const signature = req.get('signature');
+
+    if (apiKey !== this.config.apiKey) {
+      return MockDeltaServer.sendError(res, 401, 'invalid_api_key');
+    }
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > this.config.signatureTtlSeconds) {
+      return MockDeltaServer.sendError(res, 401, 'expired_signature');
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.config.apiSecret)
+      .update(req.method + timestamp + req.originalUrl + (req.rawBody || ''))
+      .digest('hex');
+
+    if (signature !== expected) {
+      return MockDeltaServer.sendError(res, 401, 'Signature Mismatch');
+    }
+
+    next();
+  }
+
+  placeOrder(req, res) {
+    const { product_id, product_symbol, size, side, order_type = 'limit_order', limit_price, reduce_only, client_order_id } = req.body || {};
+    const product = this.findProduct(product_id ?? product_symbol);
+
+    if (!product) return MockDeltaServer.sendError(res, 400, 'invalid_product');
+    if (!Number.isInteger(size) || size <= 0) return MockDeltaServer.sendError(res, 400, 'invalid_size');
+    if (!['buy', 'sell'].includes(side)) return MockDeltaServer.sendError(res, 400, 'invalid_side');
+    if (order_type === 'limit_order' && !limit_price) return MockDeltaServer.sendError(res, 400, 'limit_price_required');
+
+    const signedSize = side === 'buy' ? size : -size;
+    const position = this.positions.get(product.id) || 0;
+    if (reduce_only && (position === 0 || Math.sign(position) === Math.sign(signedSize))) {
+      return MockDeltaServer.sendError(res, 400, 'reduce_only_order_would_increase_position');
+    }
+
+    const markPrice = this.config.markPrices[product.symbol];
+    const isMarketable = order_type === 'market_order' ||
+      (side === 'buy' ? parseFloat(limit_price) >= markPrice : parseFloat(limit_price) <= markPrice);
+
+    const order = {
+      id: this.nextOrderId++,
+      product_id: product.id,
+      product_symbol: product.symbol,
+      size,
+      unfilled_size: isMarketable ? 0 : size,
+      side,
+      order_type,
+      limit_price: limit_price ?? null,
+      reduce_only: Boolean(reduce_only),
+      client_order_id: client_order_id ?? null,
+      state: isMarketable ? 'closed' : 'open',
+      average_fill_price: isMarketable ? String(markPrice) : null,
+      created_at: new Date().toISOString()
+    };
+
+    if (isMarketable) {
+      this.positions.set(product.id, position + signedSize);
+    }
+
+    this.orders.push(order);
+    res.json({ success: true, result: order });
+  }
+
+  cancelOrder(req, res) {
+    const { id, product_id } = req.body || {};
+    const order = this.orders.find(existing => existing.id === Number(id) && existing.product_id === Number(product_id));
+
+    if (!order) return MockDeltaServer.sendError(res, 404, 'open_order_not_found');
+    if (order.state !== 'open') return MockDeltaServer.sendError(res, 400, 'order_already_closed');
+
+    order.state = 'cancelled';
+    res.json({ success: true, result: order });
+  }
+
+  /**
+   * Start listening (port 0 picks a free port)
+   * @returns {Promise<string>} Base URL to use as DELTA_BASE_URL
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+}
+
+export default MockDeltaServer;
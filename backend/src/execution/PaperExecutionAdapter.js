@@ -0,0 +1,65 @@
+/**
+ * Paper Execution Adapter - Fills every order immediately at the requested price
+ * Same interface as DeltaExecutionAdapter so TradingService can switch modes without other changes
+ */
+
+class PaperExecutionAdapter {
+  constructor() {
+    this.mode = 'paper';
+    this.orders = [];
+    this.nextOrderId = 1;
+  }
+
+  /**
+   * Submit an order
+   * @param {Object} request - {symbol, side: buy|sell, quantity, price, reduceOnly, clientOrderId}
+   * @returns {Object} Normalized order record
+   */
+  async submitOrder(request) {
+    const order = {
+      id: `paper_${this.nextOrderId++}`,
+      clientOrderId: request.clientOrderId || null,
+      symbol: request.symbol,
+      side: request.side,
+      quantity: request.quantity,
+      orderType: 'market_order',
+      reduceOnly: Boolean(request.reduceOnly),
+      status: 'filled',
+      filledQuantity: request.quantity,
+      requestedPrice: request.price,
+      averagePrice: request.price,
+      mode: this.mode,
+      timestamp: new Date()
+    };
+
+    this.orders.push(order);
+    return order;
+  }
+
+  /**
+   * Cancel an order (paper orders fill immediately, so only unknown ids can fail)
+   */
+  async cancelOrder(orderId) {
+    const order = this.orders.find(existing => existing.id === orderId);
+    if (!order) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+    return order;
+  }
+
+  /**
+   * Open orders for a symbol (always empty for paper fills)
+   */
+  async getOpenOrders(symbol) {
+    return this.orders.filter(order => order.symbol === symbol && order.status === 'open');
+  }
+
+  /**
+   * All orders submitted through this adapter
+   */
+  getOrders() {
+    return this.orders;
+  }
+}
+
+export default PaperExecutionAdapter;
@@ -33,15 +33,35 @@ const marketDataSchema = new mongoose.Schema({
   },
   source: {
     type: String,
-    enum: ['delta', 'websocket', 'rest'],
+    enum: ['delta', 'websocket', 'rest', 'import'],
     default: 'delta'
   }
 }, {
   timestamps: true
 });
 
-// Compound index for efficient time-series queries
-marketDataSchema.index({ symbol: 1, timestamp: -1 });
+// One candle per symbol and minute - unique so concurrent upserts cannot insert the same minute twice
+marketDataSchema.index({ symbol: 1, timestamp: -1 }, { unique: true });
+
+// Minute ranges Delta returned no candle for (no trades), so backfill does not request them again
+const emptyCandleRangeSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+emptyCandleRangeSchema.index({ symbol: 1, start: 1 });
 
 // Signal schema for strategy signals
 const signalSchema = new mongoose.Schema({
@@ -72,7 +92,10 @@ const signalSchema = new mongoose.Schema({
   },
   strategy: {
     type: String,
-    default: 'RenkoEMA'
+    required: true  // Registered strategy name (see StrategyRegistry)
+  },
+  rule: {
+    type: mongoose.Schema.Types.Mixed  // Condition tree (RuleEngine) that produced the signal
   },
   confidence: {
     type: Number,
@@ -88,4 +111,5 @@ signalSchema.index({ symbol: 1, timestamp: -1 });
 signalSchema.index({ signalType: 1, timestamp: -1 });
 
 export const MarketData = mongoose.model('MarketData', marketDataSchema);
-export const Signal = mongoose.model('Signal', signalSchema);
\ No newline at end of file
+export const Signal = mongoose.model('Signal', signalSchema);
+export const EmptyCandleRange = mongoose.model('EmptyCandleRange', emptyCandleRangeSchema);
\ No newline at end of file
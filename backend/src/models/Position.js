@@ -36,7 +36,7 @@ const positionSchema = new mongoose.Schema({
   },
   strategy: {
     type: String,
-    default: 'RenkoEMA'
+    required: true  // Registered strategy name (see StrategyRegistry)
   },
   isActive: {
     type: Boolean,
@@ -1,6 +1,9 @@
 import mongoose from 'mongoose';
 
 const tradeSchema = new mongoose.Schema({
+  tradeId: {
+    type: String
+  },
   symbol: {
     type: String,
     required: true,
@@ -33,15 +36,56 @@ const tradeSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  grossPnL: {
+    type: Number
+  },
+  // Simulated fill details (FillModel)
+  signalPrice: {
+    type: Number
+  },
+  requestedQuantity: {
+    type: Number
+  },
+  fillStatus: {
+    type: String,
+    enum: ['filled', 'partial']
+  },
+  fee: {
+    type: Number,
+    default: 0
+  },
+  feeRate: {
+    type: Number
+  },
+  entryFees: {
+    type: Number
+  },
+  liquidity: {
+    type: String,
+    enum: ['maker', 'taker']
+  },
+  slippage: {
+    type: Number,
+    default: 0
+  },
+  slippageCost: {
+    type: Number,
+    default: 0
+  },
+  exitReason: {
+    type: String,
+    enum: ['signal', 'stop_loss', 'take_profit', 'trailing_brick', 'trailing_supertrend', 'backtest_end', 'risk_halt']
+  },
   strategy: {
     type: String,
-    default: 'RenkoEMA'
+    required: true  // Registered strategy name (see StrategyRegistry)
   },
   signalData: {
     ema21: Number,
     supertrend_2_1: Number,
     supertrend_3_1: Number,
     supertrend_4_1: Number,
+    atr: Number,
     renkoBrick: {
       direction: Number,
       close: Number,
@@ -63,5 +107,7 @@ const tradeSchema = new mongoose.Schema({
 // Index for efficient queries
 tradeSchema.index({ symbol: 1, timestamp: -1 });
 tradeSchema.index({ strategy: 1, timestamp: -1 });
+// Trade ids are unique per symbol (one strategy instance per symbol)
+tradeSchema.index({ symbol: 1, tradeId: 1 }, { unique: true, partialFilterExpression: { tradeId: { $type: 'string' } } });
 
 export default mongoose.model('Trade', tradeSchema);
\ No newline at end of file
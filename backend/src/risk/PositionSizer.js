@@ -0,0 +1,169 @@
+/**
+ * Position Sizer - Turns a signal into an order quantity
+ * Modes: fixed quantity, fixed notional, percent of equity, fixed fractional risk (stop distance)
+ * and Kelly-capped risk from rolling trade stats. Quantities are rounded down to the exchange lot
+ * (contract_value x lot step from Delta's product list)
+ */
+
+const SIZING_MODES = ['fixed', 'fixed_notional', 'percent_equity', 'fixed_fractional', 'kelly'];
+const STOP_SOURCES = ['auto', 'stop_loss', 'brick', 'atr'];
+
+class PositionSizer {
+  constructor(config = {}) {
+    this.config = {
+      mode: 'fixed',
+      quantity: 0.001,          // fixed: base-currency quantity
+      notional: 100,            // fixed_notional: quote-currency value per trade
+      equityPercent: 10,        // percent_equity: % of equity deployed as notional
+      riskPercent: 1,           // fixed_fractional / kelly warm-up: % of equity lost if the stop is hit
+      stopSource: 'auto',       // auto: protective stop-loss if configured, else one brick
+      stopBricks: 1,            // brick: stop distance in bricks
+      stopAtrMultiplier: 1,     // atr: stop distance in ATR multiples
+      kellyFraction: 0.5,       // Fraction of full Kelly to bet (half Kelly by default)
+      kellyCap: 0.05,           // Max fraction of equity risked per trade under Kelly
+      kellyLookback: 50,        // Round trips used for the rolling win rate / payoff ratio
+      kellyMinTrades: 20,       // Below this, kelly sizes like fixed_fractional with riskPercent
+      maxQuantity: null,        // Hard cap on base-currency quantity
+      maxLeverage: 10,          // Cap on notional / equity (tight stops otherwise imply huge positions)
+      contractValue: null,      // Base-currency size of one contract (from the exchange product)
+      lotStep: 1,               // Order size step in contracts
+      ...config
+    };
+
+    if (!SIZING_MODES.includes(this.config.mode)) {
+      throw new Error(`Unknown sizing mode "${this.config.mode}". Use one of: ${SIZING_MODES.join(', ')}`);
+    }
+    if (!STOP_SOURCES.includes(this.config.stopSource)) {
+      throw new Error(`Unknown stop source "${this.config.stopSource}". Use one of: ${STOP_SOURCES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Take contract size and lot step from a Delta product (GET /v2/products entry)
+   */
+  setProduct(product) {
+    const contractValue = parseFloat(product.contract_value);
+    if (contractValue > 0) {
+      this.config.contractValue = contractValue;
+    }
+
+    const lotStep = parseFloat(product.lot_size);
+    if (lotStep > 0) {
+      this.config.lotStep = lotStep;
+    }
+  }
+
+  /**
+   * Kelly fraction from round-trip PnLs: W - (1 - W) / R with R = average win / average loss
+   * @returns {number|null} Full Kelly fraction, or null when there are not enough trades
+   */
+  calculateKelly(pnls = []) {
+    const recent = pnls.slice(-this.config.kellyLookback);
+    if (recent.length < this.config.kellyMinTrades) return null;
+
+    const wins = recent.filter(pnl => pnl > 0);
+    const losses = recent.filter(pnl => pnl < 0);
+    if (losses.length === 0) return 1;
+    if (wins.length === 0) return 0;
+
+    const winRate = wins.length / recent.length;
+    const avgWin = wins.reduce((sum, pnl) => sum + pnl, 0) / wins.length;
+    const avgLoss = Math.abs(losses.reduce((sum, pnl) => sum + pnl, 0) / losses.length);
+
+    return winRate - (1 - winRate) / (avgWin / avgLoss);
+  }
+
+  /**
+   * Price distance to the stop used by the risk-based modes
+   */
+  getStopDistance({ atr, brickSize, stopLossDistance }) {
+    const { stopSource, stopBricks, stopAtrMultiplier } = this.config;
+
+    if (stopSource === 'stop_loss' || (stopSource === 'auto' && stopLossDistance > 0)) {
+      return stopLossDistance || null;
+    }
+    if (stopSource === 'atr') {
+      return atr > 0 ? atr * stopAtrMultiplier : null;
+    }
+    return brickSize > 0 ? brickSize * stopBricks : null;
+  }
+
+  /**
+   * Round a quantity down to whole lots - sizes below one lot become 0 so the caller skips the trade
+   */
+  roundToLot(quantity) {
+    const { contractValue, lotStep } = this.config;
+    if (!contractValue) return quantity;
+
+    const lot = contractValue * lotStep;
+    // Small epsilon so 0.003 / 0.001 does not floor to 2
+    const lots = Math.floor(quantity / lot + 1e-9);
+    return Number((lots * lot).toFixed(12));
+  }
+
+  /**
+   * Quantity to trade
+   * @param {Object} context - {price, equity, atr, brickSize, stopLossDistance, pnls: recent round-trip PnLs}
+   * @returns {Object} {quantity, mode, riskAmount, stopDistance, kelly, reason}
+   */
+  calculate(context) {
+    const { price, equity } = context;
+    const { mode } = this.config;
+    const result = { mode, riskAmount: null, stopDistance: null, kelly: null, reason: null };
+
+    // Every mode but fixed scales with equity (at least through the leverage cap)
+    if (mode !== 'fixed' && !(Number.isFinite(equity) && equity > 0)) {
+      return { ...result, quantity: 0, reason: `equity unavailable (${equity})` };
+    }
+    if (!(Number.isFinite(price) && price > 0)) {
+      return { ...result, quantity: 0, reason: `invalid price (${price})` };
+    }
+
+    let quantity;
+    if (mode === 'fixed') {
+      quantity = this.config.quantity;
+    } else if (mode === 'fixed_notional') {
+      quantity = this.config.notional / price;
+    } else if (mode === 'percent_equity') {
+      quantity = (equity * this.config.equityPercent / 100) / price;
+    } else {
+      let riskFraction = this.config.riskPercent / 100;
+
+      if (mode === 'kelly') {
+        const kelly = this.calculateKelly(context.pnls);
+        result.kelly = kelly;
+        if (kelly !== null) {
+          riskFraction = Math.min(Math.max(kelly, 0) * this.config.kellyFraction, this.config.kellyCap);
+        }
+      }
+
+      const stopDistance = this.getStopDistance(context);
+      result.stopDistance = stopDistance;
+      if (!stopDistance) {
+        return { ...result, quantity: 0, reason: 'no stop distance available' };
+      }
+      if (riskFraction <= 0) {
+        return { ...result, quantity: 0, reason: 'no edge (Kelly <= 0)' };
+      }
+
+      result.riskAmount = equity * riskFraction;
+      quantity = result.riskAmount / stopDistance;
+    }
+
+    if (this.config.maxQuantity) {
+      quantity = Math.min(quantity, this.config.maxQuantity);
+    }
+    if (this.config.maxLeverage && mode !== 'fixed') {
+      quantity = Math.min(quantity, (equity * this.config.maxLeverage) / price);
+    }
+
+    quantity = this.roundToLot(quantity);
+    if (quantity <= 0) {
+      return { ...result, quantity: 0, reason: 'size below one lot' };
+    }
+
+    return { ...result, quantity };
+  }
+}
+
+export default PositionSizer;
@@ -0,0 +1,222 @@
+/**
+ * Risk Manager - Account-level guardrails between strategy signals and execution
+ * Entries are blocked while a limit is reached (trades per hour, open notional) and the kill switch
+ * trips on max daily loss or max consecutive losses, emitting `halt` until an operator resets it
+ */
+
+import { EventEmitter } from 'events';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class RiskManager extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = {
+      maxDailyLoss: null,           // Realized loss (quote currency) per UTC day that trips the kill switch
+      maxConsecutiveLosses: null,   // Losing round trips in a row that trip the kill switch
+      maxTradesPerHour: null,       // Entries allowed in any rolling hour
+      maxOpenNotional: null,        // Max notional (price x quantity) open across all positions
+      ...config
+    };
+
+    this.halted = false;
+    this.haltReason = null;
+    this.haltedAt = null;
+    this.dayKey = null;
+    this.dailyPnL = 0;
+    this.consecutiveLosses = 0;
+    this.entryTimes = [];
+    this.openNotional = new Map();  // position key (symbol) -> notional
+    this.restoredFrom = null;       // savedAt of the snapshot the state was last restored from
+  }
+
+  /**
+   * Update limits (null disables a limit)
+   */
+  configure(config = {}) {
+    this.config = { ...this.config, ...config };
+  }
+
+  /**
+   * UTC day of a timestamp, e.g. 2025-01-31
+   */
+  static getDayKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Start a fresh daily PnL when the UTC day rolls over
+   */
+  rollDay(timestamp) {
+    const dayKey = RiskManager.getDayKey(timestamp);
+    if (dayKey !== this.dayKey) {
+      this.dayKey = dayKey;
+      this.dailyPnL = 0;
+    }
+  }
+
+  getTotalOpenNotional() {
+    let total = 0;
+    for (const notional of this.openNotional.values()) total += notional;
+    return total;
+  }
+
+  /**
+   * Check whether a new entry may be sent
+   * @param {Object} entry - {key, price, quantity, timestamp}
+   * @returns {Object} {allowed, reason}
+   */
+  checkEntry({ key, price, quantity, timestamp }) {
+    if (this.halted) {
+      return { allowed: false, reason: `trading halted (${this.haltReason})` };
+    }
+
+    const time = new Date(timestamp).getTime();
+    this.entryTimes = this.entryTimes.filter(entryTime => time - entryTime < HOUR_MS);
+
+    const { maxTradesPerHour, maxOpenNotional } = this.config;
+    if (maxTradesPerHour && this.entryTimes.length >= maxTradesPerHour) {
+      return { allowed: false, reason: `max trades per hour reached (${maxTradesPerHour})` };
+    }
+
+    const openNotional = this.getTotalOpenNotional() - (this.openNotional.get(key) || 0);
+    if (maxOpenNotional && openNotional + price * quantity > maxOpenNotional) {
+      return { allowed: false, reason: `max open notional exceeded (${(openNotional + price * quantity).toFixed(2)} > ${maxOpenNotional})` };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Record a filled entry
+   * @param {Object} entry - {key, price, quantity, timestamp, isNewTrade: false for partial-fill remainders}
+   */
+  recordEntry({ key, price, quantity, timestamp, isNewTrade = true }) {
+    if (isNewTrade) {
+      this.entryTimes.push(new Date(timestamp).getTime());
+    }
+    this.openNotional.set(key, (this.openNotional.get(key) || 0) + price * quantity);
+  }
+
+  /**
+   * Set the open notional for a position (e.g. a position restored after a restart)
+   */
+  setOpenNotional(key, notional) {
+    if (notional > 0) {
+      this.openNotional.set(key, notional);
+    } else {
+      this.openNotional.delete(key);
+    }
+  }
+
+  /**
+   * Record an exit fill and trip the kill switch on loss limits
+   * @param {Object} exit - {key, pnl: this fill's PnL, closed: position fully closed,
+   *   roundTripPnL: PnL of the whole position when closed, remainingNotional, timestamp}
+   */
+  recordExit({ key, pnl, closed, roundTripPnL = pnl, remainingNotional = 0, timestamp }) {
+    this.rollDay(timestamp);
+    this.dailyPnL += pnl;
+
+    if (closed) {
+      this.openNotional.delete(key);
+      if (roundTripPnL < 0) {
+        this.consecutiveLosses++;
+      } else if (roundTripPnL > 0) {
+        this.consecutiveLosses = 0;
+      }
+    } else {
+      this.openNotional.set(key, remainingNotional);
+    }
+
+    const { maxDailyLoss, maxConsecutiveLosses } = this.config;
+    if (maxDailyLoss && this.dailyPnL <= -maxDailyLoss) {
+      this.halt('max_daily_loss', `daily PnL ${this.dailyPnL.toFixed(2)} breached -${maxDailyLoss}`, timestamp);
+    } else if (maxConsecutiveLosses && this.consecutiveLosses >= maxConsecutiveLosses) {
+      this.halt('max_consecutive_losses', `${this.consecutiveLosses} consecutive losing trades`, timestamp);
+    }
+  }
+
+  /**
+   * Trip the kill switch
+   */
+  halt(reason, message, timestamp = new Date()) {
+    if (this.halted) return;
+
+    this.halted = true;
+    this.haltReason = reason;
+    this.haltedAt = new Date(timestamp);
+
+    console.log(`🚨 RISK HALT (${reason}): ${message}`);
+    this.emit('halt', { reason, message, haltedAt: this.haltedAt, status: this.getStatus() });
+  }
+
+  /**
+   * Clear the kill switch (operator action). The loss streak restarts; daily PnL keeps counting for the day
+   */
+  reset() {
+    const wasHalted = this.halted;
+    this.halted = false;
+    this.haltReason = null;
+    this.haltedAt = null;
+    this.consecutiveLosses = 0;
+
+    if (wasHalted) {
+      this.emit('reset', this.getStatus());
+    }
+    return this.getStatus();
+  }
+
+  getStatus() {
+    return {
+      halted: this.halted,
+      haltReason: this.haltReason,
+      haltedAt: this.haltedAt,
+      dailyPnL: this.dailyPnL,
+      day: this.dayKey,
+      consecutiveLosses: this.consecutiveLosses,
+      tradesLastHour: this.entryTimes.length,
+      openNotional: this.getTotalOpenNotional(),
+      limits: { ...this.config }
+    };
+  }
+
+  /**
+   * Serializable state for crash recovery (a tripped kill switch must survive a restart)
+   */
+  getState() {
+    return {
+      halted: this.halted,
+      haltReason: this.haltReason,
+      haltedAt: this.haltedAt,
+      dayKey: this.dayKey,
+      dailyPnL: this.dailyPnL,
+      consecutiveLosses: this.consecutiveLosses,
+      entryTimes: this.entryTimes
+    };
+  }
+
+  /**
+   * @param {Object} state - From getState()
+   * @param {Date|string} savedAt - When the state was saved; instances sharing one manager each restore
+   *   their own snapshot, so an older snapshot never overwrites a newer one
+   * @returns {boolean} Whether the state was applied
+   */
+  restoreState(state = {}, savedAt = null) {
+    if (savedAt && this.restoredFrom && new Date(savedAt) <= this.restoredFrom) {
+      return false;
+    }
+
+    this.restoredFrom = savedAt ? new Date(savedAt) : null;
+    this.halted = Boolean(state.halted);
+    this.haltReason = state.haltReason ?? null;
+    this.haltedAt = state.haltedAt ? new Date(state.haltedAt) : null;
+    this.dayKey = state.dayKey ?? null;
+    this.dailyPnL = state.dailyPnL ?? 0;
+    this.consecutiveLosses = state.consecutiveLosses ?? 0;
+    this.entryTimes = state.entryTimes ?? [];
+    return true;
+  }
+}
+
+export default RiskManager;
@@ -0,0 +1,83 @@
+import express from 'express';
+import CandleStoreService from '../services/CandleStoreService.js';
+import TradeJournalService from '../services/TradeJournalService.js';
+import DataExportService, { EXPORT_FORMATS } from '../services/DataExportService.js';
+import { DEFAULT_INSTANCE_ID } from '../services/TradingInstanceManager.js';
+
+/**
+ * Data export routes - ?format=csv (default) or ndjson, downloaded as a file
+ * Read-only: candles are imported with the import-candles script, not over HTTP
+ * @param {TradingInstanceManager} manager - Shared instance manager, for bricks and in-memory trades
+ */
+const createExportRouter = (manager) => {
+  const router = express.Router();
+  const exporter = new DataExportService(new CandleStoreService(), new TradeJournalService());
+
+  // Answer with serialized rows, or a JSON error for an unknown format
+  const sendRows = (req, res, rows, name) => {
+    const { format = 'csv' } = req.query;
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ success: false, error: `Unknown format "${format}" - use ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    res.set('Content-Type', EXPORT_FORMATS[format]);
+    res.attachment(`${name}.${format}`);
+    res.send(DataExportService.serialize(rows, format));
+  };
+
+  const requireStore = (res) => {
+    if (exporter.isEnabled()) return true;
+    res.status(503).json({ success: false, error: 'MongoDB is not connected - stored candles and trades are unavailable' });
+    return false;
+  };
+
+  // Stored candles: ?symbol=BTCUSD&start=&end=&timeframe=15m
+  router.get('/candles', async (req, res) => {
+    if (!requireStore(res)) return;
+
+    try {
+      const { symbol = 'BTCUSD', start, end, timeframe = '1m' } = req.query;
+      const rows = await exporter.exportCandles(symbol, { start, end, timeframe });
+      sendRows(req, res, rows, `${symbol}-${timeframe}-candles`);
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Bricks (or the configured chart's bars) of a running instance with their indicators: ?instance=BTCUSD
+  router.get('/bricks', (req, res) => {
+    const { instance: id = DEFAULT_INSTANCE_ID } = req.query;
+    const strategy = manager.getInstance(id)?.strategy;
+    if (!strategy) {
+      return res.status(404).json({ success: false, error: `Instance "${id}" has no strategy running` });
+    }
+
+    sendRows(req, res, DataExportService.barRows(strategy), `${strategy.config.symbol}-bricks`);
+  });
+
+  // Trades of a running instance (?instance=BTCUSD) or from the journal (?symbol=&strategy=&start=&end=)
+  router.get('/trades', async (req, res) => {
+    const { instance: id, symbol, strategy, start, end } = req.query;
+
+    if (id) {
+      const instance = manager.getInstance(id);
+      if (!instance) {
+        return res.status(404).json({ success: false, error: `Instance "${id}" not found` });
+      }
+      return sendRows(req, res, DataExportService.tradeRows(instance.getTrades()), `${id}-trades`);
+    }
+
+    if (!requireStore(res)) return;
+
+    try {
+      const rows = await exporter.exportTrades({ symbol, strategy, start, end });
+      sendRows(req, res, rows, `${symbol || 'all'}-trades`);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+export default createExportRouter;
@@ -1,8 +1,38 @@
 import express from 'express';
 import DeltaAPIService from '../services/DeltaAPIService.js';
+import TradeJournalService from '../services/TradeJournalService.js';
 
 const router = express.Router();
 const deltaAPI = new DeltaAPIService();
+const journal = new TradeJournalService();
+
+// Get journaled trade history with pagination
+router.get('/', async (req, res) => {
+  try {
+    const { symbol, page = 1, limit = 50 } = req.query;
+    const result = await journal.getTrades({
+      symbol,
+      page: Math.max(parseInt(page, 10) || 1, 1),
+      limit: Math.min(parseInt(limit, 10) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      persistence: journal.isEnabled(),
+      data: result.trades,
+      count: result.trades.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trade history',
+      message: error.message
+    });
+  }
+});
 
 // Test connection to Delta Exchange
 router.get('/test-connection', async (req, res) => {
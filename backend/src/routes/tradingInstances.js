@@ -0,0 +1,102 @@
+import express from 'express';
+
+/**
+ * Routes for managing one strategy instance per instrument
+ * @param {TradingInstanceManager} manager - Shared instance manager from the trading server
+ */
+const createTradingInstancesRouter = (manager) => {
+  const router = express.Router();
+
+  // Resolve :id to its TradingService or answer 404
+  router.param('id', (req, res, next, id) => {
+    req.instance = manager.getInstance(id);
+    if (!req.instance) {
+      return res.status(404).json({ success: false, error: `Instance "${id}" not found` });
+    }
+    next();
+  });
+
+  // List instances with their symbol, position and PnL
+  router.get('/', (req, res) => {
+    const instances = manager.listInstances();
+    res.json({ success: true, data: instances, count: instances.length });
+  });
+
+  // Add and start an instance - body is the same config as POST /api/trading/start plus an optional id
+  router.post('/', async (req, res) => {
+    const { id, ...config } = req.body || {};
+    const instanceId = id || config.symbol;
+
+    if (!instanceId) {
+      return res.status(400).json({ success: false, error: 'id or symbol is required' });
+    }
+
+    try {
+      const service = await manager.addInstance(instanceId, config);
+      res.status(201).json({ success: true, message: `Instance ${instanceId} started`, data: service.getStatus() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    res.json({ success: true, data: req.instance.getStatus() });
+  });
+
+  // Stop and remove an instance
+  router.delete('/:id', (req, res) => {
+    try {
+      manager.removeInstance(req.params.id);
+      res.json({ success: true, message: `Instance ${req.params.id} removed` });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Restart a stopped instance, optionally with a new config
+  router.post('/:id/start', async (req, res) => {
+    try {
+      const { instance } = req;
+      const config = Object.keys(req.body || {}).length > 0
+        ? req.body
+        : { ...instance.strategy?.config, strategy: instance.strategy?.getStrategyName(), executionMode: instance.executionMode };
+      await manager.startInstance(req.params.id, config);
+      res.json({ success: true, message: `Instance ${req.params.id} started` });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/:id/stop', (req, res) => {
+    manager.stopInstance(req.params.id);
+    res.json({ success: true, message: `Instance ${req.params.id} stopped` });
+  });
+
+  router.get('/:id/trades', (req, res) => {
+    const trades = req.instance.getTrades();
+    res.json({ success: true, data: trades, count: trades.length });
+  });
+
+  router.get('/:id/signals', (req, res) => {
+    const signals = req.instance.getSignals();
+    res.json({ success: true, data: signals, count: signals.length });
+  });
+
+  router.get('/:id/position', (req, res) => {
+    res.json({ success: true, data: req.instance.getCurrentPosition() });
+  });
+
+  router.get('/:id/data-quality', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    res.json({ success: true, data: req.instance.getDataQuality(limit) });
+  });
+
+  router.get('/:id/orders', (req, res) => {
+    const orders = req.instance.getOrders();
+    res.json({ success: true, data: orders, count: orders.length, executionMode: req.instance.executionMode });
+  });
+
+  return router;
+};
+
+export default createTradingInstancesRouter;
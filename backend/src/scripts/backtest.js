@@ -0,0 +1,156 @@
+/**
+ * Backtest CLI
+ * Usage:
+ *   node src/scripts/backtest.js --csv data/BTCUSD_1m.csv [--brick-size 50] [--ema-length 21]
+ *   Chart: [--chart-type renko|heikinashi|range|kagi|pointfigure] [--reversal-boxes 3]
+ *   Bricks: [--brick-mode fixed|atr|percentage|dynamic] [--brick-percentage 0.1] [--brick-source hl|close] [--atr-anchor 2025-01-01T00:00Z]
+ *   node src/scripts/backtest.js --store --symbol BTCUSD --start 2025-01-01 --end 2025-02-01
+ *   Timeframe: [--timeframe 15m] (resamples the 1m candles; rules can also read higher timeframes, e.g. "1h:st1.direction")
+ *   Strategy: [--strategy RenkoEMA] (any strategy registered in src/strategies) [--rules rules.json]
+ *   Fill model: [--taker-fee 0.0005] [--slippage 2 | --slippage-atr 0.1] [--next-candle-open] [--book-size 0.5]
+ *   Protective exits: [--stop-loss atr:2] [--take-profit fixed:300] [--trail-bricks 3] [--trail-supertrend 0]
+ *   Sizing: [--sizing fixed_fractional --risk-percent 1 --contract-value 0.001]
+ *   Risk limits: [--max-daily-loss 200] [--max-consecutive-losses 5] [--max-trades-per-hour 4] [--max-open-notional 5000]
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import BacktestEngine from '../backtest/BacktestEngine.js';
+import MonteCarloAnalyzer from '../backtest/MonteCarloAnalyzer.js';
+import { candleSourceOptions, loadCandles } from './candleSource.js';
+import { fillModelOptions, buildFillModelConfig } from './fillModelOptions.js';
+import { protectiveExitOptions, buildProtectiveExitConfig } from './protectiveExitOptions.js';
+import { positionSizingOptions, buildPositionSizingConfig } from './positionSizingOptions.js';
+
+const { values: args } = parseArgs({
+  options: {
+    ...candleSourceOptions,
+    ...fillModelOptions,
+    ...protectiveExitOptions,
+    ...positionSizingOptions,
+    strategy: { type: 'string', default: 'RenkoEMA' },
+    rules: { type: 'string' },
+    warmup: { type: 'string', default: '500' },
+    capital: { type: 'string', default: '10000' },
+    'chart-type': { type: 'string' },
+    'reversal-boxes': { type: 'string' },
+    'brick-size': { type: 'string' },
+    'brick-mode': { type: 'string' },
+    'brick-percentage': { type: 'string' },
+    'brick-source': { type: 'string' },
+    'atr-anchor': { type: 'string' },
+    'ema-length': { type: 'string' },
+    'atr-period': { type: 'string' },
+    'st-atr-period': { type: 'string' },
+    'st-multipliers': { type: 'string' },
+    quantity: { type: 'string' },
+    'max-daily-loss': { type: 'string' },
+    'max-consecutive-losses': { type: 'string' },
+    'max-trades-per-hour': { type: 'string' },
+    'max-open-notional': { type: 'string' },
+    'monte-carlo': { type: 'string' },
+    output: { type: 'string' }
+  }
+});
+
+const buildStrategyConfig = async () => {
+  const config = { symbol: args.symbol, timeframe: args.timeframe };
+
+  // Entry/exit condition trees, e.g. {"longEntry": {...}} - omitted rules keep the strategy defaults
+  if (args.rules) config.rules = JSON.parse(await fs.readFile(args.rules, 'utf8'));
+
+  if (args['chart-type']) config.chartType = args['chart-type'];
+  if (args['reversal-boxes']) config.reversalBoxes = parseInt(args['reversal-boxes'], 10);
+  if (args['brick-size']) config.brickSize = parseFloat(args['brick-size']);
+  if (args['brick-mode']) config.brickMode = args['brick-mode'];
+  if (args['brick-percentage']) config.brickPercentage = parseFloat(args['brick-percentage']);
+  if (args['brick-source']) config.brickSource = args['brick-source'];
+  if (args['atr-anchor']) config.atrAnchor = args['atr-anchor'];
+  if (args['ema-length']) config.emaLength = parseInt(args['ema-length'], 10);
+  if (args['atr-period']) config.atrPeriod = parseInt(args['atr-period'], 10);
+  if (args['st-atr-period']) config.supertrendAtrPeriod = parseInt(args['st-atr-period'], 10);
+  if (args['st-multipliers']) config.supertrendMultipliers = args['st-multipliers'].split(',').map(parseFloat);
+  if (args.quantity) config.defaultQuantity = parseFloat(args.quantity);
+  config.fillModel = buildFillModelConfig(args);
+  config.protectiveExits = buildProtectiveExitConfig(args);
+  config.positionSizing = buildPositionSizingConfig(args);
+
+  return config;
+};
+
+const buildRiskLimits = () => {
+  const limits = {
+    maxDailyLoss: args['max-daily-loss'] ? parseFloat(args['max-daily-loss']) : null,
+    maxConsecutiveLosses: args['max-consecutive-losses'] ? parseInt(args['max-consecutive-losses'], 10) : null,
+    maxTradesPerHour: args['max-trades-per-hour'] ? parseInt(args['max-trades-per-hour'], 10) : null,
+    maxOpenNotional: args['max-open-notional'] ? parseFloat(args['max-open-notional']) : null
+  };
+
+  return Object.values(limits).some(value => value !== null) ? limits : null;
+};
+
+const main = async () => {
+  const candles = await loadCandles(args);
+  console.log(`📈 Loaded ${candles.length} candles for ${args.symbol}`);
+
+  const engine = new BacktestEngine({
+    strategyName: args.strategy,
+    strategy: await buildStrategyConfig(),
+    warmupCandles: parseInt(args.warmup, 10),
+    initialCapital: parseFloat(args.capital),
+    riskLimits: buildRiskLimits()
+  });
+
+  const result = await engine.run(candles);
+  const { stats } = result;
+
+  console.log('\n=== 🧪 BACKTEST RESULTS ===');
+  console.log(`🧠 Strategy: ${result.strategyName}`);
+  console.log(`📅 Period: ${result.period.replayStart.toISOString()} → ${result.period.end.toISOString()}`);
+  if (result.bricks > 0) console.log(`🧱 Renko bricks: ${result.bricks}`);
+  console.log(`🔢 Trades: ${stats.totalTrades} (${stats.winningTrades} W / ${stats.losingTrades} L)`);
+  console.log(`🎯 Win rate: ${stats.winRate.toFixed(2)}%`);
+  console.log(`💰 Net PnL: ${stats.netPnL.toFixed(4)} (${stats.returnPct.toFixed(2)}%)`);
+  console.log(`⚖️ Profit factor: ${stats.profitFactor.toFixed(2)}`);
+  console.log(`📉 Max drawdown: ${stats.maxDrawdown.toFixed(4)} (${stats.maxDrawdownPct.toFixed(2)}%)`);
+  console.log(`⏱️ Avg holding: ${stats.avgHoldingMinutes.toFixed(1)} minutes`);
+  console.log(`🧾 Fees: ${stats.totalFees.toFixed(4)} | Slippage: ${stats.totalSlippage.toFixed(4)}`);
+  console.log(`🚪 Exit reasons: ${Object.entries(stats.exitReasons).map(([reason, count]) => `${reason} ${count}`).join(', ') || 'none'}`);
+  if (result.riskHalt) {
+    console.log(`🚨 Risk halt at ${new Date(result.riskHalt.haltedAt).toISOString()}: ${result.riskHalt.message}`);
+  }
+  console.log('===========================\n');
+
+  if (args['monte-carlo']) {
+    const monteCarlo = new MonteCarloAnalyzer({
+      simulations: parseInt(args['monte-carlo'], 10),
+      initialCapital: parseFloat(args.capital)
+    }).analyze(result.roundTrips);
+    result.monteCarlo = monteCarlo;
+
+    console.log(`=== 🎲 MONTE CARLO (${monteCarlo.simulations} simulations of ${monteCarlo.trades} trades) ===`);
+    for (const [method, report] of Object.entries(monteCarlo.methods)) {
+      const equity = report.finalEquity.percentiles;
+      const drawdown = report.maxDrawdown.percentiles;
+      const streak = report.maxLosingStreak.percentiles;
+      console.log(`🔀 ${method}:`);
+      console.log(`   Final equity p5/p50/p95: ${equity.p5.toFixed(2)} / ${equity.p50.toFixed(2)} / ${equity.p95.toFixed(2)}`);
+      console.log(`   Max drawdown p5/p50/p95: ${drawdown.p5.toFixed(4)} / ${drawdown.p50.toFixed(4)} / ${drawdown.p95.toFixed(4)}`);
+      console.log(`   Losing streak p5/p50/p95: ${streak.p5} / ${streak.p50} / ${streak.p95}`);
+      console.log(`   P(loss): ${report.probabilityOfLoss.toFixed(2)}% | P(ruin): ${report.probabilityOfRuin.toFixed(2)}%`);
+    }
+    console.log('');
+  }
+
+  if (args.output) {
+    await fs.writeFile(args.output, JSON.stringify(result, null, 2));
+    console.log(`💾 Full report written to ${args.output}`);
+  }
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Backtest failed:', error.message);
+    process.exit(1);
+  });
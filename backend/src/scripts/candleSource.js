@@ -0,0 +1,48 @@
+/**
+ * Shared candle source for the backtest/optimizer CLIs (--csv <file> or --store)
+ * --store --backfill first fetches the minutes missing between --start and --end from Delta (see CandleStoreService)
+ * --timeframe 15m resamples the loaded 1m candles (see Resampler)
+ */
+
+import CandleLoader from '../backtest/CandleLoader.js';
+import Resampler from '../strategies/Resampler.js';
+
+export const candleSourceOptions = {
+  csv: { type: 'string' },
+  store: { type: 'boolean', default: false },
+  backfill: { type: 'boolean', default: false },
+  symbol: { type: 'string', default: 'BTCUSD' },
+  start: { type: 'string' },
+  end: { type: 'string' },
+  timeframe: { type: 'string', default: '1m' }
+};
+
+export const loadCandles = async ({ timeframe = '1m', ...source }) => {
+  const candles = await loadSourceCandles(source);
+  if (timeframe === '1m') return candles;
+
+  // Drop the unfinished last bar so every resampled candle covers its whole timeframe
+  return Resampler.resample(candles, timeframe, { includePartial: false });
+};
+
+const loadSourceCandles = async ({ csv, store, backfill, symbol, start, end }) => {
+  if (csv) {
+    return CandleLoader.loadCSV(csv);
+  }
+
+  if (store) {
+    const { default: connectDB } = await import('../config/database.js');
+    await connectDB();
+
+    if (backfill) {
+      if (!start) throw new Error('--backfill needs --start');
+      const { default: DeltaAPIService } = await import('../services/DeltaAPIService.js');
+      const { default: CandleStoreService } = await import('../services/CandleStoreService.js');
+      await new CandleStoreService(new DeltaAPIService()).backfill(symbol, { start, ...(end && { end }) });
+    }
+
+    return CandleLoader.loadFromStore({ symbol, start, end });
+  }
+
+  throw new Error('Provide --csv <file> or --store to choose a candle source');
+};
@@ -0,0 +1,88 @@
+/**
+ * Data Export CLI - writes candles, strategy bricks or trades as CSV or newline-delimited JSON
+ * Usage:
+ *   node src/scripts/export-data.js candles --store --symbol BTCUSD --start 2025-01-01 [--timeframe 15m] --output candles.csv
+ *   node src/scripts/export-data.js bricks --csv data/BTCUSD_1m.csv [--strategy RenkoEMA] [--config config.json] --output bricks.csv
+ *   node src/scripts/export-data.js trades --symbol BTCUSD [--strategy-name RenkoEMA] [--start] [--end] --format ndjson --output trades.ndjson
+ * Candles and bricks read the usual candle source (--csv or --store, resampled with --timeframe).
+ * Bricks are built from the whole candle source with the strategy config in --config
+ * (the same body as POST /api/trading/start); trades come from the trade journal in MongoDB
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import StrategyRegistry from '../strategies/StrategyRegistry.js';
+import DataExportService, { EXPORT_FORMATS } from '../services/DataExportService.js';
+import { candleSourceOptions, loadCandles } from './candleSource.js';
+
+const EXPORTS = ['candles', 'bricks', 'trades'];
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    ...candleSourceOptions,
+    format: { type: 'string', default: 'csv' },
+    output: { type: 'string' },
+    strategy: { type: 'string', default: 'RenkoEMA' },
+    config: { type: 'string' },
+    'strategy-name': { type: 'string' }
+  }
+});
+
+const connectStore = async () => {
+  const { default: connectDB } = await import('../config/database.js');
+  await connectDB();
+};
+
+const exportCandles = async () => DataExportService.candleRows(await loadCandles(args));
+
+const exportBricks = async () => {
+  const config = args.config ? JSON.parse(await fs.readFile(args.config, 'utf8')) : {};
+  const candles = await loadCandles(args);
+
+  const strategy = await StrategyRegistry.create(args.strategy, {
+    symbol: args.symbol,
+    timeframe: args.timeframe,
+    ...config,
+    logging: false
+  });
+  await strategy.initialize(candles);
+
+  return DataExportService.barRows(strategy);
+};
+
+const exportTrades = async () => {
+  await connectStore();
+  const { default: TradeJournalService } = await import('../services/TradeJournalService.js');
+  const trades = await new TradeJournalService().findTrades({
+    symbol: args.symbol,
+    strategy: args['strategy-name'],
+    start: args.start,
+    end: args.end
+  });
+  return DataExportService.tradeRows(trades);
+};
+
+const main = async () => {
+  const [kind] = positionals;
+  if (!EXPORTS.includes(kind)) {
+    throw new Error(`Choose what to export: ${EXPORTS.join(', ')}`);
+  }
+  if (!EXPORT_FORMATS[args.format]) {
+    throw new Error(`Unknown format "${args.format}" - use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  if (!args.output) {
+    throw new Error('Pass --output <file>');
+  }
+
+  const rows = await { candles: exportCandles, bricks: exportBricks, trades: exportTrades }[kind]();
+  await fs.writeFile(args.output, DataExportService.serialize(rows, args.format));
+  console.log(`💾 Exported ${rows.length} ${kind} to ${args.output}`);
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Export failed:', error.message);
+    process.exit(1);
+  });
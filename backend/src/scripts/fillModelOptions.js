@@ -0,0 +1,36 @@
+/**
+ * Shared fill-model options for the backtest/optimizer CLIs (fees, slippage, fill timing, partial fills)
+ * Omitted flags fall back to the FillModel defaults
+ */
+
+export const fillModelOptions = {
+  'maker-fee': { type: 'string' },
+  'taker-fee': { type: 'string' },
+  'order-type': { type: 'string' },
+  slippage: { type: 'string' },
+  'slippage-atr': { type: 'string' },
+  'next-candle-open': { type: 'boolean', default: false },
+  'book-size': { type: 'string' },
+  'cancel-remainder': { type: 'boolean', default: false }
+};
+
+export const buildFillModelConfig = (args) => {
+  const config = {};
+
+  if (args['maker-fee']) config.makerFeeRate = parseFloat(args['maker-fee']);
+  if (args['taker-fee']) config.takerFeeRate = parseFloat(args['taker-fee']);
+  if (args['order-type']) config.orderType = args['order-type'];
+  if (args.slippage) config.slippage = parseFloat(args.slippage);
+  if (args['slippage-atr']) {
+    config.slippageMode = 'atr';
+    config.slippageAtrMultiplier = parseFloat(args['slippage-atr']);
+  }
+  if (args['next-candle-open']) config.fillTiming = 'next_candle_open';
+  if (args['book-size']) {
+    config.partialFills = true;
+    config.bookSize = parseFloat(args['book-size']);
+  }
+  if (args['cancel-remainder']) config.remainder = 'cancel';
+
+  return config;
+};
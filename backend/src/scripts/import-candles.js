@@ -0,0 +1,38 @@
+/**
+ * Candle Import CLI - loads a third-party 1m OHLCV CSV into MarketData for backtesting with --store
+ * Usage:
+ *   node src/scripts/import-candles.js --file ETHUSD_1m.csv --symbol ETHUSD
+ * The header needs a time column (timestamp, time, unix, open_time, date or datetime), open, high, low, close
+ * and optionally volume; minutes already stored for the symbol are replaced
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import connectDB from '../config/database.js';
+import CandleStoreService from '../services/CandleStoreService.js';
+import DataExportService from '../services/DataExportService.js';
+
+const { values: args } = parseArgs({
+  options: {
+    file: { type: 'string' },
+    symbol: { type: 'string' }
+  }
+});
+
+const main = async () => {
+  if (!args.file || !args.symbol) {
+    throw new Error('Pass --file <csv> and --symbol <symbol>');
+  }
+
+  const text = await fs.readFile(args.file, 'utf8');
+  await connectDB();
+
+  await new DataExportService(new CandleStoreService()).importCandles(args.symbol, text);
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,37 @@
+/**
+ * Run the mock Delta v2 order API locally
+ *   node src/scripts/mock-delta-server.js --port 4010 --price 60000
+ * Uses DELTA_API_KEY/DELTA_API_SECRET from the root .env, so the backend only needs DELTA_BASE_URL=http://127.0.0.1:4010
+ */
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import MockDeltaServer from '../execution/MockDeltaServer.js';
+
+// Accept the same credentials as the backend (root .env) so signatures match
+dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), '../../../.env') });
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: '4010' },
+    price: { type: 'string', default: '60000' },
+    'api-key': { type: 'string', default: process.env.DELTA_API_KEY || 'mock-api-key' },
+    'api-secret': { type: 'string', default: process.env.DELTA_API_SECRET || 'mock-api-secret' }
+  }
+});
+
+const mock = new MockDeltaServer({
+  apiKey: args['api-key'],
+  apiSecret: args['api-secret'],
+  markPrices: { BTCUSD: parseFloat(args.price), ETHUSD: 3000 }
+});
+
+const url = await mock.start(parseInt(args.port, 10));
+console.log(`🧪 Mock Delta v2 order API listening on ${url}`);
+
+process.on('SIGINT', async () => {
+  await mock.stop();
+  process.exit(0);
+});
@@ -0,0 +1,99 @@
+/**
+ * Grid-search Optimizer CLI
+ * Ranges are "min:max:step" or comma-separated values, e.g.
+ *   node src/scripts/optimize.js --csv data/BTCUSD_1m.csv --brick-size 20:100:20 --ema-length 14,21,34 \
+ *     --st-mult1 1.5:2.5:0.5 --st-mult2 3.1 --st-mult3 4.1 --objective profitFactor
+ * Or pass a JSON file with the parameterRanges object: --grid grid.json
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import Optimizer, { OBJECTIVES } from '../backtest/Optimizer.js';
+import { candleSourceOptions, loadCandles } from './candleSource.js';
+import { fillModelOptions, buildFillModelConfig } from './fillModelOptions.js';
+import { protectiveExitOptions, buildProtectiveExitConfig } from './protectiveExitOptions.js';
+import { positionSizingOptions, buildPositionSizingConfig } from './positionSizingOptions.js';
+import { parameterRangeOptions, buildParameterRanges } from './parameterRanges.js';
+
+const { values: args } = parseArgs({
+  options: {
+    ...candleSourceOptions,
+    ...fillModelOptions,
+    ...protectiveExitOptions,
+    ...positionSizingOptions,
+    ...parameterRangeOptions,
+    objective: { type: 'string', default: 'netPnL' },
+    'min-trades': { type: 'string', default: '1' },
+    workers: { type: 'string' },
+    warmup: { type: 'string', default: '500' },
+    capital: { type: 'string', default: '10000' },
+    quantity: { type: 'string' },
+    top: { type: 'string', default: '10' },
+    output: { type: 'string' }
+  }
+});
+
+const main = async () => {
+  if (!OBJECTIVES[args.objective]) {
+    throw new Error(`Unknown objective "${args.objective}". Use one of: ${Object.keys(OBJECTIVES).join(', ')}`);
+  }
+
+  const candles = await loadCandles(args);
+  console.log(`📈 Loaded ${candles.length} candles for ${args.symbol}`);
+
+  const baseStrategy = {
+    symbol: args.symbol,
+    timeframe: args.timeframe,
+    fillModel: buildFillModelConfig(args),
+    protectiveExits: buildProtectiveExitConfig(args),
+    positionSizing: buildPositionSizingConfig(args)
+  };
+  if (args.quantity) baseStrategy.defaultQuantity = parseFloat(args.quantity);
+
+  const optimizer = new Optimizer({
+    baseStrategy,
+    parameterRanges: await buildParameterRanges(args),
+    objective: args.objective,
+    minTrades: parseInt(args['min-trades'], 10),
+    warmupCandles: parseInt(args.warmup, 10),
+    initialCapital: parseFloat(args.capital),
+    ...(args.workers ? { workers: parseInt(args.workers, 10) } : {})
+  });
+
+  optimizer.on('progress', ({ completed, total }) => {
+    if (completed % 10 === 0 || completed === total) {
+      console.log(`⏳ ${completed}/${total} combinations tested`);
+    }
+  });
+
+  const report = await optimizer.run(candles);
+
+  console.log(`\n=== 🔬 OPTIMIZATION RESULTS (${report.combinations} combinations, ${report.workers} workers, ${(report.durationMs / 1000).toFixed(1)}s) ===`);
+  console.log(`🎯 Objective: ${report.objective}`);
+
+  for (const result of report.results.slice(0, parseInt(args.top, 10))) {
+    if (!result.rank) break;
+    const { stats } = result;
+    console.log(
+      `#${result.rank} ${JSON.stringify(result.params)} → ` +
+      `PnL ${stats.netPnL.toFixed(4)} | PF ${stats.profitFactor.toFixed(2)} | ` +
+      `DD ${stats.maxDrawdown.toFixed(4)} | Win ${stats.winRate.toFixed(1)}% | Trades ${stats.totalTrades}`
+    );
+  }
+
+  if (!report.best) {
+    console.log(`⚠️ No combination produced at least ${args['min-trades']} trade(s)`);
+  }
+
+  if (args.output) {
+    await fs.writeFile(args.output, JSON.stringify(report, null, 2));
+    console.log(`💾 Full report written to ${args.output}`);
+  }
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Optimization failed:', error.message);
+    process.exit(1);
+  });
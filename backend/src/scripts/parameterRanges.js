@@ -0,0 +1,45 @@
+/**
+ * Shared parameter-range options for the optimizer CLIs
+ * Ranges are "min:max:step" or comma-separated values, or a JSON file via --grid
+ */
+
+import fs from 'fs/promises';
+
+export const parameterRangeOptions = {
+  grid: { type: 'string' },
+  'brick-size': { type: 'string' },
+  'atr-period': { type: 'string' },
+  'ema-length': { type: 'string' },
+  'st-atr-period': { type: 'string' },
+  'st-mult1': { type: 'string' },
+  'st-mult2': { type: 'string' },
+  'st-mult3': { type: 'string' }
+};
+
+export const parseRange = (value) => {
+  if (value.includes(':')) {
+    const [min, max, step] = value.split(':').map(parseFloat);
+    return { min, max, step };
+  }
+  return value.split(',').map(parseFloat);
+};
+
+export const buildParameterRanges = async (args) => {
+  if (args.grid) {
+    return JSON.parse(await fs.readFile(args.grid, 'utf8'));
+  }
+
+  const ranges = {};
+  if (args['brick-size']) ranges.brickSize = parseRange(args['brick-size']);
+  if (args['atr-period']) ranges.atrPeriod = parseRange(args['atr-period']);
+  if (args['ema-length']) ranges.emaLength = parseRange(args['ema-length']);
+  if (args['st-atr-period']) ranges.supertrendAtrPeriod = parseRange(args['st-atr-period']);
+
+  const multiplierArgs = [args['st-mult1'], args['st-mult2'], args['st-mult3']];
+  if (multiplierArgs.some(Boolean)) {
+    const defaults = ['2.1', '3.1', '4.1'];
+    ranges.supertrendMultipliers = multiplierArgs.map((value, i) => parseRange(value || defaults[i]));
+  }
+
+  return ranges;
+};
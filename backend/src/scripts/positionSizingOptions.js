@@ -0,0 +1,34 @@
+/**
+ * Shared position-sizing options for the backtest/optimizer CLIs
+ */
+
+export const positionSizingOptions = {
+  sizing: { type: 'string' },
+  notional: { type: 'string' },
+  'equity-percent': { type: 'string' },
+  'risk-percent': { type: 'string' },
+  'stop-source': { type: 'string' },
+  'kelly-fraction': { type: 'string' },
+  'kelly-cap': { type: 'string' },
+  'max-leverage': { type: 'string' },
+  'contract-value': { type: 'string' },
+  'lot-step': { type: 'string' }
+};
+
+export const buildPositionSizingConfig = (args) => {
+  const config = {};
+
+  if (args.sizing) config.mode = args.sizing;
+  if (args.quantity) config.quantity = parseFloat(args.quantity);
+  if (args.notional) config.notional = parseFloat(args.notional);
+  if (args['equity-percent']) config.equityPercent = parseFloat(args['equity-percent']);
+  if (args['risk-percent']) config.riskPercent = parseFloat(args['risk-percent']);
+  if (args['stop-source']) config.stopSource = args['stop-source'];
+  if (args['kelly-fraction']) config.kellyFraction = parseFloat(args['kelly-fraction']);
+  if (args['kelly-cap']) config.kellyCap = parseFloat(args['kelly-cap']);
+  if (args['max-leverage']) config.maxLeverage = parseFloat(args['max-leverage']);
+  if (args['contract-value']) config.contractValue = parseFloat(args['contract-value']);
+  if (args['lot-step']) config.lotStep = parseFloat(args['lot-step']);
+
+  return config;
+};
@@ -0,0 +1,33 @@
+/**
+ * Shared protective-exit options for the backtest/optimizer CLIs
+ * Stop/target distances are "fixed:<price units>" or "atr:<multiple>"
+ */
+
+export const protectiveExitOptions = {
+  'stop-loss': { type: 'string' },
+  'take-profit': { type: 'string' },
+  'trail-bricks': { type: 'string' },
+  'trail-supertrend': { type: 'string' }
+};
+
+export const parseDistance = (value) => {
+  const [type, amount] = value.includes(':') ? value.split(':') : ['fixed', value];
+  const parsed = parseFloat(amount);
+
+  if (!['fixed', 'atr'].includes(type) || !Number.isFinite(parsed) || parsed <= 0) {
+    throw new Error(`Invalid distance "${value}". Use fixed:<price> or atr:<multiple>`);
+  }
+
+  return { type, value: parsed };
+};
+
+export const buildProtectiveExitConfig = (args) => {
+  const config = {};
+
+  if (args['stop-loss']) config.stopLoss = parseDistance(args['stop-loss']);
+  if (args['take-profit']) config.takeProfit = parseDistance(args['take-profit']);
+  if (args['trail-bricks']) config.trailingBricks = parseInt(args['trail-bricks'], 10);
+  if (args['trail-supertrend']) config.supertrendTrail = parseInt(args['trail-supertrend'], 10);
+
+  return config;
+};
@@ -0,0 +1,107 @@
+/**
+ * Walk-Forward Analysis CLI
+ *   node src/scripts/walk-forward.js --csv data/BTCUSD_1m.csv --in-sample 10080 --out-of-sample 1440 \
+ *     --brick-size 20:100:20 --ema-length 14,21,34 --objective netPnL
+ * Window sizes are in candles; ranges use the same syntax as the optimizer CLI
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import WalkForwardAnalyzer from '../backtest/WalkForwardAnalyzer.js';
+import { OBJECTIVES } from '../backtest/Optimizer.js';
+import { candleSourceOptions, loadCandles } from './candleSource.js';
+import { fillModelOptions, buildFillModelConfig } from './fillModelOptions.js';
+import { protectiveExitOptions, buildProtectiveExitConfig } from './protectiveExitOptions.js';
+import { positionSizingOptions, buildPositionSizingConfig } from './positionSizingOptions.js';
+import { parameterRangeOptions, buildParameterRanges } from './parameterRanges.js';
+
+const { values: args } = parseArgs({
+  options: {
+    ...candleSourceOptions,
+    ...fillModelOptions,
+    ...protectiveExitOptions,
+    ...positionSizingOptions,
+    ...parameterRangeOptions,
+    'in-sample': { type: 'string', default: '10080' },
+    'out-of-sample': { type: 'string', default: '1440' },
+    step: { type: 'string' },
+    anchored: { type: 'boolean', default: false },
+    objective: { type: 'string', default: 'netPnL' },
+    'min-trades': { type: 'string', default: '1' },
+    workers: { type: 'string' },
+    warmup: { type: 'string', default: '500' },
+    capital: { type: 'string', default: '10000' },
+    quantity: { type: 'string' },
+    output: { type: 'string' }
+  }
+});
+
+const main = async () => {
+  if (!OBJECTIVES[args.objective]) {
+    throw new Error(`Unknown objective "${args.objective}". Use one of: ${Object.keys(OBJECTIVES).join(', ')}`);
+  }
+
+  const candles = await loadCandles(args);
+  console.log(`📈 Loaded ${candles.length} candles for ${args.symbol}`);
+
+  const baseStrategy = {
+    symbol: args.symbol,
+    timeframe: args.timeframe,
+    fillModel: buildFillModelConfig(args),
+    protectiveExits: buildProtectiveExitConfig(args),
+    positionSizing: buildPositionSizingConfig(args)
+  };
+  if (args.quantity) baseStrategy.defaultQuantity = parseFloat(args.quantity);
+
+  const analyzer = new WalkForwardAnalyzer({
+    optimizer: {
+      baseStrategy,
+      parameterRanges: await buildParameterRanges(args),
+      objective: args.objective,
+      minTrades: parseInt(args['min-trades'], 10),
+      ...(args.workers ? { workers: parseInt(args.workers, 10) } : {})
+    },
+    inSampleCandles: parseInt(args['in-sample'], 10),
+    outOfSampleCandles: parseInt(args['out-of-sample'], 10),
+    stepCandles: args.step ? parseInt(args.step, 10) : null,
+    anchored: args.anchored,
+    warmupCandles: parseInt(args.warmup, 10),
+    initialCapital: parseFloat(args.capital)
+  });
+
+  analyzer.on('window', ({ completed, total, result }) => {
+    const oos = result.outOfSampleStats;
+    console.log(
+      `🪟 Window ${completed}/${total}: ${JSON.stringify(result.params)} → ` +
+      (oos ? `OOS PnL ${oos.netPnL.toFixed(4)} (${oos.totalTrades} trades)` : 'no qualifying parameters')
+    );
+  });
+
+  const report = await analyzer.run(candles);
+  const { stats } = report.outOfSample;
+
+  console.log('\n=== 🚶 WALK-FORWARD RESULTS (stitched out-of-sample) ===');
+  console.log(`🔢 Trades: ${stats.totalTrades} | 🎯 Win rate: ${stats.winRate.toFixed(2)}%`);
+  console.log(`💰 Net PnL: ${stats.netPnL.toFixed(4)} (${stats.returnPct.toFixed(2)}%)`);
+  console.log(`📉 Max drawdown: ${stats.maxDrawdown.toFixed(4)} (${stats.maxDrawdownPct.toFixed(2)}%)`);
+  console.log(`⚖️ Walk-forward efficiency: ${report.efficiency === null ? 'N/A' : report.efficiency.toFixed(2)}`);
+  console.log('\n🧭 PARAMETER STABILITY:');
+  for (const [key, stability] of Object.entries(report.parameterStability)) {
+    console.log(
+      `   ${key}: mean ${stability.mean.toFixed(2)} ± ${stability.stdDev.toFixed(2)} ` +
+      `(CV ${stability.coefficientOfVariation.toFixed(2)}, ${stability.changes} changes) values ${stability.values.join(', ')}`
+    );
+  }
+
+  if (args.output) {
+    await fs.writeFile(args.output, JSON.stringify(report, null, 2));
+    console.log(`\n💾 Full report written to ${args.output}`);
+  }
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Walk-forward analysis failed:', error.message);
+    process.exit(1);
+  });
@@ -180,13 +180,18 @@ app.get('/api/trading/position', (req, res) => {
 
 // Get market data
 app.get('/api/market/data', async (req, res) => {
+  let query;
   try {
-    const { symbol = 'BTCUSD', interval = '1m', limit = 100 } = req.query;
-    
-    const endTime = Math.floor(Date.now() / 1000);
-    const startTime = endTime - (limit * 60); // limit minutes ago
-    
-    const data = await deltaAPI.getCandles(symbol, interval, startTime, endTime);
+    query = DeltaAPIService.parseCandleQuery(req.query);  // The last `limit` candles
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const data = await deltaAPI.getCandles(query.symbol, query.interval, query.start, query.end);
     
     res.json({
       success: true,
@@ -0,0 +1,263 @@
+/**
+ * Candle Store Service - Persists 1m candles in the MarketData collection and backfills missing minutes
+ * from Delta's /v2/history/candles in pages of at most `maxCandlesPerRequest` candles.
+ * Strategy warm-up and backtests (--store) read from the store; while MongoDB is not connected the
+ * service fetches straight from Delta and persists nothing
+ */
+
+import mongoose from 'mongoose';
+import { MarketData, EmptyCandleRange } from '../models/MarketData.js';
+import CandleLoader from '../backtest/CandleLoader.js';
+import Resampler from '../strategies/Resampler.js';
+import deltaConfig from '../config/deltaConfig.js';
+
+const MINUTE_MS = 60000;
+const EMPTY_RANGE_SETTLE_MS = 10 * MINUTE_MS;  // Delta can publish a minute late - only older missing minutes are remembered as empty
+
+class CandleStoreService {
+  /**
+   * @param {DeltaAPIService} deltaAPI - Used to fetch missing candles
+   * @param {Object} options - {maxCandlesPerRequest}: Delta's per-request candle limit
+   */
+  constructor(deltaAPI, options = {}) {
+    this.deltaAPI = deltaAPI;
+    this.maxCandlesPerRequest = options.maxCandlesPerRequest || deltaConfig.candles.maxPerRequest;
+  }
+
+  /**
+   * Whether candles can be stored (mongoose connection is open)
+   */
+  isEnabled() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Candle from a Delta candle ({time in epoch seconds, string prices})
+   */
+  static fromDelta(candle) {
+    return {
+      timestamp: new Date(candle.time * 1000),
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close),
+      volume: parseFloat(candle.volume || 0)
+    };
+  }
+
+  /**
+   * Start of the last minute that has closed
+   */
+  static lastClosedMinute(now = Date.now()) {
+    return Math.floor(now / MINUTE_MS) * MINUTE_MS - MINUTE_MS;
+  }
+
+  /**
+   * Missing minutes between start and end (inclusive minute starts)
+   * @param {Array} candles - Candles present in the range, any order
+   * @param {number} start - Epoch ms of the first expected minute
+   * @param {number} end - Epoch ms of the last expected minute
+   * @returns {Array} [{start, end, minutes}] ranges of missing minute starts
+   */
+  static findGaps(candles, start, end) {
+    const present = new Set(candles.map(candle => new Date(candle.timestamp).getTime()));
+    const gaps = [];
+    let gap = null;
+
+    for (let time = Math.ceil(start / MINUTE_MS) * MINUTE_MS; time <= end; time += MINUTE_MS) {
+      if (present.has(time)) {
+        gap = null;
+      } else if (gap) {
+        gap.end = time;
+        gap.minutes++;
+      } else {
+        gap = { start: time, end: time, minutes: 1 };
+        gaps.push(gap);
+      }
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Gaps with the minutes inside the given ranges removed (ranges known to have no candle)
+   * @param {Array} gaps - [{start, end, minutes}] from findGaps
+   * @param {Array} ranges - [{start, end}] dates or epoch ms, inclusive
+   * @returns {Array} [{start, end, minutes}] remaining missing minute ranges
+   */
+  static excludeRanges(gaps, ranges) {
+    const bounds = ranges.map(range => [new Date(range.start).getTime(), new Date(range.end).getTime()]);
+    const result = [];
+
+    for (const gap of gaps) {
+      let current = null;
+      for (let time = gap.start; time <= gap.end; time += MINUTE_MS) {
+        if (bounds.some(([start, end]) => time >= start && time <= end)) {
+          current = null;
+        } else if (current) {
+          current.end = time;
+          current.minutes++;
+        } else {
+          current = { start: time, end: time, minutes: 1 };
+          result.push(current);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Missing minutes old enough that Delta would have published a candle for them by now
+   * @returns {Array} [{start, end}] epoch ms, inclusive
+   */
+  static settledGaps(gaps, now = Date.now()) {
+    const settledEnd = CandleStoreService.lastClosedMinute(now) - EMPTY_RANGE_SETTLE_MS;
+    return gaps
+      .filter(gap => gap.start <= settledEnd)
+      .map(gap => ({ start: gap.start, end: Math.min(gap.end, settledEnd) }));
+  }
+
+  /**
+   * Request windows covering the gaps, each spanning at most maxCandles minutes - nearby gaps share a request
+   * @returns {Array} [{start, end}] epoch ms, inclusive
+   */
+  static planRequests(gaps, maxCandles) {
+    const windows = [];
+
+    for (const gap of gaps) {
+      for (let start = gap.start; start <= gap.end; start += maxCandles * MINUTE_MS) {
+        const end = Math.min(gap.end, start + (maxCandles - 1) * MINUTE_MS);
+        const last = windows[windows.length - 1];
+
+        if (last && end - last.start < maxCandles * MINUTE_MS) {
+          last.end = end;
+        } else {
+          windows.push({ start, end });
+        }
+      }
+    }
+
+    return windows;
+  }
+
+  /**
+   * Fetch 1m candles from Delta for a range, one request per window of at most maxCandlesPerRequest minutes
+   * @param {string} symbol
+   * @param {Array} windows - [{start, end}] epoch ms, inclusive (see planRequests)
+   * @returns {Promise<Array>} Candles inside the windows, oldest first
+   */
+  async fetchWindows(symbol, windows) {
+    const candles = [];
+
+    for (const { start, end } of windows) {
+      const response = await this.deltaAPI.getCandles(symbol, '1m', Math.floor(start / 1000), Math.floor(end / 1000));
+      for (const candle of (response?.result || []).map(CandleStoreService.fromDelta)) {
+        const time = candle.timestamp.getTime();
+        if (time >= start && time <= end) candles.push(candle);
+      }
+    }
+
+    return candles.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Upsert candles into MarketData (one document per symbol and minute)
+   * @param {string} source - MarketData.source: 'rest' for polled/backfilled candles, 'websocket' for streamed ones, 'import' for CSV imports
+   * @returns {Promise<number>} Candles written (0 while MongoDB is not connected)
+   */
+  async saveCandles(symbol, candles, source = 'rest') {
+    if (!this.isEnabled() || candles.length === 0) return 0;
+
+    await MarketData.bulkWrite(candles.map(candle => ({
+      updateOne: {
+        filter: { symbol, timestamp: candle.timestamp },
+        update: { $set: { ...candle, symbol, source } },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    return candles.length;
+  }
+
+  /**
+   * Fill the missing minutes of [start, end] in the store from Delta
+   * Minutes Delta had no candle for are remembered (EmptyCandleRange) and not requested again
+   * @param {string} symbol
+   * @param {Object} range - {start, end} dates or epoch ms (end defaults to the last closed minute)
+   * @returns {Promise<Object>} {missing, requests, fetched, stillMissing, knownEmpty}
+   */
+  async backfill(symbol, { start, end = CandleStoreService.lastClosedMinute() } = {}) {
+    if (!this.isEnabled()) {
+      throw new Error('Candle backfill needs a MongoDB connection');
+    }
+
+    const startMs = new Date(start).getTime();
+    const endMs = Math.min(new Date(end).getTime(), CandleStoreService.lastClosedMinute());
+    const stored = await CandleLoader.loadFromStore({ symbol, start: startMs, end: endMs });
+    const emptyRanges = await EmptyCandleRange.find({
+      symbol,
+      start: { $lte: new Date(endMs) },
+      end: { $gte: new Date(startMs) }
+    }).lean();
+
+    const allGaps = CandleStoreService.findGaps(stored, startMs, endMs);
+    const gaps = CandleStoreService.excludeRanges(allGaps, emptyRanges);
+    const minutes = (ranges) => ranges.reduce((total, gap) => total + gap.minutes, 0);
+    const missing = minutes(gaps);
+    const knownEmpty = minutes(allGaps) - missing;
+
+    const windows = CandleStoreService.planRequests(gaps, this.maxCandlesPerRequest);
+    const fetched = await this.fetchWindows(symbol, windows);
+    await this.saveCandles(symbol, fetched);
+
+    // Minutes the exchange has no candle for (no trades) stay missing
+    const unavailable = CandleStoreService.excludeRanges(
+      CandleStoreService.findGaps(stored.concat(fetched), startMs, endMs),
+      emptyRanges
+    );
+    const stillMissing = minutes(unavailable);
+
+    const settled = CandleStoreService.settledGaps(unavailable);
+    if (settled.length > 0) {
+      await EmptyCandleRange.insertMany(settled.map(gap => ({ symbol, start: new Date(gap.start), end: new Date(gap.end) })));
+    }
+
+    if (missing > 0) {
+      console.log(`🧩 ${symbol}: backfilled ${fetched.length} of ${missing} missing 1m candles in ${windows.length} request(s)${stillMissing > 0 ? ` (${stillMissing} not available)` : ''}`);
+    }
+    if (knownEmpty > 0) {
+      console.log(`🧩 ${symbol}: skipped ${knownEmpty} minute(s) Delta has no candle for`);
+    }
+
+    return { missing, requests: windows.length, fetched: fetched.length, stillMissing, knownEmpty };
+  }
+
+  /**
+   * The latest `count` candles of a timeframe for strategy warm-up: backfilled into and read from the store,
+   * or fetched straight from Delta while MongoDB is not connected
+   * @param {string} symbol
+   * @param {Object} options - {count, timeframe, now}
+   * @returns {Promise<Array>} Closed candles, oldest first
+   */
+  async loadHistory(symbol, { count = 500, timeframe = '1m', now = Date.now() } = {}) {
+    const intervalMs = Resampler.parseTimeframe(timeframe);
+    const end = CandleStoreService.lastClosedMinute(now);
+    const start = Resampler.bucketStart(end + MINUTE_MS, intervalMs) - count * intervalMs;
+
+    let candles;
+    if (this.isEnabled()) {
+      await this.backfill(symbol, { start, end });
+      candles = await CandleLoader.loadFromStore({ symbol, start, end });
+    } else {
+      candles = await this.fetchWindows(symbol, CandleStoreService.planRequests(
+        [{ start, end, minutes: (end - start) / MINUTE_MS + 1 }],
+        this.maxCandlesPerRequest
+      ));
+    }
+
+    return timeframe === '1m' ? candles : Resampler.resample(candles, timeframe, { includePartial: false });
+  }
+}
+
+export default CandleStoreService;
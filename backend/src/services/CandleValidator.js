@@ -0,0 +1,189 @@
+/**
+ * Candle Validator - Data-quality gate between the exchange and the strategy
+ * Every candle is checked for monotonic timestamps on the timeframe grid, finite OHLC values, OHLC
+ * consistency, zero-volume placeholders and wick spikes versus the ATR of the accepted candles.
+ * Bad candles are quarantined (kept for inspection, never passed on); missing intervals between accepted
+ * candles are counted but do not reject anything
+ */
+
+import { IncrementalATR } from '../strategies/IndicatorCalculators.js';
+import Resampler from '../strategies/Resampler.js';
+
+export const CANDLE_ISSUES = ['duplicate', 'out_of_order', 'misaligned', 'invalid_number', 'ohlc_inconsistent', 'zero_volume', 'spike'];
+
+class CandleValidator {
+  /**
+   * @param {Object} options
+   * @param {string} options.timeframe - Candle resolution, for the timestamp grid and missing intervals
+   * @param {number} options.spikeAtrMultiple - A wick beyond open/close and the previous close longer than
+   *   this many ATRs is a spike (0 disables the check)
+   * @param {number} options.atrPeriod - ATR period for the spike check
+   * @param {boolean} options.allowZeroVolume - Accept flat zero-volume candles (minutes without trades)
+   * @param {number} options.maxQuarantine - Quarantined candles kept for inspection
+   */
+  constructor(options = {}) {
+    this.config = {
+      timeframe: '1m',
+      spikeAtrMultiple: 10,
+      atrPeriod: 14,
+      allowZeroVolume: false,
+      maxQuarantine: 200,
+      ...options
+    };
+    this.intervalMs = Resampler.parseTimeframe(this.config.timeframe);
+    this.reset();
+  }
+
+  /**
+   * Issues a candle has on its own (no history needed)
+   * @returns {Array} [{type, message}]
+   */
+  static checkCandle(candle, { allowZeroVolume = false } = {}) {
+    const { open, high, low, close, volume = 0 } = candle;
+    const time = new Date(candle.timestamp).getTime();
+
+    if (isNaN(time)) {
+      return [{ type: 'invalid_number', message: `invalid timestamp ${candle.timestamp}` }];
+    }
+    if (![open, high, low, close, volume].every(Number.isFinite) || Math.min(open, high, low, close) <= 0 || volume < 0) {
+      return [{ type: 'invalid_number', message: `invalid OHLCV ${open}/${high}/${low}/${close}/${volume}` }];
+    }
+
+    const issues = [];
+    if (high < low || high < Math.max(open, close) || low > Math.min(open, close)) {
+      issues.push({ type: 'ohlc_inconsistent', message: `O:${open} H:${high} L:${low} C:${close} - high/low do not contain open and close` });
+    }
+    if (!allowZeroVolume && volume === 0 && open === high && high === low && low === close) {
+      issues.push({ type: 'zero_volume', message: 'flat zero-volume placeholder' });
+    }
+    return issues;
+  }
+
+  /**
+   * Check a candle against the candles accepted so far and record the result
+   * @param {Object} candle - {timestamp, open, high, low, close, volume}
+   * @returns {Object} {accepted, issues: [{type, message}]}
+   */
+  validate(candle) {
+    const time = new Date(candle.timestamp).getTime();
+    const issues = CandleValidator.checkCandle(candle, this.config);
+    this.metrics.checked++;
+
+    if (!isNaN(time)) {
+      if (this.lastCandle && time === this.lastCandle.time) {
+        issues.push({ type: 'duplicate', message: `second candle at ${new Date(time).toISOString()}` });
+      } else if (this.lastCandle && time < this.lastCandle.time) {
+        issues.push({ type: 'out_of_order', message: `${new Date(time).toISOString()} is older than ${new Date(this.lastCandle.time).toISOString()}` });
+      }
+      if (Resampler.bucketStart(time, this.intervalMs) !== time) {
+        issues.push({ type: 'misaligned', message: `${new Date(time).toISOString()} is not on the ${this.config.timeframe} grid` });
+      }
+    }
+
+    const spike = issues.length === 0 && this.checkSpike(candle);
+    if (spike) issues.push(spike);
+
+    if (issues.length > 0) {
+      this.quarantine(candle, issues);
+      return { accepted: false, issues };
+    }
+
+    this.accept(candle, time);
+    return { accepted: true, issues };
+  }
+
+  /**
+   * Validate a whole series without touching the caller's array
+   * @param {Array} candles - Candles in any order
+   * @returns {Array} Accepted candles, oldest first
+   */
+  validateSeries(candles = []) {
+    const sorted = [...candles].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return sorted.filter(candle => this.validate(candle).accepted);
+  }
+
+  /**
+   * Spike issue when a wick sticks out more than spikeAtrMultiple ATRs past the body and the previous close
+   * A real breakout closes near its extreme, so only the wick is measured
+   */
+  checkSpike({ open, high, low, close }) {
+    const atr = this.atr.value;
+    if (!(this.config.spikeAtrMultiple > 0) || !atr || !this.lastCandle) return null;
+
+    const reference = [open, close, this.lastCandle.close];
+    const wick = Math.max(high - Math.max(...reference), Math.min(...reference) - low);
+    if (wick <= this.config.spikeAtrMultiple * atr) return null;
+
+    return { type: 'spike', message: `${wick.toFixed(2)} wick is ${(wick / atr).toFixed(1)}x ATR ${atr.toFixed(2)}` };
+  }
+
+  accept(candle, time) {
+    const { metrics } = this;
+
+    if (this.lastCandle) {
+      const missing = Math.round((time - this.lastCandle.time) / this.intervalMs) - 1;
+      if (missing > 0) {
+        metrics.missingIntervals += missing;
+        metrics.gaps++;
+        metrics.lastGap = { from: new Date(this.lastCandle.time), to: new Date(time), missing };
+      }
+    }
+
+    this.atr.update(candle);
+    this.lastCandle = { time, close: candle.close };
+    metrics.accepted++;
+    metrics.lastCandleTime = new Date(time);
+  }
+
+  quarantine(candle, issues) {
+    const { metrics } = this;
+
+    metrics.quarantined++;
+    for (const { type } of issues) {
+      metrics.issues[type]++;
+    }
+
+    this.quarantined.push({ candle, issues, quarantinedAt: new Date() });
+    if (this.quarantined.length > this.config.maxQuarantine) {
+      this.quarantined.shift();
+    }
+  }
+
+  /**
+   * Data-quality counters: candles checked/accepted/quarantined, quarantines per issue and missing intervals
+   */
+  getMetrics() {
+    const { checked, accepted } = this.metrics;
+    return {
+      ...this.metrics,
+      issues: { ...this.metrics.issues },
+      timeframe: this.config.timeframe,
+      acceptedPct: checked > 0 ? Math.round(accepted / checked * 10000) / 100 : 100
+    };
+  }
+
+  /**
+   * Most recent quarantined candles with their issues, newest first
+   */
+  getQuarantine(limit = this.config.maxQuarantine) {
+    return this.quarantined.slice(-limit).reverse();
+  }
+
+  reset() {
+    this.atr = new IncrementalATR(this.config.atrPeriod);  // ATR of the accepted candles
+    this.lastCandle = null;  // {time, close} of the last accepted candle
+    this.quarantined = [];
+    this.metrics = {
+      checked: 0,
+      accepted: 0,
+      quarantined: 0,
+      issues: Object.fromEntries(CANDLE_ISSUES.map(type => [type, 0])),
+      missingIntervals: 0,  // Expected candles absent between accepted ones
+      gaps: 0,
+      lastGap: null,
+      lastCandleTime: null
+    };
+  }
+}
+
+export default CandleValidator;
@@ -0,0 +1,208 @@
+/**
+ * Data Export Service - Dumps stored candles, strategy bars and trades as CSV or newline-delimited JSON
+ * for notebooks, and imports third-party 1m OHLCV CSVs into the candle store (MarketData) so symbols
+ * that were never traded live can be backtested with --store
+ * Rows are flat: nested fields become dotted columns (signalData.ema21) and dates are ISO strings
+ */
+
+import CandleLoader from '../backtest/CandleLoader.js';
+import Resampler from '../strategies/Resampler.js';
+
+export const EXPORT_FORMATS = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+const MINUTE_MS = 60000;
+
+class DataExportService {
+  /**
+   * @param {CandleStoreService} candleStore - Reads and writes MarketData candles
+   * @param {TradeJournalService} journal - Reads journaled trades
+   */
+  constructor(candleStore, journal) {
+    this.candleStore = candleStore;
+    this.journal = journal;
+  }
+
+  /**
+   * Whether stored candles and trades can be read (mongoose connection is open)
+   */
+  isEnabled() {
+    return this.candleStore.isEnabled();
+  }
+
+  /**
+   * Flatten nested objects into dotted keys; dates become ISO strings and arrays JSON
+   */
+  static flatten(object, prefix = '', row = {}) {
+    for (const [key, value] of Object.entries(object)) {
+      const column = prefix ? `${prefix}.${key}` : key;
+
+      if (value instanceof Date) {
+        row[column] = isNaN(value.getTime()) ? null : value.toISOString();
+      } else if (Array.isArray(value)) {
+        row[column] = JSON.stringify(value);
+      } else if (value && typeof value === 'object') {
+        DataExportService.flatten(value, column, row);
+      } else {
+        row[column] = value ?? null;
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Every column used by the rows, in first-seen order
+   */
+  static columnsOf(rows) {
+    const columns = new Set();
+    for (const row of rows) {
+      Object.keys(row).forEach(column => columns.add(column));
+    }
+    return [...columns];
+  }
+
+  /**
+   * CSV with a header row - values containing commas, quotes or line breaks are quoted
+   */
+  static toCSV(rows, columns = DataExportService.columnsOf(rows)) {
+    const cell = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(cell).join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(column => cell(row[column])).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  static toNDJSON(rows) {
+    return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+  }
+
+  /**
+   * Serialize flat rows in an export format (see EXPORT_FORMATS)
+   */
+  static serialize(rows, format = 'csv') {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unknown export format "${format}" - use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    return format === 'csv' ? DataExportService.toCSV(rows) : DataExportService.toNDJSON(rows);
+  }
+
+  static candleRows(candles) {
+    return candles.map(({ timestamp, open, high, low, close, volume }) => DataExportService.flatten({
+      timestamp: new Date(timestamp), open, high, low, close, volume
+    }));
+  }
+
+  /**
+   * Strategy bars with their indicator values (BaseStrategy.getBarHistory)
+   */
+  static barRows(strategy) {
+    return strategy.getBarHistory().map(bar => DataExportService.flatten(bar));
+  }
+
+  /**
+   * In-memory or journaled trades - the signal brick keeps the fields the journal stores
+   */
+  static tradeRows(trades) {
+    return trades.map(({ _id, __v, signalData, ...trade }) => {
+      const brick = signalData?.renkoBrick;
+      return DataExportService.flatten({
+        ...trade,
+        signalData: {
+          ...signalData,
+          ...(brick && { renkoBrick: { direction: brick.direction, close: brick.close, open: brick.open } })
+        }
+      });
+    });
+  }
+
+  /**
+   * Stored candles of a symbol, resampled when the timeframe is not 1m (unfinished last bar dropped)
+   * @param {string} symbol
+   * @param {Object} options - {start, end, timeframe}
+   */
+  async exportCandles(symbol, { start, end, timeframe = '1m' } = {}) {
+    if (!this.isEnabled()) {
+      throw new Error('Candle export needs a MongoDB connection');
+    }
+
+    const candles = await CandleLoader.loadFromStore({ symbol, start, end });
+    const bars = timeframe === '1m' ? candles : Resampler.resample(candles, timeframe, { includePartial: false });
+    return DataExportService.candleRows(bars);
+  }
+
+  /**
+   * Journaled trades
+   * @param {Object} filter - {symbol, strategy, start, end}
+   */
+  async exportTrades(filter = {}) {
+    if (!this.isEnabled()) {
+      throw new Error('Trade export needs a MongoDB connection');
+    }
+
+    return DataExportService.tradeRows(await this.journal.findTrades(filter));
+  }
+
+  /**
+   * Parse a third-party OHLCV CSV and check it holds 1m candles (the only resolution MarketData stores)
+   * @param {string} text - CSV content (header names as accepted by CandleLoader.parseCSV)
+   * @returns {Array} Candles, oldest first
+   */
+  static parseImport(text) {
+    const candles = CandleLoader.parseCSV(text);
+    if (candles.length === 0) {
+      throw new Error('CSV contains no candles');
+    }
+
+    let smallestStep = Infinity;
+    candles.forEach((candle, index) => {
+      const time = candle.timestamp.getTime();
+      if (time % MINUTE_MS !== 0) {
+        throw new Error(`Candle at ${candle.timestamp.toISOString()} does not start on a minute`);
+      }
+      if (index > 0) {
+        const step = time - candles[index - 1].timestamp.getTime();
+        if (step === 0) {
+          throw new Error(`Duplicate candle at ${candle.timestamp.toISOString()}`);
+        }
+        smallestStep = Math.min(smallestStep, step);
+      }
+    });
+
+    if (candles.length > 1 && smallestStep !== MINUTE_MS) {
+      throw new Error(`Only 1m candles can be imported - these are ${smallestStep / MINUTE_MS} minutes apart`);
+    }
+
+    return candles;
+  }
+
+  /**
+   * Import a third-party 1m OHLCV CSV into MarketData (source 'import'); minutes already stored are replaced
+   * @param {string} symbol - Symbol to store the candles under
+   * @param {string} text - CSV content
+   * @returns {Promise<Object>} {symbol, imported, start, end}
+   */
+  async importCandles(symbol, text) {
+    if (!this.isEnabled()) {
+      throw new Error('Candle import needs a MongoDB connection');
+    }
+    if (!symbol) {
+      throw new Error('Candle import needs a symbol');
+    }
+
+    const candles = DataExportService.parseImport(text);
+    const imported = await this.candleStore.saveCandles(symbol, candles, 'import');
+
+    console.log(`📥 ${symbol}: imported ${imported} 1m candles (${candles[0].timestamp.toISOString()} → ${candles[candles.length - 1].timestamp.toISOString()})`);
+    return { symbol, imported, start: candles[0].timestamp, end: candles[candles.length - 1].timestamp };
+  }
+}
+
+export default DataExportService;
@@ -3,18 +3,26 @@ import crypto from 'crypto';
 import WebSocket from 'ws';
 import { EventEmitter } from 'events';
 import { deltaConfig } from '../config/deltaConfig.js';
+import Resampler from '../strategies/Resampler.js';
 
 class DeltaAPIService extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
-    this.apiKey = deltaConfig.apiKey;
-    this.apiSecret = deltaConfig.apiSecret;
-    this.baseUrl = deltaConfig.baseUrl;
-    this.wsUrl = 'wss://socket.india.delta.exchange';
+    this.apiKey = options.apiKey || deltaConfig.apiKey;
+    this.apiSecret = options.apiSecret || deltaConfig.apiSecret;
+    this.baseUrl = options.baseUrl || deltaConfig.baseUrl;
+    this.wsUrl = options.wsUrl || deltaConfig.websocketUrl;
+    this.wsConfig = { ...deltaConfig.websocket, ...options.websocket };
     this.ws = null;
     this.isWSConnected = false;
+    this.wsClosing = false;           // Set by disconnectWebSocket so the close does not reconnect
+    this.wsSymbols = new Set();       // Symbols (re-)subscribed on every connect
+    this.reconnectAttempts = 0;
     this.reconnectInterval = null;
     this.heartbeatInterval = null;
+    this.staleCheckInterval = null;
+    this.wsStats = { lastMessageAt: null, lastDataAt: null, messages: 0, outOfOrder: 0, staleDisconnects: 0 };
+    this.wsSequence = new Map();      // "<channel>:<symbol>" -> exchange timestamp of the last message (µs)
     
     // Create axios instance with default config
     this.client = axios.create({
@@ -28,6 +36,9 @@ class DeltaAPIService extends EventEmitter {
     // Rate limiting
     this.requestCount = 0;
     this.lastReset = Date.now();
+
+    // Product metadata (id, contract_value, ...) by symbol
+    this.productCache = new Map();
   }
 
   // Generate signature for authenticated requests
@@ -77,9 +88,49 @@ class DeltaAPIService extends EventEmitter {
     }
   }
 
-  // Get all products/instruments
+  // Make authenticated request (signed with api key/secret)
+  // Signature payload: method + timestamp + path + query string + body
+  async makeAuthenticatedRequest(method, endpoint, { params = {}, body = null } = {}) {
+    this.checkRateLimit();
+
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+    ).toString();
+    const queryString = query ? `?${query}` : '';
+    const payload = body ? JSON.stringify(body) : '';
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = this.generateSignature(method, endpoint + queryString, timestamp, payload);
+
+    try {
+      console.log(`🔐 Making signed API request: ${method} ${endpoint}${queryString}`);
+
+      const response = await this.client.request({
+        method,
+        url: `${this.baseUrl}${endpoint}${queryString}`,
+        data: payload || undefined,
+        headers: {
+          'api-key': this.apiKey,
+          timestamp,
+          signature,
+          'User-Agent': 'algotrading-delta'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      const details = error.response?.data?.error;
+      console.error(`Authenticated API request failed: ${method} ${endpoint}`, error.response?.data || error.message);
+      throw new Error(`Delta API Error: ${details?.code || error.response?.data?.message || error.message}`);
+    }
+  }
+
+  // Get all products/instruments (also fills the per-symbol product cache)
   async getProducts() {
-    return await this.makePublicRequest('GET', deltaConfig.endpoints.products);
+    const response = await this.makePublicRequest('GET', deltaConfig.endpoints.products);
+    for (const product of response?.result || []) {
+      this.productCache.set(product.symbol, product);
+    }
+    return response;
   }
 
   // Get ticker for specific symbol
@@ -94,6 +145,26 @@ class DeltaAPIService extends EventEmitter {
     }
   }
 
+  /**
+   * Validate a market data query and turn it into a getCandles window of `limit` candles ending now
+   * @param {Object} query - { symbol, interval, limit } as strings from the query string
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} { symbol, interval, limit, start, end } with start/end in epoch seconds
+   * @throws {Error} When interval is not a timeframe or limit is out of range
+   */
+  static parseCandleQuery({ symbol = 'BTCUSD', interval = '1m', limit = '100' } = {}, now = Date.now()) {
+    const intervalMs = Resampler.parseTimeframe(interval);
+
+    const count = Number(limit);
+    const maxCandles = deltaConfig.candles.maxPerRequest;
+    if (!Number.isInteger(count) || count < 1 || count > maxCandles) {
+      throw new Error(`limit must be an integer between 1 and ${maxCandles}`);
+    }
+
+    const end = Math.floor(now / 1000);
+    return { symbol: String(symbol), interval, limit: count, start: end - count * intervalMs / 1000, end };
+  }
+
   // Get historical candle data
   async getCandles(symbol, resolution = '1m', start, end) {
     const params = {
@@ -107,6 +178,59 @@ class DeltaAPIService extends EventEmitter {
     return await this.makePublicRequest('GET', deltaConfig.endpoints.candles, params);
   }
 
+  // Get a single product by symbol (cached - contract specs rarely change)
+  async getProductBySymbol(symbol) {
+    if (!this.productCache.has(symbol)) {
+      const response = await this.makePublicRequest('GET', `${deltaConfig.endpoints.products}/${symbol}`);
+      if (!response?.result) {
+        throw new Error(`Delta API Error: unknown product ${symbol}`);
+      }
+      this.productCache.set(symbol, response.result);
+    }
+
+    return this.productCache.get(symbol);
+  }
+
+  // Place an order
+  // order: {product_id | product_symbol, size, side: buy|sell, order_type: market_order|limit_order, limit_price, client_order_id, reduce_only}
+  async placeOrder(order) {
+    return await this.makeAuthenticatedRequest('POST', deltaConfig.endpoints.orders, { body: order });
+  }
+
+  // Cancel an open order
+  async cancelOrder(orderId, productId) {
+    return await this.makeAuthenticatedRequest('DELETE', deltaConfig.endpoints.orders, {
+      body: { id: orderId, product_id: productId }
+    });
+  }
+
+  // Get a single order by id
+  async getOrder(orderId) {
+    return await this.makeAuthenticatedRequest('GET', `${deltaConfig.endpoints.orders}/${orderId}`);
+  }
+
+  // Get orders (defaults to open orders)
+  async getOrders({ productIds, states = 'open,pending' } = {}) {
+    return await this.makeAuthenticatedRequest('GET', deltaConfig.endpoints.orders, {
+      params: {
+        product_ids: productIds ? [].concat(productIds).join(',') : undefined,
+        states
+      }
+    });
+  }
+
+  // Get open position for a product
+  async getPosition(productId) {
+    return await this.makeAuthenticatedRequest('GET', deltaConfig.endpoints.positions, {
+      params: { product_id: productId }
+    });
+  }
+
+  // Get wallet balances
+  async getWalletBalances() {
+    return await this.makeAuthenticatedRequest('GET', deltaConfig.endpoints.wallet);
+  }
+
   // Test connection
   async testConnection() {
     try {
@@ -138,62 +262,80 @@ class DeltaAPIService extends EventEmitter {
   }
 
   // WebSocket Connection Methods
+
+  /**
+   * Exponential reconnect delay: reconnectBaseMs doubled per failed attempt, capped at reconnectMaxMs
+   */
+  static reconnectDelay(attempt, { reconnectBaseMs, reconnectMaxMs }) {
+    return Math.min(reconnectMaxMs, reconnectBaseMs * 2 ** attempt);
+  }
+
+  /**
+   * Open the market-data socket if needed and subscribe the symbols to candlestick_1m, ticker, mark price
+   * and all_trades. Every subscribed symbol is subscribed again after a reconnect
+   */
   connectWebSocket(symbols = ['BTCUSD']) {
-    if (this.ws && this.isWSConnected) {
-      console.log('WebSocket already connected');
+    const added = symbols.filter(symbol => !this.wsSymbols.has(symbol));
+    added.forEach(symbol => this.wsSymbols.add(symbol));
+    this.wsClosing = false;
+
+    if (this.ws) {
+      if (this.isWSConnected && added.length > 0) this.subscribeMarketData(added);
       return;
     }
 
     try {
       console.log(`🚀 Connecting to Delta Exchange WebSocket: ${this.wsUrl}`);
-      this.ws = new WebSocket(this.wsUrl);
-      
-      this.ws.on('open', () => {
+      const ws = new WebSocket(this.wsUrl);
+      this.ws = ws;
+
+      ws.on('open', () => {
         console.log('🔗 Connected to Delta Exchange WebSocket');
         this.isWSConnected = true;
-        
-        // Authenticate first, then subscribe
-        this.authenticateWebSocket().then(() => {
-          // Subscribe to ticker updates for specified symbols
-          symbols.forEach(symbol => {
-            this.subscribeToTicker(symbol);
-          });
-        });
-        
-        // Start heartbeat
+        this.reconnectAttempts = 0;
+        this.wsSequence.clear();
+        this.wsStats.lastMessageAt = Date.now();
+        this.wsStats.lastDataAt = Date.now();
+
+        this.subscribeMarketData([...this.wsSymbols]);
         this.startHeartbeat();
-        
         this.emit('wsConnected');
       });
 
-      this.ws.on('message', (data) => {
+      ws.on('message', (data) => {
+        let message;
         try {
-          const message = JSON.parse(data.toString());
-          console.log('📨 WebSocket message received:', JSON.stringify(message, null, 2));
-          this.handleWebSocketMessage(message);
+          message = JSON.parse(data.toString());
         } catch (error) {
-          console.error('Error parsing WebSocket message:', error);
+          console.error('Error parsing WebSocket message:', error.message);
+          return;
         }
+        this.handleWebSocketMessage(message);
       });
 
-      this.ws.on('close', (code, reason) => {
+      ws.on('close', (code, reason) => {
+        if (this.ws !== ws) return;  // An older socket that was already replaced
+
         console.log(`🔌 Delta Exchange WebSocket disconnected: ${code} ${reason}`);
+        this.ws = null;
         this.isWSConnected = false;
         this.stopHeartbeat();
-        
-        // Attempt reconnection after delay
-        this.scheduleReconnect();
-        
-        this.emit('wsDisconnected');
+        this.emit('wsDisconnected', { code, reason: String(reason) });
+
+        if (!this.wsClosing) {
+          this.scheduleReconnect();
+        }
       });
 
-      this.ws.on('error', (error) => {
+      ws.on('error', (error) => {
         console.error('❌ WebSocket error:', error.message);
         this.emit('wsError', error);
       });
 
     } catch (error) {
       console.error('Error connecting to WebSocket:', error);
+      this.ws = null;
+      this.scheduleReconnect();
     }
   }
 
@@ -219,30 +361,90 @@ class DeltaAPIService extends EventEmitter {
     console.log('📋 Auth message sent:', JSON.stringify(authMessage, null, 2));
   }
 
-  subscribeToTicker(symbol) {
-    if (!this.ws || !this.isWSConnected) return;
+  /**
+   * Subscribe symbols to the market-data channels (mark price symbols are prefixed MARK:)
+   */
+  subscribeMarketData(symbols) {
+    if (!this.ws || !this.isWSConnected || symbols.length === 0) return;
 
-    // Delta Exchange WebSocket subscription format
-    const subscribeMessage = {
+    const { candlestick, ticker, markPrice, trades } = deltaConfig.wsChannels;
+    this.ws.send(JSON.stringify({
       type: 'subscribe',
       payload: {
         channels: [
-          {
-            name: 'ticker',
-            symbols: [symbol]
-          }
+          { name: candlestick, symbols },
+          { name: ticker, symbols },
+          { name: markPrice, symbols: symbols.map(symbol => `MARK:${symbol}`) },
+          { name: trades, symbols }
         ]
       }
-    };
+    }));
+    console.log(`📡 Subscribed ${symbols.join(', ')} to ${[candlestick, ticker, markPrice, trades].join(', ')}`);
+  }
+
+  /**
+   * Stop streaming symbols; the socket is closed once no symbol is left
+   */
+  unsubscribeMarketData(symbols) {
+    symbols.forEach(symbol => this.wsSymbols.delete(symbol));
+
+    if (this.wsSymbols.size === 0) {
+      this.disconnectWebSocket();
+      return;
+    }
+    if (!this.ws || !this.isWSConnected) return;
+
+    const { candlestick, ticker, markPrice, trades } = deltaConfig.wsChannels;
+    this.ws.send(JSON.stringify({
+      type: 'unsubscribe',
+      payload: {
+        channels: [
+          { name: candlestick, symbols },
+          { name: ticker, symbols },
+          { name: markPrice, symbols: symbols.map(symbol => `MARK:${symbol}`) },
+          { name: trades, symbols }
+        ]
+      }
+    }));
+  }
+
+  /**
+   * Drop messages older than the last one of the same channel and symbol (exchange timestamps in µs)
+   * @returns {boolean} true when the message is in order
+   */
+  checkSequence(channel, symbol, timestamp) {
+    const key = `${channel}:${symbol}`;
+    const last = this.wsSequence.get(key);
 
-    this.ws.send(JSON.stringify(subscribeMessage));
-    console.log(`📡 Subscribed to ticker updates for ${symbol}`);
-    console.log(`📋 Subscription message:`, JSON.stringify(subscribeMessage, null, 2));
+    if (last !== undefined && timestamp < last) {
+      this.wsStats.outOfOrder++;
+      return false;
+    }
+
+    this.wsSequence.set(key, timestamp);
+    return true;
   }
 
+  /**
+   * Normalize market-data messages and emit them:
+   *   candleUpdate - the forming 1m candle {symbol, timestamp (candle start), open, high, low, close, volume}
+   *   trade        - {symbol, price, size, timestamp}
+   *   priceUpdate  - ticker {symbol, open, high, low, close, volume, mark_price, timestamp}
+   *   markPrice    - {symbol, price, timestamp}
+   */
   handleWebSocketMessage(message) {
-    console.log(`🔍 Processing WebSocket message type: ${message.type}`);
-    
+    const { candlestick, ticker, markPrice, trades } = deltaConfig.wsChannels;
+    const time = value => new Date(Math.floor(Number(value) / 1000));  // µs -> Date
+
+    this.wsStats.lastMessageAt = Date.now();
+    this.wsStats.messages++;
+
+    const isData = [candlestick, ticker, 'ticker', markPrice, trades].includes(message.type);
+    if (isData) {
+      if (message.timestamp && !this.checkSequence(message.type, message.symbol, Number(message.timestamp))) return;
+      this.wsStats.lastDataAt = Date.now();
+    }
+
     switch (message.type) {
       case 'auth':
         if (message.success) {
@@ -251,51 +453,90 @@ class DeltaAPIService extends EventEmitter {
           console.error('❌ WebSocket authentication failed:', message);
         }
         break;
-        
+
       case 'subscriptions':
-        console.log('✅ Subscription confirmed:', message);
+        console.log(`✅ Subscriptions confirmed: ${(message.channels || []).map(channel => channel.name).join(', ')}`);
+        break;
+
+      case candlestick:
+        this.emit('candleUpdate', {
+          symbol: message.symbol,
+          timestamp: time(message.candle_start_time),
+          open: parseFloat(message.open),
+          high: parseFloat(message.high),
+          low: parseFloat(message.low),
+          close: parseFloat(message.close),
+          volume: parseFloat(message.volume || 0)
+        });
         break;
-        
+
+      case trades:
+        this.emit('trade', {
+          symbol: message.symbol,
+          price: parseFloat(message.price),
+          size: parseFloat(message.size || 0),
+          timestamp: time(message.timestamp)
+        });
+        break;
+
+      case ticker:
       case 'ticker':
-        if (message.symbol) {
-          console.log(`💹 Received ticker update for ${message.symbol}`);
-          const tickerData = {
-            symbol: message.symbol,
-            close: parseFloat(message.close),
-            high: parseFloat(message.high || message.close),
-            low: parseFloat(message.low || message.close),
-            open: parseFloat(message.open || message.close),
-            volume: parseFloat(message.volume || 0),
-            timestamp: Date.now(),
-            mark_price: parseFloat(message.mark_price || message.close)
-          };
-          
-          console.log(`🚀 WEBSOCKET REAL-TIME UPDATE:`, tickerData);
-          // Emit real-time price update
-          this.emit('priceUpdate', tickerData);
-        }
+        this.emit('priceUpdate', {
+          symbol: message.symbol,
+          close: parseFloat(message.close),
+          high: parseFloat(message.high || message.close),
+          low: parseFloat(message.low || message.close),
+          open: parseFloat(message.open || message.close),
+          volume: parseFloat(message.volume || 0),
+          mark_price: parseFloat(message.mark_price || message.close),
+          timestamp: message.timestamp ? time(message.timestamp) : new Date()
+        });
+        break;
+
+      case markPrice:
+        this.emit('markPrice', {
+          symbol: String(message.symbol).replace(/^MARK:/, ''),
+          price: parseFloat(message.price),
+          timestamp: time(message.timestamp)
+        });
         break;
-        
+
       case 'pong':
-        console.log('💓 Heartbeat pong received');
+      case 'heartbeat':
         break;
-        
+
       case 'error':
         console.error('❌ WebSocket error message:', message);
         break;
-        
+
       default:
-        console.log(`🤷 Unknown message type: ${message.type}`, message);
+        console.log(`🤷 Unknown message type: ${message.type}`);
         break;
     }
   }
 
+  /**
+   * Ping the socket and watch for stale market data - a socket that is open but has delivered no
+   * market data for staleAfterMs is terminated, which reconnects it
+   */
   startHeartbeat() {
+    this.stopHeartbeat();
+
     this.heartbeatInterval = setInterval(() => {
       if (this.ws && this.isWSConnected) {
         this.ws.send(JSON.stringify({ type: 'ping' }));
       }
-    }, 30000); // Ping every 30 seconds
+    }, this.wsConfig.heartbeatMs);
+
+    this.staleCheckInterval = setInterval(() => {
+      const silentFor = Date.now() - this.wsStats.lastDataAt;
+      if (this.ws && this.isWSConnected && silentFor > this.wsConfig.staleAfterMs) {
+        console.warn(`🥶 No market data on the WebSocket for ${Math.round(silentFor / 1000)}s - reconnecting`);
+        this.wsStats.staleDisconnects++;
+        this.emit('wsStale', { silentFor });
+        this.ws.terminate();
+      }
+    }, Math.min(this.wsConfig.staleAfterMs / 3, 5000));
   }
 
   stopHeartbeat() {
@@ -303,33 +544,63 @@ class DeltaAPIService extends EventEmitter {
       clearInterval(this.heartbeatInterval);
       this.heartbeatInterval = null;
     }
+    if (this.staleCheckInterval) {
+      clearInterval(this.staleCheckInterval);
+      this.staleCheckInterval = null;
+    }
   }
 
+  /**
+   * Reconnect with exponential backoff and jitter (attempts reset once a connection opens)
+   */
   scheduleReconnect() {
-    if (this.reconnectInterval) return;
-    
+    if (this.reconnectInterval || this.wsSymbols.size === 0) return;
+
+    const delay = DeltaAPIService.reconnectDelay(this.reconnectAttempts, this.wsConfig) * (0.8 + Math.random() * 0.4);
+    this.reconnectAttempts++;
+    console.log(`🔄 Reconnecting WebSocket in ${(delay / 1000).toFixed(1)}s (attempt ${this.reconnectAttempts})`);
+
     this.reconnectInterval = setTimeout(() => {
-      console.log('🔄 Attempting WebSocket reconnection...');
       this.reconnectInterval = null;
-      this.connectWebSocket();
-    }, 5000); // Reconnect after 5 seconds
+      this.connectWebSocket([...this.wsSymbols]);
+    }, delay);
   }
 
+  /**
+   * Close the socket for good (no reconnect) and forget the subscriptions
+   */
   disconnectWebSocket() {
+    this.wsClosing = true;
+    this.wsSymbols.clear();
     this.stopHeartbeat();
-    
+
     if (this.reconnectInterval) {
       clearTimeout(this.reconnectInterval);
       this.reconnectInterval = null;
     }
 
     if (this.ws) {
-      this.ws.close();
+      const ws = this.ws;
       this.ws = null;
+      this.isWSConnected = false;
+      ws.close();
+      this.emit('wsDisconnected', { code: 1000, reason: 'closed by client' });
     }
-    
+
     this.isWSConnected = false;
   }
+
+  /**
+   * Socket state for status endpoints
+   */
+  getWebSocketStatus() {
+    return {
+      connected: this.isWSConnected,
+      symbols: [...this.wsSymbols],
+      reconnectAttempts: this.reconnectAttempts,
+      ...this.wsStats
+    };
+  }
 }
 
-export default DeltaAPIService;
\ No newline at end of file
+export default DeltaAPIService;
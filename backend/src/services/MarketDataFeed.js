@@ -0,0 +1,171 @@
+/**
+ * Market Data Feed - Turns one symbol's WebSocket stream into closed candles of the strategy timeframe
+ * A 1m candle is closed `closeGraceMs` after its minute ends, from the exchange's candlestick_1m updates or,
+ * when those are missing, from the candle built locally out of all_trades. Higher timeframes are resampled
+ * from the 1m candles (see Resampler).
+ *
+ * mode is 'websocket' while market data arrives and 'rest' while the socket is down, stale or not yet
+ * delivering - TradingService polls REST in that mode. Events: candle, minuteCandle, tick (last traded price
+ * from the ticker), markPrice, modeChanged
+ */
+
+import { EventEmitter } from 'events';
+import Resampler from '../strategies/Resampler.js';
+import deltaConfig from '../config/deltaConfig.js';
+
+const MINUTE_MS = 60000;
+
+class MarketDataFeed extends EventEmitter {
+  /**
+   * @param {DeltaAPIService} deltaAPI - Owns the socket
+   * @param {Object} options - {symbol, timeframe} plus deltaConfig.websocket overrides (staleAfterMs, closeGraceMs)
+   */
+  constructor(deltaAPI, options = {}) {
+    super();
+    this.deltaAPI = deltaAPI;
+    this.config = {
+      symbol: 'BTCUSD',
+      timeframe: '1m',
+      ...deltaConfig.websocket,
+      ...options
+    };
+    this.resampler = this.config.timeframe === '1m' ? null : new Resampler(this.config.timeframe);
+
+    this.mode = 'rest';
+    this.minutes = new Map();        // minute start (ms) -> {exchange, trades} candles being formed
+    this.partialTradeMinute = null;  // Minute the trade stream joined mid-way - its trade candle is incomplete
+    this.lastClosedMinute = null;    // Start (ms) of the last 1m candle closed
+    this.lastDataAt = null;
+    this.closeTimer = null;
+
+    this.listeners = {
+      candleUpdate: candle => this.onCandleUpdate(candle),
+      trade: trade => this.onTrade(trade),
+      priceUpdate: ticker => ticker.symbol === this.config.symbol && ticker.close > 0 &&
+        this.emit('tick', { symbol: ticker.symbol, price: ticker.close, timestamp: ticker.timestamp }),
+      markPrice: mark => mark.symbol === this.config.symbol && this.emit('markPrice', mark),
+      wsConnected: () => { this.partialTradeMinute = null; },
+      wsDisconnected: () => this.setMode('rest', 'socket disconnected'),
+      wsStale: () => this.setMode('rest', 'socket stale')
+    };
+  }
+
+  start() {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.deltaAPI.on(event, listener);
+    }
+    this.deltaAPI.connectWebSocket([this.config.symbol]);
+    this.closeTimer = setInterval(() => this.closeMinutes(), 1000);
+  }
+
+  stop() {
+    clearInterval(this.closeTimer);
+    this.closeTimer = null;
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.deltaAPI.off(event, listener);
+    }
+    this.deltaAPI.unsubscribeMarketData([this.config.symbol]);
+    this.minutes.clear();
+    this.setMode('rest', 'stopped');
+  }
+
+  minute(time) {
+    const start = Math.floor(new Date(time).getTime() / MINUTE_MS) * MINUTE_MS;
+    if (!this.minutes.has(start)) {
+      this.minutes.set(start, { exchange: null, trades: null });
+    }
+    return this.minutes.get(start);
+  }
+
+  onCandleUpdate(candle) {
+    if (candle.symbol !== this.config.symbol) return;
+
+    const { symbol, ...ohlcv } = candle;
+    this.minute(candle.timestamp).exchange = ohlcv;
+    this.receivedData();
+  }
+
+  /**
+   * Extend the locally built 1m candle with a trade
+   */
+  onTrade({ symbol, price, size, timestamp }) {
+    if (symbol !== this.config.symbol || !(price > 0)) return;
+
+    const start = Math.floor(timestamp.getTime() / MINUTE_MS) * MINUTE_MS;
+    if (this.partialTradeMinute === null) {
+      this.partialTradeMinute = start;
+    }
+
+    const entry = this.minute(start);
+    if (!entry.trades) {
+      entry.trades = { timestamp: new Date(start), open: price, high: price, low: price, close: price, volume: size };
+    } else {
+      entry.trades.high = Math.max(entry.trades.high, price);
+      entry.trades.low = Math.min(entry.trades.low, price);
+      entry.trades.close = price;
+      entry.trades.volume += size;
+    }
+    this.receivedData();
+  }
+
+  receivedData() {
+    this.lastDataAt = Date.now();
+    this.setMode('websocket', 'market data flowing');
+  }
+
+  /**
+   * Close the minutes that ended more than closeGraceMs ago, and fall back to REST when the data went quiet
+   * @param {number} now - Epoch ms (tests pass their own clock)
+   */
+  closeMinutes(now = Date.now()) {
+    if (this.mode === 'websocket' && now - this.lastDataAt > this.config.staleAfterMs) {
+      this.setMode('rest', `no market data for ${Math.round((now - this.lastDataAt) / 1000)}s`);
+    }
+
+    const due = [...this.minutes.keys()]
+      .filter(start => start + MINUTE_MS + this.config.closeGraceMs <= now)
+      .sort((a, b) => a - b);
+
+    for (const start of due) {
+      const { exchange, trades } = this.minutes.get(start);
+      this.minutes.delete(start);
+
+      const candle = exchange || (start !== this.partialTradeMinute ? trades : null);
+      if (candle && (this.lastClosedMinute === null || start > this.lastClosedMinute)) {
+        this.closeMinute({ ...candle, timestamp: new Date(start) });
+      }
+    }
+  }
+
+  closeMinute(candle) {
+    this.lastClosedMinute = candle.timestamp.getTime();
+    this.emit('minuteCandle', candle);
+
+    const bars = this.resampler ? this.resampler.addCandle(candle) : [candle];
+    for (const bar of bars) {
+      this.emit('candle', { ...bar });
+    }
+  }
+
+  setMode(mode, reason) {
+    if (this.mode === mode) return;
+
+    this.mode = mode;
+    console.log(mode === 'websocket'
+      ? `⚡ ${this.config.symbol} market data: WebSocket (${reason})`
+      : `📡 ${this.config.symbol} market data: REST polling (${reason})`);
+    this.emit('modeChanged', { symbol: this.config.symbol, mode, reason });
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      timeframe: this.config.timeframe,
+      lastDataAt: this.lastDataAt ? new Date(this.lastDataAt) : null,
+      lastClosedMinute: this.lastClosedMinute ? new Date(this.lastClosedMinute) : null,
+      socket: this.deltaAPI.getWebSocketStatus()
+    };
+  }
+}
+
+export default MarketDataFeed;
@@ -0,0 +1,99 @@
+/**
+ * Strategy State Store - File-based snapshots of strategy state for crash recovery
+ * Works without MongoDB; each snapshot is one JSON file written atomically (temp file + rename)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_STATE_DIR = path.join(__dirname, '../../data/state');
+
+class StrategyStateStore {
+  constructor(stateDir = process.env.STATE_DIR || DEFAULT_STATE_DIR) {
+    this.stateDir = stateDir;
+    this.writes = new Map();  // key -> promise of the latest queued write
+  }
+
+  /**
+   * Snapshot file path for a key (usually the symbol)
+   */
+  getPath(key) {
+    const safeKey = String(key).replace(/[^A-Za-z0-9_-]/g, '_');
+    return path.join(this.stateDir, `${safeKey}.json`);
+  }
+
+  /**
+   * Save a snapshot - writes for the same key run one at a time so the last save always wins
+   */
+  save(key, snapshot) {
+    const previous = this.writes.get(key) || Promise.resolve();
+    const write = previous.catch(() => {}).then(() => this.write(key, snapshot));
+
+    this.writes.set(key, write);
+    write.finally(() => {
+      if (this.writes.get(key) === write) this.writes.delete(key);
+    }).catch(() => {});
+
+    return write;
+  }
+
+  /**
+   * Write a snapshot atomically so a crash mid-write never leaves a truncated file
+   */
+  async write(key, snapshot) {
+    const filePath = this.getPath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(this.stateDir, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(snapshot));
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Load a snapshot, or null when none exists
+   */
+  async load(key) {
+    try {
+      const text = await fs.readFile(this.getPath(key), 'utf8');
+      return JSON.parse(text);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Load every stored snapshot
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.stateDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshots = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        snapshots.push(JSON.parse(await fs.readFile(path.join(this.stateDir, file), 'utf8')));
+      } catch (error) {
+        console.error(`⚠️ Skipping unreadable state snapshot ${file}:`, error.message);
+      }
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Delete a snapshot
+   */
+  async remove(key) {
+    await fs.rm(this.getPath(key), { force: true });
+  }
+}
+
+export default StrategyStateStore;
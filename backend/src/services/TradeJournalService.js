@@ -0,0 +1,165 @@
+/**
+ * Trade Journal Service - Writes simulated trades, signals and positions through to MongoDB
+ * Every method is a no-op while mongoose is not connected, so trading keeps working without a database
+ */
+
+import mongoose from 'mongoose';
+import Trade from '../models/Trade.js';
+import Position from '../models/Position.js';
+import { Signal } from '../models/MarketData.js';
+
+// Position side being closed -> Signal.signalType enum
+const EXIT_SIGNAL_TYPES = {
+  long: 'sell_exit',
+  short: 'buy_exit'
+};
+
+class TradeJournalService {
+  /**
+   * Whether the journal can write (mongoose connection is open)
+   */
+  isEnabled() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Persist a trade record produced by the strategy
+   * Upserts on symbol + trade id: ids are only unique per strategy instance, and instances run one symbol each
+   */
+  async recordTrade(trade) {
+    if (!this.isEnabled()) return null;
+
+    try {
+      const { id, signalData, ...fields } = trade;
+      return await Trade.findOneAndUpdate(
+        { symbol: trade.symbol, tradeId: id },
+        {
+          ...fields,
+          tradeId: id,
+          signalData: {
+            ...signalData,
+            renkoBrick: signalData?.renkoBrick ? {
+              direction: signalData.renkoBrick.direction,
+              close: signalData.renkoBrick.close,
+              open: signalData.renkoBrick.open
+            } : undefined
+          },
+          executionTime: new Date()
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      console.error('❌ Failed to journal trade:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a signal from the strategy's signal history
+   * @param {string} symbol - Instrument symbol
+   * @param {Object} signal - {signalType, price, timestamp, indicators, rule}
+   * @param {Object} context - {side: position side for exits, strategy}
+   */
+  async recordSignal(symbol, signal, context = {}) {
+    if (!this.isEnabled()) return null;
+
+    try {
+      // Entries are already buy_entry/sell_entry; exits (long_exit, short_exit, ...) map by position side
+      const signalType = signal.signalType.endsWith('_entry')
+        ? signal.signalType
+        : EXIT_SIGNAL_TYPES[context.side];
+
+      return await Signal.create({
+        symbol,
+        timestamp: signal.timestamp,
+        signalType,
+        price: signal.price,
+        indicators: {
+          ema21: signal.indicators?.ema21,
+          supertrend_2_1: signal.indicators?.st21,
+          supertrend_3_1: signal.indicators?.st31,
+          supertrend_4_1: signal.indicators?.st41,
+          atr: signal.indicators?.atr
+        },
+        ...(signal.rule ? { rule: signal.rule } : {}),
+        ...(context.strategy ? { strategy: context.strategy } : {})
+      });
+    } catch (error) {
+      console.error('❌ Failed to journal signal:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Upsert the current position for a symbol
+   * @param {string} symbol - Instrument symbol
+   * @param {Object} position - Strategy position {isActive, type, entryPrice, quantity, entryTime}
+   * @param {Object} extra - {currentPrice, realizedPnL: PnL to add to the running total, strategy}
+   */
+  async savePosition(symbol, position, extra = {}) {
+    if (!this.isEnabled()) return null;
+
+    try {
+      const update = {
+        $set: {
+          side: position.isActive ? position.type : 'none',
+          entryPrice: position.isActive ? position.entryPrice : 0,
+          quantity: position.isActive ? position.quantity : 0,
+          entryTime: position.isActive ? position.entryTime : null,
+          isActive: position.isActive,
+          currentPrice: extra.currentPrice ?? position.entryPrice,
+          unrealizedPnL: position.unrealizedPnL || 0,
+          lastUpdate: new Date(),
+          ...(extra.strategy ? { strategy: extra.strategy } : {})
+        }
+      };
+
+      if (extra.realizedPnL) {
+        update.$inc = { realizedPnL: extra.realizedPnL };
+      }
+
+      return await Position.findOneAndUpdate({ symbol }, update, { upsert: true, new: true });
+    } catch (error) {
+      console.error('❌ Failed to journal position:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Paginated trade history from the journal
+   */
+  async getTrades({ symbol, page = 1, limit = 50 } = {}) {
+    if (!this.isEnabled()) {
+      return { trades: [], total: 0, page, limit };
+    }
+
+    const filter = symbol ? { symbol } : {};
+    const [trades, total] = await Promise.all([
+      Trade.find(filter).sort({ timestamp: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Trade.countDocuments(filter)
+    ]);
+
+    return { trades, total, page, limit };
+  }
+
+  /**
+   * Every journaled trade matching the filter, oldest first (for exports)
+   * @param {Object} filter - {symbol, strategy, start, end}
+   */
+  async findTrades({ symbol, strategy, start, end } = {}) {
+    if (!this.isEnabled()) return [];
+
+    const filter = {};
+    if (symbol) filter.symbol = symbol;
+    if (strategy) filter.strategy = strategy;
+    if (start || end) {
+      filter.timestamp = {};
+      if (start) filter.timestamp.$gte = new Date(start);
+      if (end) filter.timestamp.$lte = new Date(end);
+    }
+
+    return Trade.find(filter).sort({ timestamp: 1 }).lean();
+  }
+}
+
+export default TradeJournalService;
@@ -0,0 +1,249 @@
+/**
+ * Trading Instance Manager - Runs one TradingService (and strategy) per instrument
+ * Instances share the state store and the account-level RiskManager; their events are re-emitted
+ * with the instance id attached so one socket.io broadcaster can serve every instance
+ */
+
+import { EventEmitter } from 'events';
+import TradingService from './TradingService.js';
+import StrategyStateStore from './StrategyStateStore.js';
+import RiskManager from '../risk/RiskManager.js';
+import deltaConfig from '../config/deltaConfig.js';
+
+export const DEFAULT_INSTANCE_ID = 'default';
+
+const INSTANCE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const FORWARDED_EVENTS = [
+  'initialized',
+  'started',
+  'stopped',
+  'positionEntered',
+  'positionExited',
+  'dataProcessed',
+  'latestData',
+  'pnlUpdated',
+  'entryBlocked',
+  'orderExecuted',
+  'orderFailed',
+  'entryRolledBack',
+  'stateRestored',
+  'riskHalt',
+  'candleQuarantined',
+  'marketFeedMode'
+];
+
+class TradingInstanceManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.stateStore = options.stateStore || new StrategyStateStore();
+    this.riskManager = options.riskManager || new RiskManager(deltaConfig.riskLimits);
+    this.riskManager.setMaxListeners(0);  // one halt listener per instance
+    this.instances = new Map();            // instance id -> TradingService
+    this.startingSymbols = new Map();      // symbol -> id of the instance still initializing it
+  }
+
+  /**
+   * Create an idle instance (initialize/start it with startInstance)
+   */
+  createInstance(id) {
+    if (!INSTANCE_ID_PATTERN.test(id || '')) {
+      throw new Error(`Invalid instance id "${id}" - use letters, digits, "_" or "-"`);
+    }
+    if (this.instances.has(id)) {
+      throw new Error(`Instance "${id}" already exists`);
+    }
+
+    const service = new TradingService({
+      id,
+      stateStore: this.stateStore,
+      riskManager: this.riskManager
+    });
+
+    for (const eventName of FORWARDED_EVENTS) {
+      service.on(eventName, (data) => {
+        this.emit(eventName, data && typeof data === 'object' && !Array.isArray(data)
+          ? { instanceId: id, ...data }
+          : { instanceId: id, data });
+      });
+    }
+    service.on('error', (error) => {
+      this.emit('instanceError', { instanceId: id, error: error.message });
+    });
+
+    this.instances.set(id, service);
+    console.log(`🧩 Trading instance "${id}" created`);
+    return service;
+  }
+
+  getInstance(id) {
+    return this.instances.get(id) || null;
+  }
+
+  getOrCreateInstance(id) {
+    return this.getInstance(id) || this.createInstance(id);
+  }
+
+  /**
+   * Instance already trading a symbol (Delta nets positions per product, so each symbol has one owner)
+   */
+  findBySymbol(symbol, excludeId = null) {
+    const startingId = this.startingSymbols.get(symbol);
+    if (startingId && startingId !== excludeId) {
+      return this.getInstance(startingId);
+    }
+
+    for (const service of this.instances.values()) {
+      if (service.id !== excludeId && service.strategy && service.currentSymbol === symbol) {
+        return service;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Initialize an instance with its own strategy config and start trading
+   */
+  async startInstance(id, config = {}) {
+    const service = this.getOrCreateInstance(id);
+    if (service.isRunning) {
+      throw new Error(`Instance "${id}" is already running - stop it first`);
+    }
+
+    const symbol = config.symbol || deltaConfig.defaultSymbol;
+
+    const owner = this.findBySymbol(symbol, id);
+    if (owner) {
+      throw new Error(`${symbol} is already traded by instance "${owner.id}"`);
+    }
+    if ([...this.startingSymbols.values()].includes(id)) {
+      throw new Error(`Instance "${id}" is already starting`);
+    }
+
+    // Reserved before the first await, so a concurrent start for the same symbol sees the owner
+    this.startingSymbols.set(symbol, id);
+    try {
+      await service.initialize(config);
+      await service.start();
+      return service;
+    } finally {
+      this.startingSymbols.delete(symbol);
+    }
+  }
+
+  /**
+   * Create and start a new instance - nothing is kept when it fails to start
+   */
+  async addInstance(id, config = {}) {
+    this.createInstance(id);
+
+    try {
+      const service = await this.startInstance(id, config);
+      this.emit('instanceAdded', service.getStatus());
+      return service;
+    } catch (error) {
+      this.removeInstance(id);
+      throw error;
+    }
+  }
+
+  stopInstance(id) {
+    const service = this.getInstance(id);
+    if (!service) {
+      throw new Error(`Instance "${id}" not found`);
+    }
+
+    service.stop();
+    return service;
+  }
+
+  /**
+   * Stop an instance and forget it (its last snapshot stays on disk with isRunning=false)
+   */
+  removeInstance(id) {
+    if (id === DEFAULT_INSTANCE_ID) {
+      throw new Error('The default instance cannot be removed - stop it instead');
+    }
+
+    const service = this.getInstance(id);
+    if (!service) return false;
+
+    service.dispose();
+    service.removeAllListeners();
+    this.instances.delete(id);
+
+    console.log(`🗑️ Trading instance "${id}" removed`);
+    this.emit('instanceRemoved', { instanceId: id });
+    return true;
+  }
+
+  /**
+   * One summary row per instance
+   */
+  listInstances() {
+    return [...this.instances.values()].map(service => {
+      const stats = service.strategy?.getTradeStatistics();
+      return {
+        id: service.id,
+        symbol: service.currentSymbol,
+        strategy: service.strategy?.getStrategyName() ?? null,
+        isRunning: service.isRunning,
+        executionMode: service.executionMode,
+        position: service.strategy?.position.isActive ? { ...service.strategy.position } : null,
+        totalTrades: stats?.totalTrades ?? 0,
+        totalPnL: stats?.totalPnL ?? 0
+      };
+    });
+  }
+
+  getRiskStatus() {
+    return this.riskManager.getStatus();
+  }
+
+  /**
+   * Clear a tripped kill switch (operator action) - instances stay stopped until started again
+   */
+  async resetRisk() {
+    const status = this.riskManager.reset();
+    await Promise.all([...this.instances.values()].map(service => service.saveState()));
+
+    console.log('✅ Risk halt reset by operator');
+    this.emit('riskReset', status);
+    return status;
+  }
+
+  /**
+   * Resume every instance whose last snapshot was saved while running (after a crash or restart)
+   * @returns {Array} Ids of the resumed instances
+   */
+  async resumeFromSnapshots() {
+    const snapshots = await this.stateStore.list();
+    const resumed = [];
+
+    for (const snapshot of snapshots) {
+      if (!snapshot.isRunning) continue;
+
+      const id = snapshot.instanceId || DEFAULT_INSTANCE_ID;
+      if (snapshot.risk?.halted) {
+        console.log(`🚨 Not resuming ${snapshot.symbol} (${id}): trading halted (${snapshot.risk.haltReason})`);
+        continue;
+      }
+      if (this.getInstance(id)?.isRunning) continue;
+
+      try {
+        console.log(`♻️ Resuming ${snapshot.symbol} (${id}) from snapshot saved at ${snapshot.savedAt}`);
+        await this.startInstance(id, {
+          ...snapshot.config,
+          strategy: snapshot.strategy,
+          executionMode: snapshot.executionMode
+        });
+        resumed.push(id);
+      } catch (error) {
+        console.error(`❌ Failed to resume instance "${id}":`, error.message);
+      }
+    }
+
+    return resumed;
+  }
+}
+
+export default TradingInstanceManager;
@@ -2,18 +2,52 @@
  * Trading Service - Manages the trading strategy and data flow
  */
 
-import RenkoEMAStrategy from '../strategies/RenkoEMAStrategy.js';
+import StrategyRegistry, { DEFAULT_STRATEGY } from '../strategies/StrategyRegistry.js';
 import DeltaAPIService from './DeltaAPIService.js';
+import TradeJournalService from './TradeJournalService.js';
+import StrategyStateStore from './StrategyStateStore.js';
+import CandleStoreService from './CandleStoreService.js';
+import CandleValidator from './CandleValidator.js';
+import MarketDataFeed from './MarketDataFeed.js';
+import PaperExecutionAdapter from '../execution/PaperExecutionAdapter.js';
+import DeltaExecutionAdapter from '../execution/DeltaExecutionAdapter.js';
+import RiskManager from '../risk/RiskManager.js';
+import Resampler from '../strategies/Resampler.js';
 import { EventEmitter } from 'events';
 import deltaConfig from '../config/deltaConfig.js';
 
+const STATE_SAVE_INTERVAL_MS = 15000;
+const MARK_PNL_INTERVAL_MS = 5000;  // Unrealized PnL refresh from mark price updates
+const EXECUTION_MODES = ['paper', 'live'];
+
 class TradingService extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} options - {id, stateStore, riskManager} - TradingInstanceManager shares the store and
+   *   the account-level risk manager between instances
+   */
+  constructor(options = {}) {
     super();
+    this.id = options.id || 'default';
     this.deltaAPI = new DeltaAPIService();
+    this.journal = new TradeJournalService();
+    this.candleStore = new CandleStoreService(this.deltaAPI);
+    this.candleValidator = new CandleValidator(deltaConfig.dataQuality);
+    this.stateStore = options.stateStore || new StrategyStateStore();
+    this.recovery = null;
+    this.lastStateSave = 0;
+    this.riskManager = options.riskManager || new RiskManager(deltaConfig.riskLimits);
+    this.onRiskHalt = (event) => this.handleRiskHalt(event);
+    this.riskManager.on('halt', this.onRiskHalt);
+    this.executionMode = 'paper';
+    this.equityAsset = 'USD';
+    this.executor = new PaperExecutionAdapter();
     this.strategy = null;
     this.isRunning = false;
-    this.dataInterval = null;
+    this.dataInterval = null;    // REST polling timer, only while the market feed is not delivering
+    this.marketFeed = null;
+    this.latestFetch = null;     // REST poll in flight
+    this.candleQueue = Promise.resolve();  // Closed candles waiting for the strategy
+    this.lastMarkPrice = null;
     this.currentSymbol = 'BTCUSD';
   }
 
@@ -23,18 +57,60 @@ class TradingService extends EventEmitter {
   async initialize(config = {}) {
     try {
       console.log('Initializing Trading Service...');
-      
-      // Create strategy instance with config from deltaConfig
-      this.strategy = new RenkoEMAStrategy({
+
+      this.setExecutionMode(config.executionMode || process.env.EXECUTION_MODE || 'paper', config.execution);
+
+      // Service-level options are not part of the strategy config
+      const {
+        strategy: strategyName = DEFAULT_STRATEGY,
+        executionMode,
+        execution,
+        riskLimits,
+        dataQuality,
+        equityAsset,
+        restoreState,
+        ...strategyConfig
+      } = config;
+
+      // Create the selected strategy (see StrategyRegistry) with config from deltaConfig
+      this.strategy = await StrategyRegistry.create(strategyName, {
+        ...strategyConfig,
         symbol: config.symbol || deltaConfig.defaultSymbol,
-        brickSize: config.brickSize || deltaConfig.strategy.brickSize,
         emaLength: config.emaLength || deltaConfig.strategy.emaLength,
         atrPeriod: config.atrPeriod || deltaConfig.strategy.atrPeriod,
         supertrendAtrPeriod: config.supertrendAtrPeriod || deltaConfig.strategy.supertrendAtrPeriod,
         supertrendMultipliers: config.supertrendMultipliers || deltaConfig.strategy.supertrendMultipliers,
-        useDynamicBrickSize: config.useDynamicBrickSize !== false,
-        defaultQuantity: config.defaultQuantity || deltaConfig.defaultQuantity
+        defaultQuantity: config.defaultQuantity || deltaConfig.defaultQuantity,
+        fillModel: config.fillModel,
+        protectiveExits: config.protectiveExits,
+        positionSizing: config.positionSizing,
+        // Left out when not given so the strategy's default paper capital applies
+        ...(config.initialCapital !== undefined && { initialCapital: config.initialCapital })
       });
+      this.currentSymbol = this.strategy.config.symbol;
+
+      // Bad candles from the exchange are quarantined instead of reaching the strategy
+      this.candleValidator = new CandleValidator({
+        ...deltaConfig.dataQuality,
+        ...dataQuality,
+        timeframe: this.strategy.config.timeframe
+      });
+
+      // Round sizes to the exchange's contract size / lot step and size live orders off the real balance
+      await this.loadProductSpecs();
+      this.equityAsset = equityAsset || 'USD';
+      if (this.executionMode === 'live') {
+        await this.refreshAccountEquity();
+      }
+
+      // Persist trades, signals and positions when MongoDB is connected
+      this.strategy.setJournal(this.journal);
+
+      // Account-level guardrails: request limits override the environment defaults (and apply to every instance)
+      if (riskLimits) {
+        this.riskManager.configure(riskLimits);
+      }
+      this.strategy.setRiskManager(this.riskManager);
 
       // Set up strategy event listeners
       this.setupStrategyListeners();
@@ -44,6 +120,12 @@ class TradingService extends EventEmitter {
       
       // Initialize strategy with historical data
       await this.strategy.initialize(marketData);
+
+      // Pick up an open position and Renko state left behind by a crash or restart
+      this.recovery = null;
+      if (restoreState !== false) {
+        await this.restoreState();
+      }
       
       console.log('Trading Service initialized successfully');
       this.emit('initialized');
@@ -60,18 +142,47 @@ class TradingService extends EventEmitter {
   setupStrategyListeners() {
     this.strategy.on('positionEntered', (data) => {
       console.log(`Position entered: ${data.side} at ${data.price}`);
+      this.saveState();
+      this.executeOrder({
+        side: data.side === 'long' ? 'buy' : 'sell',
+        quantity: data.quantity,
+        price: data.price,
+        reduceOnly: false,
+        clientOrderId: data.trade.id
+      });
       this.emit('positionEntered', data);
     });
 
     this.strategy.on('positionExited', (data) => {
       console.log(`Position exited: PnL ${data.pnl}`);
+      this.saveState();
+      this.executeOrder({
+        side: data.trade.side,
+        quantity: data.quantity,
+        price: data.exitPrice,
+        reduceOnly: true,
+        clientOrderId: data.trade.id
+      }).then((order) => {
+        if (order && this.executionMode === 'live') this.refreshAccountEquity();
+      });
       this.emit('positionExited', data);
     });
 
     this.strategy.on('dataProcessed', (data) => {
+      if (data.newBricks > 0 && Date.now() - this.lastStateSave >= STATE_SAVE_INTERVAL_MS) {
+        this.saveState();
+      }
       this.emit('dataProcessed', data);
     });
 
+    this.strategy.on('entryRolledBack', (data) => {
+      this.emit('entryRolledBack', data);
+    });
+
+    this.strategy.on('entryBlocked', (data) => {
+      this.emit('entryBlocked', data);
+    });
+
     this.strategy.on('pnlUpdated', (data) => {
       this.emit('pnlUpdated', data);
     });
@@ -83,34 +194,260 @@ class TradingService extends EventEmitter {
   }
 
   /**
-   * Fetch initial historical data
+   * Switch between paper fills and live Delta Exchange orders
+   * @param {string} mode - paper | live
+   * @param {Object} executionConfig - Adapter options (e.g. {orderType: 'limit_order'})
+   */
+  setExecutionMode(mode, executionConfig = {}) {
+    if (!EXECUTION_MODES.includes(mode)) {
+      throw new Error(`Unknown execution mode "${mode}". Use one of: ${EXECUTION_MODES.join(', ')}`);
+    }
+
+    if (this.isRunning && mode !== this.executionMode) {
+      throw new Error('Stop trading before changing the execution mode');
+    }
+
+    this.executionMode = mode;
+    this.executor = mode === 'live'
+      ? new DeltaExecutionAdapter(this.deltaAPI, executionConfig)
+      : new PaperExecutionAdapter();
+
+    console.log(mode === 'live'
+      ? '🔴 Execution mode: LIVE - strategy signals will place real Delta Exchange orders'
+      : '📝 Execution mode: PAPER - orders are simulated');
+  }
+
+  /**
+   * Send a strategy order through the active execution adapter
+   */
+  async executeOrder(request) {
+    const orderRequest = { symbol: this.strategy.config.symbol, ...request };
+
+    try {
+      const order = await this.executor.submitOrder(orderRequest);
+      console.log(`🧾 ${order.mode.toUpperCase()} order ${order.id}: ${order.side} ${order.quantity} ${order.symbol} - ${order.status}${order.averagePrice ? ` @ ${order.averagePrice}` : ''}`);
+      this.emit('orderExecuted', order);
+      return order;
+    } catch (error) {
+      console.error(`❌ ${this.executionMode.toUpperCase()} order failed:`, error.message);
+      this.emit('orderFailed', { ...orderRequest, mode: this.executionMode, error: error.message });
+      this.reconcileFailedOrder(orderRequest);
+      return null;
+    }
+  }
+
+  /**
+   * Bring the strategy back in line with the exchange after a rejected live order (queued behind candle processing)
+   * An entry the exchange never filled is rolled back; any other mismatch trips the kill switch for an operator
+   */
+  reconcileFailedOrder(request) {
+    if (this.executionMode !== 'live') return this.candleQueue;
+
+    this.candleQueue = this.candleQueue
+      .then(async () => {
+        let exchangeQuantity = null;
+        try {
+          exchangeQuantity = await this.executor.getPositionQuantity(request.symbol);
+        } catch (error) {
+          console.error('❌ Failed to read the exchange position:', error.message);
+        }
+
+        const { position } = this.strategy;
+        const isFlat = exchangeQuantity !== null && Math.abs(exchangeQuantity) < 1e-9;
+
+        if (!request.reduceOnly && isFlat && await this.strategy.rollbackEntry(request.clientOrderId, 'entry order rejected')) {
+          this.saveState();
+          return;
+        }
+        if (isFlat && !position.isActive) return;
+
+        this.riskManager.halt('order_rejected', `${request.side} ${request.quantity} ${request.symbol} was rejected - exchange position ${exchangeQuantity ?? 'unknown'}, strategy ${position.isActive ? `${position.type} ${position.quantity}` : 'flat'}`);
+      })
+      .catch(error => console.error('❌ Error reconciling failed order:', error));
+    return this.candleQueue;
+  }
+
+  /**
+   * Pass the traded product's contract specs (from getProducts) to the position sizer
+   */
+  async loadProductSpecs() {
+    const symbol = this.strategy.config.symbol;
+
+    try {
+      const response = await this.deltaAPI.getProducts();
+      const product = response?.result?.find(candidate => candidate.symbol === symbol);
+
+      if (!product) {
+        console.warn(`⚠️ Product ${symbol} not found - position sizes will not be rounded to contracts`);
+        return;
+      }
+
+      this.strategy.positionSizer.setProduct(product);
+      console.log(`📦 ${symbol} contract value: ${product.contract_value}`);
+    } catch (error) {
+      console.error('❌ Failed to load product specs:', error.message);
+    }
+  }
+
+  /**
+   * Size live orders off the exchange wallet balance
+   */
+  async refreshAccountEquity() {
+    const asset = this.equityAsset;
+
+    try {
+      const response = await this.deltaAPI.getWalletBalances();
+      const wallet = response?.result?.find(balance => balance.asset_symbol === asset);
+
+      if (wallet) {
+        this.strategy.setAccountEquity(parseFloat(wallet.balance));
+        console.log(`💼 Account equity (${asset}): ${wallet.balance}`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load wallet balance:', error.message);
+    }
+  }
+
+  /**
+   * Kill switch: flatten the position, stop trading and notify listeners
+   */
+  async handleRiskHalt(event) {
+    if (!this.strategy) return;
+
+    console.log(`🚨 Kill switch tripped (${event.reason}) - flattening and stopping`);
+
+    try {
+      await this.strategy?.flatten('risk_halt');
+    } catch (error) {
+      console.error('❌ Failed to flatten position on risk halt:', error.message);
+    }
+
+    if (this.isRunning) {
+      this.stop();
+    } else {
+      this.saveState();
+    }
+
+    this.emit('riskHalt', { symbol: this.strategy.config.symbol, ...event, status: this.riskManager.getStatus() });
+  }
+
+  /**
+   * Persist the strategy snapshot used for crash recovery
+   */
+  async saveState() {
+    if (!this.strategy) return;
+
+    this.lastStateSave = Date.now();
+    try {
+      const snapshot = {
+        ...this.strategy.getSnapshot(),
+        instanceId: this.id,
+        executionMode: this.executionMode,
+        risk: this.riskManager.getState(),
+        lastProcessedCandle: this.lastProcessedCandle || null
+      };
+      await this.stateStore.save(snapshot.symbol, snapshot);
+    } catch (error) {
+      console.error('❌ Failed to save strategy state:', error.message);
+    }
+  }
+
+  /**
+   * Restore the saved snapshot for the current symbol and log how it differs from the rebuilt state
+   */
+  async restoreState() {
+    const symbol = this.strategy.config.symbol;
+    let snapshot;
+
+    try {
+      snapshot = await this.stateStore.load(symbol);
+    } catch (error) {
+      console.error('❌ Failed to read strategy state:', error.message);
+      return null;
+    }
+
+    if (!snapshot) {
+      console.log(`💾 No saved state for ${symbol} - starting fresh`);
+      return null;
+    }
+
+    const reconciliation = this.strategy.restoreSnapshot(snapshot);
+    this.lastProcessedCandle = snapshot.lastProcessedCandle || null;
+
+    // A tripped kill switch stays tripped across restarts
+    if (snapshot.risk) {
+      this.riskManager.restoreState(snapshot.risk, snapshot.savedAt);
+      if (this.riskManager.halted) {
+        reconciliation.push({ field: 'risk', before: null, after: this.riskManager.haltReason, note: 'kill switch still tripped - reset required' });
+      }
+    }
+    const { position } = this.strategy;
+    this.riskManager.setOpenNotional(symbol, position.isActive ? position.entryPrice * position.quantity : 0);
+    this.recovery = {
+      restoredAt: new Date(),
+      savedAt: snapshot.savedAt,
+      position: this.strategy.position.isActive ? { ...this.strategy.position } : null,
+      reconciliation
+    };
+    await this.reconcileRestoredPosition(reconciliation);
+
+    console.log(`\n♻️ ===== STATE RESTORED (${symbol}) =====`);
+    console.log(`💾 Snapshot saved at: ${snapshot.savedAt}`);
+    console.log(`📍 Position: ${this.recovery.position ? `${this.recovery.position.type.toUpperCase()} @ ${this.recovery.position.entryPrice}` : 'flat'}`);
+    if (reconciliation.length === 0) {
+      console.log('✅ Rebuilt state matches the snapshot');
+    }
+    for (const entry of reconciliation) {
+      console.log(`🔧 ${entry.field}: ${JSON.stringify(entry.before)} → ${JSON.stringify(entry.after)} (${entry.note})`);
+    }
+    console.log('=======================================\n');
+
+    this.emit('stateRestored', { symbol, ...this.recovery });
+    return this.recovery;
+  }
+
+  /**
+   * Compare the restored position with what the exchange holds (live mode only)
+   * A mismatch, or an exchange position that cannot be read, trips the kill switch for an operator
+   * @param {Array} reconciliation - Restore reconciliation entries to add the mismatch to
+   */
+  async reconcileRestoredPosition(reconciliation) {
+    if (this.executionMode !== 'live') return;
+
+    const { symbol } = this.strategy.config;
+    const { position } = this.strategy;
+    const strategyQuantity = position.isActive ? (position.type === 'long' ? 1 : -1) * position.quantity : 0;
+
+    let exchangeQuantity = null;
+    try {
+      exchangeQuantity = await this.executor.getPositionQuantity(symbol);
+    } catch (error) {
+      console.error('❌ Failed to read the exchange position:', error.message);
+    }
+
+    if (exchangeQuantity !== null && Math.abs(exchangeQuantity - strategyQuantity) < 1e-9) return;
+
+    reconciliation.push({ field: 'exchangePosition', before: strategyQuantity, after: exchangeQuantity, note: 'restored position does not match the exchange - kill switch tripped' });
+    this.riskManager.halt('position_mismatch', `Restored ${symbol} position ${strategyQuantity} does not match the exchange position ${exchangeQuantity ?? 'unknown'}`);
+  }
+
+  /**
+   * Fetch initial historical data - the last 500 candles of the strategy's timeframe, built from the
+   * candle store's 1m candles after backfilling any missing minutes (see CandleStoreService)
    */
   async fetchInitialData() {
     try {
-      console.log(`Fetching initial data for ${this.currentSymbol}...`);
-      
-      // Get historical candles (last 500 1-minute candles for better performance)
-      const endTime = Math.floor(Date.now() / 1000);
-      const startTime = endTime - (500 * 60); // 500 minutes ago (~8.3 hours)
-      
-      console.log(`📈 Fetching historical candles from ${new Date(startTime * 1000).toLocaleString()} to ${new Date(endTime * 1000).toLocaleString()}`);
-      const response = await this.deltaAPI.getCandles(this.currentSymbol, '1m', startTime, endTime);
-      
-      if (response?.result && response.result.length > 0) {
-        const marketData = response.result.map(candle => ({
-          timestamp: new Date(candle.time * 1000),
-          open: parseFloat(candle.open),
-          high: parseFloat(candle.high),
-          low: parseFloat(candle.low),
-          close: parseFloat(candle.close),
-          volume: parseFloat(candle.volume || 0)
-        }));
-
-        console.log(`Fetched ${marketData.length} historical candles`);
-        return marketData;
+      const { timeframe } = this.strategy.config;
+      console.log(`Fetching initial ${timeframe} data for ${this.currentSymbol}${this.candleStore.isEnabled() ? ' from the candle store' : ''}...`);
+
+      const history = await this.candleStore.loadHistory(this.currentSymbol, { count: 500, timeframe });
+      const marketData = this.candleValidator.validateSeries(history);
+
+      console.log(`Fetched ${history.length} historical candles`);
+      if (marketData.length < history.length) {
+        console.warn(`🧪 Quarantined ${history.length - marketData.length} bad historical candles`);
       }
-      
-      return [];
+      return marketData;
     } catch (error) {
       console.error('Error fetching initial data:', error);
       return [];
@@ -126,29 +463,25 @@ class TradingService extends EventEmitter {
       return;
     }
 
+    if (!this.strategy) {
+      throw new Error('Trading service not initialized');
+    }
+
+    if (this.riskManager.halted) {
+      throw new Error(`Trading halted by risk manager (${this.riskManager.haltReason}) - reset via POST /api/trading/risk/reset`);
+    }
+
     try {
       this.isRunning = true;
-      this.strategy?.start();
-      
-      // WebSocket temporarily disabled for maximum reliability - using 1-second API polling
-      // this.setupWebSocketConnection();
-      
-      // High-frequency API polling (every 1 second) + WebSocket for maximum real-time data
-      console.log('🚀 Setting up high-frequency polling (1 second)...');
-      this.dataInterval = setInterval(async () => {
-        console.log('⏰ Real-time interval triggered - calling fetchLatestData');
-        try {
-          await this.fetchLatestData();
-        } catch (error) {
-          console.error('❌ Error in interval fetchLatestData:', error);
-        }
-      }, 1000);
+      this.strategy.start();
 
-      console.log('Trading Service started with 1-second real-time data');
-      console.log(`📊 Data interval ID: ${this.dataInterval}`);
-      
-      // Fetch data immediately
-      console.log('🔥 Fetching initial data immediately...');
+      // Closed candles stream from the WebSocket feed; REST polling covers the time until the socket
+      // delivers and any period it is down or stale
+      this.setupMarketFeed();
+      this.startPolling();
+      this.marketFeed.start();
+
+      // Catch up on the candles closed since the warm-up history
       await this.fetchLatestData();
       this.emit('started');
       
@@ -164,23 +497,38 @@ class TradingService extends EventEmitter {
   stop() {
     this.isRunning = false;
     this.strategy?.stop();
+    this.saveState();
     
-    if (this.dataInterval) {
-      clearInterval(this.dataInterval);
-      this.dataInterval = null;
-    }
+    this.stopPolling();
 
-    // Disconnect WebSocket
-    if (this.deltaAPI) {
-      this.deltaAPI.disconnectWebSocket();
+    // Unsubscribe and disconnect the WebSocket
+    if (this.marketFeed) {
+      this.marketFeed.removeAllListeners();
+      this.marketFeed.stop();
     }
+    this.deltaAPI.disconnectWebSocket();
 
     console.log('Trading Service stopped');
     this.emit('stopped');
   }
 
   /**
-   * Fetch latest market data
+   * Stop trading and detach from shared services before the instance is discarded
+   */
+  dispose() {
+    if (this.isRunning) {
+      this.stop();
+    }
+
+    this.riskManager.off('halt', this.onRiskHalt);
+    if (this.strategy) {
+      this.riskManager.setOpenNotional(this.strategy.config.symbol, 0);
+      this.strategy.removeAllListeners();
+    }
+  }
+
+  /**
+   * Poll REST for the candles closed since the last processed one (REST fallback of the market feed)
    */
   async fetchLatestData() {
     if (!this.isRunning) {
@@ -188,203 +536,167 @@ class TradingService extends EventEmitter {
       return;
     }
 
-    console.log(`🔍 Fetching latest candle data for symbol: ${this.currentSymbol}`);
+    // Callers during a poll that is still waiting on the exchange share it
+    if (!this.latestFetch) {
+      this.latestFetch = this.pollClosedCandles().finally(() => {
+        this.latestFetch = null;
+      });
+    }
+    return this.latestFetch;
+  }
+
+  async pollClosedCandles() {
     try {
-      // Get latest candles (last 3 minutes) to ensure we get the most recent data
+      const { timeframe } = this.strategy.config;
+      const intervalSeconds = Resampler.parseTimeframe(timeframe) / 1000;
       const endTime = Math.floor(Date.now() / 1000);
-      const startTime = endTime - (3 * 60); // Last 3 minutes
-      
-      const candleResponse = await this.deltaAPI.getCandles(this.currentSymbol, '1m', startTime, endTime);
-      console.log(`📥 Candle API Response:`, candleResponse ? 'SUCCESS' : 'FAILED');
-      
-      if (candleResponse?.result && candleResponse.result.length > 0) {
-        // Get the most recent candle
-        const latestCandle = candleResponse.result[candleResponse.result.length - 1];
-        
-        // Check if this is a new candle to avoid processing duplicates
-        const candleTimestamp = latestCandle.time;
-        if (this.lastProcessedCandle && this.lastProcessedCandle === candleTimestamp) {
-          console.log('⏭️ Same candle as last update, skipping duplicate processing');
-          return;
-        }
-        
-        this.lastProcessedCandle = candleTimestamp;
-        console.log(`✅ Processing new candle data for: ${this.currentSymbol}`);
-        
-        // 📊 LOG RAW CANDLE DATA FROM DELTA EXCHANGE
-        console.log('\n🔴 ===== LIVE CANDLE DATA FROM DELTA EXCHANGE =====');
-        console.log(`📡 Symbol: ${this.currentSymbol}`);
-        console.log(`💰 Close Price: $${latestCandle.close}`);
-        console.log(`📈 High: $${latestCandle.high}`);
-        console.log(`📉 Low: $${latestCandle.low}`);
-        console.log(`🌅 Open: $${latestCandle.open}`);
-        console.log(`📊 Volume: ${latestCandle.volume || 0}`);
-        console.log(`📅 Timestamp: ${new Date(latestCandle.time * 1000).toLocaleString()}`);
-        console.log('===============================================');
-        
-        const latestData = {
-          timestamp: new Date(latestCandle.time * 1000),
-          open: parseFloat(latestCandle.open),
-          high: parseFloat(latestCandle.high),
-          low: parseFloat(latestCandle.low),
-          close: parseFloat(latestCandle.close),
-          volume: parseFloat(latestCandle.volume || 0)
-        };
-
-        // 🎯 LOG PROCESSED CANDLE DATA
-        console.log('🟢 ===== PROCESSED CANDLE DATA =====');
-        console.log(`🕐 Time: ${latestData.timestamp.toLocaleTimeString()}`);
-        console.log(`📊 OHLCV: O:$${latestData.open} H:$${latestData.high} L:$${latestData.low} C:$${latestData.close} V:${latestData.volume}`);
-        console.log('==================================');
-
-        // Process new data with strategy
-        console.log('🎯 Processing through Renko + EMA + SuperTrend strategy...');
-        await this.strategy.processNewData(latestData);
-        
-        // Log strategy state after processing
-        if (this.strategy.getRenkoStats) {
-          const renkoStats = this.strategy.getRenkoStats();
-          console.log('🧱 RENKO STATUS:');
-          console.log(`   Total Bricks: ${renkoStats.totalBricks}`);
-          console.log(`   Direction: ${renkoStats.currentDirection === 1 ? '🟢 Bullish' : renkoStats.currentDirection === -1 ? '🔴 Bearish' : '⚪ Neutral'}`);
-          console.log(`   Last Price: $${renkoStats.lastPrice}`);
-          
-          // Show current position status
-          const position = this.strategy.position;
-          if (position && position.isActive) {
-            const currentPrice = renkoStats.lastPrice || 0;
-            const pnl = (currentPrice - position.entryPrice) * position.quantity;
-            const pnlPercent = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
-            
-            console.log('💰 CURRENT TRADE STATUS:');
-            console.log(`   Position: ${position.type.toUpperCase()}`);
-            console.log(`   Entry Price: $${position.entryPrice.toFixed(2)}`);
-            console.log(`   Current Price: $${currentPrice.toFixed(2)}`);
-            console.log(`   Quantity: ${position.quantity} BTC`);
-            console.log(`   Unrealized PnL: $${pnl >= 0 ? '+' : ''}${pnl.toFixed(4)}`);
-            console.log(`   Return: ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%`);
-            console.log(`   Status: ${pnl > 0 ? '🟢 PROFIT' : pnl < 0 ? '🔴 LOSS' : '🟡 BREAKEVEN'}`);
-          } else {
-            console.log('💤 POSITION STATUS: Waiting for entry signal...');
-          }
-        }
-        
-        // Update counter
-        this.marketDataPoints = (this.marketDataPoints || 0) + 1;
-        console.log(`📈 Total Data Points Processed: ${this.marketDataPoints}`);
-        console.log('─'.repeat(60) + '\n');
-        
-        // Emit latest data for real-time updates
-        this.emit('latestData', {
-          ...latestData,
-          symbol: this.currentSymbol
-        });
-      } else {
-        console.log('❌ No candle data received or empty result array');
-        console.log('🔍 Debug candle response:', JSON.stringify(candleResponse, null, 2));
+      const lastTime = this.getLastCandleTime();
+
+      // From the last processed candle (after an outage), otherwise the last 3 candles - at most one request
+      const startTime = Math.max(
+        lastTime ? lastTime + intervalSeconds : endTime - 3 * intervalSeconds,
+        endTime - deltaConfig.candles.maxPerRequest * intervalSeconds
+      );
+
+      const candleResponse = await this.deltaAPI.getCandles(this.currentSymbol, timeframe, startTime, endTime);
+      const closedCandles = (candleResponse?.result || [])
+        .filter(candle => candle.time + intervalSeconds <= endTime && !(lastTime && candle.time <= lastTime))
+        .map(CandleStoreService.fromDelta)
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+      if (closedCandles.length === 0) return;
+
+      // Store the closed 1m candles
+      if (timeframe === '1m') {
+        this.saveCandles(closedCandles, 'rest');
       }
-      
-      // OLD TICKER CODE REMOVED - All processing now done with candle data above
-      if (false) { // Disabled old ticker processing
-        console.log(`✅ Processing ticker data for: ${ticker.symbol}`);
-        
-        // 📊 LOG RAW DATA FROM DELTA EXCHANGE
-        console.log('\n🔴 ===== LIVE DATA FROM DELTA EXCHANGE =====');
-        console.log(`📡 Symbol: ${ticker.symbol}`);
-        console.log(`💰 Current Price: $${ticker.close}`);
-        console.log(`📈 24h High: $${ticker.high}`);
-        console.log(`📉 24h Low: $${ticker.low}`);
-        console.log(`🌅 24h Open: $${ticker.open || ticker.close}`);
-        console.log(`📊 Volume: ${ticker.volume || 0}`);
-        console.log(`⚡ Mark Price: $${ticker.mark_price}`);
-        console.log(`🔄 Funding Rate: ${ticker.funding_rate}%`);
-        console.log(`📅 Timestamp: ${ticker.time}`);
-        console.log(`💹 Best Bid: $${ticker.quotes?.best_bid || 'N/A'}`);
-        console.log(`💸 Best Ask: $${ticker.quotes?.best_ask || 'N/A'}`);
-        console.log('===============================================');
-        
-        const latestData = {
-          timestamp: new Date(),
-          open: parseFloat(ticker.open || ticker.close),
-          high: parseFloat(ticker.high || ticker.close),
-          low: parseFloat(ticker.low || ticker.close),
-          close: parseFloat(ticker.close),
-          volume: parseFloat(ticker.volume || 0)
-        };
-
-        // 🎯 LOG PROCESSED CANDLE DATA
-        console.log('🟢 ===== PROCESSED CANDLE DATA =====');
-        console.log(`🕐 Time: ${latestData.timestamp.toLocaleTimeString()}`);
-        console.log(`📊 OHLCV: O:$${latestData.open} H:$${latestData.high} L:$${latestData.low} C:$${latestData.close} V:${latestData.volume}`);
-        console.log('==================================');
-
-        // Process new data with strategy
-        console.log('🎯 Processing through Renko + EMA + SuperTrend strategy...');
-        await this.strategy.processNewData(latestData);
-        
-        // Log strategy state after processing
-        if (this.strategy.getRenkoStats) {
-          const renkoStats = this.strategy.getRenkoStats();
-          console.log('🧱 RENKO STATUS:');
-          console.log(`   Total Bricks: ${renkoStats.totalBricks}`);
-          console.log(`   Direction: ${renkoStats.currentDirection === 1 ? '🟢 Bullish' : renkoStats.currentDirection === -1 ? '🔴 Bearish' : '⚪ Neutral'}`);
-          console.log(`   Last Price: $${renkoStats.lastPrice}`);
-          
-          // Show current position status
-          const position = this.strategy.position;
-          if (position && position.isActive) {
-            const currentPrice = renkoStats.lastPrice || 0;
-            const pnl = (currentPrice - position.entryPrice) * position.quantity;
-            const pnlPercent = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
-            
-            console.log('💰 CURRENT TRADE STATUS:');
-            console.log(`   Position: ${position.type.toUpperCase()}`);
-            console.log(`   Entry Price: $${position.entryPrice.toFixed(2)}`);
-            console.log(`   Current Price: $${currentPrice.toFixed(2)}`);
-            console.log(`   Quantity: ${position.quantity} BTC`);
-            console.log(`   Unrealized PnL: $${pnl >= 0 ? '+' : ''}${pnl.toFixed(4)}`);
-            console.log(`   Return: ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%`);
-            console.log(`   Status: ${pnl > 0 ? '🟢 PROFIT' : pnl < 0 ? '🔴 LOSS' : '🟡 BREAKEVEN'}`);
-          } else {
-            console.log('💤 POSITION STATUS: Waiting for entry signal...');
-          }
-        }
-        
-        // Update counter
-        this.marketDataPoints = (this.marketDataPoints || 0) + 1;
-        console.log(`📈 Total Data Points Processed: ${this.marketDataPoints}`);
-        console.log('─'.repeat(60) + '\n');
-        
-        // Emit latest data for real-time updates
-        this.emit('latestData', {
-          ...latestData,
-          symbol: this.currentSymbol
-        });
-      } else {
-        console.log('❌ No candle data received, skipping this update');
+
+      for (const candle of closedCandles) {
+        await this.processClosedCandle(candle, 'rest');
       }
-      
     } catch (error) {
       console.error('❌ Error fetching latest candle data:', error);
     }
   }
 
   /**
-   * Process real-time price update
+   * Epoch seconds of the newest candle the strategy has (processed live or from the warm-up history)
    */
-  async processRealTimePrice(price, timestamp = new Date()) {
-    if (!this.isRunning || !this.strategy) return;
+  getLastCandleTime() {
+    const lastCandle = this.strategy.marketData[this.strategy.marketData.length - 1];
+    const historyTime = lastCandle ? Math.floor(new Date(lastCandle.timestamp).getTime() / 1000) : null;
+    return Math.max(this.lastProcessedCandle || 0, historyTime || 0) || null;
+  }
 
-    const priceData = {
-      timestamp,
-      open: price,
-      high: price,
-      low: price,
-      close: price,
-      volume: 0
-    };
+  /**
+   * Store candles that pass the single-candle checks, without holding up processing
+   */
+  saveCandles(candles, source) {
+    const valid = candles.filter(candle => CandleValidator.checkCandle(candle, this.candleValidator.config).length === 0);
+    this.candleStore.saveCandles(this.currentSymbol, valid, source)
+      .catch(error => console.error('❌ Failed to store candles:', error.message));
+  }
+
+  /**
+   * Queue a closed candle for the strategy - WebSocket and REST candles are processed one at a time, in order
+   */
+  processClosedCandle(candle, source) {
+    this.candleQueue = this.candleQueue
+      .then(() => this.handleClosedCandle(candle, source))
+      .catch(error => console.error('❌ Error processing candle:', error));
+    return this.candleQueue;
+  }
+
+  async handleClosedCandle(candle, source) {
+    if (!this.isRunning) return;
+
+    // Already processed (REST and WebSocket overlap after a fallback)
+    const candleTimestamp = Math.floor(candle.timestamp.getTime() / 1000);
+    const lastTime = this.getLastCandleTime();
+    if (lastTime && candleTimestamp <= lastTime) return;
+
+    const { accepted, issues } = this.candleValidator.validate(candle);
+    if (!accepted) {
+      console.warn(`🧪 Quarantined ${this.currentSymbol} candle ${candle.timestamp.toISOString()}: ${issues.map(issue => `${issue.type} (${issue.message})`).join(', ')}`);
+      this.emit('candleQuarantined', { symbol: this.currentSymbol, candle, issues });
+      return;
+    }
+
+    this.lastProcessedCandle = candleTimestamp;
 
-    await this.strategy.processNewData(priceData);
+    // 🎯 LOG PROCESSED CANDLE DATA
+    console.log(`🟢 ===== ${source === 'websocket' ? 'WEBSOCKET' : 'REST'} CANDLE ${this.currentSymbol} =====`);
+    console.log(`🕐 Time: ${candle.timestamp.toLocaleTimeString()}`);
+    console.log(`📊 OHLCV: O:$${candle.open} H:$${candle.high} L:$${candle.low} C:$${candle.close} V:${candle.volume}`);
+    console.log('==================================');
+
+    // Partial fills are simulated against the live top of book
+    if (this.strategy.fillModel.config?.partialFills) {
+      await this.updateOrderBook();
+    }
+
+    // Process new data with strategy
+    console.log(`🎯 Processing through ${this.strategy.getStrategyName()} strategy...`);
+    await this.strategy.processNewData(candle);
+
+    // Log strategy state after processing
+    if (this.strategy.getRenkoStats) {
+      const renkoStats = this.strategy.getRenkoStats();
+      console.log('🧱 RENKO STATUS:');
+      console.log(`   Total Bricks: ${renkoStats.totalBricks}`);
+      console.log(`   Direction: ${renkoStats.currentDirection === 1 ? '🟢 Bullish' : renkoStats.currentDirection === -1 ? '🔴 Bearish' : '⚪ Neutral'}`);
+      console.log(`   Last Price: $${renkoStats.lastPrice}`);
+    }
+
+    // Update counter
+    this.marketDataPoints = (this.marketDataPoints || 0) + 1;
+    console.log(`📈 Total Data Points Processed: ${this.marketDataPoints}`);
+    console.log('─'.repeat(60) + '\n');
+
+    // Emit latest data for real-time updates
+    this.emit('latestData', {
+      ...candle,
+      symbol: this.currentSymbol,
+      source
+    });
+  }
+
+  /**
+   * Refresh the strategy's top-of-book snapshot from the ticker (sizes converted from contracts to base units)
+   */
+  async updateOrderBook() {
+    try {
+      const symbol = this.strategy.config.symbol;
+      const [ticker, product] = await Promise.all([
+        this.deltaAPI.getTicker(symbol),
+        this.deltaAPI.getProductBySymbol(symbol)
+      ]);
+      const quotes = ticker?.result?.quotes;
+      if (!quotes) return;
+
+      const contractValue = parseFloat(product.contract_value) || 1;
+      this.strategy.updateOrderBook({
+        bestBid: parseFloat(quotes.best_bid),
+        bestAsk: parseFloat(quotes.best_ask),
+        bidSize: parseFloat(quotes.bid_size) * contractValue,
+        askSize: parseFloat(quotes.ask_size) * contractValue
+      });
+    } catch (error) {
+      console.error('❌ Error fetching top of book:', error.message);
+    }
+  }
+
+  /**
+   * Check a real-time price against the open position's stops and targets - queued behind the closed
+   * candles so a stop never fills in the middle of a candle's processing
+   */
+  processRealTimePrice(price, timestamp = new Date()) {
+    if (!this.isRunning || !this.strategy?.position.isActive) return;
+
+    this.candleQueue = this.candleQueue
+      .then(() => this.strategy.onTick(price, timestamp))
+      .catch(error => console.error('❌ Error processing price update:', error));
+    return this.candleQueue;
   }
 
   /**
@@ -392,13 +704,30 @@ class TradingService extends EventEmitter {
    */
   getStatus() {
     return {
+      id: this.id,
       isRunning: this.isRunning,
       symbol: this.currentSymbol,
+      strategyName: this.strategy ? this.strategy.getStrategyName() : null,
       strategy: this.strategy ? this.strategy.getStatus() : null,
+      executionMode: this.executionMode,
+      risk: this.riskManager.getStatus(),
+      dataQuality: this.candleValidator.getMetrics(),
+      marketFeed: this.marketFeed ? { ...this.marketFeed.getStatus(), markPrice: this.lastMarkPrice } : null,
+      recovery: this.recovery,
       service: 'TradingService'
     };
   }
 
+  /**
+   * Candle data-quality metrics and the most recently quarantined candles
+   */
+  getDataQuality(limit) {
+    return {
+      metrics: this.candleValidator.getMetrics(),
+      quarantine: this.candleValidator.getQuarantine(limit)
+    };
+  }
+
   /**
    * Get strategy trades
    */
@@ -406,6 +735,20 @@ class TradingService extends EventEmitter {
     return this.strategy ? this.strategy.getTrades() : [];
   }
 
+  /**
+   * Get trade statistics with Monte Carlo robustness distributions
+   */
+  getRobustnessReport(monteCarloConfig = {}) {
+    return this.strategy ? this.strategy.getTradeStatistics({ monteCarlo: monteCarloConfig }) : null;
+  }
+
+  /**
+   * Get orders sent through the active execution adapter
+   */
+  getOrders() {
+    return this.executor.getOrders();
+  }
+
   /**
    * Get strategy signals
    */
@@ -445,66 +788,79 @@ class TradingService extends EventEmitter {
     this.emit('symbolChanged', newSymbol);
   }
   /**
-   * Setup WebSocket connection for real-time data
+   * Create the WebSocket market feed for the current symbol and timeframe
    */
-  setupWebSocketConnection() {
-    if (!this.deltaAPI) return;
-
-    // Connect to WebSocket
-    this.deltaAPI.connectWebSocket([this.currentSymbol]);
+  setupMarketFeed() {
+    if (this.marketFeed) {
+      this.marketFeed.removeAllListeners();
+    }
 
-    // Listen for real-time price updates
-    this.deltaAPI.on('priceUpdate', (data) => {
-      this.processRealTimeData(data);
+    this.marketFeed = new MarketDataFeed(this.deltaAPI, {
+      symbol: this.currentSymbol,
+      timeframe: this.strategy.config.timeframe
     });
 
-    // Handle WebSocket events
-    this.deltaAPI.on('wsConnected', () => {
-      console.log('✅ Real-time data feed connected');
-    });
+    this.marketFeed.on('candle', (candle) => this.processRealTimeData(candle));
 
-    this.deltaAPI.on('wsDisconnected', () => {
-      console.log('⚠️ Real-time data feed disconnected');
-    });
+    // Streamed 1m candles go to the candle store whatever the strategy timeframe
+    this.marketFeed.on('minuteCandle', (candle) => this.saveCandles([candle], 'websocket'));
 
-    this.deltaAPI.on('wsError', (error) => {
-      console.error('❌ WebSocket error:', error.message);
+    // Poll REST only while the socket is not delivering
+    this.marketFeed.on('modeChanged', ({ mode }) => {
+      if (!this.isRunning) return;
+      if (mode === 'rest') {
+        this.startPolling();
+      } else {
+        this.stopPolling();
+      }
+      this.emit('marketFeedMode', { symbol: this.currentSymbol, mode });
     });
-  }
 
-  /**
-   * Process real-time data from WebSocket
-   */
-  processRealTimeData(data) {
-    if (!this.isRunning || !this.strategy) return;
+    // Ticker and mark price updates trigger stops and targets between candles
+    this.marketFeed.on('tick', ({ price, timestamp }) => this.processRealTimePrice(price, timestamp));
 
-    try {
-      // Convert WebSocket data to candle format
-      const candle = {
-        timestamp: data.timestamp,
-        open: data.open,
-        high: data.high,
-        low: data.low,
-        close: data.close,
-        volume: data.volume
-      };
+    // Mark price also keeps the open position's unrealized PnL current
+    this.marketFeed.on('markPrice', ({ price, timestamp }) => {
+      this.lastMarkPrice = price;
+      if (this.strategy.position.isActive && Date.now() - (this.lastMarkPnLUpdate || 0) >= MARK_PNL_INTERVAL_MS) {
+        this.lastMarkPnLUpdate = Date.now();
+        this.strategy.updatePositionPnL(price);
+      }
+      this.processRealTimePrice(price, timestamp);
+    });
+  }
 
-      console.log(`📊 Real-time price: ${data.symbol} = $${data.close}`);
+  startPolling() {
+    if (this.dataInterval) return;
 
-      // Process through strategy
-      this.strategy.processNewData([candle]);
+    const { pollIntervalMs } = deltaConfig.websocket;
+    console.log(`📡 Polling REST candles every ${pollIntervalMs / 1000}s`);
+    this.dataInterval = setInterval(() => this.fetchLatestData(), pollIntervalMs);
+  }
 
-      // Emit latest data event
-      this.emit('latestData', candle);
+  stopPolling() {
+    if (this.dataInterval) {
+      clearInterval(this.dataInterval);
+      this.dataInterval = null;
+    }
+  }
 
-      // Update statistics
-      if (this.strategy.dataPoints) {
-        this.marketDataPoints = this.strategy.dataPoints.length;
-      }
+  /**
+   * Process a closed candle from the WebSocket feed
+   * A candle more than one interval after the last processed one means candles were missed (socket
+   * outage, dropped updates) - they are fetched over REST first so the strategy sees every candle in order
+   */
+  async processRealTimeData(candle) {
+    if (!this.isRunning || !this.strategy) return;
 
-    } catch (error) {
-      console.error('Error processing real-time data:', error);
+    const intervalSeconds = Resampler.parseTimeframe(this.strategy.config.timeframe) / 1000;
+    const lastTime = this.getLastCandleTime();
+    if (lastTime && candle.timestamp.getTime() / 1000 - lastTime > intervalSeconds) {
+      console.log(`🕳️ WebSocket candle ${candle.timestamp.toISOString()} follows a gap - catching up over REST`);
+      await this.fetchLatestData();
     }
+
+    await this.processClosedCandle(candle, 'websocket');
   }
 }
 
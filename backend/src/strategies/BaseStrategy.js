@@ -0,0 +1,1003 @@
+/**
+ * Base Strategy - Contract and shared order/position machinery for every trading strategy
+ * Subclasses set a static strategyName and implement onCandle(candle); fills, fees, protective exits,
+ * position sizing, risk checks, journaling, snapshots and trade statistics are handled here
+ */
+
+import MonteCarloAnalyzer from '../backtest/MonteCarloAnalyzer.js';
+import FillModel from '../execution/FillModel.js';
+import ProtectiveExits from './ProtectiveExits.js';
+import PositionSizer from '../risk/PositionSizer.js';
+import PerformanceAnalyzer from '../backtest/PerformanceAnalyzer.js';
+import Resampler from './Resampler.js';
+import { EventEmitter } from 'events';
+
+// Remaining position size below this is treated as fully closed (floating point dust)
+const QUANTITY_EPSILON = 1e-12;
+
+// Candles kept in memory (and in snapshots)
+const MAX_MARKET_DATA = 5000;
+
+class BaseStrategy extends EventEmitter {
+  // Name used to select the strategy (e.g. {"strategy": "RenkoEMA"} in the start body) and stored on trades
+  static strategyName = null;
+  static description = '';
+
+  constructor(config = {}) {
+    super();
+
+    // Strategy configuration - subclasses merge their own defaults before calling super
+    this.config = {
+      symbol: config.symbol || 'BTCUSD',
+      timeframe: config.timeframe || '1m',  // Candle resolution the strategy is fed (fetched live by TradingService)
+      logging: config.logging !== false,  // Disable to silence console output (e.g. backtests)
+      initialCapital: 10000,  // Paper equity used by the position sizer (live mode uses the wallet balance)
+      ...config
+    };
+    Resampler.parseTimeframe(this.config.timeframe);  // Throws on an invalid timeframe
+
+    // Clock used for trade ids and durations - replaced by a simulated clock in backtests
+    this.clock = null;
+
+    // Optional trade journal (TradeJournalService) for durable trades/signals/positions
+    this.journal = null;
+
+    // Simulated fills: fees, slippage, fill timing and partial fills (see FillModel)
+    this.fillModel = new FillModel(this.config.fillModel);
+    this.pendingOrder = null;  // Order waiting for the next candle (deferred fill or partial-fill remainder)
+    this.orderBook = null;     // Latest top-of-book {bestBid, bestAsk, bidSize, askSize} for partial fills
+
+    // Stop-loss / take-profit / trailing stops checked on every candle
+    this.protectiveExits = new ProtectiveExits(this.config.protectiveExits);
+
+    // Order sizing - defaults to the fixed defaultQuantity
+    this.positionSizer = new PositionSizer({
+      quantity: this.config.defaultQuantity || 0.001,
+      ...this.config.positionSizing
+    });
+    this.accountEquity = null;  // Set from the exchange wallet in live mode, otherwise paper equity is used
+
+    // Optional account-level guardrails (RiskManager) consulted before every entry
+    this.riskManager = null;
+
+    // Strategy state
+    this.isRunning = false;
+    this.position = {
+      isActive: false,
+      type: null, // 'long' or 'short'
+      entryPrice: 0,
+      quantity: 0,
+      entryTime: null
+    };
+
+    // Data storage
+    this.marketData = [];
+
+    // Signal tracking
+    this.lastSignal = null;
+    this.signalHistory = [];
+    this.trades = [];
+  }
+
+  /**
+   * Registered name of this strategy
+   */
+  getStrategyName() {
+    return this.constructor.strategyName || this.constructor.name;
+  }
+
+
+  /**
+   * Log to console unless logging is disabled in config
+   */
+  log(...args) {
+    if (this.config.logging) {
+      console.log(...args);
+    }
+  }
+
+  /**
+   * Use an external clock (any object exposing now()) instead of Date.now()
+   */
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  /**
+   * Write trades, signals and position changes through to a journal (TradeJournalService)
+   */
+  setJournal(journal) {
+    this.journal = journal;
+  }
+
+  /**
+   * Check entries against and report fills to an account-level RiskManager
+   */
+  setRiskManager(riskManager) {
+    this.riskManager = riskManager;
+  }
+
+  /**
+   * Replace the fill model (any object exposing fill(), defersFill() and keepsRemainder())
+   */
+  setFillModel(fillModel) {
+    this.fillModel = fillModel;
+  }
+
+  /**
+   * Update the top-of-book snapshot used for partial fills
+   */
+  updateOrderBook(book) {
+    this.orderBook = book;
+  }
+
+  /**
+   * Current time in milliseconds from the configured clock
+   */
+  now() {
+    return this.clock ? this.clock.now() : Date.now();
+  }
+
+  /**
+   * Initialize strategy with historical data
+   */
+  async initialize(historicalData = []) {
+    try {
+      this.log(`Initializing ${this.config.symbol} ${this.getStrategyName()} Strategy...`);
+
+      if (historicalData && historicalData.length > 0) {
+        this.marketData = historicalData;
+        const details = await this.onInitialize();
+        this.log(`Strategy initialized with ${this.marketData.length} data points`);
+
+        this.emit('initialized', {
+          dataPoints: this.marketData.length,
+          ...details
+        });
+      } else {
+        this.log('Strategy initialized with no historical data - waiting for live data');
+      }
+
+      this.isRunning = true;
+
+    } catch (error) {
+      console.error('Strategy initialization failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build indicators from the historical candles in this.marketData (override as needed)
+   * @returns {Object} Extra fields for the 'initialized' event
+   */
+  async onInitialize() {
+    return {};
+  }
+
+  /**
+   * Process new market data point: fill queued orders, check resting stops, then hand the candle to onCandle
+   */
+  async processNewData(newData) {
+    if (!this.isRunning) return;
+
+    try {
+      // Orders queued on the previous candle fill at this candle's open
+      await this.processPendingOrder(newData);
+
+      // Resting stops/targets from the previous candle are hit intra-candle
+      await this.checkProtectiveExits(newData);
+
+      // Add new data point
+      this.marketData.push(newData);
+
+      // Keep only recent data (performance optimization)
+      if (this.marketData.length > MAX_MARKET_DATA) {
+        this.marketData = this.marketData.slice(-MAX_MARKET_DATA);
+      }
+
+      await this.onCandle(newData);
+
+    } catch (error) {
+      console.error('Error processing new data:', error);
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Strategy logic for a new candle (already appended to this.marketData) - update indicators and
+   * call processSignals(); should emit 'dataProcessed'
+   */
+  async onCandle(candle) {
+    throw new Error(`${this.constructor.name} must implement onCandle(candle)`);
+  }
+
+  /**
+   * Check a price update between candles (ticker or mark price) against the resting stops and targets, so
+   * they fire intrabar instead of on the next closed candle. Bars and indicators only move on candles
+   */
+  async onTick(price, timestamp = new Date()) {
+    if (!this.isRunning || !(price > 0)) return;
+
+    try {
+      await this.checkProtectiveExits({ timestamp, open: price, high: price, low: price, close: price });
+    } catch (error) {
+      console.error('Error processing price update:', error);
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Indicator values at the latest bar, passed to exits triggered outside a signal (stops, flatten)
+   */
+  getLatestIndicators() {
+    return {};
+  }
+
+  /**
+   * Reference levels for protective exits and sizing: {brickClose, brickSize} on brick-based charts
+   */
+  getPriceContext() {
+    return {};
+  }
+
+  /**
+   * Indicator snapshot stored on each trade record
+   */
+  getSignalData(indicators = {}) {
+    return { ...indicators };
+  }
+
+  /**
+   * Exit when the candle reaches the stop-loss, take-profit or a trailing stop
+   */
+  async checkProtectiveExits(candle) {
+    if (!this.position.isActive || this.pendingOrder || !this.protectiveExits.isEnabled()) return;
+
+    const hit = this.protectiveExits.check(this.position, candle);
+    if (!hit) return;
+
+    this.log(`🛑 ${hit.reason.toUpperCase()} hit on ${this.position.type} position at ${hit.price}`);
+    await this.exitPosition(hit.price, candle.timestamp, `${this.position.type}_exit`, this.getLatestIndicators(), {
+      immediate: true,
+      exitReason: hit.reason
+    });
+  }
+
+  /**
+   * Process trading signals and execute simulated trades
+   * @param {Object} signals - {longEntry, shortEntry, longExit, shortExit, price, timestamp, indicators,
+   *   rules: optional condition trees behind each flag, stored with the resulting signal}
+   */
+  async processSignals(signals) {
+    const { longEntry, shortEntry, longExit, shortExit, price, timestamp, indicators, rules = {} } = signals;
+
+    if (this.pendingOrder) {
+      this.log(`⏳ ${this.pendingOrder.kind.toUpperCase()} order pending - skipping signal processing`);
+      return;
+    }
+
+    try {
+      // Exit conditions (process first)
+      if (this.position.isActive) {
+        let shouldExit = false;
+        let exitType = '';
+
+        if (this.position.type === 'long' && longExit) {
+          shouldExit = true;
+          exitType = 'long_exit';
+        } else if (this.position.type === 'short' && shortExit) {
+          shouldExit = true;
+          exitType = 'short_exit';
+        }
+
+        if (shouldExit) {
+          const rule = this.position.type === 'long' ? rules.longExit : rules.shortExit;
+          await this.exitPosition(price, timestamp, exitType, indicators, { rule });
+        }
+      }
+
+      // Entry conditions (only if not in position)
+      if (!this.position.isActive) {
+        this.log(`🎯 ENTRY CHECK: longEntry=${longEntry}, this.lastSignal=${this.lastSignal}, condition=${longEntry && this.lastSignal !== 'long_entry'}`);
+        if (longEntry && this.lastSignal !== 'long_entry') {
+          this.log('🚀 EXECUTING LONG ENTRY!');
+          await this.enterPosition('long', price, timestamp, indicators, { rule: rules.longEntry });
+          this.lastSignal = 'long_entry';
+        } else if (shortEntry && this.lastSignal !== 'short_entry') {
+          this.log('🚀 EXECUTING SHORT ENTRY!');
+          await this.enterPosition('short', price, timestamp, indicators, { rule: rules.shortEntry });
+          this.lastSignal = 'short_entry';
+        } else {
+          this.log('❌ Entry condition not met - either no signal or duplicate signal');
+        }
+      } else {
+        this.log('💼 Position already active, skipping entry');
+      }
+
+    } catch (error) {
+      console.error('Error processing signals:', error);
+    }
+  }
+
+  /**
+   * Enter a new simulated position
+   * @param {Object} options - {rule: condition tree that triggered the entry}
+   */
+  async enterPosition(side, price, timestamp, indicators, options = {}) {
+    const quantity = this.calculatePositionSize(price, indicators);
+    if (!(quantity > 0)) return;  // Also skips NaN sizes
+
+    if (this.riskManager) {
+      const check = this.riskManager.checkEntry({ key: this.config.symbol, price, quantity, timestamp });
+      if (!check.allowed) {
+        this.log(`⛔ ${side.toUpperCase()} entry blocked by risk manager: ${check.reason}`);
+        this.emit('entryBlocked', { side, price, quantity, timestamp, reason: check.reason });
+        return;
+      }
+    }
+
+    await this.submitOrder({
+      kind: 'entry',
+      side,
+      quantity,
+      requestedQuantity: quantity,
+      signalType: side === 'long' ? 'buy_entry' : 'sell_entry',
+      signalPrice: price,
+      signalTimestamp: timestamp,
+      indicators,
+      rule: options.rule
+    }, price, timestamp);
+  }
+
+  /**
+   * Exit current simulated position
+   * @param {Object} options - {force: fill immediately and completely, e.g. when closing out a backtest,
+   *   immediate: skip next-candle deferral (resting stop orders), exitReason: stored on the trade record,
+   *   rule: condition tree that triggered the exit}
+   */
+  async exitPosition(price, timestamp, exitType, indicators, options = {}) {
+    if (!this.position.isActive) return;
+
+    await this.submitOrder({
+      kind: 'exit',
+      side: this.position.type,
+      quantity: this.position.quantity,
+      requestedQuantity: this.position.quantity,
+      signalType: exitType,
+      exitReason: options.exitReason || (exitType === 'backtest_end' ? 'backtest_end' : 'signal'),
+      signalPrice: price,
+      signalTimestamp: timestamp,
+      indicators,
+      rule: options.rule
+    }, price, timestamp, options);
+  }
+
+  /**
+   * Record the signal behind an order, then fill it now or queue it for the next candle
+   */
+  async submitOrder(order, price, timestamp, options = {}) {
+    try {
+      const signal = {
+        signalType: order.signalType,
+        price,
+        timestamp,
+        indicators: order.indicators,
+        ...(order.rule ? { rule: order.rule } : {})
+      };
+      this.signalHistory.push(signal);
+
+      if (this.journal) {
+        await this.journal.recordSignal(this.config.symbol, signal, { side: order.side, strategy: this.getStrategyName() });
+      }
+
+      if (this.fillModel.defersFill() && !options.force && !options.immediate) {
+        this.pendingOrder = order;
+        this.log(`⏳ ${order.kind.toUpperCase()} order (${order.side}) queued - fills at next candle open`);
+        return;
+      }
+
+      await this.executeOrder(order, price, timestamp, options);
+    } catch (error) {
+      console.error(`Error ${order.kind === 'entry' ? 'entering' : 'exiting'} position:`, error);
+    }
+  }
+
+  /**
+   * Fill a queued order (next-candle-open fills and partial-fill remainders) at a new candle's open
+   */
+  async processPendingOrder(candle) {
+    if (!this.pendingOrder) return;
+
+    const order = this.pendingOrder;
+    this.pendingOrder = null;
+
+    // The position an exit order was closing is already gone (e.g. restored state changed)
+    if (order.kind === 'exit' && !this.position.isActive) return;
+
+    try {
+      await this.executeOrder(order, candle.open, candle.timestamp);
+    } catch (error) {
+      console.error('Error filling pending order:', error);
+    }
+  }
+
+  /**
+   * Drop the queued order, if any
+   */
+  cancelPendingOrder() {
+    const order = this.pendingOrder;
+    this.pendingOrder = null;
+    return order;
+  }
+
+  /**
+   * Exchange side (buy/sell) of an entry or exit order for a long/short position
+   */
+  getOrderSide(order) {
+    const opensLong = order.kind === 'entry' ? order.side === 'long' : order.side === 'short';
+    return opensLong ? 'buy' : 'sell';
+  }
+
+  /**
+   * Run an order through the fill model and apply the fill to the position
+   */
+  async executeOrder(order, price, timestamp, options = {}) {
+    const fill = this.fillModel.fill({
+      side: this.getOrderSide(order),
+      quantity: order.quantity,
+      price,
+      atr: order.indicators?.atr,
+      book: this.orderBook
+    }, options);
+
+    if (fill.quantity > 0) {
+      if (order.kind === 'entry') {
+        await this.applyEntryFill(order, fill, timestamp);
+      } else {
+        await this.applyExitFill(order, fill, timestamp);
+      }
+    }
+
+    if (fill.remainingQuantity > 0) {
+      if (this.fillModel.keepsRemainder()) {
+        this.pendingOrder = { ...order, quantity: fill.remainingQuantity };
+        this.log(`⏳ Partial fill: ${fill.quantity}/${order.quantity} - remaining ${fill.remainingQuantity} carried to next candle`);
+      } else {
+        this.log(`✂️ Partial fill: ${fill.quantity}/${order.quantity} - remaining ${fill.remainingQuantity} cancelled`);
+      }
+    }
+  }
+
+  /**
+   * Trade record for one fill
+   */
+  createTradeRecord(order, fill, timestamp, extra = {}) {
+    return {
+      id: `trade_${this.now()}_${this.trades.length + 1}`,
+      symbol: this.config.symbol,
+      side: this.getOrderSide(order),
+      type: order.kind,
+      price: fill.price,
+      quantity: fill.quantity,
+      timestamp,
+      pnl: 0,
+      signalPrice: order.signalPrice,
+      requestedQuantity: order.requestedQuantity,
+      fillStatus: fill.status,
+      fee: fill.fee,
+      feeRate: fill.feeRate,
+      liquidity: fill.liquidity,
+      slippage: fill.slippage,
+      slippageCost: fill.slippageCost,
+      signalData: this.getSignalData(order.indicators),
+      strategy: this.getStrategyName(),
+      isSimulated: true,
+      ...extra
+    };
+  }
+
+  /**
+   * Open the position (or add a partial-fill remainder to it)
+   */
+  async applyEntryFill(order, fill, timestamp) {
+    const isOpening = !this.position.isActive;
+
+    if (isOpening) {
+      this.position = {
+        isActive: true,
+        type: order.side,
+        entryPrice: fill.price,
+        quantity: fill.quantity,
+        entryTime: timestamp,
+        entryFees: fill.fee,
+        realizedPnL: 0
+      };
+    } else {
+      const quantity = this.position.quantity + fill.quantity;
+      this.position.entryPrice = (this.position.entryPrice * this.position.quantity + fill.price * fill.quantity) / quantity;
+      this.position.quantity = quantity;
+      this.position.entryFees = (this.position.entryFees || 0) + fill.fee;
+    }
+
+    // Stop-loss / take-profit distances are measured from the (average) entry price
+    if (this.protectiveExits.isEnabled()) {
+      this.protectiveExits.initialize(this.position, {
+        atr: order.indicators?.atr,
+        brickClose: this.getPriceContext().brickClose
+      });
+    }
+
+    const trade = this.createTradeRecord(order, fill, timestamp);
+    this.trades.push(trade);
+    if (isOpening) {
+      this.position.entryTradeId = trade.id;  // Client order id of the live entry order (see rollbackEntry)
+    }
+
+    this.riskManager?.recordEntry({
+      key: this.config.symbol,
+      price: fill.price,
+      quantity: fill.quantity,
+      timestamp,
+      isNewTrade: isOpening
+    });
+
+    // Write through to the trade journal (no-op when MongoDB is disabled)
+    if (this.journal) {
+      await this.journal.recordTrade(trade);
+      await this.journal.savePosition(this.config.symbol, this.position, { currentPrice: fill.price, strategy: this.getStrategyName() });
+    }
+
+    this.log(`${isOpening ? 'Entered' : 'Added to'} ${order.side} position at ${fill.price} with quantity ${fill.quantity} (fee ${fill.fee.toFixed(4)}, slippage ${fill.slippage})`);
+
+    this.emit('orderFilled', { order, fill, trade });
+
+    if (isOpening) {
+      this.emit('positionEntered', {
+        side: order.side,
+        price: fill.price,
+        quantity: order.requestedQuantity,
+        timestamp,
+        trade
+      });
+    }
+  }
+
+  /**
+   * Close (or partially close) the position
+   * Exit PnL is net of the exit fee and the matching share of the entry fees
+   */
+  async applyExitFill(order, fill, timestamp) {
+    const position = this.position;
+    const direction = position.type === 'long' ? 1 : -1;
+    const grossPnL = (fill.price - position.entryPrice) * fill.quantity * direction;
+    const entryFees = (position.entryFees || 0) * (fill.quantity / position.quantity);
+    const pnl = grossPnL - entryFees - fill.fee;
+
+    const trade = this.createTradeRecord(order, fill, timestamp, {
+      pnl,
+      grossPnL,
+      entryFees,
+      exitReason: order.exitReason
+    });
+    this.trades.push(trade);
+
+    position.quantity -= fill.quantity;
+    position.entryFees = (position.entryFees || 0) - entryFees;
+    position.realizedPnL = (position.realizedPnL || 0) + pnl;
+
+    if (this.journal) {
+      await this.journal.recordTrade(trade);
+    }
+
+    this.emit('orderFilled', { order, fill, trade });
+
+    if (position.quantity > QUANTITY_EPSILON) {
+      this.log(`Partially exited ${position.type} position at ${fill.price}, PnL: ${pnl}, remaining ${position.quantity}`);
+      if (this.journal) {
+        await this.journal.savePosition(this.config.symbol, position, { currentPrice: fill.price, realizedPnL: pnl, strategy: this.getStrategyName() });
+      }
+      this.riskManager?.recordExit({
+        key: this.config.symbol,
+        pnl,
+        closed: false,
+        remainingNotional: position.entryPrice * position.quantity,
+        timestamp
+      });
+      return;
+    }
+
+    this.log(`Exited ${position.type} position at ${fill.price}, PnL: ${pnl}`);
+
+    // Reset position before notifying listeners so they observe the flat state
+    this.position = {
+      isActive: false,
+      type: null,
+      entryPrice: 0,
+      quantity: 0,
+      entryTime: null
+    };
+
+    this.emit('positionExited', {
+      side: position.type,
+      entryPrice: position.entryPrice,
+      exitPrice: fill.price,
+      exitReason: order.exitReason,
+      pnl: position.realizedPnL,
+      quantity: order.requestedQuantity,
+      timestamp,
+      trade
+    });
+
+    if (this.journal) {
+      await this.journal.savePosition(this.config.symbol, this.position, { currentPrice: fill.price, realizedPnL: pnl, strategy: this.getStrategyName() });
+    }
+
+    // Last, so a kill switch tripped by this loss sees the flat position
+    this.riskManager?.recordExit({
+      key: this.config.symbol,
+      pnl,
+      closed: true,
+      roundTripPnL: position.realizedPnL,
+      timestamp
+    });
+  }
+
+  /**
+   * Undo the open position when the exchange rejected the order that opened it
+   * Its trade records are dropped so statistics only count positions that existed
+   * @param {string} tradeId - Id of the opening trade (sent as the entry order's client order id)
+   * @returns {boolean} Whether a position was rolled back
+   */
+  async rollbackEntry(tradeId, reason) {
+    if (!this.position.isActive || this.position.entryTradeId !== tradeId) return false;
+
+    // Without its entry trade there is nothing to roll back to - leave the trade history alone
+    const index = this.trades.findIndex(trade => trade.id === tradeId);
+    if (index === -1) return false;
+
+    const position = this.position;
+
+    this.cancelPendingOrder();
+    this.trades.splice(index);
+    this.position = {
+      isActive: false,
+      type: null,
+      entryPrice: 0,
+      quantity: 0,
+      entryTime: null
+    };
+    this.riskManager?.setOpenNotional(this.config.symbol, 0);
+
+    if (this.journal) {
+      await this.journal.savePosition(this.config.symbol, this.position, { strategy: this.getStrategyName() });
+    }
+
+    this.log(`↩️ Rolled back ${position.type} entry at ${position.entryPrice} (${reason})`);
+    this.emit('entryRolledBack', { tradeId, side: position.type, entryPrice: position.entryPrice, quantity: position.quantity, reason });
+    return true;
+  }
+
+  /**
+   * Close any open position immediately at the last price and drop queued orders (kill switch)
+   */
+  async flatten(exitReason = 'risk_halt') {
+    this.cancelPendingOrder();
+    if (!this.position.isActive) return;
+
+    const lastCandle = this.marketData[this.marketData.length - 1];
+    const price = lastCandle?.close ?? this.position.entryPrice;
+
+    this.log(`🧯 Flattening ${this.position.type} position at ${price} (${exitReason})`);
+    await this.exitPosition(price, new Date(this.now()), `${this.position.type}_exit`, this.getLatestIndicators(), {
+      force: true,
+      exitReason
+    });
+  }
+
+  /**
+   * Equity available for sizing: the exchange balance when known, else initial capital plus realized PnL
+   */
+  getEquity() {
+    if (this.accountEquity !== null) return this.accountEquity;
+
+    const realizedPnL = this.trades.reduce((sum, trade) => sum + (trade.type === 'exit' ? trade.pnl : 0), 0);
+    return this.config.initialCapital + realizedPnL;
+  }
+
+  /**
+   * Use an externally reported account equity (e.g. Delta wallet balance) for sizing
+   */
+  setAccountEquity(equity) {
+    this.accountEquity = equity;
+  }
+
+  /**
+   * Calculate position size based on risk management (see PositionSizer)
+   * @returns {number} Quantity in base currency, 0 to skip the trade
+   */
+  calculatePositionSize(price, indicators = {}) {
+    const stopLoss = this.protectiveExits.config.stopLoss;
+
+    const sizing = this.positionSizer.calculate({
+      price,
+      equity: this.getEquity(),
+      atr: indicators.atr,
+      brickSize: this.getPriceContext().brickSize,
+      stopLossDistance: ProtectiveExits.distance(stopLoss, indicators.atr),
+      pnls: this.positionSizer.config.mode === 'kelly'
+        ? PerformanceAnalyzer.buildRoundTrips(this.trades).map(trip => trip.pnl)
+        : []
+    });
+
+    if (sizing.quantity <= 0) {
+      this.log(`⚠️ Skipping entry - position size is zero (${sizing.reason})`);
+    } else if (sizing.mode !== 'fixed') {
+      this.log(`📐 Position size (${sizing.mode}): ${sizing.quantity}${sizing.riskAmount ? ` risking ${sizing.riskAmount.toFixed(2)} over ${sizing.stopDistance.toFixed(2)}` : ''}`);
+    }
+
+    return sizing.quantity;
+  }
+
+  /**
+   * Calculate PnL for a position
+   */
+  calculatePnL(position, currentPrice) {
+    if (!position.isActive) return 0;
+
+    if (position.type === 'long') {
+      return (currentPrice - position.entryPrice) * position.quantity;
+    } else if (position.type === 'short') {
+      return (position.entryPrice - currentPrice) * position.quantity;
+    }
+    
+    return 0;
+  }
+
+  /**
+   * Update position PnL in real-time
+   */
+  updatePositionPnL(currentPrice) {
+    if (!this.position.isActive) return;
+
+    const unrealizedPnL = this.calculatePnL(this.position, currentPrice);
+    const pnlPercentage = ((currentPrice - this.position.entryPrice) / this.position.entryPrice) * 100;
+    const duration = this.now() - new Date(this.position.entryTime).getTime();
+    const durationMinutes = Math.floor(duration / 60000);
+    
+    // Update position with current P&L data
+    this.position.currentPrice = currentPrice;
+    this.position.unrealizedPnL = unrealizedPnL;
+    this.position.pnlPercentage = pnlPercentage;
+    this.position.durationMinutes = durationMinutes;
+    
+    this.emit('pnlUpdated', {
+      position: { ...this.position },
+      currentPrice,
+      unrealizedPnL,
+      pnlPercentage,
+      durationMinutes
+    });
+  }
+
+  /**
+   * Whether a snapshot was saved by this strategy (snapshots from before strategies were named count as RenkoEMA)
+   */
+  isOwnSnapshot(snapshot) {
+    return (snapshot.strategy || 'RenkoEMA') === this.getStrategyName();
+  }
+
+  /**
+   * Serializable snapshot of the state needed to resume after a restart (subclasses add their own state)
+   */
+  getSnapshot() {
+    const { clock, ...config } = this.config;
+
+    return {
+      version: 2,  // 2: trades are included
+      strategy: this.getStrategyName(),
+      symbol: this.config.symbol,
+      savedAt: new Date(this.now()).toISOString(),
+      isRunning: this.isRunning,
+      config,
+      position: { ...this.position },
+      lastSignal: this.lastSignal,
+      pendingOrder: this.pendingOrder,
+      marketData: this.marketData,
+      trades: this.trades
+    };
+  }
+
+  /**
+   * Restore a snapshot on top of the freshly initialized state and report what changed
+   * Call after initialize() so rebuilt state can be compared with the saved one
+   * @param {Object} snapshot - Output of getSnapshot()
+   * @returns {Array} Reconciliation entries {field, before, after, note}
+   */
+  restoreSnapshot(snapshot) {
+    const reconciliation = [];
+    const record = (field, before, after, note) => reconciliation.push({ field, before, after, note });
+    const ownSnapshot = this.isOwnSnapshot(snapshot);
+
+    if (!ownSnapshot) {
+      record('strategy', snapshot.strategy, this.getStrategyName(), 'snapshot saved by another strategy - restoring only candles, position and queued order');
+    }
+
+    // Merge saved candles with the freshly fetched ones (fresh data wins on overlapping timestamps)
+    const candlesByTime = new Map();
+    for (const candle of [...(snapshot.marketData || []), ...this.marketData]) {
+      candlesByTime.set(new Date(candle.timestamp).getTime(), { ...candle, timestamp: new Date(candle.timestamp) });
+    }
+    const mergedData = [...candlesByTime.values()].sort((a, b) => a.timestamp - b.timestamp).slice(-MAX_MARKET_DATA);
+    if (mergedData.length !== this.marketData.length) {
+      record('marketData', this.marketData.length, mergedData.length, 'merged saved candles with fetched history');
+    }
+    this.marketData = mergedData;
+
+    if (ownSnapshot && snapshot.lastSignal !== this.lastSignal) {
+      record('lastSignal', this.lastSignal, snapshot.lastSignal, 'restored last signal');
+      this.lastSignal = snapshot.lastSignal;
+    }
+
+    if (snapshot.position?.isActive) {
+      record(
+        'position',
+        this.position.isActive ? `${this.position.type} @ ${this.position.entryPrice}` : 'flat',
+        `${snapshot.position.type} @ ${snapshot.position.entryPrice}`,
+        'restored open position'
+      );
+      this.position = { ...snapshot.position, entryTime: new Date(snapshot.position.entryTime) };
+    }
+
+    // Trades carry paper equity, sizing statistics and the entry an open position's exit pairs with
+    if (Array.isArray(snapshot.trades)) {
+      if (snapshot.trades.length !== this.trades.length) {
+        record('trades', this.trades.length, snapshot.trades.length, 'restored trade history');
+      }
+      this.trades = snapshot.trades.map(trade => ({ ...trade, timestamp: new Date(trade.timestamp) }));
+    } else if (this.position.isActive) {
+      const entry = this.createRestoredEntryTrade(this.position);
+      record('trades', this.trades.length, 1, 'snapshot has no trade history - rebuilt the open entry trade from the position');
+      this.trades = [entry];
+      this.position.entryTradeId = entry.id;
+    }
+
+    if (snapshot.pendingOrder) {
+      record('pendingOrder', this.pendingOrder, snapshot.pendingOrder, 'restored queued order - fills at next candle open');
+      this.pendingOrder = snapshot.pendingOrder;
+    }
+
+    return reconciliation;
+  }
+
+  /**
+   * Entry trade record for a restored position whose snapshot predates saved trades, so its exit still pairs
+   * into a round trip
+   */
+  createRestoredEntryTrade(position) {
+    return {
+      id: position.entryTradeId || `trade_${new Date(position.entryTime).getTime()}_restored`,
+      symbol: this.config.symbol,
+      side: this.getOrderSide({ kind: 'entry', side: position.type }),
+      type: 'entry',
+      price: position.entryPrice,
+      quantity: position.quantity,
+      timestamp: new Date(position.entryTime),
+      pnl: 0,
+      fee: position.entryFees || 0,
+      strategy: this.getStrategyName(),
+      isSimulated: true,
+      restored: true
+    };
+  }
+
+  /**
+   * Get current strategy status (subclasses add their own fields)
+   */
+  getStatus() {
+    return {
+      strategy: this.getStrategyName(),
+      isRunning: this.isRunning,
+      symbol: this.config.symbol,
+      position: this.position,
+      marketDataPoints: this.marketData.length,
+      lastSignal: this.lastSignal,
+      config: this.config,
+      tradeStats: this.getTradeStatistics(),
+      totalTrades: this.trades.length,
+      signals: this.signalHistory.length
+    };
+  }
+
+  /**
+   * Get trade statistics
+   * @param {Object} options - {monteCarlo: MonteCarloAnalyzer config} adds reshuffled/resampled distributions
+   */
+  getTradeStatistics(options = {}) {
+    if (options.monteCarlo) {
+      return {
+        ...this.getTradeStatistics(),
+        monteCarlo: new MonteCarloAnalyzer(options.monteCarlo).analyze(this.trades)
+      };
+    }
+
+    if (this.trades.length === 0) {
+      return {
+        totalTrades: 0,
+        winningTrades: 0,
+        losingTrades: 0,
+        winRate: 0,
+        totalPnL: 0,
+        avgWin: 0,
+        avgLoss: 0,
+        profitFactor: 0,
+        totalFees: 0
+      };
+    }
+
+    const completedTrades = this.trades.filter(trade => trade.pnl !== 0);
+    const winningTrades = completedTrades.filter(trade => trade.pnl > 0);
+    const losingTrades = completedTrades.filter(trade => trade.pnl < 0);
+    
+    const totalPnL = completedTrades.reduce((sum, trade) => sum + trade.pnl, 0);
+    const totalWins = winningTrades.reduce((sum, trade) => sum + trade.pnl, 0);
+    const totalLosses = Math.abs(losingTrades.reduce((sum, trade) => sum + trade.pnl, 0));
+    
+    const winRate = completedTrades.length > 0 ? (winningTrades.length / completedTrades.length) * 100 : 0;
+    const avgWin = winningTrades.length > 0 ? totalWins / winningTrades.length : 0;
+    const avgLoss = losingTrades.length > 0 ? totalLosses / losingTrades.length : 0;
+    const profitFactor = totalLosses > 0 ? totalWins / totalLosses : totalWins;
+
+    return {
+      totalTrades: completedTrades.length,
+      winningTrades: winningTrades.length,
+      losingTrades: losingTrades.length,
+      winRate: Math.round(winRate * 100) / 100,
+      totalPnL: Math.round(totalPnL * 100) / 100,
+      avgWin: Math.round(avgWin * 100) / 100,
+      avgLoss: Math.round(avgLoss * 100) / 100,
+      profitFactor: Math.round(profitFactor * 100) / 100,
+      totalFees: Math.round(this.trades.reduce((sum, trade) => sum + (trade.fee || 0), 0) * 100) / 100
+    };
+  }
+
+  /**
+   * Get all trades
+   */
+  getTrades() {
+    return this.trades;
+  }
+
+  /**
+   * Get all signals
+   */
+  getSignals() {
+    return this.signalHistory;
+  }
+
+  /**
+   * Bars the strategy trades on with their indicator values, for data exports (none by default)
+   */
+  getBarHistory() {
+    return [];
+  }
+
+  /**
+   * Stop the strategy
+   */
+  stop() {
+    this.isRunning = false;
+    this.emit('stopped');
+    this.log(`Strategy stopped for ${this.config.symbol}`);
+  }
+
+  /**
+   * Start the strategy
+   */
+  start() {
+    this.isRunning = true;
+    this.emit('started');
+    this.log(`Strategy started for ${this.config.symbol}`);
+  }
+}
+
+export default BaseStrategy;
@@ -0,0 +1,253 @@
+/**
+ * Chart Calculator - Base class for the price transforms strategies build their bars from
+ * Renko, Heikin Ashi, range bars, Kagi and Point & Figure share one API: calculate() builds the series from
+ * candles, addCandle()/addPrice() extend it in real time, and every bar is an OHLC object with a direction,
+ * so the bar indicators (EMA, SuperTrend, filters) run on any of them
+ */
+
+export const BRICK_MODES = ['fixed', 'atr', 'percentage', 'dynamic'];
+export const BRICK_SOURCES = ['hl', 'close'];
+
+class ChartCalculator {
+  static chartType = null;  // Config name, see ChartTypes.js
+
+  /**
+   * @param {number} brickSize - Box size in price points (ignored in percentage mode)
+   * @param {Object} options
+   * @param {string} options.mode - How the box size was chosen (see BRICK_MODES), recorded on each bar;
+   *   'percentage' sizes every box off the last reference price
+   * @param {number} options.percentage - Box size in percent of price for percentage mode
+   * @param {string} options.source - 'hl' checks each candle's high, low then close; 'close' only its close
+   */
+  constructor(brickSize = null, options = {}) {
+    this.brickSize = brickSize;
+    this.mode = options.mode || 'fixed';
+    this.percentage = options.percentage || null;
+    this.source = options.source || 'hl';
+    this.reset();
+  }
+
+  get chartType() {
+    return this.constructor.chartType;
+  }
+
+  /**
+   * Calculate the bars from OHLC data
+   * @param {Array} ohlcData - Array of OHLC objects with {open, high, low, close, timestamp, volume}
+   * @returns {Array} Array of bars
+   */
+  calculate(ohlcData) {
+    this.reset();
+
+    if (!ohlcData || ohlcData.length === 0) {
+      return [];
+    }
+
+    // Sort a copy by timestamp to ensure chronological order (the caller's array is left alone)
+    const sortedData = [...ohlcData].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    for (const candle of sortedData) {
+      this.processCandle(candle);
+    }
+
+    return this.bars;
+  }
+
+  /**
+   * Process a single candle and push the bars it completes
+   * @param {Object} candle - OHLC candle data
+   */
+  processCandle(candle) {
+    throw new Error(`${this.constructor.name} must implement processCandle()`);
+  }
+
+  /**
+   * Prices a candle is checked at, in order
+   */
+  candlePrices({ high, low, close }) {
+    return this.source === 'close' ? [close] : [high, low, close];
+  }
+
+  /**
+   * Percentage mode: the next box is `percentage` % of the reference price
+   */
+  updatePercentageBoxSize(referencePrice) {
+    if (this.mode === 'percentage') {
+      this.brickSize = referencePrice * this.percentage / 100;
+    }
+  }
+
+  /**
+   * Push a bar (extra fields go after the direction)
+   */
+  createBar(timestamp, open, high, low, close, direction, fields = {}) {
+    const bar = {
+      timestamp: new Date(timestamp),
+      open: parseFloat(open.toFixed(8)),
+      close: parseFloat(close.toFixed(8)),
+      high: parseFloat(high.toFixed(8)),
+      low: parseFloat(low.toFixed(8)),
+      direction,
+      ...fields,
+      brickSize: this.brickSize,
+      brickMode: this.mode,
+      source: this.source
+    };
+
+    this.bars.push(bar);
+    return bar;
+  }
+
+  /**
+   * Count a candle towards the bar being formed and stamp the bars it completed
+   * @param {Array} bars - Bars completed by this candle (may be empty)
+   * @param {Object} candle - OHLC candle data
+   */
+  finishBars(bars, candle) {
+    this.trackFormation(candle);
+    if (bars.length > 0) {
+      this.stampBars(bars, candle);
+    }
+  }
+
+  trackFormation({ high, low, volume, timestamp }) {
+    const forming = this.forming;
+
+    forming.high = Math.max(forming.high ?? high, high);
+    forming.low = Math.min(forming.low ?? low, low);
+    forming.volume += volume || 0;
+    forming.ticks += 1;
+    forming.startTime = forming.startTime ?? new Date(timestamp);
+  }
+
+  /**
+   * Give completed bars their volume, tick count and formation times, and start the next formation.
+   * Prices are only known per candle: a candle that completes bars counts towards the first of them
+   * and shares its volume evenly between them
+   */
+  stampBars(bars, { close, volume = 0, timestamp }) {
+    const forming = this.forming;
+    const candleShare = (volume || 0) / bars.length;
+
+    bars.forEach((bar, index) => {
+      const first = index === 0;
+
+      bar.volume = first ? forming.volume - (volume || 0) + candleShare : candleShare;
+      bar.ticks = first ? forming.ticks : 1;
+      bar.startTime = first ? forming.startTime : new Date(timestamp);
+      bar.endTime = new Date(timestamp);
+    });
+
+    this.forming = { high: close, low: close, volume: 0, ticks: 0, startTime: null };
+  }
+
+  /**
+   * Add a single candle on top of the existing bars (for real-time processing)
+   * @returns {Array} New bars created
+   */
+  addCandle(candle) {
+    const initialBarsCount = this.bars.length;
+    this.processCandle(candle);
+    return this.bars.slice(initialBarsCount);
+  }
+
+  /**
+   * Add a single price update (for real-time processing)
+   */
+  addPrice(price, timestamp = new Date()) {
+    // Create a temporary candle for processing
+    return this.addCandle({
+      open: price,
+      high: price,
+      low: price,
+      close: price,
+      timestamp
+    });
+  }
+
+  /**
+   * Whether bars can be built yet (ATR-sized boxes wait for their ATR)
+   */
+  hasBoxSize() {
+    return this.mode === 'percentage' ? this.percentage > 0 : this.brickSize > 0;
+  }
+
+  /**
+   * Get the latest completed bar
+   */
+  getLatestBrick() {
+    return this.bars.length > 0 ? this.bars[this.bars.length - 1] : null;
+  }
+
+  /**
+   * Get bar statistics
+   */
+  getStatistics() {
+    const latest = this.getLatestBrick();
+
+    if (this.bars.length === 0) {
+      return {
+        chartType: this.chartType,
+        totalBricks: 0,
+        upBricks: 0,
+        downBricks: 0,
+        currentDirection: 0,
+        lastPrice: null
+      };
+    }
+
+    const upBricks = this.bars.filter(bar => bar.direction === 1).length;
+    const downBricks = this.bars.filter(bar => bar.direction === -1).length;
+
+    return {
+      chartType: this.chartType,
+      totalBricks: this.bars.length,
+      upBricks,
+      downBricks,
+      upPercentage: ((upBricks / this.bars.length) * 100).toFixed(2),
+      downPercentage: ((downBricks / this.bars.length) * 100).toFixed(2),
+      currentDirection: latest.direction,
+      lastPrice: latest.close,
+      brickSize: this.brickSize,
+      brickMode: this.mode,
+      source: this.source
+    };
+  }
+
+  /**
+   * State beyond the completed bars that the next candle depends on (saved in strategy snapshots)
+   */
+  getState() {
+    return { forming: this.forming };
+  }
+
+  /**
+   * Whether saved getState() output can be resumed by this calculator (subclasses reject older bar models)
+   * @param {Object} state - Saved state
+   */
+  canRestoreState(state = {}) {
+    return true;
+  }
+
+  /**
+   * Restore getState() output after the saved bars were put back
+   * @param {Object} state - Saved state (older snapshots may lack fields)
+   * @param {Object} lastBar - Last saved bar, for fields the state does not have
+   */
+  restoreState(state = {}, lastBar = null) {
+    if (state.forming) {
+      const { startTime } = state.forming;
+      this.forming = { ...state.forming, startTime: startTime ? new Date(startTime) : null };
+    }
+  }
+
+  /**
+   * Clear all bars and reset state
+   */
+  reset() {
+    this.bars = [];
+    this.forming = { high: null, low: null, volume: 0, ticks: 0, startTime: null };  // Bar being formed
+  }
+}
+
+export default ChartCalculator;
@@ -0,0 +1,28 @@
+/**
+ * Chart Types - The price transforms a strategy can build its bars from, by config name
+ */
+
+import RenkoCalculator from './RenkoCalculator.js';
+import HeikinAshiCalculator from './HeikinAshiCalculator.js';
+import RangeBarCalculator from './RangeBarCalculator.js';
+import KagiCalculator from './KagiCalculator.js';
+import PointFigureCalculator from './PointFigureCalculator.js';
+
+export const CHART_TYPES = Object.fromEntries(
+  [RenkoCalculator, HeikinAshiCalculator, RangeBarCalculator, KagiCalculator, PointFigureCalculator]
+    .map(Calculator => [Calculator.chartType, Calculator])
+);
+
+/**
+ * Create the calculator for a chart type
+ * @param {string} chartType - renko | heikinashi | range | kagi | pointfigure
+ * @param {number} brickSize - Box size (range size, Kagi reversal amount, P&F box; unused by Heikin Ashi)
+ * @param {Object} options - mode, percentage, source and, for Point & Figure, reversal
+ */
+export const createChartCalculator = (chartType, brickSize, options = {}) => {
+  const Calculator = CHART_TYPES[chartType];
+  if (!Calculator) {
+    throw new Error(`Unknown chartType "${chartType}" - use ${Object.keys(CHART_TYPES).join(', ')}`);
+  }
+  return new Calculator(brickSize, options);
+};
@@ -0,0 +1,43 @@
+/**
+ * Heikin Ashi Calculator
+ * Averages each candle with the previous Heikin Ashi bar - one bar per candle, no box size
+ */
+
+import ChartCalculator from './ChartCalculator.js';
+
+class HeikinAshiCalculator extends ChartCalculator {
+  static chartType = 'heikinashi';
+
+  /**
+   * HA close = (open + high + low + close) / 4, HA open = midpoint of the previous HA bar's body
+   * (the candle's own body for the first bar), high/low stretched to cover both
+   * @param {Object} candle - OHLC candle data
+   */
+  processCandle(candle) {
+    const { open, high, low, close, timestamp } = candle;
+    const previous = this.getLatestBrick();
+
+    const haClose = (open + high + low + close) / 4;
+    const haOpen = previous ? (previous.open + previous.close) / 2 : (open + close) / 2;
+    const direction = haClose > haOpen ? 1 : haClose < haOpen ? -1 : 0;
+
+    const bar = this.createBar(
+      timestamp,
+      haOpen,
+      Math.max(high, haOpen, haClose),
+      Math.min(low, haOpen, haClose),
+      haClose,
+      direction
+    );
+    this.finishBars([bar], candle);
+  }
+
+  /**
+   * Heikin Ashi bars need no box size
+   */
+  hasBoxSize() {
+    return true;
+  }
+}
+
+export default HeikinAshiCalculator;
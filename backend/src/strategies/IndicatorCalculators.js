@@ -1,8 +1,150 @@
 /**
  * Technical Indicator Calculators
- * EMA, SuperTrend, ATR calculations for trading strategy
+ * EMA, SMA, RMA, ATR, SuperTrend, RSI, MACD, Bollinger Bands, ADX/DMI, VWAP, Donchian and Keltner channels
+ * Every calculator returns arrays aligned with its input, with null where the value is not available yet
+ *
+ * The static calculate* methods work on a whole series. The Incremental* classes keep their state
+ * between bars and return, for each update(), exactly the value the batch method gives at that index.
  */
 
+/**
+ * Streaming EMA - seeded with the SMA of the first `period` values like calculateEMA
+ */
+export class IncrementalEMA {
+  constructor(period = 21) {
+    this.period = period;
+    this.multiplier = 2 / (period + 1);
+    this.count = 0;
+    this.sum = 0;
+    this.value = null;
+  }
+
+  /**
+   * @param {number} price - Next value of the series
+   * @returns {number|null} EMA at this bar (null until `period` values were seen)
+   */
+  update(price) {
+    this.count++;
+
+    if (this.count <= this.period) {
+      this.sum += price;
+      if (this.count === this.period) {
+        this.value = this.sum / this.period;
+      }
+      return this.value;
+    }
+
+    this.value = (price * this.multiplier) + (this.value * (1 - this.multiplier));
+    return this.value;
+  }
+}
+
+/**
+ * Streaming ATR (RMA of true ranges, TradingView style) - same values as calculateATR
+ */
+export class IncrementalATR {
+  constructor(period = 14) {
+    this.period = period;
+    this.count = 0;
+    this.sum = 0;
+    this.previousClose = null;
+    this.value = null;
+  }
+
+  /**
+   * @param {Object} candle - {high, low, close}
+   * @returns {number|null} ATR at this bar (null until `period` bars were seen)
+   */
+  update(candle) {
+    const hl = candle.high - candle.low;
+    const tr = this.previousClose === null
+      ? hl
+      : Math.max(hl, Math.abs(candle.high - this.previousClose), Math.abs(candle.low - this.previousClose));
+
+    this.previousClose = candle.close;
+    this.count++;
+
+    if (this.count <= this.period) {
+      this.sum += tr;
+      if (this.count === this.period) {
+        this.value = this.sum / this.period;
+      }
+      return this.value;
+    }
+
+    this.value = (this.value * (this.period - 1) + tr) / this.period;
+    return this.value;
+  }
+}
+
+/**
+ * Streaming SuperTrend - same bands, value and direction as calculateSuperTrend
+ */
+export class IncrementalSuperTrend {
+  constructor(atrPeriod = 10, multiplier = 3.0) {
+    this.multiplier = multiplier;
+    this.atr = new IncrementalATR(atrPeriod);
+    this.previousClose = null;
+    this.upperBand = null;
+    this.lowerBand = null;
+    this.direction = null;
+    this.supertrend = null;
+  }
+
+  /**
+   * @param {Object} candle - {high, low, close}
+   * @returns {Object} {supertrend, direction, upperBand, lowerBand, atr} at this bar (all null during ATR warmup)
+   */
+  update(candle) {
+    const atr = this.atr.update(candle);
+    const previousClose = this.previousClose;
+    this.previousClose = candle.close;
+
+    if (atr === null) {
+      return { supertrend: null, direction: null, upperBand: null, lowerBand: null, atr: null };
+    }
+
+    const hl2 = (candle.high + candle.low) / 2;
+    const basicUpperBand = hl2 + (this.multiplier * atr);
+    const basicLowerBand = hl2 - (this.multiplier * atr);
+
+    let finalUpperBand, finalLowerBand;
+    if (this.upperBand === null) {
+      finalUpperBand = basicUpperBand;
+      finalLowerBand = basicLowerBand;
+    } else {
+      finalUpperBand = (basicUpperBand < this.upperBand || previousClose > this.upperBand)
+        ? basicUpperBand
+        : this.upperBand;
+
+      finalLowerBand = (basicLowerBand > this.lowerBand || previousClose < this.lowerBand)
+        ? basicLowerBand
+        : this.lowerBand;
+    }
+
+    // Uptrend follows the lower band, downtrend the upper band
+    if (this.direction === null) {
+      this.direction = candle.close <= finalLowerBand ? -1 : 1;
+    } else if (this.direction === 1) {
+      this.direction = candle.close > finalLowerBand ? 1 : -1;
+    } else {
+      this.direction = candle.close < finalUpperBand ? -1 : 1;
+    }
+
+    this.upperBand = finalUpperBand;
+    this.lowerBand = finalLowerBand;
+    this.supertrend = this.direction === 1 ? finalLowerBand : finalUpperBand;
+
+    return {
+      supertrend: this.supertrend,
+      direction: this.direction,
+      upperBand: finalUpperBand,
+      lowerBand: finalLowerBand,
+      atr
+    };
+  }
+}
+
 class IndicatorCalculators {
   
   /**
@@ -210,6 +352,23 @@ class IndicatorCalculators {
     return results;
   }
 
+  /**
+   * Streaming counterparts of calculateMultipleSuperTrend, keyed the same way
+   * @param {number} atrPeriod - ATR period
+   * @param {Array} multipliers - Array of multiplier values
+   * @returns {Object} key -> IncrementalSuperTrend
+   */
+  static createMultipleSuperTrend(atrPeriod = 1, multipliers = [2.1, 3.1, 4.1]) {
+    const results = {};
+
+    for (const multiplier of multipliers) {
+      const key = `supertrend_${multiplier.toString().replace('.', '_')}`;
+      results[key] = new IncrementalSuperTrend(atrPeriod, multiplier);
+    }
+
+    return results;
+  }
+
   /**
    * Calculate Simple Moving Average (SMA)
    * @param {Array} prices - Array of price values
@@ -233,6 +392,271 @@ class IndicatorCalculators {
     
     return sma;
   }
+
+  /**
+   * Apply a series function to the part of `values` after its leading nulls
+   * (TradingView starts a derived series at its first non-na value)
+   */
+  static afterLeadingNulls(values, calculate) {
+    const start = values.findIndex(value => value !== null && value !== undefined);
+    if (start === -1) return new Array(values.length).fill(null);
+
+    return [...new Array(start).fill(null), ...calculate(values.slice(start))];
+  }
+
+  /**
+   * Calculate Running Moving Average (RMA, Wilder smoothing) - TradingView's ta.rma()
+   * Seeded with the SMA of the first `period` values; leading nulls are skipped
+   * @param {Array} values - Array of values
+   * @param {number} period - RMA period
+   * @returns {Array} Array of RMA values
+   */
+  static calculateRMA(values, period) {
+    if (!values || values.length === 0) return [];
+
+    return this.afterLeadingNulls(values, series => {
+      const rma = [];
+      let sum = 0;
+
+      for (let i = 0; i < series.length; i++) {
+        if (i < period - 1) {
+          sum += series[i];
+          rma.push(null);
+        } else if (i === period - 1) {
+          sum += series[i];
+          rma.push(sum / period);
+        } else {
+          rma.push((rma[i - 1] * (period - 1) + series[i]) / period);
+        }
+      }
+
+      return rma;
+    });
+  }
+
+  /**
+   * Calculate Relative Strength Index (RSI) - RMA of gains and losses like TradingView's ta.rsi()
+   * @param {Array} prices - Array of price values
+   * @param {number} period - RSI period (default: 14)
+   * @returns {Array} Array of RSI values (0-100)
+   */
+  static calculateRSI(prices, period = 14) {
+    if (!prices || prices.length === 0) return [];
+
+    const gains = prices.map((price, i) => (i === 0 ? null : Math.max(price - prices[i - 1], 0)));
+    const losses = prices.map((price, i) => (i === 0 ? null : Math.max(prices[i - 1] - price, 0)));
+    const averageGain = this.calculateRMA(gains, period);
+    const averageLoss = this.calculateRMA(losses, period);
+
+    return averageGain.map((gain, i) => {
+      const loss = averageLoss[i];
+      if (gain === null || loss === null) return null;
+      if (loss === 0) return 100;
+      if (gain === 0) return 0;
+      return 100 - (100 / (1 + gain / loss));
+    });
+  }
+
+  /**
+   * Calculate MACD
+   * @param {Array} prices - Array of price values
+   * @param {number} fastPeriod - Fast EMA period (default: 12)
+   * @param {number} slowPeriod - Slow EMA period (default: 26)
+   * @param {number} signalPeriod - Signal EMA period (default: 9)
+   * @returns {Object} {macd, signal, histogram}
+   */
+  static calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    if (!prices || prices.length === 0) {
+      return { macd: [], signal: [], histogram: [] };
+    }
+
+    const fast = this.calculateEMA(prices, fastPeriod);
+    const slow = this.calculateEMA(prices, slowPeriod);
+    const macd = fast.map((value, i) => (value === null || slow[i] === null ? null : value - slow[i]));
+    const signal = this.afterLeadingNulls(macd, series => this.calculateEMA(series, signalPeriod));
+    const histogram = macd.map((value, i) => (value === null || signal[i] === null ? null : value - signal[i]));
+
+    return { macd, signal, histogram };
+  }
+
+  /**
+   * Calculate Bollinger Bands - SMA basis and population standard deviation like TradingView's ta.bb()
+   * @param {Array} prices - Array of price values
+   * @param {number} period - Basis period (default: 20)
+   * @param {number} multiplier - Standard deviation multiplier (default: 2)
+   * @returns {Object} {middle, upper, lower}
+   */
+  static calculateBollingerBands(prices, period = 20, multiplier = 2) {
+    if (!prices || prices.length === 0) {
+      return { middle: [], upper: [], lower: [] };
+    }
+
+    const middle = this.calculateSMA(prices, period);
+    const deviation = middle.map((mean, i) => {
+      if (mean === null) return null;
+      const window = prices.slice(i - period + 1, i + 1);
+      const variance = window.reduce((sum, price) => sum + (price - mean) ** 2, 0) / period;
+      return Math.sqrt(variance);
+    });
+
+    return {
+      middle,
+      upper: middle.map((mean, i) => (mean === null ? null : mean + multiplier * deviation[i])),
+      lower: middle.map((mean, i) => (mean === null ? null : mean - multiplier * deviation[i]))
+    };
+  }
+
+  /**
+   * Calculate ADX and the directional indicators (DMI) like TradingView's ta.dmi()
+   * The first bar has no previous bar, so every series starts one bar later than the input
+   * @param {Array} ohlcData - Array of OHLC objects
+   * @param {number} diPeriod - DI length (default: 14)
+   * @param {number} adxSmoothing - ADX smoothing (default: 14)
+   * @returns {Object} {adx, plusDI, minusDI}
+   */
+  static calculateADX(ohlcData, diPeriod = 14, adxSmoothing = 14) {
+    if (!ohlcData || ohlcData.length === 0) {
+      return { adx: [], plusDI: [], minusDI: [] };
+    }
+
+    const trueRanges = [null];
+    const plusDM = [null];
+    const minusDM = [null];
+
+    for (let i = 1; i < ohlcData.length; i++) {
+      const current = ohlcData[i];
+      const previous = ohlcData[i - 1];
+      const up = current.high - previous.high;
+      const down = previous.low - current.low;
+
+      plusDM.push(up > down && up > 0 ? up : 0);
+      minusDM.push(down > up && down > 0 ? down : 0);
+      trueRanges.push(Math.max(
+        current.high - current.low,
+        Math.abs(current.high - previous.close),
+        Math.abs(current.low - previous.close)
+      ));
+    }
+
+    const smoothedTR = this.calculateRMA(trueRanges, diPeriod);
+    const smoothedPlus = this.calculateRMA(plusDM, diPeriod);
+    const smoothedMinus = this.calculateRMA(minusDM, diPeriod);
+
+    const plusDI = smoothedTR.map((tr, i) => (tr === null ? null : 100 * smoothedPlus[i] / tr));
+    const minusDI = smoothedTR.map((tr, i) => (tr === null ? null : 100 * smoothedMinus[i] / tr));
+    const dx = plusDI.map((plus, i) => {
+      if (plus === null) return null;
+      const sum = plus + minusDI[i];
+      return Math.abs(plus - minusDI[i]) / (sum === 0 ? 1 : sum);
+    });
+    const adx = this.calculateRMA(dx, adxSmoothing).map(value => (value === null ? null : 100 * value));
+
+    return { adx, plusDI, minusDI };
+  }
+
+  /**
+   * Calculate session-anchored VWAP of the typical price (hlc3)
+   * The running sums restart at the first bar of every UTC day, ISO week (Monday) or month
+   * @param {Array} ohlcData - Array of OHLC objects with {timestamp, volume}
+   * @param {string} anchor - 'day', 'week' or 'month' (default: 'day')
+   * @returns {Array} Array of VWAP values (null while the session has no volume)
+   */
+  static calculateVWAP(ohlcData, anchor = 'day') {
+    if (!ohlcData || ohlcData.length === 0) return [];
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const sessionKey = (timestamp) => {
+      const date = new Date(timestamp);
+      switch (anchor) {
+        case 'day':
+          return Math.floor(date.getTime() / DAY_MS);
+        case 'week':
+          // Days since epoch shifted so weeks start on Monday (1970-01-01 was a Thursday)
+          return Math.floor((Math.floor(date.getTime() / DAY_MS) + 3) / 7);
+        case 'month':
+          return date.getUTCFullYear() * 12 + date.getUTCMonth();
+        default:
+          throw new Error(`Unknown VWAP anchor "${anchor}" - use day, week or month`);
+      }
+    };
+
+    const vwap = [];
+    let session = null;
+    let priceVolume = 0;
+    let volume = 0;
+
+    for (const candle of ohlcData) {
+      const key = sessionKey(candle.timestamp);
+      if (key !== session) {
+        session = key;
+        priceVolume = 0;
+        volume = 0;
+      }
+
+      const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+      priceVolume += typicalPrice * (candle.volume || 0);
+      volume += candle.volume || 0;
+      vwap.push(volume > 0 ? priceVolume / volume : null);
+    }
+
+    return vwap;
+  }
+
+  /**
+   * Calculate Donchian Channels - highest high and lowest low of the last `period` bars
+   * @param {Array} ohlcData - Array of OHLC objects
+   * @param {number} period - Channel length (default: 20)
+   * @returns {Object} {upper, middle, lower}
+   */
+  static calculateDonchian(ohlcData, period = 20) {
+    if (!ohlcData || ohlcData.length === 0) {
+      return { upper: [], middle: [], lower: [] };
+    }
+
+    const upper = [];
+    const middle = [];
+    const lower = [];
+
+    for (let i = 0; i < ohlcData.length; i++) {
+      if (i < period - 1) {
+        upper.push(null);
+        middle.push(null);
+        lower.push(null);
+        continue;
+      }
+
+      const window = ohlcData.slice(i - period + 1, i + 1);
+      const highest = Math.max(...window.map(candle => candle.high));
+      const lowest = Math.min(...window.map(candle => candle.low));
+      upper.push(highest);
+      middle.push((highest + lowest) / 2);
+      lower.push(lowest);
+    }
+
+    return { upper, middle, lower };
+  }
+
+  /**
+   * Calculate Keltner Channels - EMA basis with ATR bands (TradingView's default "Average True Range" style)
+   * @param {Array} ohlcData - Array of OHLC objects
+   * @param {number} period - EMA length (default: 20)
+   * @param {number} multiplier - ATR multiplier (default: 2)
+   * @param {number} atrPeriod - ATR length (default: 10)
+   * @returns {Object} {middle, upper, lower}
+   */
+  static calculateKeltner(ohlcData, period = 20, multiplier = 2, atrPeriod = 10) {
+    if (!ohlcData || ohlcData.length === 0) {
+      return { middle: [], upper: [], lower: [] };
+    }
+
+    const middle = this.calculateEMA(ohlcData.map(candle => candle.close), period);
+    const atr = this.calculateATR(ohlcData, atrPeriod);
+    const band = (sign) => middle.map((basis, i) => (
+      basis === null || atr[i] === null ? null : basis + sign * multiplier * atr[i]
+    ));
+
+    return { middle, upper: band(1), lower: band(-1) };
+  }
 }
 
 export default IndicatorCalculators;
\ No newline at end of file
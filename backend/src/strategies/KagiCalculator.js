@@ -0,0 +1,113 @@
+/**
+ * Kagi Calculator
+ * A Kagi line follows price in its direction and turns when price moves the reversal amount (the box size)
+ * back from the line's extreme. A line is one bar, pushed when it is confirmed: open at the turning point,
+ * close at the price that confirmed it, direction of the new line. Its further extent opens the next bar
+ */
+
+import ChartCalculator from './ChartCalculator.js';
+
+class KagiCalculator extends ChartCalculator {
+  static chartType = 'kagi';
+
+  /**
+   * @param {Object} candle - OHLC candle data
+   */
+  processCandle(candle) {
+    const { close, timestamp } = candle;
+
+    // The first close starts the first line
+    if (!this.line) {
+      this.line = { start: close, extreme: close, direction: 0 };
+      this.finishBars([], candle);
+      return;
+    }
+
+    const barsBefore = this.bars.length;
+    for (const price of this.candlePrices(candle)) {
+      this.checkForReversal(timestamp, price);
+    }
+
+    this.finishBars(this.bars.slice(barsBefore), candle);
+  }
+
+  /**
+   * Extend the current line to `price`, or finish it and turn when price reverses by the box size
+   */
+  checkForReversal(timestamp, price) {
+    const line = this.line;
+    this.updatePercentageBoxSize(line.extreme);
+    if (!(this.brickSize > 0)) return;
+
+    // The first line takes the direction of the first box-size move
+    if (line.direction === 0) {
+      if (Math.abs(price - line.start) >= this.brickSize) {
+        line.direction = price > line.start ? 1 : -1;
+        line.extreme = price;
+        this.yang = line.direction > 0;
+        this.confirmLine(timestamp, price);
+      }
+      return;
+    }
+
+    if ((price - line.extreme) * line.direction > 0) {
+      line.extreme = price;
+    } else if (Math.abs(price - line.extreme) >= this.brickSize) {
+      this.finishLine();
+      this.line = { start: line.extreme, extreme: price, direction: -line.direction };
+      this.confirmLine(timestamp, price);
+    }
+  }
+
+  /**
+   * Record the finished line's extreme as the last shoulder (up line) or waist (down line). `yang` is the
+   * line's thickness: it turns thick (yang) when an up line rises above the previous shoulder and thin (yin)
+   * when a down line falls below the previous waist
+   */
+  finishLine() {
+    const { extreme, direction } = this.line;
+    this.updateThickness(extreme, direction);
+
+    if (direction > 0) this.shoulder = extreme;
+    else this.waist = extreme;
+  }
+
+  updateThickness(price, direction) {
+    if (direction > 0 && this.shoulder !== null && price > this.shoulder) {
+      this.yang = true;
+    } else if (direction < 0 && this.waist !== null && price < this.waist) {
+      this.yang = false;
+    }
+  }
+
+  /**
+   * Push the new line as a bar closing at the price that confirmed it
+   */
+  confirmLine(timestamp, price) {
+    const { start, direction } = this.line;
+    this.updateThickness(price, direction);
+    this.createBar(timestamp, start, Math.max(start, price), Math.min(start, price), price, direction, { yang: this.yang });
+  }
+
+  getState() {
+    return { line: this.line, shoulder: this.shoulder, waist: this.waist, yang: this.yang, ...super.getState() };
+  }
+
+  restoreState(state = {}, lastBar = null) {
+    super.restoreState(state, lastBar);
+    this.line = state.line ?? (lastBar ? { start: lastBar.open, extreme: lastBar.close, direction: lastBar.direction } : null);
+    this.shoulder = state.shoulder ?? null;
+    this.waist = state.waist ?? null;
+    this.yang = state.yang ?? lastBar?.yang ?? null;
+  }
+
+  reset() {
+    super.reset();
+    this.line = null;      // Line being drawn {start, extreme, direction}
+    this.shoulder = null;  // Top of the last up line
+    this.waist = null;     // Bottom of the last down line
+    this.yang = null;      // Current thickness (true: thick/yang, false: thin/yin)
+  }
+}
+
+export default KagiCalculator;
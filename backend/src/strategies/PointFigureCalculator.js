@@ -0,0 +1,109 @@
+/**
+ * Point & Figure Calculator
+ * Stacks boxes into X (rising) and O (falling) columns and starts a new column when price reverses by
+ * `reversal` boxes. A column is one bar, pushed when it is confirmed (its first box, or `reversal` boxes
+ * against the previous column): open where it started, close at the box price reached. Later boxes in the
+ * column's direction extend it without a bar; the next column opens at its last box
+ */
+
+import ChartCalculator from './ChartCalculator.js';
+
+class PointFigureCalculator extends ChartCalculator {
+  static chartType = 'pointfigure';
+
+  /**
+   * @param {number} brickSize - Box size in price points (ignored in percentage mode)
+   * @param {Object} options - mode, percentage and source (see ChartCalculator), plus
+   * @param {number} options.reversal - Boxes against the column that start a new one (default 3)
+   */
+  constructor(brickSize = null, options = {}) {
+    super(brickSize, options);
+    this.reversal = options.reversal || 3;
+  }
+
+  /**
+   * @param {Object} candle - OHLC candle data
+   */
+  processCandle(candle) {
+    const { close, timestamp } = candle;
+
+    // The first close is where the first column starts
+    if (!this.column) {
+      this.column = { start: close, extreme: close, direction: 0, boxes: 0 };
+      this.finishBars([], candle);
+      return;
+    }
+
+    const barsBefore = this.bars.length;
+    for (const price of this.candlePrices(candle)) {
+      this.checkForBoxes(timestamp, price);
+    }
+
+    this.finishBars(this.bars.slice(barsBefore), candle);
+  }
+
+  /**
+   * Add the whole boxes `price` fills in the column's direction, or reverse into a new column
+   */
+  checkForBoxes(timestamp, price) {
+    const column = this.column;
+    this.updatePercentageBoxSize(column.extreme);
+    if (!(this.brickSize > 0)) return;
+
+    const boxes = distance => Math.floor(distance / this.brickSize);
+
+    // The first column takes the direction of the first full box
+    if (column.direction === 0) {
+      const filled = boxes(Math.abs(price - column.start));
+      if (filled >= 1) {
+        column.direction = price > column.start ? 1 : -1;
+        column.extreme = column.start + column.direction * filled * this.brickSize;
+        column.boxes = filled;
+        this.confirmColumn(timestamp);
+      }
+      return;
+    }
+
+    const ahead = boxes((price - column.extreme) * column.direction);
+    if (ahead >= 1) {
+      column.extreme += column.direction * ahead * this.brickSize;
+      column.boxes += ahead;
+      return;
+    }
+
+    const back = boxes((column.extreme - price) * column.direction);
+    if (back >= this.reversal) {
+      this.column = {
+        start: column.extreme,
+        extreme: column.extreme - column.direction * back * this.brickSize,
+        direction: -column.direction,
+        boxes: back
+      };
+      this.confirmColumn(timestamp);
+    }
+  }
+
+  /**
+   * Push the current column as a bar closing at the boxes filled so far
+   */
+  confirmColumn(timestamp) {
+    const { start, extreme, direction, boxes } = this.column;
+    this.createBar(timestamp, start, Math.max(start, extreme), Math.min(start, extreme), extreme, direction, { boxes });
+  }
+
+  getState() {
+    return { column: this.column, ...super.getState() };
+  }
+
+  restoreState(state = {}, lastBar = null) {
+    super.restoreState(state, lastBar);
+    this.column = state.column ?? (lastBar ? { start: lastBar.open, extreme: lastBar.close, direction: lastBar.direction, boxes: lastBar.boxes } : null);
+  }
+
+  reset() {
+    super.reset();
+    this.column = null;  // Column being built {start, extreme, direction, boxes}
+  }
+}
+
+export default PointFigureCalculator;
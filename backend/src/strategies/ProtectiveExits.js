@@ -0,0 +1,134 @@
+/**
+ * Protective Exits - Stop-loss, take-profit and trailing stops for RenkoEMAStrategy
+ * Levels live on the position object (so they survive state snapshots) and are checked against every candle
+ * and, live, every ticker / mark price update in between (BaseStrategy.onTick)
+ */
+
+const DISTANCE_TYPES = ['fixed', 'atr'];
+
+class ProtectiveExits {
+  constructor(config = {}) {
+    this.config = {
+      stopLoss: null,         // {type: 'fixed' | 'atr', value}: distance from entry in price units or ATR multiples
+      takeProfit: null,       // {type: 'fixed' | 'atr', value}
+      trailingBricks: null,   // Trail the stop this many bricks behind the best brick close since entry
+      supertrendTrail: null,  // Index into supertrendMultipliers whose SuperTrend line trails the stop (0 -> first)
+      ...config
+    };
+
+    for (const key of ['stopLoss', 'takeProfit']) {
+      const spec = this.config[key];
+      if (spec && !DISTANCE_TYPES.includes(spec.type)) {
+        throw new Error(`Unknown ${key} type "${spec.type}". Use one of: ${DISTANCE_TYPES.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Whether any protective exit is configured
+   */
+  isEnabled() {
+    const { stopLoss, takeProfit, trailingBricks, supertrendTrail } = this.config;
+    return Boolean(stopLoss || takeProfit || trailingBricks || supertrendTrail !== null);
+  }
+
+  /**
+   * Price distance for a stop/target spec
+   */
+  static distance(spec, atr) {
+    if (!spec) return null;
+    if (spec.type === 'atr') {
+      return atr > 0 ? spec.value * atr : null;
+    }
+    return spec.value;
+  }
+
+  /**
+   * Set stop-loss and take-profit levels from the position's (average) entry price
+   * @param {Object} position - Active strategy position (mutated)
+   * @param {Object} context - {atr: ATR at entry, brickClose: latest brick close}
+   */
+  initialize(position, { atr, brickClose }) {
+    const direction = position.type === 'long' ? 1 : -1;
+    const stopDistance = ProtectiveExits.distance(this.config.stopLoss, atr);
+    const targetDistance = ProtectiveExits.distance(this.config.takeProfit, atr);
+
+    position.entryAtr = atr ?? position.entryAtr ?? null;
+    position.stopLoss = stopDistance !== null ? position.entryPrice - direction * stopDistance : null;
+    position.takeProfit = targetDistance !== null ? position.entryPrice + direction * targetDistance : null;
+    position.bestBrickClose = position.bestBrickClose ?? brickClose ?? position.entryPrice;
+    position.trailingBrickStop = position.trailingBrickStop ?? null;
+    position.trailingSupertrendStop = position.trailingSupertrendStop ?? null;
+  }
+
+  /**
+   * Ratchet the trailing stops (they only ever move in the position's favor)
+   * @param {Object} position - Active strategy position (mutated)
+   * @param {Object} context - {brickClose, brickSize, supertrend: latest line of the configured SuperTrend, price}
+   */
+  update(position, { brickClose, brickSize, supertrend, price }) {
+    const isLong = position.type === 'long';
+    const tighter = (current, candidate) => {
+      if (current === null || current === undefined) return candidate;
+      return isLong ? Math.max(current, candidate) : Math.min(current, candidate);
+    };
+
+    if (this.config.trailingBricks && brickClose !== undefined && brickSize > 0) {
+      position.bestBrickClose = isLong
+        ? Math.max(position.bestBrickClose ?? brickClose, brickClose)
+        : Math.min(position.bestBrickClose ?? brickClose, brickClose);
+
+      const offset = this.config.trailingBricks * brickSize;
+      const stop = isLong ? position.bestBrickClose - offset : position.bestBrickClose + offset;
+      position.trailingBrickStop = tighter(position.trailingBrickStop, stop);
+    }
+
+    // Only trail on the SuperTrend line while it sits on the protective side of price
+    if (this.config.supertrendTrail !== null && supertrend > 0) {
+      const isProtective = isLong ? supertrend < price : supertrend > price;
+      if (isProtective) {
+        position.trailingSupertrendStop = tighter(position.trailingSupertrendStop, supertrend);
+      }
+    }
+  }
+
+  /**
+   * Check a candle against the position's levels
+   * Stops are checked before the target (worst case when both are inside the same candle)
+   * and gaps through a level fill at the open
+   * @returns {Object|null} {reason, price} for the exit, or null
+   */
+  check(position, candle) {
+    const isLong = position.type === 'long';
+
+    const stops = [
+      ['stop_loss', position.stopLoss],
+      ['trailing_brick', position.trailingBrickStop],
+      ['trailing_supertrend', position.trailingSupertrendStop]
+    ].filter(([, level]) => level !== null && level !== undefined);
+
+    // The tightest stop is the one price reaches first
+    stops.sort(([, a], [, b]) => (isLong ? b - a : a - b));
+
+    for (const [reason, level] of stops) {
+      if (isLong ? candle.low <= level : candle.high >= level) {
+        return {
+          reason,
+          price: isLong ? Math.min(candle.open, level) : Math.max(candle.open, level)
+        };
+      }
+    }
+
+    const target = position.takeProfit;
+    if (target !== null && target !== undefined && (isLong ? candle.high >= target : candle.low <= target)) {
+      return {
+        reason: 'take_profit',
+        price: isLong ? Math.max(candle.open, target) : Math.min(candle.open, target)
+      };
+    }
+
+    return null;
+  }
+}
+
+export default ProtectiveExits;
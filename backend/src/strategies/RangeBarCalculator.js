@@ -0,0 +1,77 @@
+/**
+ * Range Bar Calculator
+ * Closes a bar as soon as its high-low range reaches the box size; the next bar opens at that close
+ */
+
+import ChartCalculator from './ChartCalculator.js';
+
+class RangeBarCalculator extends ChartCalculator {
+  static chartType = 'range';
+
+  /**
+   * @param {Object} candle - OHLC candle data
+   */
+  processCandle(candle) {
+    const { close, timestamp } = candle;
+
+    // The first close opens the first bar
+    if (!this.current) {
+      this.current = { open: close, high: close, low: close };
+      this.finishBars([], candle);
+      return;
+    }
+
+    const barsBefore = this.bars.length;
+    for (const price of this.candlePrices(candle)) {
+      this.checkForNewBars(timestamp, price);
+    }
+
+    this.finishBars(this.bars.slice(barsBefore), candle);
+  }
+
+  /**
+   * Extend the forming bar to `price`, closing a full-range bar (several on a gap) each time the range is reached
+   */
+  checkForNewBars(timestamp, price) {
+    this.updatePercentageBoxSize(this.current.open);
+
+    if (this.brickSize > 0) {
+      while (price - this.current.low >= this.brickSize) {
+        this.closeBar(timestamp, this.current.low + this.brickSize, 1);
+      }
+      while (this.current.high - price >= this.brickSize) {
+        this.closeBar(timestamp, this.current.high - this.brickSize, -1);
+      }
+    }
+
+    this.current.high = Math.max(this.current.high, price);
+    this.current.low = Math.min(this.current.low, price);
+  }
+
+  /**
+   * Close the forming bar at `close` (its new high for up bars, low for down bars) and open the next one there
+   */
+  closeBar(timestamp, close, direction) {
+    const { open, high, low } = this.current;
+    this.createBar(timestamp, open, Math.max(high, close), Math.min(low, close), close, direction);
+
+    this.current = { open: close, high: close, low: close };
+    this.updatePercentageBoxSize(close);
+  }
+
+  getState() {
+    return { current: this.current, ...super.getState() };
+  }
+
+  restoreState(state = {}, lastBar = null) {
+    super.restoreState(state, lastBar);
+    this.current = state.current ?? (lastBar ? { open: lastBar.close, high: lastBar.close, low: lastBar.close } : null);
+  }
+
+  reset() {
+    super.reset();
+    this.current = null;  // Bar being formed {open, high, low}
+  }
+}
+
+export default RangeBarCalculator;
@@ -1,38 +1,43 @@
 /**
  * Renko Brick Calculator
- * Converts OHLC data to Renko bricks based on price movements
+ * Converts OHLC data to traditional Renko bricks: the first close is the base price (no brick of its own),
+ * a brick continues one box beyond the last close, and a reversal brick starts at the last brick's open
  */
 
-class RenkoCalculator {
-  constructor(brickSize = 10.0) {
-    this.brickSize = brickSize;
-    this.renkoBricks = [];
-    this.lastBrickClose = null;
-    this.direction = 0; // 0: no direction, 1: up, -1: down
+import ChartCalculator, { BRICK_MODES, BRICK_SOURCES } from './ChartCalculator.js';
+
+export { BRICK_MODES, BRICK_SOURCES };
+
+// How bricks are built; saved with the state so bricks from an older construction are not resumed
+export const BRICK_MODEL = 'traditional';
+
+class RenkoCalculator extends ChartCalculator {
+  static chartType = 'renko';
+
+  /**
+   * @param {number} brickSize - Box size in price points (ignored in percentage mode)
+   * @param {Object} options - mode, percentage and source (see ChartCalculator);
+   *   percentage mode sizes every box off the last brick close
+   */
+  constructor(brickSize = 10.0, options = {}) {
+    super(brickSize, options);
+  }
+
+  get renkoBricks() {
+    return this.bars;
+  }
+
+  set renkoBricks(bricks) {
+    this.bars = bricks;
   }
 
   /**
    * Calculate Renko bricks from OHLC data
-   * @param {Array} ohlcData - Array of OHLC objects with {open, high, low, close, timestamp}
+   * @param {Array} ohlcData - Array of OHLC objects with {open, high, low, close, timestamp, volume}
    * @returns {Array} Array of Renko bricks
    */
   calculateRenko(ohlcData) {
-    this.renkoBricks = [];
-    this.lastBrickClose = null;
-    this.direction = 0;
-
-    if (!ohlcData || ohlcData.length === 0) {
-      return [];
-    }
-
-    // Sort by timestamp to ensure chronological order
-    const sortedData = ohlcData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-    for (const candle of sortedData) {
-      this.processCandle(candle);
-    }
-
-    return this.renkoBricks;
+    return this.calculate(ohlcData);
   }
 
   /**
@@ -40,180 +45,120 @@ class RenkoCalculator {
    * @param {Object} candle - OHLC candle data
    */
   processCandle(candle) {
-    const { open, high, low, close, timestamp } = candle;
-    
-    // Initialize with first candle
+    const { close, timestamp } = candle;
+
+    // The first close is the base price the first brick is measured from
     if (this.lastBrickClose === null) {
+      this.lastBrickOpen = close;
       this.lastBrickClose = close;
-      this.createBrick(timestamp, close, close, Math.max(open, close), Math.min(open, close), 0);
+      this.finishBars([], { ...candle, high: close, low: close });
       return;
     }
 
-    // Check high and low prices for potential bricks
-    const prices = [high, low, close].sort((a, b) => a - b);
-    
-    for (const price of [high, low, close]) {
-      this.checkForNewBrick(timestamp, price, high, low);
+    // Check high and low prices (or only the close) for potential bricks
+    const bricksBefore = this.renkoBricks.length;
+
+    for (const price of this.candlePrices(candle)) {
+      this.checkForNewBrick(timestamp, price);
     }
+
+    this.finishBars(this.renkoBricks.slice(bricksBefore), candle);
   }
 
   /**
-   * Check if a new brick should be created based on price movement
-   * @param {Date} timestamp - Current timestamp
-   * @param {number} price - Current price to check
-   * @param {number} high - High of current candle
-   * @param {number} low - Low of current candle
+   * Stamp completed bricks (see ChartCalculator) and give the first one its wick: the extreme reached
+   * against the brick while it formed (the far side ends at the close)
    */
-  checkForNewBrick(timestamp, price, high, low) {
-    // Calculate price difference from last brick close
-    const priceDiff = price - this.lastBrickClose;
-    const absDiff = Math.abs(priceDiff);
-
-    // Check if we need to create new brick(s)
-    if (absDiff >= this.brickSize) {
-      const numBricks = Math.floor(absDiff / this.brickSize);
-      const newDirection = priceDiff > 0 ? 1 : -1;
-
-      // Check for direction change (reversal)
-      if (this.direction !== 0 && this.direction !== newDirection) {
-        // Need at least 2 brick sizes for reversal
-        if (absDiff >= 2 * this.brickSize) {
-          this.createReversalBricks(timestamp, price, high, low, newDirection, numBricks);
-        }
-      } else {
-        // Continue in same direction or set initial direction
-        this.createContinuationBricks(timestamp, price, high, low, newDirection, numBricks);
-      }
-    }
+  finishBars(bricks, candle) {
+    this.trackFormation(candle);
+    if (bricks.length === 0) return;
+
+    const [first] = bricks;
+    const forming = this.forming;
+    if (first.direction > 0) first.low = parseFloat(Math.min(first.open, forming.low).toFixed(8));
+    if (first.direction < 0) first.high = parseFloat(Math.max(first.open, forming.high).toFixed(8));
+
+    this.stampBars(bricks, candle);
   }
 
   /**
-   * Create bricks when continuing in the same direction
+   * Create every brick `price` completes: one box beyond the last close continues the trend, one box beyond
+   * the last open (two boxes from the last close) reverses it
+   * @param {Date} timestamp - Current timestamp
+   * @param {number} price - Current price to check
    */
-  createContinuationBricks(timestamp, price, high, low, direction, numBricks) {
-    for (let i = 0; i < numBricks; i++) {
-      const brickOpen = this.lastBrickClose;
-      const brickClose = this.lastBrickClose + (direction * this.brickSize);
-      
-      const brickHigh = direction > 0 ? brickClose : Math.max(brickOpen, high);
-      const brickLow = direction < 0 ? brickClose : Math.min(brickOpen, low);
-
-      this.createBrick(timestamp, brickOpen, brickClose, brickHigh, brickLow, direction);
-      this.lastBrickClose = brickClose;
-      this.direction = direction;
+  checkForNewBrick(timestamp, price) {
+    for (;;) {
+      this.updatePercentageBoxSize(this.lastBrickClose);
+      if (!(this.brickSize > 0)) return;
+
+      const up = (this.direction >= 0 ? this.lastBrickClose : this.lastBrickOpen) + this.brickSize;
+      const down = (this.direction <= 0 ? this.lastBrickClose : this.lastBrickOpen) - this.brickSize;
+
+      if (price >= up) {
+        this.createBrick(timestamp, up - this.brickSize, up, 1);
+      } else if (price <= down) {
+        this.createBrick(timestamp, down + this.brickSize, down, -1);
+      } else {
+        return;
+      }
     }
   }
 
   /**
-   * Create bricks when reversing direction
+   * Create a single Renko brick (high/low span the body until finishBars adds the wick)
    */
-  createReversalBricks(timestamp, price, high, low, direction, numBricks) {
-    // First brick is the reversal brick
-    const firstBrickOpen = this.lastBrickClose;
-    const firstBrickClose = this.lastBrickClose + (direction * this.brickSize);
-    
-    const firstBrickHigh = direction > 0 ? firstBrickClose : Math.max(firstBrickOpen, high);
-    const firstBrickLow = direction < 0 ? firstBrickClose : Math.min(firstBrickOpen, low);
-
-    this.createBrick(timestamp, firstBrickOpen, firstBrickClose, firstBrickHigh, firstBrickLow, direction);
-    this.lastBrickClose = firstBrickClose;
+  createBrick(timestamp, open, close, direction) {
+    this.createBar(timestamp, open, Math.max(open, close), Math.min(open, close), close, direction);
+    this.lastBrickOpen = open;
+    this.lastBrickClose = close;
     this.direction = direction;
-
-    // Create remaining bricks
-    for (let i = 1; i < numBricks; i++) {
-      const brickOpen = this.lastBrickClose;
-      const brickClose = this.lastBrickClose + (direction * this.brickSize);
-      
-      const brickHigh = direction > 0 ? brickClose : Math.max(brickOpen, high);
-      const brickLow = direction < 0 ? brickClose : Math.min(brickOpen, low);
-
-      this.createBrick(timestamp, brickOpen, brickClose, brickHigh, brickLow, direction);
-      this.lastBrickClose = brickClose;
-    }
   }
 
-  /**
-   * Create a single Renko brick
-   */
-  createBrick(timestamp, open, close, high, low, direction) {
-    const brick = {
-      timestamp: new Date(timestamp),
-      open: parseFloat(open.toFixed(8)),
-      close: parseFloat(close.toFixed(8)),
-      high: parseFloat(high.toFixed(8)),
-      low: parseFloat(low.toFixed(8)),
-      direction,
-      brickSize: this.brickSize
+  getStatistics() {
+    return {
+      ...super.getStatistics(),
+      currentDirection: this.direction,
+      lastPrice: this.lastBrickClose
     };
-
-    this.renkoBricks.push(brick);
   }
 
-  /**
-   * Add a single price update (for real-time processing)
-   */
-  addPrice(price, timestamp = new Date()) {
-    const initialBricksCount = this.renkoBricks.length;
-    
-    // Create a temporary candle for processing
-    const tempCandle = {
-      open: price,
-      high: price,
-      low: price,
-      close: price,
-      timestamp
+  getState() {
+    return {
+      brickModel: BRICK_MODEL,
+      lastBrickOpen: this.lastBrickOpen,
+      lastBrickClose: this.lastBrickClose,
+      direction: this.direction,
+      ...super.getState()
     };
-
-    this.processCandle(tempCandle);
-    
-    // Return new bricks created
-    return this.renkoBricks.slice(initialBricksCount);
   }
 
   /**
-   * Get the latest Renko brick
+   * Only state saved by the current brick model can be resumed (older snapshots lack brickModel)
    */
-  getLatestBrick() {
-    return this.renkoBricks.length > 0 ? this.renkoBricks[this.renkoBricks.length - 1] : null;
+  canRestoreState(state = {}) {
+    return state?.brickModel === BRICK_MODEL;
   }
 
-  /**
-   * Get brick statistics
-   */
-  getStatistics() {
-    if (this.renkoBricks.length === 0) {
-      return {
-        totalBricks: 0,
-        upBricks: 0,
-        downBricks: 0,
-        currentDirection: this.direction,
-        lastPrice: this.lastBrickClose
-      };
+  restoreState(state = {}, lastBrick = null) {
+    if (!this.canRestoreState(state)) {
+      throw new Error(`Cannot restore Renko state built by brick model "${state?.brickModel ?? 'none'}" (expected "${BRICK_MODEL}")`);
     }
-
-    const upBricks = this.renkoBricks.filter(brick => brick.direction === 1).length;
-    const downBricks = this.renkoBricks.filter(brick => brick.direction === -1).length;
-
-    return {
-      totalBricks: this.renkoBricks.length,
-      upBricks,
-      downBricks,
-      upPercentage: ((upBricks / this.renkoBricks.length) * 100).toFixed(2),
-      downPercentage: ((downBricks / this.renkoBricks.length) * 100).toFixed(2),
-      currentDirection: this.direction,
-      lastPrice: this.lastBrickClose,
-      brickSize: this.brickSize
-    };
+    super.restoreState(state, lastBrick);
+    this.lastBrickClose = state.lastBrickClose;
+    this.lastBrickOpen = state.lastBrickOpen;
+    this.direction = state.direction;
   }
 
   /**
    * Clear all bricks and reset state
    */
   reset() {
-    this.renkoBricks = [];
+    super.reset();
+    this.lastBrickOpen = null;
     this.lastBrickClose = null;
-    this.direction = 0;
+    this.direction = 0; // 0: no direction, 1: up, -1: down
   }
 }
 
-export default RenkoCalculator;
\ No newline at end of file
+export default RenkoCalculator;
@@ -1,574 +1,727 @@
 /**
  * Renko EMA SuperTrend Trading Strategy
  * Implements the Python strategy logic in Node.js
+ * The bricks are Renko by default; config.chartType builds them as Heikin Ashi, range, Kagi or Point & Figure bars instead
  */
 
-import RenkoCalculator from './RenkoCalculator.js';
-import IndicatorCalculators from './IndicatorCalculators.js';
-import { EventEmitter } from 'events';
+import BaseStrategy from './BaseStrategy.js';
+import { BRICK_MODES, BRICK_SOURCES } from './ChartCalculator.js';
+import { CHART_TYPES, createChartCalculator } from './ChartTypes.js';
+import IndicatorCalculators, { IncrementalATR, IncrementalEMA } from './IndicatorCalculators.js';
+import RuleEngine from './RuleEngine.js';
+import Resampler from './Resampler.js';
+
+const BRICK_VARIABLES = ['open', 'high', 'low', 'close', 'direction', 'volume', 'ticks', 'duration', 'ema', 'atr', 'brickSize'];
+const SUPERTREND_VARIABLE = /^st(\d+)(\.direction)?$/;
+const FILTER_VARIABLES = ['rsi', 'adx', 'plusDI', 'minusDI', 'macd', 'macd.signal', 'macd.histogram'];
+const HIGHER_TIMEFRAME_VARIABLE = /^(\d+[mhdw]):(.+)$/;  // e.g. 1h:st1.direction
+const CANDLE_VARIABLES = ['open', 'high', 'low', 'close', 'volume', 'direction', 'ema', 'atr'];
+const MAX_RENKO_BRICKS = 5000;  // Streamed bricks kept once the series is trimmed
+
+class RenkoEMAStrategy extends BaseStrategy {
+  static strategyName = 'RenkoEMA';
+  static description = 'Renko bricks with EMA21 and three aligned SuperTrends';
 
-class RenkoEMAStrategy extends EventEmitter {
   constructor(config = {}) {
-    super();
-    
-    // Strategy configuration
-    this.config = {
-      symbol: config.symbol || 'BTCUSD',
-      brickSize: config.brickSize || null,  // Will be calculated dynamically using ATR
+    super({
+      chartType: config.chartType || 'renko',  // renko | heikinashi | range | kagi | pointfigure (see README)
+      brickMode: RenkoEMAStrategy.resolveBrickMode(config),  // fixed | atr | percentage | dynamic (see README)
+      brickSize: config.brickSize || null,  // Box size for fixed mode
+      brickPercentage: config.brickPercentage || 0.1,  // Box size in % of the last brick close for percentage mode
+      brickSource: config.brickSource || 'hl',  // hl: candle high/low/close form bricks, close: closes only
+      atrAnchor: config.atrAnchor || null,  // atr mode: ATR at this time (default: the last initial candle)
+      reversalBoxes: config.reversalBoxes || 3,  // pointfigure: boxes against a column that start the next one
       emaLength: config.emaLength || 21,
       atrPeriod: config.atrPeriod || 14,  // ATR period for Renko brick sizing
       supertrendAtrPeriod: config.supertrendAtrPeriod || 10,  // ATR period for SuperTrend (matches TradingView)
       supertrendMultipliers: config.supertrendMultipliers || [2.1, 3.1, 4.1],
       renkoAtrPeriod: config.renkoAtrPeriod || 14,  // Use same ATR for Renko as atrPeriod
-      useDynamicBrickSize: config.useDynamicBrickSize || true,  // Enable ATR-based brick sizing
+      rsiLength: config.rsiLength || 14,  // Filter indicators on bricks, only calculated when a rule uses them
+      adxLength: config.adxLength || 14,
+      macdLengths: config.macdLengths || [12, 26, 9],
       ...config
+    });
+    this.validateBrickConfig();
+
+    // Entry/exit conditions (RuleEngine trees) - config.rules overrides any of the four defaults
+    this.rules = {
+      ...RenkoEMAStrategy.buildDefaultRules(this.config.supertrendMultipliers.length),
+      ...this.config.rules
     };
+    for (const [name, rule] of Object.entries(this.rules)) {
+      RuleEngine.validate(rule, variable => this.isRuleVariable(variable), `rules.${name}`);
+    }
+
+    // Every variable the rules read - signals wait until all of them have a value
+    this.ruleVariables = [...new Set(Object.values(this.rules).flatMap(rule => [...RuleEngine.variables(rule)]))];
+
+    // Timeframes the rules reference ("1h:st1.direction"), resampled from the strategy's candles
+    this.ruleTimeframes = [...new Set(this.ruleVariables
+      .map(variable => HIGHER_TIMEFRAME_VARIABLE.exec(variable)?.[1])
+      .filter(Boolean))];
 
     // Initialize components
-    this.renkoCalculator = new RenkoCalculator(this.config.brickSize);
-    
-    // Strategy state
-    this.isRunning = false;
-    this.position = {
-      isActive: false,
-      type: null, // 'long' or 'short'
-      entryPrice: 0,
-      quantity: 0,
-      entryTime: null
-    };
-    
+    // Bar builder for config.chartType - the bars are called bricks throughout, whatever the chart type
+    this.renkoCalculator = createChartCalculator(this.config.chartType, this.config.brickMode === 'fixed' ? this.config.brickSize : null, {
+      mode: this.config.brickMode,
+      percentage: this.config.brickPercentage,
+      source: this.config.brickSource,
+      reversal: this.config.reversalBoxes
+    });
+    this.brickAnchor = null;  // atr mode: {time, atr} the box size was fixed at
+    this.marketATR = new IncrementalATR(this.config.atrPeriod);  // ATR of the candles for dynamic brick size
+    this.resetHigherTimeframes();  // this.higherTimeframes: timeframe -> {resampler, ema, supertrends, bars}
+    this.brickIndicatorState = null;  // Streaming EMA/SuperTrends over this.renkoBricks
+    this.filterIndicators = null;     // RSI/ADX/MACD over this.renkoBricks, built on first use per brick
+
     // Data storage
-    this.marketData = [];
     this.renkoBricks = [];
     this.indicators = {
       ema21: [],
       supertrends: {},
       marketSupertrends: {}  // SuperTrends calculated on actual market data
     };
-    
-    // Signal tracking
-    this.lastSignal = null;
-    this.signalHistory = [];
-    this.trades = [];
   }
 
   /**
-   * Initialize strategy with historical data
+   * Brick mode from config - `useDynamicBrickSize` is the older flag (true: re-size to the latest ATR on every brick)
    */
-  async initialize(historicalData = []) {
-    try {
-      console.log(`Initializing ${this.config.symbol} Renko EMA Strategy...`);
-      
-      if (historicalData && historicalData.length > 0) {
-        this.marketData = historicalData;
-        await this.calculateAllIndicators();
-        console.log(`Strategy initialized with ${this.marketData.length} data points`);
-        
-        this.emit('initialized', {
-          dataPoints: this.marketData.length,
-          bricks: this.renkoBricks.length
-        });
-      } else {
-        console.log('Strategy initialized with no historical data - waiting for live data');
-      }
-      
-      this.isRunning = true;
-      
-    } catch (error) {
-      console.error('Strategy initialization failed:', error);
-      throw error;
+  static resolveBrickMode(config) {
+    if (config.brickMode) return config.brickMode;
+    if (config.useDynamicBrickSize === true) return 'dynamic';
+    if (config.useDynamicBrickSize === false || config.brickSize) return 'fixed';
+    return 'atr';
+  }
+
+  validateBrickConfig() {
+    const { chartType, brickMode, brickSize, brickPercentage, brickSource, atrAnchor } = this.config;
+
+    if (!CHART_TYPES[chartType]) {
+      throw new Error(`Unknown chartType "${chartType}" - use ${Object.keys(CHART_TYPES).join(', ')}`);
+    }
+    if (!BRICK_MODES.includes(brickMode)) {
+      throw new Error(`Unknown brickMode "${brickMode}" - use ${BRICK_MODES.join(', ')}`);
+    }
+    if (!BRICK_SOURCES.includes(brickSource)) {
+      throw new Error(`Unknown brickSource "${brickSource}" - use ${BRICK_SOURCES.join(', ')}`);
+    }
+    if (brickMode === 'fixed' && !(brickSize > 0)) {
+      throw new Error('brickMode "fixed" needs a positive brickSize');
+    }
+    if (brickMode === 'percentage' && !(brickPercentage > 0)) {
+      throw new Error('brickMode "percentage" needs a positive brickPercentage');
+    }
+    if (atrAnchor && isNaN(new Date(atrAnchor).getTime())) {
+      throw new Error(`Invalid atrAnchor "${atrAnchor}"`);
     }
   }
 
   /**
-   * Calculate all indicators for the current market data
+   * Original conditions: close vs EMA, every SuperTrend aligned and brick colour
+   * @param {number} supertrendCount - Number of configured SuperTrends (st1..stN)
    */
-  async calculateAllIndicators() {
-    if (this.marketData.length === 0) return;
+  static buildDefaultRules(supertrendCount = 3) {
+    const supertrends = direction => Array.from({ length: supertrendCount }, (_, index) => ({
+      left: `st${index + 1}.direction`, op: '==', right: direction
+    }));
 
-    console.log(`\n🔧 calculateAllIndicators: Market data length: ${this.marketData.length}`);
-    
-    // Calculate dynamic brick size using ATR if enabled
-    if (this.config.useDynamicBrickSize && this.marketData.length >= this.config.atrPeriod) {
-      const atr = IndicatorCalculators.calculateATR(this.marketData, this.config.atrPeriod);
-      const latestATR = atr[atr.length - 1];
-      if (latestATR) {
-        this.renkoCalculator.brickSize = latestATR;
-        console.log(`🟢 Dynamic brick size updated to ATR(${this.config.atrPeriod}): ${latestATR.toFixed(2)}`);
-      }
-    }
+    return {
+      longEntry: { all: [{ left: 'close', op: '>', right: 'ema' }, { all: supertrends(1) }, { left: 'direction', op: '==', right: 1 }] },
+      shortEntry: { all: [{ left: 'close', op: '<', right: 'ema' }, { all: supertrends(-1) }, { left: 'direction', op: '==', right: -1 }] },
+      longExit: { any: [{ left: 'close', op: '<', right: 'ema' }, { not: { all: supertrends(1) } }, { left: 'direction', op: '==', right: -1 }] },
+      shortExit: { any: [{ left: 'close', op: '>', right: 'ema' }, { not: { all: supertrends(-1) } }, { left: 'direction', op: '==', right: 1 }] }
+    };
+  }
 
-    // Calculate Renko bricks
-    this.renkoBricks = this.renkoCalculator.calculateRenko(this.marketData);
-    console.log(`🧱 Renko calculation: ${this.renkoBricks.length} bricks created from ${this.marketData.length} data points`);
-    
-    if (this.renkoBricks.length === 0) {
-      console.log('⚠️ No Renko bricks created - exiting calculateAllIndicators');
-      return;
+  /**
+   * Variables available to rules: brick open/high/low/close/direction, volume, ticks, duration (seconds), ema, atr, brickSize,
+   * stN and stN.direction (N = position in config.supertrendMultipliers, from 1),
+   * and the brick filters rsi, adx, plusDI, minusDI, macd, macd.signal, macd.histogram.
+   * "<timeframe>:<name>" reads the last completed higher-timeframe candle: open/high/low/close/volume/direction,
+   * ema, atr, stN and stN.direction (e.g. 1h:st1.direction, 4h:ema)
+   */
+  isRuleVariable(name) {
+    if (BRICK_VARIABLES.includes(name) || FILTER_VARIABLES.includes(name)) return true;
+
+    const higher = HIGHER_TIMEFRAME_VARIABLE.exec(name);
+    if (higher) {
+      // Throws a descriptive error for timeframes the strategy's candles cannot be resampled to
+      new Resampler(higher[1], { sourceTimeframe: this.config.timeframe });
+      return CANDLE_VARIABLES.includes(higher[2]) || this.isSupertrendVariable(higher[2]);
     }
 
-    // Calculate EMA on Renko close prices
-    const renkoPrices = this.renkoBricks.map(brick => brick.close);
-    this.indicators.ema21 = IndicatorCalculators.calculateEMA(renkoPrices, this.config.emaLength);
-    console.log(`📈 EMA21 calculation: ${this.indicators.ema21.filter(v => v !== null).length} valid values out of ${this.indicators.ema21.length} total`);
+    return this.isSupertrendVariable(name);
+  }
 
-    // Check if we have enough market data for SuperTrend ATR calculation
-    console.log(`🔧 SuperTrend check: Market data=${this.marketData.length}, SuperTrend ATR period needed=${this.config.supertrendAtrPeriod}, Renko ATR period=${this.config.atrPeriod}`);
-    
-    if (this.renkoBricks.length >= this.config.supertrendAtrPeriod) {
-      console.log('✅ Enough Renko data for SuperTrend calculation, proceeding...');
-      
-      // Calculate multiple SuperTrends on RENKO BRICK data using ATR(10) to match TradingView Renko charts
-      try {
-        const marketSupertrends = IndicatorCalculators.calculateMultipleSuperTrend(
-          this.renkoBricks,
-          this.config.supertrendAtrPeriod,  // Use SuperTrend-specific ATR period (10)
-          this.config.supertrendMultipliers
-        );
-        
-        this.indicators.marketSupertrends = marketSupertrends;
-        
-        // Get latest ATR value for display
-        const latestATR = marketSupertrends.supertrend_2_1?.atr?.slice(-1)[0];
-        console.log('✅ Market SuperTrends calculated successfully!');
-        console.log(`   📊 Current ATR: ${latestATR ? latestATR.toFixed(2) : 'N/A'}`);
-        console.log(`   🟢 Brick size: ${this.renkoCalculator.brickSize.toFixed(2)}`);
-        console.log(`   🧱 Total Renko bricks: ${this.renkoBricks.length}`);
-        console.log(`   📈 EMA21 values: ${this.indicators.ema21.filter(v => v !== null).length} calculated\n`);
-        
-        // Debug SuperTrend result structure
-        console.log('🔍 SuperTrend result keys:', Object.keys(marketSupertrends));
-        if (marketSupertrends.supertrend_2_1) {
-          console.log('🔍 ST 2.1 data length:', {
-            supertrend: marketSupertrends.supertrend_2_1.supertrend?.length || 0,
-            direction: marketSupertrends.supertrend_2_1.direction?.length || 0,
-            atr: marketSupertrends.supertrend_2_1.atr?.length || 0
-          });
-        }
-      } catch (error) {
-        console.error('❌ SuperTrend calculation failed:', error.message);
-        this.indicators.marketSupertrends = null;
-      }
-    } else {
-      console.log(`⚠️ Not enough Renko data for SuperTrend. Need: ${this.config.supertrendAtrPeriod}, Have: ${this.renkoBricks.length}`);
-    }
+  isSupertrendVariable(name) {
+    const match = SUPERTREND_VARIABLE.exec(name);
+    return Boolean(match) && match[1] >= 1 && match[1] <= this.config.supertrendMultipliers.length;
+  }
 
-    // Optional: Keep Renko-based SuperTrends for comparison
-    if (this.renkoBricks.length >= this.config.renkoAtrPeriod) {
-      const renkoSupertrends = IndicatorCalculators.calculateMultipleSuperTrend(
-        this.renkoBricks,
-        this.config.renkoAtrPeriod,
-        this.config.supertrendMultipliers
-      );
-      
-      this.indicators.supertrends = renkoSupertrends;
+  /**
+   * Value of a rule variable `offset` bricks before the latest brick
+   */
+  getRuleValue(name, offset = 0) {
+    const higher = HIGHER_TIMEFRAME_VARIABLE.exec(name);
+    if (higher) return this.getHigherTimeframeValue(higher[1], higher[2], offset);
+
+    const index = this.renkoBricks.length - 1 - offset;
+    if (index < 0) return null;
+
+    const brick = this.renkoBricks[index];
+    const supertrends = this.indicators.marketSupertrends || {};
+    const keys = this.getSupertrendKeys();
+
+    switch (name) {
+      case 'ema':
+        return this.indicators.ema21[index];
+      case 'atr':
+        return supertrends[keys[0]]?.atr[index];
+      case 'brickSize':
+        return this.renkoCalculator.brickSize;
+      case 'duration':
+        return brick.startTime && brick.endTime ? (new Date(brick.endTime) - new Date(brick.startTime)) / 1000 : null;
+      default:
+        if (BRICK_VARIABLES.includes(name)) return brick[name];
+        if (FILTER_VARIABLES.includes(name)) return this.getFilterIndicators()[name][index];
     }
+
+    const [, number, direction] = SUPERTREND_VARIABLE.exec(name);
+    const supertrend = supertrends[keys[number - 1]];
+    return direction ? supertrend?.direction[index] : supertrend?.supertrend[index];
   }
 
   /**
-   * Update Renko-based SuperTrend indicators (for Renko charts, SuperTrend uses Renko data)
+   * Value of a candle variable on the completed `timeframe` candle `offset` candles before the latest
    */
-  async updateMarketIndicators() {
-    if (this.renkoBricks.length < this.config.supertrendAtrPeriod) {
-      console.log(`⚠️ Not enough Renko data for SuperTrend. Need: ${this.config.supertrendAtrPeriod}, Have: ${this.renkoBricks.length}`);
-      return;
+  getHigherTimeframeValue(timeframe, name, offset = 0) {
+    const { bars } = this.higherTimeframes[timeframe];
+    const bar = bars[bars.length - 1 - offset];
+    if (!bar) return null;
+
+    const keys = this.getSupertrendKeys();
+    switch (name) {
+      case 'direction':
+        return Math.sign(bar.close - bar.open);
+      case 'atr':
+        return bar.supertrends[keys[0]].atr;
+      default: {
+        if (CANDLE_VARIABLES.includes(name)) return bar[name];
+
+        const [, number, direction] = SUPERTREND_VARIABLE.exec(name);
+        const supertrend = bar.supertrends[keys[number - 1]];
+        return direction ? supertrend.direction : supertrend.supertrend;
+      }
     }
+  }
 
-    try {
-      console.log('🔄 Updating Renko-based SuperTrends with new data...');
-      
-      // Calculate SuperTrends on RENKO BRICK data using ATR(10) to match TradingView Renko charts
-      const renkoSupertrends = IndicatorCalculators.calculateMultipleSuperTrend(
-        this.renkoBricks,
-        this.config.supertrendAtrPeriod,
-        this.config.supertrendMultipliers
-      );
-      
-      this.indicators.marketSupertrends = renkoSupertrends;
-      
-      // Get latest ATR value
-      const latestATR = renkoSupertrends.supertrend_2_1?.atr?.slice(-1)[0];
-      console.log(`✅ Renko SuperTrends updated! ATR: ${latestATR ? latestATR.toFixed(2) : 'N/A'}`);
-      
-    } catch (error) {
-      console.error('❌ Renko SuperTrend update failed:', error.message);
-      this.indicators.marketSupertrends = null;
+  /**
+   * Start the higher-timeframe candles over from marketData (after initialize or a restore replaced it)
+   */
+  resetHigherTimeframes() {
+    const { timeframe, emaLength, supertrendAtrPeriod, supertrendMultipliers } = this.config;
+
+    this.higherTimeframes = Object.fromEntries(this.ruleTimeframes.map(higher => [higher, {
+      resampler: new Resampler(higher, { sourceTimeframe: timeframe }),
+      ema: new IncrementalEMA(emaLength),
+      supertrends: IndicatorCalculators.createMultipleSuperTrend(supertrendAtrPeriod, supertrendMultipliers),
+      bars: []  // Completed candles with their ema and supertrends values
+    }]));
+
+    for (const candle of this.marketData) {
+      this.updateHigherTimeframes(candle);
     }
   }
 
   /**
-   * Process new market data point
+   * Feed a candle to the higher-timeframe resamplers and stream EMA/SuperTrends over the candles it completes
    */
-  async processNewData(newData) {
-    if (!this.isRunning) return;
-
-    try {
-      // Add new data point
-      this.marketData.push(newData);
-      
-      // Keep only recent data (performance optimization)
-      if (this.marketData.length > 5000) {
-        this.marketData = this.marketData.slice(-5000);
+  updateHigherTimeframes(candle) {
+    for (const state of Object.values(this.higherTimeframes)) {
+      for (const bar of state.resampler.addCandle(candle)) {
+        const supertrends = Object.entries(state.supertrends).map(([key, stream]) => [key, stream.update(bar)]);
+        state.bars.push({ ...bar, ema: state.ema.update(bar.close), supertrends: Object.fromEntries(supertrends) });
       }
 
-      // Add price to Renko calculator
-      const newBricks = this.renkoCalculator.addPrice(newData.close, newData.timestamp);
-      
-      if (newBricks.length > 0) {
-        // New Renko bricks created, recalculate all indicators
-        console.log(`🟢 New ${newBricks.length} Renko brick(s) created! Recalculating indicators...`);
-        this.renkoBricks.push(...newBricks);
-        await this.calculateAllIndicators();
-        
-        // Generate signals based on latest data
-        await this.generateSignals();
-      } else {
-        // No new Renko bricks, but still update market-based SuperTrends
-        await this.updateMarketIndicators();
-        
-        // Update current position PnL if active
-        if (this.position.isActive) {
-          this.updatePositionPnL(newData.close);
-        }
+      if (state.bars.length > 2 * MAX_RENKO_BRICKS) {
+        state.bars = state.bars.slice(-MAX_RENKO_BRICKS);
       }
-      
-      // Show current indicator values on EVERY ticker update
-      await this.showCurrentIndicatorValues(newData.close, newBricks.length);
+    }
+  }
 
-      // Process trade signals after showing indicators
-      console.log('🎯 Calling generateSignals() to process trade signals...');
-      await this.generateSignals();
+  /**
+   * RSI, ADX/DMI and MACD on the brick closes - rebuilt once per brick series, only when a rule asks
+   */
+  getFilterIndicators() {
+    if (!this.filterIndicators) {
+      const closes = this.renkoBricks.map(brick => brick.close);
+      const { adx, plusDI, minusDI } = IndicatorCalculators.calculateADX(this.renkoBricks, this.config.adxLength, this.config.adxLength);
+      const { macd, signal, histogram } = IndicatorCalculators.calculateMACD(closes, ...this.config.macdLengths);
+
+      this.filterIndicators = {
+        rsi: IndicatorCalculators.calculateRSI(closes, this.config.rsiLength),
+        adx,
+        plusDI,
+        minusDI,
+        macd,
+        'macd.signal': signal,
+        'macd.histogram': histogram
+      };
+    }
+    return this.filterIndicators;
+  }
 
-      this.emit('dataProcessed', {
-        newBricks: newBricks.length,
-        totalBricks: this.renkoBricks.length,
-        latestPrice: newData.close
-      });
+  /**
+   * Evaluate the four rules at the latest brick
+   * @returns {Object} {longEntry, shortEntry, longExit, shortExit}
+   */
+  evaluateRules() {
+    const resolve = (name, offset) => this.getRuleValue(name, offset);
 
-    } catch (error) {
-      console.error('Error processing new data:', error);
-      this.emit('error', error);
-    }
+    return Object.fromEntries(
+      Object.entries(this.rules).map(([name, rule]) => [name, RuleEngine.evaluate(rule, resolve)])
+    );
   }
 
   /**
-   * Generate trading signals based on current conditions
+   * Build Renko bricks and indicators from the historical candles
    */
-  async generateSignals() {
-    if (this.renkoBricks.length < 2 || this.indicators.ema21.length === 0) {
-      console.log('Not enough data for signals - Renko bricks:', this.renkoBricks.length, 'EMA:', this.indicators.ema21.length);
-      return;
+  async onInitialize() {
+    this.resetMarketATR();
+    this.resetHigherTimeframes();
+    if (this.config.brickMode === 'atr') {
+      this.anchorBrickSize();
     }
+    await this.calculateAllIndicators();
+    return { bricks: this.renkoBricks.length };
+  }
 
-    const latestIndex = this.renkoBricks.length - 1;
-    const latestBrick = this.renkoBricks[latestIndex];
-    const ema21 = this.indicators.ema21[latestIndex];
+  /**
+   * Calculate all indicators for the current market data
+   */
+  async calculateAllIndicators() {
+    if (this.marketData.length === 0) return;
+
+    this.log(`\n🔧 calculateAllIndicators: Market data length: ${this.marketData.length}`);
     
-    if (!ema21) {
-      console.log('No EMA value available');
-      return;
+    // Dynamic mode re-sizes bricks to the latest ATR (and so rebuilds the history) on every brick
+    if (this.config.brickMode === 'dynamic' && this.marketData.length >= this.config.atrPeriod) {
+      const latestATR = this.marketATR.value;
+      if (latestATR) {
+        this.renkoCalculator.brickSize = latestATR;
+        this.log(`🟢 Dynamic brick size updated to ATR(${this.config.atrPeriod}): ${latestATR.toFixed(2)}`);
+      }
     }
 
-    // Get Renko-based SuperTrend directions (matches TradingView Renko charts)
-    const renkoIndex = this.renkoBricks.length - 1;
-    
-    // Check if Renko SuperTrends exists
-    if (!this.indicators.marketSupertrends || !this.indicators.marketSupertrends.supertrend_2_1) {
-      console.log('Renko SuperTrends not calculated yet');
+    if (!this.renkoCalculator.hasBoxSize()) {
+      this.log(`⏳ Waiting for the ATR(${this.config.atrPeriod}) brick size anchor${this.config.atrAnchor ? ` at ${this.config.atrAnchor}` : ''}`);
       return;
     }
-    
-    const st21Direction = this.indicators.marketSupertrends.supertrend_2_1?.direction[renkoIndex];
-    const st31Direction = this.indicators.marketSupertrends.supertrend_3_1?.direction[renkoIndex];
-    const st41Direction = this.indicators.marketSupertrends.supertrend_4_1?.direction[renkoIndex];
 
-    if (st21Direction === null || st31Direction === null || st41Direction === null || 
-        st21Direction === undefined || st31Direction === undefined || st41Direction === undefined) {
-      console.log('SuperTrend directions not available:', { st21Direction, st31Direction, st41Direction });
+    // Calculate Renko bricks
+    this.renkoBricks = this.renkoCalculator.calculate(this.marketData);
+    this.log(`🧱 Renko calculation: ${this.renkoBricks.length} bricks created from ${this.marketData.length} data points`);
+    
+    if (this.renkoBricks.length === 0) {
+      this.log('⚠️ No Renko bricks created - exiting calculateAllIndicators');
       return;
     }
 
-    // Check entry conditions
-    const bullishEMA = latestBrick.close > ema21;
-    const bearishEMA = latestBrick.close < ema21;
-    
-    // SuperTrend alignment - ALL 3 must agree (original strategy)
-    const bullishSuperTrend = st21Direction === 1 && st31Direction === 1 && st41Direction === 1;
-    const bearishSuperTrend = st21Direction === -1 && st31Direction === -1 && st41Direction === -1;
-    
-    const bullishRenko = latestBrick.direction === 1;
-    const bearishRenko = latestBrick.direction === -1;
+    this.calculateBrickIndicators();
+  }
 
-    // Entry signals - original conservative approach
-    const longEntry = bullishEMA && bullishSuperTrend && bullishRenko;
-    const shortEntry = bearishEMA && bearishSuperTrend && bearishRenko;
+  /**
+   * ATR mode: fix the box size to ATR(atrPeriod) of the candles up to the anchor time, once
+   * @returns {boolean} true when the box size is set
+   */
+  anchorBrickSize() {
+    if (this.brickAnchor) return true;
 
-    // Reset lastSignal if conditions change (allow new signals when market conditions align again)
-    if (!longEntry && !shortEntry && this.lastSignal) {
-      console.log(`🔄 Resetting lastSignal (was: ${this.lastSignal}) - no current signals`);
-      this.lastSignal = null;
+    const latest = this.marketData[this.marketData.length - 1];
+    const anchorTime = this.config.atrAnchor ? new Date(this.config.atrAnchor).getTime() : null;
+    if (!latest || (anchorTime !== null && new Date(latest.timestamp).getTime() < anchorTime)) {
+      return false;  // anchor not reached yet
     }
 
-    // Exit signals - original approach
-    const longExit = bearishEMA || !bullishSuperTrend || bearishRenko;
-    const shortExit = bullishEMA || !bearishSuperTrend || bullishRenko;
+    let candles = anchorTime === null
+      ? this.marketData
+      : this.marketData.filter(candle => new Date(candle.timestamp).getTime() <= anchorTime);
+    if (candles.length < this.config.atrPeriod) {
+      if (this.marketData.length < this.config.atrPeriod) return false;
+      console.warn(`⚠️ ATR anchor ${this.config.atrAnchor} is before the loaded candles - using the first available ATR`);
+      candles = this.marketData.slice(0, this.config.atrPeriod);
+    }
 
-    // Get current indicator values for comparison with TradingView
-    const currentATR = this.indicators.marketSupertrends?.supertrend_2_1?.atr[renkoIndex];
-    const st21Value = this.indicators.marketSupertrends?.supertrend_2_1?.supertrend[renkoIndex];
-    const st31Value = this.indicators.marketSupertrends?.supertrend_3_1?.supertrend[renkoIndex];
-    const st41Value = this.indicators.marketSupertrends?.supertrend_4_1?.supertrend[renkoIndex];
+    const atr = IndicatorCalculators.calculateATR(candles, this.config.atrPeriod).at(-1);
+    if (!atr) return false;
 
-    // Log all indicator values for TradingView comparison
-    console.log('\n=== INDICATOR VALUES FOR TRADINGVIEW COMPARISON ===');
-    console.log(`📊 Current Market Price: ${latestBrick.close.toFixed(2)}`);
-    console.log(`📈 EMA 21 (Renko): ${ema21.toFixed(2)} ${bullishEMA ? '(ABOVE)' : '(BELOW)'}`);
-    console.log(`📊 SuperTrend ATR(${this.config.supertrendAtrPeriod}): ${currentATR ? currentATR.toFixed(2) : 'N/A'}`);
-    console.log(`🟢 Renko Brick Size: ${this.renkoCalculator.brickSize.toFixed(2)}`);
-    console.log('\n📈 SUPERTREND VALUES:');
-    console.log(`   ST 2.1: ${st21Value ? st21Value.toFixed(2) : 'N/A'} ${st21Direction === 1 ? '🟢 BULLISH' : '🔴 BEARISH'}`);
-    console.log(`   ST 3.1: ${st31Value ? st31Value.toFixed(2) : 'N/A'} ${st31Direction === 1 ? '🟢 BULLISH' : '🔴 BEARISH'}`);
-    console.log(`   ST 4.1: ${st41Value ? st41Value.toFixed(2) : 'N/A'} ${st41Direction === 1 ? '🟢 BULLISH' : '🔴 BEARISH'}`);
-    console.log(`\n🎯 ALIGNMENT: ${bullishSuperTrend ? 'ALL BULLISH ✅' : bearishSuperTrend ? 'ALL BEARISH ✅' : 'NOT ALIGNED ❌'}`);
-    console.log(`🟦 RENKO: ${bullishRenko ? 'UP BRICK ⬆️' : 'DOWN BRICK ⬇️'}`);
-    console.log(`\n🚀 SIGNALS: Long=${longEntry ? '✅' : '❌'} | Short=${shortEntry ? '✅' : '❌'}`);
-    console.log('================================================\n');
-
-    // Debug signal processing
-    console.log(`🔍 SIGNAL DEBUG: longEntry=${longEntry}, shortEntry=${shortEntry}, lastSignal=${this.lastSignal}, positionActive=${this.position.isActive}`);
-    
-    // Process signals
-    await this.processSignals({
-      longEntry,
-      shortEntry,
-      longExit,
-      shortExit,
-      price: latestBrick.close,
-      timestamp: latestBrick.timestamp,
-      indicators: {
-        ema21,
-        st21: this.indicators.marketSupertrends?.supertrend_2_1?.supertrend[renkoIndex] || 0,
-        st31: this.indicators.marketSupertrends?.supertrend_3_1?.supertrend[renkoIndex] || 0,
-        st41: this.indicators.marketSupertrends?.supertrend_4_1?.supertrend[renkoIndex] || 0,
-        atr: this.indicators.marketSupertrends?.supertrend_2_1?.atr[renkoIndex] || 0
-      }
-    });
+    this.renkoCalculator.brickSize = atr;
+    this.brickAnchor = { time: candles[candles.length - 1].timestamp, atr };
+    this.log(`⚓ Brick size fixed to ATR(${this.config.atrPeriod}) ${atr.toFixed(2)} at ${new Date(this.brickAnchor.time).toISOString()}`);
+    return true;
   }
 
   /**
-   * Process trading signals and execute simulated trades
+   * Add a candle to the Renko chart and update the brick indicators
+   * @returns {Array} Bricks formed by this candle
    */
-  async processSignals(signals) {
-    const { longEntry, shortEntry, longExit, shortExit, price, timestamp, indicators } = signals;
+  async addCandleToRenko(candle) {
+    // Dynamic mode: a brick on the close triggers a re-size and a rebuild of the whole series
+    if (this.config.brickMode === 'dynamic') {
+      const newBricks = this.renkoCalculator.addPrice(candle.close, candle.timestamp);
+      if (newBricks.length > 0) {
+        await this.calculateAllIndicators();
+      }
+      return newBricks;
+    }
 
-    try {
-      // Exit conditions (process first)
-      if (this.position.isActive) {
-        let shouldExit = false;
-        let exitType = '';
-
-        if (this.position.type === 'long' && longExit) {
-          shouldExit = true;
-          exitType = 'long_exit';
-        } else if (this.position.type === 'short' && shortExit) {
-          shouldExit = true;
-          exitType = 'short_exit';
-        }
+    // ATR mode before its anchor: build the whole series once the box size is known
+    if (this.config.brickMode === 'atr' && !this.brickAnchor) {
+      if (!this.anchorBrickSize()) return [];
+      await this.calculateAllIndicators();
+      return this.renkoBricks;
+    }
 
-        if (shouldExit) {
-          await this.exitPosition(price, timestamp, exitType, indicators);
-        }
+    const newBricks = this.renkoCalculator.addCandle(candle);
+    if (newBricks.length > 0) {
+      if (this.renkoCalculator.bars.length > 2 * MAX_RENKO_BRICKS) {
+        this.renkoCalculator.bars = this.renkoCalculator.bars.slice(-MAX_RENKO_BRICKS);
       }
+      this.renkoBricks = this.renkoCalculator.bars;
+      this.calculateBrickIndicators();
+    }
+    return newBricks;
+  }
+
+  /**
+   * Feed every candle in marketData to a fresh market ATR (after initialize or a restore replaced the data)
+   * Once the 5000-candle window slides, the streamed ATR and an ATR over the window differ only by the
+   * decayed seed, which is far below floating point precision
+   */
+  resetMarketATR() {
+    this.marketATR = new IncrementalATR(this.config.atrPeriod);
+    for (const candle of this.marketData) {
+      this.marketATR.update(candle);
+    }
+  }
 
-      // Entry conditions (only if not in position)
-      if (!this.position.isActive) {
-        console.log(`🎯 ENTRY CHECK: longEntry=${longEntry}, this.lastSignal=${this.lastSignal}, condition=${longEntry && this.lastSignal !== 'long_entry'}`);
-        if (longEntry && this.lastSignal !== 'long_entry') {
-          console.log('🚀 EXECUTING LONG ENTRY!');
-          await this.enterPosition('long', price, timestamp, indicators);
-          this.lastSignal = 'long_entry';
-        } else if (shortEntry && this.lastSignal !== 'short_entry') {
-          console.log('🚀 EXECUTING SHORT ENTRY!');
-          await this.enterPosition('short', price, timestamp, indicators);
-          this.lastSignal = 'short_entry';
-        } else {
-          console.log('❌ Entry condition not met - either no signal or duplicate signal');
+  /**
+   * Update EMA and SuperTrends for the current Renko bricks
+   * Only bricks added since the last call are streamed; a rebuilt series that no longer starts with the
+   * bricks already streamed (new brick size, trimmed or restored data) is streamed again from its first brick
+   */
+  calculateBrickIndicators() {
+    if (!this.canExtendBrickIndicators()) {
+      this.resetBrickIndicators();
+    }
+    this.filterIndicators = null;
+
+    const state = this.brickIndicatorState;
+    const appendSupertrends = (results, streams, brick) => {
+      for (const [key, stream] of Object.entries(streams)) {
+        const values = stream.update(brick);
+        for (const field of ['supertrend', 'direction', 'upperBand', 'lowerBand', 'atr']) {
+          results[key][field].push(values[field]);
         }
-      } else {
-        console.log('💼 Position already active, skipping entry');
       }
+    };
+
+    for (let i = state.count; i < this.renkoBricks.length; i++) {
+      const brick = this.renkoBricks[i];
+      this.indicators.ema21.push(state.ema.update(brick.close));
+
+      // SuperTrends on RENKO BRICK data using ATR(10) to match TradingView Renko charts
+      appendSupertrends(this.indicators.marketSupertrends, state.marketSupertrends, brick);
 
-    } catch (error) {
-      console.error('Error processing signals:', error);
+      // Renko-based SuperTrends with the Renko ATR period, kept for comparison
+      appendSupertrends(this.indicators.supertrends, state.supertrends, brick);
+    }
+
+    const streamed = this.renkoBricks.length - state.count;
+    state.count = this.renkoBricks.length;
+    state.firstBrick = this.renkoBricks[0];
+    state.lastBrick = this.renkoBricks[this.renkoBricks.length - 1];
+
+    const [st21Key] = this.getSupertrendKeys();
+    const latestATR = this.indicators.marketSupertrends[st21Key]?.atr[state.count - 1];
+    this.log(`📈 Indicators updated with ${streamed} brick(s): EMA${this.config.emaLength} values: ${Math.max(0, state.count - this.config.emaLength + 1)} of ${state.count}`);
+    if (this.renkoBricks.length < this.config.supertrendAtrPeriod) {
+      this.log(`⚠️ Not enough Renko data for SuperTrend. Need: ${this.config.supertrendAtrPeriod}, Have: ${this.renkoBricks.length}`);
+    } else {
+      this.log(`   📊 Current ATR: ${latestATR ? latestATR.toFixed(2) : 'N/A'} | 🟢 Brick size: ${this.renkoCalculator.brickSize?.toFixed(2) ?? 'N/A'} | 🧱 Total Renko bricks: ${this.renkoBricks.length}`);
     }
   }
 
   /**
-   * Enter a new simulated position
+   * Whether this.renkoBricks still starts with the bricks the indicator streams have consumed
    */
-  async enterPosition(side, price, timestamp, indicators) {
-    try {
-      const quantity = this.calculatePositionSize(price);
-      
-      // Create position
-      this.position = {
-        isActive: true,
-        type: side,
-        entryPrice: price,
-        quantity,
-        entryTime: timestamp
-      };
+  canExtendBrickIndicators() {
+    const state = this.brickIndicatorState;
+    if (!state || state.count === 0) return false;
+
+    const sameBrick = (a, b) => Boolean(a && b) &&
+      a.open === b.open &&
+      a.high === b.high &&
+      a.low === b.low &&
+      a.close === b.close &&
+      new Date(a.timestamp).getTime() === new Date(b.timestamp).getTime();
+
+    // Percentage boxes change size with every brick, so only the bricks themselves can be compared
+    const sameBoxSize = this.config.brickMode === 'percentage' || state.brickSize === this.renkoCalculator.brickSize;
+
+    return sameBoxSize &&
+      state.count <= this.renkoBricks.length &&
+      sameBrick(state.firstBrick, this.renkoBricks[0]) &&
+      sameBrick(state.lastBrick, this.renkoBricks[state.count - 1]);
+  }
 
-      // Create trade record
-      const trade = {
-        id: `trade_${Date.now()}`,
-        symbol: this.config.symbol,
-        side: side === 'long' ? 'buy' : 'sell',
-        type: 'entry',
-        price,
-        quantity,
-        timestamp,
-        pnl: 0,
-        signalData: {
-          ema21: indicators.ema21,
-          supertrend_2_1: indicators.st21,
-          supertrend_3_1: indicators.st31,
-          supertrend_4_1: indicators.st41,
-          atr: indicators.atr,
-          renkoBrick: this.renkoBricks[this.renkoBricks.length - 1]
-        },
-        strategy: 'RenkoEMA',
-        isSimulated: true
-      };
+  /**
+   * Start the EMA and SuperTrend streams (and their result series) from scratch
+   */
+  resetBrickIndicators() {
+    const { emaLength, supertrendAtrPeriod, renkoAtrPeriod, supertrendMultipliers } = this.config;
+    const emptySeries = streams => Object.fromEntries(Object.keys(streams).map(key => [
+      key,
+      { supertrend: [], direction: [], upperBand: [], lowerBand: [], atr: [] }
+    ]));
+
+    this.brickIndicatorState = {
+      brickSize: this.renkoCalculator.brickSize,
+      count: 0,
+      firstBrick: null,
+      lastBrick: null,
+      ema: new IncrementalEMA(emaLength),
+      marketSupertrends: IndicatorCalculators.createMultipleSuperTrend(supertrendAtrPeriod, supertrendMultipliers),
+      supertrends: IndicatorCalculators.createMultipleSuperTrend(renkoAtrPeriod, supertrendMultipliers)
+    };
 
-      this.trades.push(trade);
+    this.indicators = {
+      ema21: [],
+      supertrends: emptySeries(this.brickIndicatorState.supertrends),
+      marketSupertrends: emptySeries(this.brickIndicatorState.marketSupertrends)
+    };
+  }
 
-      // Create signal record
-      this.signalHistory.push({
-        signalType: side === 'long' ? 'buy_entry' : 'sell_entry',
-        price,
-        timestamp,
-        indicators
-      });
+  /**
+   * Result keys of the configured SuperTrends (same naming as calculateMultipleSuperTrend)
+   * Ordered like config.supertrendMultipliers, so custom multipliers keep working
+   */
+  getSupertrendKeys() {
+    return this.config.supertrendMultipliers.map(
+      multiplier => `supertrend_${multiplier.toString().replace('.', '_')}`
+    );
+  }
 
-      console.log(`Entered ${side} position at ${price} with quantity ${quantity}`);
-      
-      this.emit('positionEntered', {
-        side,
-        price,
-        quantity,
-        timestamp,
-        trade
-      });
+  /**
+   * Add the candle to the Renko chart, refresh indicators and act on signals
+   */
+  async onCandle(newData) {
+    this.marketATR.update(newData);
+    this.updateHigherTimeframes(newData);
+
+    const newBricks = await this.addCandleToRenko(newData);
 
-    } catch (error) {
-      console.error('Error entering position:', error);
+    if (newBricks.length > 0) {
+      this.log(`🟢 New ${newBricks.length} Renko brick(s) created`);
+
+      // Generate signals based on latest data
+      await this.generateSignals();
+    } else {
+      // No new Renko bricks - indicators only change when a brick forms
+      // Update current position PnL if active
+      if (this.position.isActive) {
+        this.updatePositionPnL(newData.close);
+      }
     }
+    
+    // Trail stops with the latest bricks and SuperTrend
+    this.updateProtectiveLevels(newData.close);
+
+    // Show current indicator values on EVERY ticker update
+    await this.showCurrentIndicatorValues(newData.close, newBricks.length);
+
+    // Process trade signals after showing indicators
+    this.log('🎯 Calling generateSignals() to process trade signals...');
+    await this.generateSignals();
+
+    this.emit('dataProcessed', {
+      newBricks: newBricks.length,
+      totalBricks: this.renkoBricks.length,
+      latestPrice: newData.close
+    });
   }
 
   /**
-   * Exit current simulated position
+   * Indicator values at the latest brick (same shape as the signal indicators)
    */
-  async exitPosition(price, timestamp, exitType, indicators) {
-    try {
-      if (!this.position.isActive) return;
-
-      const pnl = this.calculatePnL(this.position, price);
-      const side = this.position.type === 'long' ? 'sell' : 'buy';
-
-      // Create trade record
-      const trade = {
-        id: `trade_${Date.now()}`,
-        symbol: this.config.symbol,
-        side,
-        type: 'exit',
-        price,
-        quantity: this.position.quantity,
-        timestamp,
-        pnl,
-        signalData: {
-          ema21: indicators.ema21,
-          supertrend_2_1: indicators.st21,
-          supertrend_3_1: indicators.st31,
-          supertrend_4_1: indicators.st41,
-          atr: indicators.atr,
-          renkoBrick: this.renkoBricks[this.renkoBricks.length - 1]
-        },
-        strategy: 'RenkoEMA',
-        isSimulated: true
-      };
+  getLatestIndicators() {
+    const index = this.renkoBricks.length - 1;
+    const [st21Key, st31Key, st41Key] = this.getSupertrendKeys();
+    const supertrends = this.indicators.marketSupertrends || {};
 
-      this.trades.push(trade);
+    return {
+      ema21: this.indicators.ema21[index],
+      st21: supertrends[st21Key]?.supertrend[index] || 0,
+      st31: supertrends[st31Key]?.supertrend[index] || 0,
+      st41: supertrends[st41Key]?.supertrend[index] || 0,
+      atr: supertrends[st21Key]?.atr[index] || 0
+    };
+  }
 
-      // Create signal record
-      this.signalHistory.push({
-        signalType: exitType,
-        price,
-        timestamp,
-        indicators
+  /**
+   * Every brick with the indicator values rules see on it: ema, atr, st1..stN and stN.direction
+   */
+  getBarHistory() {
+    const supertrends = this.indicators.marketSupertrends || {};
+    const keys = this.getSupertrendKeys();
+
+    return this.renkoBricks.map((brick, index) => {
+      const row = {
+        ...brick,
+        ema: this.indicators.ema21[index] ?? null,
+        atr: supertrends[keys[0]]?.atr[index] ?? null
+      };
+      keys.forEach((key, i) => {
+        row[`st${i + 1}`] = supertrends[key]?.supertrend[index] ?? null;
+        row[`st${i + 1}.direction`] = supertrends[key]?.direction[index] ?? null;
       });
+      return row;
+    });
+  }
 
-      console.log(`Exited ${this.position.type} position at ${price}, PnL: ${pnl}`);
-      
-      this.emit('positionExited', {
-        side: this.position.type,
-        entryPrice: this.position.entryPrice,
-        exitPrice: price,
-        pnl,
-        timestamp,
-        trade
-      });
+  /**
+   * Latest brick close and brick size for protective exits and position sizing
+   */
+  getPriceContext() {
+    return {
+      brickClose: this.renkoBricks[this.renkoBricks.length - 1]?.close,
+      brickSize: this.renkoCalculator.brickSize
+    };
+  }
 
-      // Reset position
-      this.position = {
-        isActive: false,
-        type: null,
-        entryPrice: 0,
-        quantity: 0,
-        entryTime: null
-      };
+  /**
+   * EMA / SuperTrend values and the latest brick stored on each trade record
+   */
+  getSignalData(indicators = {}) {
+    return {
+      ema21: indicators.ema21,
+      supertrend_2_1: indicators.st21,
+      supertrend_3_1: indicators.st31,
+      supertrend_4_1: indicators.st41,
+      atr: indicators.atr,
+      renkoBrick: this.renkoBricks[this.renkoBricks.length - 1]
+    };
+  }
 
-    } catch (error) {
-      console.error('Error exiting position:', error);
-    }
+  /**
+   * Move trailing stops after new data
+   */
+  updateProtectiveLevels(price) {
+    if (!this.position.isActive || !this.protectiveExits.isEnabled()) return;
+
+    const latestBrick = this.renkoBricks[this.renkoBricks.length - 1];
+    const trailKey = this.getSupertrendKeys()[this.protectiveExits.config.supertrendTrail];
+    const trailLine = this.indicators.marketSupertrends?.[trailKey]?.supertrend;
+
+    this.protectiveExits.update(this.position, {
+      brickClose: latestBrick?.close,
+      brickSize: this.renkoCalculator.brickSize,
+      supertrend: trailLine?.[trailLine.length - 1],
+      price
+    });
   }
 
   /**
-   * Calculate position size based on risk management
+   * Log each SuperTrend with its direction and whether they all agree
    */
-  calculatePositionSize(price) {
-    // Simple fixed quantity for simulation
-    return this.config.defaultQuantity || 0.001;
+  logSupertrends(index) {
+    const supertrends = this.indicators.marketSupertrends || {};
+    const directions = this.getSupertrendKeys().map((key, i) => {
+      const value = supertrends[key]?.supertrend[index];
+      const direction = supertrends[key]?.direction[index];
+      this.log(`   ST${i + 1} (${this.config.supertrendMultipliers[i]}): ${value ? value.toFixed(2) : 'N/A'} ${direction === 1 ? '🟢 BULLISH' : direction === -1 ? '🔴 BEARISH' : '⚫ UNKNOWN'}`);
+      return direction;
+    });
+
+    const alignment = directions.every(direction => direction === 1) ? 'ALL BULLISH ✅'
+      : directions.every(direction => direction === -1) ? 'ALL BEARISH ✅' : 'NOT ALIGNED ❌';
+    this.log(`\n🎯 ALIGNMENT: ${alignment}`);
   }
 
   /**
-   * Calculate PnL for a position
+   * Generate trading signals based on current conditions
    */
-  calculatePnL(position, currentPrice) {
-    if (!position.isActive) return 0;
+  async generateSignals() {
+    if (this.renkoBricks.length < 2) {
+      this.log('Not enough data for signals - Renko bricks:', this.renkoBricks.length);
+      return;
+    }
+
+    // Wait until every variable the rules read has a value on the latest brick (EMA/SuperTrend warm-up)
+    const resolve = (name, offset) => this.getRuleValue(name, offset);
+    const missing = this.ruleVariables.filter(name => RuleEngine.resolveOperand(name, resolve) === null);
+    if (missing.length > 0) {
+      this.log(`Rule variables not available yet: ${missing.join(', ')}`);
+      return;
+    }
+
+    const latestIndex = this.renkoBricks.length - 1;
+    const latestBrick = this.renkoBricks[latestIndex];
+    const indicators = this.getLatestIndicators();
+
+    // Entry/exit conditions from the configured rules (defaults reproduce the original strategy)
+    const { longEntry, shortEntry, longExit, shortExit } = this.evaluateRules();
 
-    if (position.type === 'long') {
-      return (currentPrice - position.entryPrice) * position.quantity;
-    } else if (position.type === 'short') {
-      return (position.entryPrice - currentPrice) * position.quantity;
+    // Reset lastSignal if conditions change (allow new signals when market conditions align again)
+    if (!longEntry && !shortEntry && this.lastSignal) {
+      this.log(`🔄 Resetting lastSignal (was: ${this.lastSignal}) - no current signals`);
+      this.lastSignal = null;
+    }
+
+    // Log all indicator values for TradingView comparison
+    this.log('\n=== INDICATOR VALUES FOR TRADINGVIEW COMPARISON ===');
+    this.log(`📊 Current Market Price: ${latestBrick.close.toFixed(2)}`);
+    this.log(`📈 EMA ${this.config.emaLength} (Renko): ${indicators.ema21 ? indicators.ema21.toFixed(2) : 'N/A'} ${latestBrick.close > indicators.ema21 ? '(ABOVE)' : '(BELOW)'}`);
+    this.log(`📊 SuperTrend ATR(${this.config.supertrendAtrPeriod}): ${indicators.atr ? indicators.atr.toFixed(2) : 'N/A'}`);
+    this.log(`🟢 Renko Brick Size: ${this.renkoCalculator.brickSize?.toFixed(2) ?? 'N/A'}`);
+    this.log('\n📈 SUPERTREND VALUES:');
+    this.logSupertrends(latestIndex);
+    this.log(`🟦 RENKO: ${latestBrick.direction === 1 ? 'UP BRICK ⬆️' : 'DOWN BRICK ⬇️'}`);
+    this.log(`\n🚀 SIGNALS: Long=${longEntry ? '✅' : '❌'} | Short=${shortEntry ? '✅' : '❌'}`);
+    if (longEntry || shortEntry) {
+      this.log(`📜 Rule: ${RuleEngine.describe(longEntry ? this.rules.longEntry : this.rules.shortEntry)}`);
     }
+    this.log('================================================\n');
+
+    // Debug signal processing
+    this.log(`🔍 SIGNAL DEBUG: longEntry=${longEntry}, shortEntry=${shortEntry}, lastSignal=${this.lastSignal}, positionActive=${this.position.isActive}`);
     
-    return 0;
+    // Process signals
+    await this.processSignals({
+      longEntry,
+      shortEntry,
+      longExit,
+      shortExit,
+      price: latestBrick.close,
+      timestamp: latestBrick.timestamp,
+      rules: this.rules,
+      indicators
+    });
   }
 
   /**
    * Show current indicator values for TradingView comparison on every ticker
    */
   async showCurrentIndicatorValues(currentPrice, newBricksCount = 0) {
-    console.log(`🔍 DEBUG: Renko bricks: ${this.renkoBricks.length}, EMA21 length: ${this.indicators.ema21.length}, Market data: ${this.marketData.length}`);
+    this.log(`🔍 DEBUG: Renko bricks: ${this.renkoBricks.length}, EMA21 length: ${this.indicators.ema21.length}, Market data: ${this.marketData.length}`);
     
     if (this.renkoBricks.length < 2) {
-      console.log('⚠️ Not enough Renko bricks for display (need at least 2)');
+      this.log('⚠️ Not enough Renko bricks for display (need at least 2)');
       return;
     }
     
     if (this.indicators.ema21.length === 0) {
-      console.log('⚠️ EMA21 not calculated yet');
+      this.log('⚠️ EMA21 not calculated yet');
       return;
     }
 
@@ -578,195 +731,154 @@ class RenkoEMAStrategy extends EventEmitter {
     const renkoIndex = this.renkoBricks.length - 1;
     
     if (!this.indicators.marketSupertrends) {
-      console.log('⚠️ Renko SuperTrends not calculated yet');
+      this.log('⚠️ Renko SuperTrends not calculated yet');
       return;
     }
 
-    // Get current indicator values (now using Renko-based SuperTrends)
-    const currentATR = this.indicators.marketSupertrends?.supertrend_2_1?.atr[renkoIndex];
-    const st21Value = this.indicators.marketSupertrends?.supertrend_2_1?.supertrend[renkoIndex];
-    const st31Value = this.indicators.marketSupertrends?.supertrend_3_1?.supertrend[renkoIndex];
-    const st41Value = this.indicators.marketSupertrends?.supertrend_4_1?.supertrend[renkoIndex];
-    const st21Direction = this.indicators.marketSupertrends?.supertrend_2_1?.direction[renkoIndex];
-    const st31Direction = this.indicators.marketSupertrends?.supertrend_3_1?.direction[renkoIndex];
-    const st41Direction = this.indicators.marketSupertrends?.supertrend_4_1?.direction[renkoIndex];
-
-    // Check conditions
+    const currentATR = this.indicators.marketSupertrends[this.getSupertrendKeys()[0]]?.atr[renkoIndex];
     const bullishEMA = latestBrick.close > ema21;
-    const bearishEMA = latestBrick.close < ema21;
-    const bullishSuperTrend = st21Direction === 1 && st31Direction === 1 && st41Direction === 1;
-    const bearishSuperTrend = st21Direction === -1 && st31Direction === -1 && st41Direction === -1;
     const bullishRenko = latestBrick.direction === 1;
-    const bearishRenko = latestBrick.direction === -1;
     
     // Entry signals
-    const longEntry = bullishEMA && bullishSuperTrend && bullishRenko;
-    const shortEntry = bearishEMA && bearishSuperTrend && bearishRenko;
+    const { longEntry, shortEntry } = this.evaluateRules();
 
     // Display values on EVERY ticker update
-    console.log('\n=== 🗺️ TRADINGVIEW INDICATOR COMPARISON (EVERY TICKER) ===');
-    console.log(`🔄 Live Price: $${currentPrice.toFixed(2)} | Renko Price: $${latestBrick.close.toFixed(2)}`);
-    console.log(`🧱 New Bricks: ${newBricksCount} | Total Bricks: ${this.renkoBricks.length}`);
-    console.log(`📈 EMA 21 (Renko): $${ema21.toFixed(2)} ${bullishEMA ? '🟢 ABOVE' : '🔴 BELOW'}`);
-    console.log(`📊 SuperTrend ATR(${this.config.supertrendAtrPeriod}): ${currentATR ? currentATR.toFixed(2) : 'N/A'} | Renko Brick Size: ${this.renkoCalculator.brickSize.toFixed(2)}`);
+    this.log('\n=== 🗺️ TRADINGVIEW INDICATOR COMPARISON (EVERY TICKER) ===');
+    this.log(`🔄 Live Price: $${currentPrice.toFixed(2)} | Renko Price: $${latestBrick.close.toFixed(2)}`);
+    this.log(`🧱 New Bricks: ${newBricksCount} | Total Bricks: ${this.renkoBricks.length}`);
+    this.log(`📈 EMA 21 (Renko): $${ema21 ? ema21.toFixed(2) : 'N/A'} ${bullishEMA ? '🟢 ABOVE' : '🔴 BELOW'}`);
+    this.log(`📊 SuperTrend ATR(${this.config.supertrendAtrPeriod}): ${currentATR ? currentATR.toFixed(2) : 'N/A'} | Renko Brick Size: ${this.renkoCalculator.brickSize?.toFixed(2) ?? 'N/A'}`);
     
     // Check if SuperTrends are properly calculated
     if (!this.indicators.marketSupertrends) {
-      console.log('\n⚠️ SUPERTREND VALUES: NOT CALCULATED - Market data insufficient');
+      this.log('\n⚠️ SUPERTREND VALUES: NOT CALCULATED - Market data insufficient');
     } else {
-      console.log('\n🐈 SUPERTREND VALUES:');
-      console.log(`   ST 2.1: $${st21Value ? st21Value.toFixed(2) : 'N/A'} ${st21Direction === 1 ? '🟢 BULLISH' : st21Direction === -1 ? '🔴 BEARISH' : '⚫ UNKNOWN'}`);
-      console.log(`   ST 3.1: $${st31Value ? st31Value.toFixed(2) : 'N/A'} ${st31Direction === 1 ? '🟢 BULLISH' : st31Direction === -1 ? '🔴 BEARISH' : '⚫ UNKNOWN'}`);
-      console.log(`   ST 4.1: $${st41Value ? st41Value.toFixed(2) : 'N/A'} ${st41Direction === 1 ? '🟢 BULLISH' : st41Direction === -1 ? '🔴 BEARISH' : '⚫ UNKNOWN'}`);
+      this.log('\n🐈 SUPERTREND VALUES:');
+      this.logSupertrends(renkoIndex);
     }
     
-    console.log(`\n🎯 ALIGNMENT: ${bullishSuperTrend ? 'ALL BULLISH ✅' : bearishSuperTrend ? 'ALL BEARISH ✅' : 'NOT ALIGNED ❌'}`);
-    console.log(`🟦 RENKO DIRECTION: ${bullishRenko ? 'UP BRICK ⬆️' : 'DOWN BRICK ⬇️'}`);
-    console.log(`\n🚀 TRADE SIGNALS:`);
-    console.log(`   LONG: ${longEntry ? '✅ TRIGGERED' : '❌ NO'} | SHORT: ${shortEntry ? '✅ TRIGGERED' : '❌ NO'}`);
+    this.log(`🟦 RENKO DIRECTION: ${bullishRenko ? 'UP BRICK ⬆️' : 'DOWN BRICK ⬇️'}`);
+    this.log(`\n🚀 TRADE SIGNALS:`);
+    this.log(`   LONG: ${longEntry ? '✅ TRIGGERED' : '❌ NO'} | SHORT: ${shortEntry ? '✅ TRIGGERED' : '❌ NO'}`);
     
     // Show live P&L if position is active
     if (this.position.isActive) {
       const unrealizedPnL = this.calculatePnL(this.position, currentPrice);
       const pnlPercentage = ((currentPrice - this.position.entryPrice) / this.position.entryPrice) * 100;
-      const duration = Date.now() - new Date(this.position.entryTime).getTime();
+      const duration = this.now() - new Date(this.position.entryTime).getTime();
       const durationMinutes = Math.floor(duration / 60000);
       
-      console.log(`\n💰 LIVE P&L:`);
-      console.log(`   Position: ${this.position.type.toUpperCase()}`);
-      console.log(`   Entry Price: $${this.position.entryPrice.toFixed(2)}`);
-      console.log(`   Current Price: $${currentPrice.toFixed(2)}`);
-      console.log(`   Quantity: ${this.position.quantity} ${this.config.symbol.replace('USD', '')}`);
-      console.log(`   Unrealized P&L: ${unrealizedPnL >= 0 ? '+' : ''}$${unrealizedPnL.toFixed(4)}`);
-      console.log(`   Return: ${pnlPercentage >= 0 ? '+' : ''}${pnlPercentage.toFixed(2)}%`);
-      console.log(`   Duration: ${durationMinutes} minutes`);
-      console.log(`   Status: ${unrealizedPnL > 0 ? '🟢 PROFIT' : unrealizedPnL < 0 ? '🔴 LOSS' : '🟡 BREAKEVEN'}`);
+      this.log(`\n💰 LIVE P&L:`);
+      this.log(`   Position: ${this.position.type.toUpperCase()}`);
+      this.log(`   Entry Price: $${this.position.entryPrice.toFixed(2)}`);
+      this.log(`   Current Price: $${currentPrice.toFixed(2)}`);
+      this.log(`   Quantity: ${this.position.quantity} ${this.config.symbol.replace('USD', '')}`);
+      this.log(`   Unrealized P&L: ${unrealizedPnL >= 0 ? '+' : ''}$${unrealizedPnL.toFixed(4)}`);
+      this.log(`   Return: ${pnlPercentage >= 0 ? '+' : ''}${pnlPercentage.toFixed(2)}%`);
+      this.log(`   Duration: ${durationMinutes} minutes`);
+      this.log(`   Status: ${unrealizedPnL > 0 ? '🟢 PROFIT' : unrealizedPnL < 0 ? '🔴 LOSS' : '🟡 BREAKEVEN'}`);
     } else {
-      console.log(`\n💤 POSITION STATUS: No active position`);
+      this.log(`\n💤 POSITION STATUS: No active position`);
     }
-    console.log('================================================================\n');
-  }
-
-  /**
-   * Update position PnL in real-time
-   */
-  updatePositionPnL(currentPrice) {
-    if (!this.position.isActive) return;
-
-    const unrealizedPnL = this.calculatePnL(this.position, currentPrice);
-    const pnlPercentage = ((currentPrice - this.position.entryPrice) / this.position.entryPrice) * 100;
-    const duration = Date.now() - new Date(this.position.entryTime).getTime();
-    const durationMinutes = Math.floor(duration / 60000);
-    
-    // Update position with current P&L data
-    this.position.currentPrice = currentPrice;
-    this.position.unrealizedPnL = unrealizedPnL;
-    this.position.pnlPercentage = pnlPercentage;
-    this.position.durationMinutes = durationMinutes;
-    
-    this.emit('pnlUpdated', {
-      position: { ...this.position },
-      currentPrice,
-      unrealizedPnL,
-      pnlPercentage,
-      durationMinutes
-    });
+    this.log('================================================================\n');
   }
 
   /**
-   * Get current strategy status
+   * Snapshot with the Renko chart state
    */
-  getStatus() {
-    const stats = this.getTradeStatistics();
-    
+  getSnapshot() {
     return {
-      isRunning: this.isRunning,
-      symbol: this.config.symbol,
-      position: this.position,
-      marketDataPoints: this.marketData.length,
-      renkoBricks: this.renkoBricks.length,
-      lastSignal: this.lastSignal,
-      config: this.config,
-      renkoStats: this.renkoCalculator.getStatistics(),
-      tradeStats: stats,
-      totalTrades: this.trades.length,
-      signals: this.signalHistory.length
+      ...super.getSnapshot(),
+      brickSize: this.renkoCalculator.brickSize,
+      brickAnchor: this.brickAnchor,
+      renko: this.renkoCalculator.getState(),
+      renkoBricks: this.renkoBricks
     };
   }
 
   /**
-   * Get trade statistics
+   * Restore the saved Renko bricks and brick size on top of the generic state (see BaseStrategy)
    */
-  getTradeStatistics() {
-    if (this.trades.length === 0) {
-      return {
-        totalTrades: 0,
-        winningTrades: 0,
-        losingTrades: 0,
-        winRate: 0,
-        totalPnL: 0,
-        avgWin: 0,
-        avgLoss: 0,
-        profitFactor: 0
-      };
-    }
+  restoreSnapshot(snapshot) {
+    const reconciliation = super.restoreSnapshot(snapshot);
+    this.resetMarketATR();
+    this.resetHigherTimeframes();
+    const record = (field, before, after, note) => reconciliation.push({ field, before, after, note });
+
+    if (this.isOwnSnapshot(snapshot)) {
+      for (const key of ['emaLength', 'atrPeriod', 'supertrendAtrPeriod', 'supertrendMultipliers', 'timeframe', 'chartType', 'brickMode', 'brickSource', 'rules']) {
+        if (JSON.stringify(snapshot.config?.[key]) !== JSON.stringify(this.config[key])) {
+          record(`config.${key}`, snapshot.config?.[key], this.config[key], 'config changed since snapshot - keeping current config');
+        }
+      }
 
-    const completedTrades = this.trades.filter(trade => trade.pnl !== 0);
-    const winningTrades = completedTrades.filter(trade => trade.pnl > 0);
-    const losingTrades = completedTrades.filter(trade => trade.pnl < 0);
-    
-    const totalPnL = completedTrades.reduce((sum, trade) => sum + trade.pnl, 0);
-    const totalWins = winningTrades.reduce((sum, trade) => sum + trade.pnl, 0);
-    const totalLosses = Math.abs(losingTrades.reduce((sum, trade) => sum + trade.pnl, 0));
-    
-    const winRate = completedTrades.length > 0 ? (winningTrades.length / completedTrades.length) * 100 : 0;
-    const avgWin = winningTrades.length > 0 ? totalWins / winningTrades.length : 0;
-    const avgLoss = losingTrades.length > 0 ? totalLosses / losingTrades.length : 0;
-    const profitFactor = totalLosses > 0 ? totalWins / totalLosses : totalWins;
+      // Bricks: compare what the fetched window rebuilt against what was saved, then keep the saved series
+      const savedBricks = (snapshot.renkoBricks || []).map(brick => ({
+        ...brick,
+        timestamp: new Date(brick.timestamp),
+        ...(brick.startTime && { startTime: new Date(brick.startTime), endTime: new Date(brick.endTime) })
+      }));
+      const rebuiltKeys = new Set(this.renkoBricks.map(brick => `${brick.timestamp.getTime()}:${brick.close}`));
+      const matchingBricks = savedBricks.filter(brick => rebuiltKeys.has(`${brick.timestamp.getTime()}:${brick.close}`)).length;
+
+      // Bricks saved for another chart type are not this chart's bars - keep the rebuilt series
+      const sameChart = (snapshot.config?.chartType || 'renko') === this.config.chartType;
+      if (savedBricks.length > 0 && sameChart && !this.renkoCalculator.canRestoreState(snapshot.renko)) {
+        record(
+          'renkoBricks',
+          { count: savedBricks.length, brickModel: snapshot.renko?.brickModel ?? null },
+          { count: this.renkoBricks.length, brickModel: this.renkoCalculator.getState().brickModel ?? null },
+          'saved bricks were built by an older brick model - keeping the rebuilt series'
+        );
+      } else if (savedBricks.length > 0 && sameChart) {
+        const rebuiltLast = this.renkoBricks[this.renkoBricks.length - 1];
+        const savedLast = savedBricks[savedBricks.length - 1];
+
+        if (savedBricks.length !== this.renkoBricks.length || rebuiltLast?.close !== savedLast.close) {
+          record(
+            'renkoBricks',
+            { count: this.renkoBricks.length, lastClose: rebuiltLast?.close ?? null },
+            { count: savedBricks.length, lastClose: savedLast.close },
+            `restored saved bricks (${matchingBricks} of ${savedBricks.length} matched the rebuilt series)`
+          );
+        }
 
-    return {
-      totalTrades: completedTrades.length,
-      winningTrades: winningTrades.length,
-      losingTrades: losingTrades.length,
-      winRate: Math.round(winRate * 100) / 100,
-      totalPnL: Math.round(totalPnL * 100) / 100,
-      avgWin: Math.round(avgWin * 100) / 100,
-      avgLoss: Math.round(avgLoss * 100) / 100,
-      profitFactor: Math.round(profitFactor * 100) / 100
-    };
-  }
+        this.renkoCalculator.bars = savedBricks;
+        this.renkoCalculator.restoreState(snapshot.renko, savedLast);
+        this.renkoBricks = savedBricks;
+      }
 
-  /**
-   * Get all trades
-   */
-  getTrades() {
-    return this.trades;
-  }
+      if (snapshot.brickSize && snapshot.brickSize !== this.renkoCalculator.brickSize) {
+        record('brickSize', this.renkoCalculator.brickSize, snapshot.brickSize, 'restored saved brick size');
+        this.renkoCalculator.brickSize = snapshot.brickSize;
+      }
 
-  /**
-   * Get all signals
-   */
-  getSignals() {
-    return this.signalHistory;
-  }
+      // Keep the saved ATR anchor so a restart does not re-size the bricks
+      if (snapshot.brickAnchor && this.config.brickMode === 'atr') {
+        this.brickAnchor = { ...snapshot.brickAnchor, time: new Date(snapshot.brickAnchor.time) };
+      }
+    }
 
-  /**
-   * Stop the strategy
-   */
-  stop() {
-    this.isRunning = false;
-    this.emit('stopped');
-    console.log(`Strategy stopped for ${this.config.symbol}`);
+    if (this.renkoBricks.length > 0) {
+      this.calculateBrickIndicators();
+    }
+
+    return reconciliation;
   }
 
   /**
-   * Start the strategy
+   * Get current strategy status
    */
-  start() {
-    this.isRunning = true;
-    this.emit('started');
-    console.log(`Strategy started for ${this.config.symbol}`);
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      renkoBricks: this.renkoBricks.length,
+      chartType: this.config.chartType,
+      brickMode: this.config.brickMode,
+      brickAnchor: this.brickAnchor,
+      renkoStats: this.renkoCalculator.getStatistics()
+    };
   }
 }
 
-export default RenkoEMAStrategy;
\ No newline at end of file
+export default RenkoEMAStrategy;
@@ -0,0 +1,125 @@
+/**
+ * Resampler - Builds higher-timeframe candles (5m, 15m, 1h, 4h, 1d, ...) from lower-timeframe ones
+ * Buckets are aligned to UTC like exchange candles: 4h bars start at 00:00, 04:00, ..., daily bars at
+ * midnight and weekly bars on Monday. A bar is timestamped with its bucket start
+ */
+
+const TIMEFRAME_PATTERN = /^(\d+)([mhdw])$/;
+const UNIT_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const WEEK_OFFSET_MS = 4 * UNIT_MS.d;  // 1970-01-01 was a Thursday - weeks start on Monday
+
+class Resampler {
+  /**
+   * @param {string} timeframe - Target timeframe ('5m', '1h', '4h', '1d', '1w', ...)
+   * @param {Object} options
+   * @param {string} options.sourceTimeframe - Timeframe of the candles fed in (default '1m'); a bar is
+   *   complete as soon as the candle covering the end of its bucket arrives
+   */
+  constructor(timeframe, options = {}) {
+    this.timeframe = timeframe;
+    this.intervalMs = Resampler.parseTimeframe(timeframe);
+    this.sourceTimeframe = options.sourceTimeframe || '1m';
+    this.sourceMs = Resampler.parseTimeframe(this.sourceTimeframe);
+
+    if (this.intervalMs < this.sourceMs || this.intervalMs % this.sourceMs !== 0) {
+      throw new Error(`Cannot resample ${this.sourceTimeframe} candles to ${timeframe} - use a multiple of ${this.sourceTimeframe}`);
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Timeframe length in milliseconds
+   * @param {string} timeframe - e.g. '15m', '4h', '1d'
+   */
+  static parseTimeframe(timeframe) {
+    const match = TIMEFRAME_PATTERN.exec(String(timeframe));
+    if (!match || Number(match[1]) === 0) {
+      throw new Error(`Invalid timeframe "${timeframe}" - use a number followed by m, h, d or w (e.g. 5m, 1h, 1d)`);
+    }
+    return Number(match[1]) * UNIT_MS[match[2]];
+  }
+
+  /**
+   * Start of the bucket a time falls in
+   * @param {Date|number|string} timestamp
+   * @param {number} intervalMs - Bucket length
+   * @returns {number} Epoch milliseconds
+   */
+  static bucketStart(timestamp, intervalMs) {
+    const time = new Date(timestamp).getTime();
+    const offset = intervalMs % UNIT_MS.w === 0 ? WEEK_OFFSET_MS : 0;
+    return Math.floor((time - offset) / intervalMs) * intervalMs + offset;
+  }
+
+  /**
+   * Resample a candle series in one go
+   * @param {Array} candles - {timestamp, open, high, low, close, volume}, oldest first
+   * @param {string} timeframe - Target timeframe
+   * @param {Object} options - sourceTimeframe (see constructor) and includePartial (keep the unfinished last bar, default true)
+   * @returns {Array} Resampled candles
+   */
+  static resample(candles, timeframe, { sourceTimeframe = '1m', includePartial = true } = {}) {
+    const resampler = new Resampler(timeframe, { sourceTimeframe });
+    const bars = [];
+
+    for (const candle of candles) {
+      bars.push(...resampler.addCandle(candle));
+    }
+    if (includePartial && resampler.current) {
+      bars.push({ ...resampler.current });
+    }
+
+    return bars;
+  }
+
+  /**
+   * Add a candle
+   * Candles that are not newer than the last one added are ignored
+   * @returns {Array} Bars completed by this candle (none, the previous bucket on a gap, and/or this bucket)
+   */
+  addCandle(candle) {
+    const time = new Date(candle.timestamp).getTime();
+    if (this.lastTime !== null && time <= this.lastTime) return [];
+    this.lastTime = time;
+
+    const completed = [];
+    const start = Resampler.bucketStart(time, this.intervalMs);
+
+    // A candle in a later bucket closes the previous one (its last candles were missing)
+    if (this.current && this.current.timestamp.getTime() !== start) {
+      completed.push(this.current);
+      this.current = null;
+    }
+
+    if (!this.current) {
+      this.current = {
+        timestamp: new Date(start),
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume || 0
+      };
+    } else {
+      this.current.high = Math.max(this.current.high, candle.high);
+      this.current.low = Math.min(this.current.low, candle.low);
+      this.current.close = candle.close;
+      this.current.volume += candle.volume || 0;
+    }
+
+    if (time + this.sourceMs >= start + this.intervalMs) {
+      completed.push(this.current);
+      this.current = null;
+    }
+
+    return completed;
+  }
+
+  reset() {
+    this.current = null;   // Bar being built
+    this.lastTime = null;  // Time of the last candle added (epoch ms)
+  }
+}
+
+export default Resampler;
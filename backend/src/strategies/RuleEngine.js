@@ -0,0 +1,173 @@
+/**
+ * Rule Engine - Evaluates entry/exit conditions written as JSON condition trees
+ *
+ * Nodes:
+ *   { all: [node, ...] }                       AND
+ *   { any: [node, ...] }                       OR
+ *   { not: node }                              NOT
+ *   { atLeast: 2, of: [node, ...] }            N-of-M agreement
+ *   { left: operand, op: '>', right: operand } comparison (>, >=, <, <=, ==, !=)
+ *   { cross: 'above', left: operand, right: operand }  left crossed above/below right on the latest bar
+ *
+ * Operands are numbers, variable names ('close', 'ema', 'st1.direction', ...) or {ref: name, offset: bars back}.
+ * Variables are resolved by the strategy, so each strategy decides which names exist.
+ */
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const CROSS_DIRECTIONS = ['above', 'below'];
+
+class RuleEngine {
+  /**
+   * Resolve an operand to a number (null when the value is not available yet)
+   * @param {number|string|Object} operand
+   * @param {Function} resolve - (name, offset) => value
+   * @param {number} extraOffset - Added to the operand offset (previous bar for crosses)
+   */
+  static resolveOperand(operand, resolve, extraOffset = 0) {
+    if (typeof operand === 'number') return operand;
+
+    const name = typeof operand === 'string' ? operand : operand.ref;
+    const offset = (typeof operand === 'object' ? operand.offset || 0 : 0) + extraOffset;
+    const value = resolve(name, offset);
+
+    return value === undefined || value === null || Number.isNaN(value) ? null : value;
+  }
+
+  /**
+   * Evaluate a condition tree - comparisons with missing values are false
+   * @param {Object} rule - Condition tree
+   * @param {Function} resolve - (name, offset) => value
+   * @returns {boolean}
+   */
+  static evaluate(rule, resolve) {
+    if (rule.all) {
+      return rule.all.every(node => RuleEngine.evaluate(node, resolve));
+    }
+    if (rule.any) {
+      return rule.any.some(node => RuleEngine.evaluate(node, resolve));
+    }
+    if (rule.not) {
+      return !RuleEngine.evaluate(rule.not, resolve);
+    }
+    if (rule.atLeast !== undefined) {
+      const passed = rule.of.filter(node => RuleEngine.evaluate(node, resolve)).length;
+      return passed >= rule.atLeast;
+    }
+
+    const left = RuleEngine.resolveOperand(rule.left, resolve);
+    const right = RuleEngine.resolveOperand(rule.right, resolve);
+    if (left === null || right === null) return false;
+
+    if (rule.cross) {
+      const previousLeft = RuleEngine.resolveOperand(rule.left, resolve, 1);
+      const previousRight = RuleEngine.resolveOperand(rule.right, resolve, 1);
+      if (previousLeft === null || previousRight === null) return false;
+
+      return rule.cross === 'above'
+        ? previousLeft <= previousRight && left > right
+        : previousLeft >= previousRight && left < right;
+    }
+
+    return COMPARATORS[rule.op](left, right);
+  }
+
+  /**
+   * Throw a descriptive error for malformed trees or unknown variables
+   * @param {Object} rule - Condition tree
+   * @param {Function} isVariable - name => boolean
+   * @param {string} path - Location used in error messages
+   */
+  static validate(rule, isVariable = () => true, path = 'rule') {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`${path} must be a condition object`);
+    }
+
+    const validateList = (nodes, listPath) => {
+      if (!Array.isArray(nodes) || nodes.length === 0) {
+        throw new Error(`${listPath} must be a non-empty array of conditions`);
+      }
+      nodes.forEach((node, index) => RuleEngine.validate(node, isVariable, `${listPath}[${index}]`));
+    };
+
+    const validateOperand = (operand, operandPath) => {
+      if (typeof operand === 'number') return;
+
+      const name = typeof operand === 'string' ? operand : operand?.ref;
+      if (typeof name !== 'string') {
+        throw new Error(`${operandPath} must be a number, a variable name or {ref, offset}`);
+      }
+      if (!isVariable(name)) {
+        throw new Error(`${operandPath} references unknown variable "${name}"`);
+      }
+      if (typeof operand === 'object' && operand.offset !== undefined && !(Number.isInteger(operand.offset) && operand.offset >= 0)) {
+        throw new Error(`${operandPath}.offset must be a non-negative integer`);
+      }
+    };
+
+    if (rule.all) return validateList(rule.all, `${path}.all`);
+    if (rule.any) return validateList(rule.any, `${path}.any`);
+    if (rule.not) return RuleEngine.validate(rule.not, isVariable, `${path}.not`);
+
+    if (rule.atLeast !== undefined) {
+      validateList(rule.of, `${path}.of`);
+      if (!Number.isInteger(rule.atLeast) || rule.atLeast < 1 || rule.atLeast > rule.of.length) {
+        throw new Error(`${path}.atLeast must be an integer between 1 and ${rule.of.length}`);
+      }
+      return;
+    }
+
+    if (rule.cross !== undefined) {
+      if (!CROSS_DIRECTIONS.includes(rule.cross)) {
+        throw new Error(`${path}.cross must be one of: ${CROSS_DIRECTIONS.join(', ')}`);
+      }
+    } else if (!COMPARATORS[rule.op]) {
+      throw new Error(`${path} needs all/any/not/atLeast, cross, or op (${Object.keys(COMPARATORS).join(' ')})`);
+    }
+
+    validateOperand(rule.left, `${path}.left`);
+    validateOperand(rule.right, `${path}.right`);
+  }
+
+  /**
+   * Variable names a condition tree references
+   * @param {Object} rule - Condition tree (validated)
+   * @returns {Set<string>}
+   */
+  static variables(rule, names = new Set()) {
+    const nodes = rule.all || rule.any || rule.of || (rule.not && [rule.not]);
+    if (nodes) {
+      nodes.forEach(node => RuleEngine.variables(node, names));
+      return names;
+    }
+
+    for (const operand of [rule.left, rule.right]) {
+      if (typeof operand === 'string') names.add(operand);
+      else if (typeof operand === 'object') names.add(operand.ref);
+    }
+    return names;
+  }
+
+  /**
+   * Readable one-line form of a condition tree, for logs
+   */
+  static describe(rule) {
+    const operand = value => (typeof value === 'object' ? `${value.ref}[${value.offset || 0}]` : String(value));
+
+    if (rule.all) return `(${rule.all.map(RuleEngine.describe).join(' AND ')})`;
+    if (rule.any) return `(${rule.any.map(RuleEngine.describe).join(' OR ')})`;
+    if (rule.not) return `NOT ${RuleEngine.describe(rule.not)}`;
+    if (rule.atLeast !== undefined) return `${rule.atLeast} OF (${rule.of.map(RuleEngine.describe).join(', ')})`;
+    if (rule.cross) return `${operand(rule.left)} CROSSES ${rule.cross.toUpperCase()} ${operand(rule.right)}`;
+    return `${operand(rule.left)} ${rule.op} ${operand(rule.right)}`;
+  }
+}
+
+export default RuleEngine;
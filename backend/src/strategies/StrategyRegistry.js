@@ -0,0 +1,116 @@
+/**
+ * Strategy Registry - Discovers strategies in this directory and creates them by name
+ * Any `*Strategy.js` file whose default export extends BaseStrategy and sets a static strategyName is
+ * registered automatically, so a new strategy only needs to be dropped into backend/src/strategies
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import BaseStrategy from './BaseStrategy.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_STRATEGY = 'RenkoEMA';
+
+class StrategyRegistry {
+  static strategies = new Map();  // lower-cased name -> strategy class
+  static failures = new Map();    // file -> error that kept it from loading
+  static loading = null;
+
+  /**
+   * Register a strategy class (discovery does this for files in the strategies directory)
+   */
+  static register(StrategyClass) {
+    if (!(StrategyClass?.prototype instanceof BaseStrategy)) {
+      throw new Error(`${StrategyClass?.name || StrategyClass} does not extend BaseStrategy`);
+    }
+    if (!StrategyClass.strategyName) {
+      throw new Error(`${StrategyClass.name} must define a static strategyName`);
+    }
+
+    const key = StrategyClass.strategyName.toLowerCase();
+    const existing = StrategyRegistry.strategies.get(key);
+    if (existing && existing !== StrategyClass) {
+      throw new Error(`Strategy name "${StrategyClass.strategyName}" is already registered by ${existing.name}`);
+    }
+
+    StrategyRegistry.strategies.set(key, StrategyClass);
+    return StrategyClass;
+  }
+
+  /**
+   * Import every *Strategy.js module once
+   */
+  static load() {
+    if (!StrategyRegistry.loading) {
+      StrategyRegistry.loading = StrategyRegistry.discover();
+    }
+    return StrategyRegistry.loading;
+  }
+
+  /**
+   * Register every *Strategy.js module in a directory; modules that fail to load are kept in `failures`
+   * (see listFailures) so they show up next to the registered strategies instead of vanishing
+   */
+  static async discover(directory = __dirname) {
+    const files = (await fs.readdir(directory))
+      .filter(file => file.endsWith('Strategy.js') && file !== 'BaseStrategy.js')
+      .sort();
+
+    for (const file of files) {
+      try {
+        const module = await import(pathToFileURL(path.join(directory, file)).href);
+        StrategyRegistry.register(module.default);
+        StrategyRegistry.failures.delete(file);
+      } catch (error) {
+        console.error(`⚠️ Skipping strategy module ${file}:`, error.message);
+        StrategyRegistry.failures.set(file, error.message);
+      }
+    }
+
+    return StrategyRegistry.list();
+  }
+
+  /**
+   * Strategy class by name (case-insensitive)
+   */
+  static async get(name = DEFAULT_STRATEGY) {
+    await StrategyRegistry.load();
+
+    const StrategyClass = StrategyRegistry.strategies.get(String(name).toLowerCase());
+    if (!StrategyClass) {
+      const available = StrategyRegistry.list().map(strategy => strategy.name).join(', ');
+      const failed = StrategyRegistry.listFailures().map(failure => `${failure.file} (${failure.error})`).join(', ');
+      throw new Error(`Unknown strategy "${name}". Available: ${available}${failed ? `. Failed to load: ${failed}` : ''}`);
+    }
+    return StrategyClass;
+  }
+
+  /**
+   * Create a strategy instance by name
+   */
+  static async create(name, config = {}) {
+    const StrategyClass = await StrategyRegistry.get(name);
+    return new StrategyClass(config);
+  }
+
+  /**
+   * Registered strategies {name, description}
+   */
+  static list() {
+    return [...StrategyRegistry.strategies.values()].map(StrategyClass => ({
+      name: StrategyClass.strategyName,
+      description: StrategyClass.description
+    }));
+  }
+
+  /**
+   * Strategy modules that failed to load {file, error}
+   */
+  static listFailures() {
+    return [...StrategyRegistry.failures].map(([file, error]) => ({ file, error }));
+  }
+}
+
+export default StrategyRegistry;
@@ -3,9 +3,18 @@ import cors from 'cors';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 
+import connectDB from './config/database.js';
+
 // Import services
-import TradingService from './services/TradingService.js';
+import TradingInstanceManager, { DEFAULT_INSTANCE_ID } from './services/TradingInstanceManager.js';
 import DeltaAPIService from './services/DeltaAPIService.js';
+import StrategyRegistry from './strategies/StrategyRegistry.js';
+import MonteCarloAnalyzer from './backtest/MonteCarloAnalyzer.js';
+
+// Import routes
+import tradesRouter from './routes/trades.js';
+import createTradingInstancesRouter from './routes/tradingInstances.js';
+import createExportRouter from './routes/exports.js';
 
 const app = express();
 const server = createServer(app);
@@ -18,14 +27,28 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 3001;
 
-// Initialize services
-const tradingService = new TradingService();
+// Initialize services - /api/trading/* drives the default instance, /api/trading/instances any other
+const tradingInstances = new TradingInstanceManager();
+const tradingService = tradingInstances.createInstance(DEFAULT_INSTANCE_ID);
 const deltaAPI = new DeltaAPIService();
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// Trade journal persistence is optional - only connect when MongoDB is configured
+if (process.env.MONGODB_URI) {
+  connectDB({ exitOnFailure: false }).then((connected) => {
+    console.log(connected ? '🗄️ Trade journal enabled (MongoDB)' : '⚠️ MongoDB unavailable - trade journal disabled');
+  });
+} else {
+  console.log('ℹ️ MONGODB_URI not set - running without trade journal persistence');
+}
+
+app.use('/api/trades', tradesRouter);
+app.use('/api/trading/instances', createTradingInstancesRouter(tradingInstances));
+app.use('/api/export', createExportRouter(tradingInstances));
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({
@@ -64,8 +87,7 @@ app.get('/api/trading/status', (req, res) => {
 
 app.post('/api/trading/start', async (req, res) => {
   try {
-    await tradingService.initialize(req.body);
-    await tradingService.start();
+    await tradingInstances.startInstance(DEFAULT_INSTANCE_ID, req.body);
     res.json({ success: true, message: 'Trading started' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -81,6 +103,33 @@ app.post('/api/trading/stop', (req, res) => {
   }
 });
 
+app.get('/api/trading/strategies', async (req, res) => {
+  try {
+    await StrategyRegistry.load();
+    res.json({ success: true, data: StrategyRegistry.list(), failed: StrategyRegistry.listFailures() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/trading/risk', (req, res) => {
+  res.json({ success: true, data: tradingInstances.getRiskStatus() });
+});
+
+app.post('/api/trading/risk/reset', async (req, res) => {
+  try {
+    const status = await tradingInstances.resetRisk();
+    res.json({ success: true, message: 'Risk halt reset - start trading again to resume', data: status });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/trading/data-quality', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  res.json({ success: true, data: tradingService.getDataQuality(limit) });
+});
+
 app.get('/api/trading/trades', (req, res) => {
   const trades = tradingService.getTrades();
   res.json({ success: true, data: trades, count: trades.length });
@@ -96,13 +145,36 @@ app.get('/api/trading/position', (req, res) => {
   res.json({ success: true, data: position });
 });
 
+app.get('/api/trading/orders', (req, res) => {
+  const orders = tradingService.getOrders();
+  res.json({ success: true, data: orders, count: orders.length, executionMode: tradingService.executionMode });
+});
+
+app.get('/api/trading/robustness', (req, res) => {
+  let options;
+  try {
+    options = MonteCarloAnalyzer.parseQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    res.json({ success: true, data: tradingService.getRobustnessReport(options) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get('/api/market/data', async (req, res) => {
+  let query;
   try {
-    const { symbol = 'BTCUSD', limit = 100 } = req.query;
-    const endTime = Math.floor(Date.now() / 1000);
-    const startTime = endTime - (limit * 60);
+    query = DeltaAPIService.parseCandleQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
 
-    const data = await deltaAPI.getCandles(symbol, '1m', startTime, endTime);
+  try {
+    const data = await deltaAPI.getCandles(query.symbol, query.interval, query.start, query.end);
     res.json({ success: true, data: data?.result || [] });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -120,6 +192,7 @@ io.on('connection', (socket) => {
   // Send initial status
   socket.emit('status', { connected: true, timestamp: new Date() });
   socket.emit('tradingStatus', tradingService.getStatus());
+  socket.emit('tradingInstances', tradingInstances.listInstances());
 
   // Log all incoming WebSocket messages
   socket.onAny((eventName, ...args) => {
@@ -138,8 +211,7 @@ io.on('connection', (socket) => {
     console.log('===================================');
 
     try {
-      await tradingService.initialize(config);
-      await tradingService.start();
+      await tradingInstances.startInstance(DEFAULT_INSTANCE_ID, config);
       socket.emit('tradingStarted', { success: true });
       console.log(`✅ Trading started successfully for client ${socket.id}\n`);
     } catch (error) {
@@ -178,9 +250,10 @@ io.on('connection', (socket) => {
   });
 });
 
-// Trading service events with detailed WebSocket logging
-tradingService.on('positionEntered', (data) => {
+// Trading instance events (tagged with instanceId) with detailed WebSocket logging
+tradingInstances.on('positionEntered', (data) => {
   console.log(`\n📈 ===== POSITION ENTERED =====`);
+  console.log(`🧩 Instance: ${data.instanceId}`);
   console.log(`🎯 Side: ${data.side.toUpperCase()}`);
   console.log(`💰 Price: $${data.price}`);
   console.log(`📊 Data:`, JSON.stringify(data, null, 2));
@@ -189,8 +262,9 @@ tradingService.on('positionEntered', (data) => {
   io.emit('positionEntered', data);
 });
 
-tradingService.on('positionExited', (data) => {
+tradingInstances.on('positionExited', (data) => {
   console.log(`\n📉 ===== POSITION EXITED =====`);
+  console.log(`🧩 Instance: ${data.instanceId}`);
   console.log(`💸 PnL: ${data.pnl > 0 ? '+' : ''}$${data.pnl}`);
   console.log(`📊 Data:`, JSON.stringify(data, null, 2));
   console.log(`🔄 Broadcasting to ${io.engine.clientsCount} clients`);
@@ -198,7 +272,7 @@ tradingService.on('positionExited', (data) => {
   io.emit('positionExited', data);
 });
 
-tradingService.on('dataProcessed', (data) => {
+tradingInstances.on('dataProcessed', (data) => {
   if (data.newBricks > 0) {
     console.log(`\n🧱 ===== NEW RENKO BRICKS =====`);
     console.log(`🔢 New Bricks: ${data.newBricks}`);
@@ -210,7 +284,7 @@ tradingService.on('dataProcessed', (data) => {
   io.emit('dataProcessed', data);
 });
 
-tradingService.on('latestData', (data) => {
+tradingInstances.on('latestData', (data) => {
   console.log(`\n📡 ===== BROADCASTING LATEST DATA =====`);
   console.log(`🎯 Symbol: ${data.symbol}`);
   console.log(`💰 Price: $${data.close}`);
@@ -220,7 +294,57 @@ tradingService.on('latestData', (data) => {
   io.emit('latestData', data);
 });
 
-tradingService.on('pnlUpdated', (data) => {
+tradingInstances.on('riskHalt', (data) => {
+  console.log(`\n🚨 ===== RISK HALT =====`);
+  console.log(`🧩 Instance: ${data.instanceId} (${data.symbol})`);
+  console.log(`❓ Reason: ${data.reason} - ${data.message}`);
+  console.log(`🔄 Broadcasting to ${io.engine.clientsCount} clients`);
+  console.log('=======================\n');
+  io.emit('riskHalt', data);
+});
+
+tradingInstances.on('riskReset', (status) => {
+  io.emit('riskReset', status);
+});
+
+tradingInstances.on('entryBlocked', (data) => {
+  io.emit('entryBlocked', data);
+});
+
+tradingInstances.on('candleQuarantined', (data) => {
+  io.emit('candleQuarantined', data);
+});
+
+tradingInstances.on('marketFeedMode', (data) => {
+  io.emit('marketFeedMode', data);
+});
+
+tradingInstances.on('orderExecuted', (order) => {
+  io.emit('orderExecuted', order);
+});
+
+tradingInstances.on('orderFailed', (data) => {
+  io.emit('orderFailed', data);
+});
+
+tradingInstances.on('entryRolledBack', (data) => {
+  io.emit('entryRolledBack', data);
+});
+
+tradingInstances.on('instanceAdded', (status) => {
+  io.emit('instanceAdded', status);
+});
+
+tradingInstances.on('instanceRemoved', (data) => {
+  io.emit('instanceRemoved', data);
+});
+
+tradingInstances.on('stateRestored', (data) => {
+  console.log(`🔄 Broadcasting restored state for ${data.symbol} to ${io.engine.clientsCount} clients`);
+  io.emit('stateRestored', data);
+});
+
+tradingInstances.on('pnlUpdated', (data) => {
   console.log(`\n💹 ===== PNL UPDATE =====`);
   console.log(`📊 PnL Data:`, JSON.stringify(data, null, 2));
   console.log(`🔄 Broadcasting to ${io.engine.clientsCount} clients`);
@@ -235,7 +359,7 @@ server.listen(PORT, () => {
 🚀 AlgoTrading Server with Complete Strategy
 📡 Port: ${PORT}
 📈 Delta Exchange API: Connected
-🎯 Strategy: Renko + EMA21 + SuperTrend (2.1x, 3.1x, 4.1x)
+🎯 Default strategy: Renko + EMA21 + SuperTrend (2.1x, 3.1x, 4.1x)
 ⏰ Started: ${new Date().toISOString()}
 
 📊 API Endpoints:
@@ -247,10 +371,28 @@ server.listen(PORT, () => {
    GET  /api/trading/trades - Get trades
    GET  /api/trading/signals - Get signals
    GET  /api/trading/position - Current position
+   GET  /api/trading/orders - Orders sent in paper/live mode
+   GET  /api/trading/strategies - Registered strategies
+   GET  /api/trading/risk - Risk limits and kill switch status
+   POST /api/trading/risk/reset - Reset a tripped kill switch
+   GET  /api/trading/robustness - Monte Carlo trade robustness
+   GET  /api/trading/instances - Strategy instances (one per symbol)
+   POST /api/trading/instances - Add and start an instance
+   GET  /api/trading/instances/:id - Instance status (also /trades, /signals, /position, /orders)
+   POST /api/trading/instances/:id/start|stop - Start or stop an instance
+   DELETE /api/trading/instances/:id - Stop and remove an instance
+   GET  /api/trades - Journaled trade history (MongoDB)
    GET  /api/market/data - Market data
 
 🔗 WebSocket: Real-time updates available
   `);
+
+  // Resume every instance whose last snapshot was taken while running (crash or restart)
+  if (process.env.AUTO_RESUME !== 'false') {
+    tradingInstances.resumeFromSnapshots().catch((error) => {
+      console.error('❌ Failed to resume trading from snapshot:', error.message);
+    });
+  }
 });
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,176 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import BacktestEngine from '../src/backtest/BacktestEngine.js';
+import CandleLoader from '../src/backtest/CandleLoader.js';
+import PerformanceAnalyzer from '../src/backtest/PerformanceAnalyzer.js';
+import BaseStrategy from '../src/strategies/BaseStrategy.js';
+import StrategyRegistry from '../src/strategies/StrategyRegistry.js';
+
+/**
+ * Trades a fixed script: `script[minute]` is 'long', 'short' or 'exit' on that minute's close
+ */
+class ScriptedStrategy extends BaseStrategy {
+  static strategyName = 'Scripted';
+
+  async onCandle(candle) {
+    const action = this.config.script[candle.timestamp.getUTCMinutes()];
+    await this.processSignals({
+      longEntry: action === 'long',
+      shortEntry: action === 'short',
+      longExit: action === 'exit',
+      shortExit: action === 'exit',
+      price: candle.close,
+      timestamp: candle.timestamp
+    });
+  }
+}
+StrategyRegistry.register(ScriptedStrategy);
+
+const minute = m => new Date(Date.UTC(2025, 0, 1, 0, m));
+const candles = closes => closes.map((close, m) => ({ timestamp: minute(m).toISOString(), open: close, high: close, low: close, close }));
+
+const engine = (script, config = {}) => new BacktestEngine({
+  strategyName: 'Scripted',
+  warmupCandles: 2,
+  strategy: { script, defaultQuantity: 1, fillModel: { takerFeeRate: 0.001 } },
+  ...config
+});
+
+const trip = (side, entryPrice, exitPrice, exitReason = 'signal') => {
+  const gross = side === 'long' ? exitPrice - entryPrice : entryPrice - exitPrice;
+  return { side, entryPrice, exitPrice, exitReason, pnl: gross - 0.001 * (entryPrice + exitPrice) };
+};
+
+test('replays a fixed series through the strategy and reports its trades and stats', async () => {
+  const closes = [100, 100, 100, 110, 120, 115, 105, 100, 90, 95, 97];
+  const result = await engine({ 2: 'long', 4: 'exit', 5: 'short', 6: 'exit', 7: 'long', 8: 'exit', 9: 'short' }).run(candles(closes));
+
+  const expected = [
+    trip('long', 100, 120),
+    trip('short', 115, 105),
+    trip('long', 100, 90),
+    trip('short', 95, 97, 'backtest_end')  // Still open on the last candle
+  ];
+  assert.equal(result.trades.length, 8);
+  assert.deepEqual(
+    result.roundTrips.map(({ side, entryPrice, exitPrice, exitReason }) => ({ side, entryPrice, exitPrice, exitReason })),
+    expected.map(({ pnl, ...fields }) => fields)
+  );
+  result.roundTrips.forEach((roundTrip, i) => assert.ok(Math.abs(roundTrip.pnl - expected[i].pnl) < 1e-9));
+
+  const netPnL = expected.reduce((sum, { pnl }) => sum + pnl, 0);
+  assert.equal(result.stats.totalTrades, 4);
+  assert.equal(result.stats.winningTrades, 2);
+  assert.ok(Math.abs(result.stats.netPnL - netPnL) < 1e-9);
+  assert.ok(Math.abs(result.stats.totalFees - 0.001 * (100 + 120 + 115 + 105 + 100 + 90 + 95 + 97)) < 1e-9);
+  assert.ok(Math.abs(result.stats.maxDrawdown - -(expected[2].pnl + expected[3].pnl)) < 1e-9);
+  assert.deepEqual(result.stats.exitReasons, { signal: 3, backtest_end: 1 });
+
+  assert.deepEqual(result.period, { start: minute(0), end: minute(10), replayStart: minute(2) });
+  assert.equal(result.warmupCandles, 2);
+});
+
+test('a risk halt ends the replay and the reported period at the halt candle', async (t) => {
+  t.after(() => mock.restoreAll());
+  mock.method(console, 'log', () => {});
+  const closes = [100, 100, 100, 95, 90, 110, 120, 130];
+  const result = await engine({ 2: 'long', 4: 'exit', 5: 'short' }, { riskLimits: { maxConsecutiveLosses: 1 } }).run(candles(closes));
+
+  assert.match(result.riskHalt.reason, /consecutive/);
+  assert.equal(result.roundTrips.length, 1);
+  assert.deepEqual(result.period, { start: minute(0), end: minute(4), replayStart: minute(2) });
+});
+
+test('rejects series no longer than the warm-up', async () => {
+  await assert.rejects(engine({}).run(candles([100, 100])), /more candles than the warm-up/);
+});
+
+test('PerformanceAnalyzer pairs scaled-in entries and partial exits into one round trip', () => {
+  const fill = (type, side, price, quantity, m, extra = {}) => ({ id: `t${m}`, symbol: 'BTCUSD', type, side, price, quantity, timestamp: minute(m), pnl: 0, fee: 0.1, ...extra });
+  const trades = [
+    fill('exit', 'sell', 99, 1, 0, { pnl: 5 }),  // Exit without an entry (e.g. before a restore) is ignored
+    fill('entry', 'buy', 100, 1, 1),
+    fill('entry', 'buy', 110, 1, 2),
+    fill('exit', 'sell', 120, 1.5, 3, { pnl: 20 }),
+    fill('exit', 'sell', 100, 0.5, 5, { pnl: -2.5, exitReason: 'stop_loss' }),
+    fill('entry', 'sell', 100, 1, 6)            // Still open - no round trip
+  ];
+
+  const [roundTrip, ...rest] = PerformanceAnalyzer.buildRoundTrips(trades);
+
+  assert.equal(rest.length, 0);
+  assert.equal(roundTrip.side, 'long');
+  assert.equal(roundTrip.entryPrice, 105);
+  assert.equal(roundTrip.exitPrice, 115);
+  assert.equal(roundTrip.quantity, 2);
+  assert.equal(roundTrip.pnl, 17.5);
+  assert.ok(Math.abs(roundTrip.fees - 0.4) < 1e-9);
+  assert.equal(roundTrip.exitReason, 'stop_loss');
+  assert.equal(roundTrip.holdingMinutes, 4);
+  assert.deepEqual([roundTrip.entryId, roundTrip.exitId], ['t1', 't5']);
+});
+
+test('PerformanceAnalyzer measures the deepest drawdown from the running peak', () => {
+  const equityCurve = [10000, 10200, 9900, 10500, 10100, 9975, 10600].map(equity => ({ equity }));
+
+  const { maxDrawdown, maxDrawdownPct } = PerformanceAnalyzer.calculateMaxDrawdown(equityCurve);
+  assert.equal(maxDrawdown, 525);
+  assert.equal(maxDrawdownPct, 5);
+
+  assert.deepEqual(PerformanceAnalyzer.calculateMaxDrawdown([10000, 10100].map(equity => ({ equity }))), { maxDrawdown: 0, maxDrawdownPct: 0 });
+
+  const { stats } = PerformanceAnalyzer.analyzeRoundTrips(
+    [300, -200, -100, 400].map((pnl, i) => ({ pnl, holdingMinutes: 10, entryTime: minute(i), exitTime: minute(i + 1) })),
+    { initialCapital: 1000 }
+  );
+  assert.equal(stats.maxDrawdown, 300);
+  assert.equal(stats.maxDrawdownPct, 300 / 1300 * 100);
+  assert.equal(stats.profitFactor, 700 / 300);
+  assert.equal(stats.maxConsecutiveLosses, 2);
+  assert.equal(stats.finalEquity, 1400);
+});
+
+test('CandleLoader parses exports with any supported time column and sorts them', () => {
+  const candles = CandleLoader.parseCSV([
+    '"Unix","Date","Open","High","Low","Close","Volume BTC"',
+    '1735689660,2025-01-01 00:01,2,3,1,2.5,7',
+    '1735689600000,2025-01-01 00:00,1,2,0.5,1.5,4'
+  ].join('\n'));
+
+  assert.deepEqual(candles, [
+    { timestamp: minute(0), open: 1, high: 2, low: 0.5, close: 1.5, volume: 4 },
+    { timestamp: minute(1), open: 2, high: 3, low: 1, close: 2.5, volume: 7 }
+  ]);
+
+  assert.throws(() => CandleLoader.parseCSV('time,open,high,close\n1,1,1,1'), /must contain timestamp, open, high, low and close/);
+  assert.throws(() => CandleLoader.parseCSV('time,open,high,low,close\nyesterday,1,1,1,1'), /Invalid candle on CSV line 2/);
+});
+
+test('the backtest CLI replays a CSV and writes the same report as the engine', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'backtest-cli-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const series = Array.from({ length: 300 }, (_, m) => {
+    const close = 1000 + Math.round(60 * Math.sin(m / 12));
+    return { timestamp: new Date(Date.UTC(2025, 0, 1) + m * 60000), open: close, high: close + 4, low: close - 4, close, volume: 1 };
+  });
+  const csv = path.join(dir, 'candles.csv');
+  const output = path.join(dir, 'report.json');
+  await fs.writeFile(csv, ['timestamp,open,high,low,close,volume', ...series.map(c => [c.timestamp.toISOString(), c.open, c.high, c.low, c.close, c.volume].join(','))].join('\n'));
+
+  const script = fileURLToPath(new URL('../src/scripts/backtest.js', import.meta.url));
+  const { stdout } = await promisify(execFile)(process.execPath, [script, '--csv', csv, '--brick-size', '10', '--warmup', '50', '--output', output]);
+  const report = JSON.parse(await fs.readFile(output, 'utf8'));
+
+  const expected = await new BacktestEngine({ warmupCandles: 50, strategy: { brickSize: 10 } }).run(series);
+  assert.ok(expected.stats.totalTrades > 0);
+  assert.deepEqual(report.stats, JSON.parse(JSON.stringify(expected.stats)));
+  assert.equal(report.period.end, series[series.length - 1].timestamp.toISOString());
+  assert.match(stdout, new RegExp(`Trades: ${expected.stats.totalTrades} `));
+});
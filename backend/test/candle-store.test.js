@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CandleStoreService from '../src/services/CandleStoreService.js';
+
+const MINUTE = 60000;
+const T0 = Date.UTC(2025, 0, 1);
+
+/**
+ * Delta stand-in serving a 1m candle for every minute and recording each request
+ */
+const fakeDelta = () => ({
+  requests: [],
+  async getCandles(symbol, resolution, start, end) {
+    this.requests.push({ symbol, resolution, start, end });
+    const result = [];
+    for (let time = start * 1000; time <= end * 1000; time += MINUTE) {
+      result.push({ time: time / 1000, open: '1', high: '2', low: '0.5', close: String(time / MINUTE % 100), volume: 3 });
+    }
+    return { result };
+  }
+});
+
+test('findGaps lists the missing minute ranges', () => {
+  const candles = [0, 1, 4, 5, 8].map(minute => ({ timestamp: new Date(T0 + minute * MINUTE) }));
+
+  assert.deepEqual(CandleStoreService.findGaps(candles, T0, T0 + 9 * MINUTE), [
+    { start: T0 + 2 * MINUTE, end: T0 + 3 * MINUTE, minutes: 2 },
+    { start: T0 + 6 * MINUTE, end: T0 + 7 * MINUTE, minutes: 2 },
+    { start: T0 + 9 * MINUTE, end: T0 + 9 * MINUTE, minutes: 1 }
+  ]);
+  assert.deepEqual(CandleStoreService.findGaps(candles, T0, T0 + MINUTE), []);
+});
+
+test('planRequests keeps every request within the per-request candle limit', () => {
+  const gaps = [
+    { start: T0, end: T0 + 24 * MINUTE },                      // 25 minutes: split into 10 + 10 + 5
+    { start: T0 + 27 * MINUTE, end: T0 + 28 * MINUTE },        // shares the last request
+    { start: T0 + 100 * MINUTE, end: T0 + 100 * MINUTE }
+  ];
+
+  assert.deepEqual(CandleStoreService.planRequests(gaps, 10), [
+    { start: T0, end: T0 + 9 * MINUTE },
+    { start: T0 + 10 * MINUTE, end: T0 + 19 * MINUTE },
+    { start: T0 + 20 * MINUTE, end: T0 + 28 * MINUTE },
+    { start: T0 + 100 * MINUTE, end: T0 + 100 * MINUTE }
+  ]);
+});
+
+test('without MongoDB, loadHistory pages the warm-up window straight from Delta', async () => {
+  const deltaAPI = fakeDelta();
+  const store = new CandleStoreService(deltaAPI, { maxCandlesPerRequest: 200 });
+  const now = T0 + 1000 * MINUTE + 30000;  // 30 seconds into minute 1000
+
+  const candles = await store.loadHistory('BTCUSD', { count: 500, now });
+  assert.equal(candles.length, 500);
+  assert.equal(candles[0].timestamp.getTime(), T0 + 500 * MINUTE);
+  assert.equal(candles.at(-1).timestamp.getTime(), T0 + 999 * MINUTE);  // minute 1000 is still forming
+  assert.deepEqual(deltaAPI.requests.map(request => (request.end - request.start) / 60 + 1), [200, 200, 100]);
+  assert.ok(deltaAPI.requests.every(request => request.resolution === '1m'));
+
+  const fiveMinute = await store.loadHistory('BTCUSD', { count: 10, timeframe: '5m', now });
+  assert.equal(fiveMinute.length, 10);
+  assert.equal(fiveMinute.at(-1).timestamp.getTime(), T0 + 995 * MINUTE);
+  assert.equal(fiveMinute.at(-1).volume, 15);
+});
+
+test('backfill needs a database connection', async () => {
+  const store = new CandleStoreService(fakeDelta());
+  await assert.rejects(store.backfill('BTCUSD', { start: T0 }), /needs a MongoDB connection/);
+  assert.equal(await store.saveCandles('BTCUSD', [{ timestamp: new Date(T0) }]), 0);
+});
+
+test('excludeRanges drops minutes known to have no candle', () => {
+  const gaps = [{ start: T0, end: T0 + 9 * MINUTE, minutes: 10 }];
+
+  assert.deepEqual(CandleStoreService.excludeRanges(gaps, [
+    { start: new Date(T0 + 2 * MINUTE), end: new Date(T0 + 4 * MINUTE) },
+    { start: new Date(T0 + 8 * MINUTE), end: new Date(T0 + 20 * MINUTE) }
+  ]), [
+    { start: T0, end: T0 + MINUTE, minutes: 2 },
+    { start: T0 + 5 * MINUTE, end: T0 + 7 * MINUTE, minutes: 3 }
+  ]);
+  assert.deepEqual(CandleStoreService.excludeRanges(gaps, []), gaps);
+});
+
+test('settledGaps only remembers minutes older than the publishing delay', () => {
+  const now = T0 + 60 * MINUTE + 30000;  // Minute 59 is the last closed one
+  const gaps = [
+    { start: T0, end: T0 + 5 * MINUTE, minutes: 6 },
+    { start: T0 + 45 * MINUTE, end: T0 + 55 * MINUTE, minutes: 11 },
+    { start: T0 + 58 * MINUTE, end: T0 + 59 * MINUTE, minutes: 2 }
+  ];
+
+  assert.deepEqual(CandleStoreService.settledGaps(gaps, now), [
+    { start: T0, end: T0 + 5 * MINUTE },
+    { start: T0 + 45 * MINUTE, end: T0 + 49 * MINUTE }
+  ]);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CandleValidator from '../src/services/CandleValidator.js';
+import RenkoCalculator from '../src/strategies/RenkoCalculator.js';
+
+const MINUTE = 60000;
+const T0 = Date.UTC(2025, 0, 1);
+
+const candle = (minute, close, overrides = {}) => ({
+  timestamp: new Date(T0 + minute * MINUTE),
+  open: close - 1,
+  high: close + 2,
+  low: close - 2,
+  close,
+  volume: 5,
+  ...overrides
+});
+
+test('bad candles are quarantined and counted per issue', () => {
+  const validator = new CandleValidator({ atrPeriod: 3 });
+  const results = [
+    candle(0, 100),
+    candle(1, 101),
+    candle(1, 101),                                          // duplicate
+    candle(0.5, 101),                                        // out of order and off the 1m grid
+    candle(2, 102, { high: 99 }),                            // high below open/close
+    candle(3, 103, { open: 103, high: 103, low: 103, volume: 0 }),  // placeholder
+    candle(4, NaN),
+    candle(5, 104)
+  ].map(bar => validator.validate(bar));
+
+  assert.deepEqual(results.map(result => result.accepted), [true, true, false, false, false, false, false, true]);
+  assert.deepEqual(results[3].issues.map(issue => issue.type), ['out_of_order', 'misaligned']);
+
+  const metrics = validator.getMetrics();
+  assert.equal(metrics.checked, 8);
+  assert.equal(metrics.accepted, 3);
+  assert.equal(metrics.quarantined, 5);
+  assert.deepEqual(metrics.issues, {
+    duplicate: 1, out_of_order: 1, misaligned: 1, invalid_number: 1, ohlc_inconsistent: 1, zero_volume: 1, spike: 0
+  });
+  // Minutes 2, 3 and 4 never made it in
+  assert.equal(metrics.missingIntervals, 3);
+  assert.deepEqual(metrics.lastGap, { from: new Date(T0 + MINUTE), to: new Date(T0 + 5 * MINUTE), missing: 3 });
+  assert.equal(validator.getQuarantine(1)[0].issues[0].type, 'invalid_number');
+});
+
+test('wick spikes are quarantined but breakouts that close at their extreme are not', () => {
+  const validator = new CandleValidator({ atrPeriod: 5, spikeAtrMultiple: 10 });
+  for (let minute = 0; minute < 10; minute++) {
+    assert.equal(validator.validate(candle(minute, 100)).accepted, true);
+  }
+
+  const spike = validator.validate(candle(10, 100, { high: 250 }));
+  assert.equal(spike.accepted, false);
+  assert.equal(spike.issues[0].type, 'spike');
+
+  const breakout = validator.validate(candle(11, 200, { open: 101, high: 200, low: 100 }));
+  assert.equal(breakout.accepted, true);
+});
+
+test('series validation sorts a copy and drops duplicates', () => {
+  const candles = [candle(2, 102), candle(0, 100), candle(1, 101), candle(1, 101)];
+  const original = [...candles];
+
+  const accepted = new CandleValidator().validateSeries(candles);
+
+  assert.deepEqual(accepted.map(bar => bar.close), [100, 101, 102]);
+  assert.deepEqual(candles, original);
+});
+
+test('chart calculators leave the caller\'s candle order alone', () => {
+  const candles = [candle(2, 120), candle(0, 100), candle(1, 110)];
+  const original = [...candles];
+
+  new RenkoCalculator(5).calculate(candles);
+
+  assert.deepEqual(candles, original);
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHART_TYPES, createChartCalculator } from '../src/strategies/ChartTypes.js';
+import RenkoEMAStrategy from '../src/strategies/RenkoEMAStrategy.js';
+
+const candle = (minute, close, { open = close, high = Math.max(open, close), low = Math.min(open, close), volume = 1 } = {}) => ({
+  timestamp: new Date(Date.UTC(2025, 0, 1, 0, minute)),
+  open,
+  high,
+  low,
+  close,
+  volume
+});
+
+const closes = (...prices) => prices.map((price, minute) => candle(minute, price));
+
+test('Heikin Ashi averages each candle with the previous bar', () => {
+  const bars = createChartCalculator('heikinashi').calculate([
+    candle(0, 104, { open: 100, high: 106, low: 98 }),
+    candle(1, 101, { open: 104, high: 105, low: 99 })
+  ]);
+
+  assert.deepEqual(bars.map(({ open, high, low, close, direction }) => ({ open, high, low, close, direction })), [
+    { open: 102, high: 106, low: 98, close: 102, direction: 0 },
+    { open: 102, high: 105, low: 99, close: 102.25, direction: 1 }
+  ]);
+});
+
+test('range bars close once their range reaches the box size, several on a gap', () => {
+  const bars = createChartCalculator('range', 10, { source: 'close' }).calculate(closes(100, 106, 95, 125));
+
+  assert.deepEqual(bars.map(bar => [bar.open, bar.high, bar.low, bar.close, bar.direction]), [
+    [100, 106, 96, 96, -1],
+    [96, 105, 95, 105, 1],
+    [105, 115, 105, 115, 1],
+    [115, 125, 115, 125, 1]
+  ]);
+  assert.deepEqual(bars.map(bar => bar.volume), [3, 1 / 3, 1 / 3, 1 / 3]);
+  assert.deepEqual(bars.map(bar => bar.ticks), [3, 1, 1, 1]);
+});
+
+test('Kagi lines are pushed when a reversal from the extreme confirms them, at the confirming price', () => {
+  const bars = createChartCalculator('kagi', 10, { source: 'close' }).calculate(closes(100, 112, 118, 105, 96, 108, 125, 110));
+
+  assert.deepEqual(bars.map(bar => [bar.open, bar.close, bar.direction, bar.yang]), [
+    [100, 112, 1, true],
+    [118, 105, -1, true],
+    [96, 108, 1, true],
+    [125, 110, -1, true]
+  ]);
+
+  const thin = createChartCalculator('kagi', 10, { source: 'close' }).calculate(closes(100, 120, 105, 115, 90, 104, 80));
+  assert.deepEqual(thin.map(bar => bar.close), [120, 105, 115, 90, 104, 80]);
+  assert.deepEqual(thin.map(bar => bar.yang), [true, true, true, false, false, false]);
+});
+
+test('Point & Figure pushes a column on its first box and after the reversal boxes', () => {
+  const calculator = createChartCalculator('pointfigure', 10, { source: 'close', reversal: 3 });
+  const bars = calculator.calculate(closes(100, 125, 131, 108, 100, 72, 95));
+
+  assert.deepEqual(bars.map(bar => [bar.open, bar.close, bar.direction, bar.boxes]), [[100, 120, 1, 2], [130, 100, -1, 3]]);
+  assert.deepEqual(calculator.column, { start: 130, extreme: 80, direction: -1, boxes: 5 });
+});
+
+test('every chart type continues after a state restore exactly as a rebuild would', () => {
+  const candles = Array.from({ length: 300 }, (_, i) => {
+    const close = 1000 + Math.round(80 * Math.sin(i / 9) + 15 * Math.cos(i / 2));
+    return candle(i, close, { high: close + (i % 7), low: close - (i % 5), volume: 1 + (i % 3) });
+  });
+
+  for (const chartType of Object.keys(CHART_TYPES)) {
+    const rebuilt = createChartCalculator(chartType, 12).calculate(candles.map(c => ({ ...c })));
+
+    const streamed = createChartCalculator(chartType, 12);
+    streamed.calculate(candles.slice(0, 100).map(c => ({ ...c })));
+    for (const c of candles.slice(100, 200)) streamed.addCandle(c);
+
+    const restored = createChartCalculator(chartType, 12);
+    restored.bars = structuredClone(streamed.bars);
+    restored.restoreState(JSON.parse(JSON.stringify(streamed.getState())), streamed.getLatestBrick());
+    for (const c of candles.slice(200)) restored.addCandle(c);
+
+    assert.deepEqual(restored.bars, rebuilt, chartType);
+  }
+});
+
+test('RenkoEMAStrategy builds its bricks with the configured chart type', async () => {
+  assert.throws(() => new RenkoEMAStrategy({ chartType: 'candles' }), /Unknown chartType/);
+
+  const candles = Array.from({ length: 80 }, (_, i) => candle(i, 1000 + 40 * Math.sin(i / 6)));
+  const strategy = new RenkoEMAStrategy({ chartType: 'heikinashi', logging: false });
+  await strategy.initialize(candles.map(c => ({ ...c })));
+
+  assert.equal(strategy.renkoBricks.length, candles.length);
+  assert.equal(strategy.indicators.ema21.length, candles.length);
+  assert.equal(strategy.getStatus().renkoStats.chartType, 'heikinashi');
+});
+
+test('Kagi and Point & Figure strategies trade at prices the confirming candle traded at', async () => {
+  const candles = Array.from({ length: 400 }, (_, i) => {
+    const close = 1000 + Math.round(60 * Math.sin(i / 12) + 10 * Math.cos(i / 3));
+    return candle(i, close, { open: close - 2, high: close + 4, low: close - 5 });
+  });
+  const byTime = new Map(candles.map(c => [c.timestamp.getTime(), c]));
+  // Trade every bar's direction so each confirmed bar fills
+  const followDirection = {
+    longEntry: { left: 'direction', op: '==', right: 1 },
+    shortEntry: { left: 'direction', op: '==', right: -1 },
+    longExit: { left: 'direction', op: '==', right: -1 },
+    shortExit: { left: 'direction', op: '==', right: 1 }
+  };
+
+  for (const chartType of ['kagi', 'pointfigure']) {
+    const strategy = new RenkoEMAStrategy({ chartType, brickSize: 10, reversalBoxes: 2, rules: followDirection, logging: false });
+    await strategy.initialize(candles.slice(0, 60).map(c => ({ ...c })));
+    for (const c of candles.slice(60)) {
+      await strategy.processNewData({ ...c });
+    }
+
+    assert.ok(strategy.trades.length > 0, chartType);
+    for (const trade of strategy.trades) {
+      const { low, high } = byTime.get(new Date(trade.timestamp).getTime());
+      assert.ok(trade.price >= low && trade.price <= high, `${chartType} ${trade.type} at ${trade.price} outside ${low}-${high}`);
+    }
+  }
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DataExportService from '../src/services/DataExportService.js';
+import RenkoEMAStrategy from '../src/strategies/RenkoEMAStrategy.js';
+
+const MINUTE = 60000;
+const T0 = Date.UTC(2025, 0, 1);
+
+test('CSV export flattens nested fields and quotes awkward values', () => {
+  const rows = DataExportService.tradeRows([{
+    _id: 'mongo-id',
+    id: 'trade_1',
+    timestamp: new Date(T0),
+    side: 'buy',
+    exitReason: null,
+    note: 'stop, then "retry"',
+    signalData: { ema21: 100.5, renkoBrick: { direction: 1, close: 101, open: 100, wickHigh: 102 } }
+  }]);
+
+  assert.equal(DataExportService.toCSV(rows), [
+    'id,timestamp,side,exitReason,note,signalData.ema21,signalData.renkoBrick.direction,signalData.renkoBrick.close,signalData.renkoBrick.open',
+    'trade_1,2025-01-01T00:00:00.000Z,buy,,"stop, then ""retry""",100.5,1,101,100',
+    ''
+  ].join('\n'));
+  assert.equal(DataExportService.serialize(rows, 'ndjson').trim(), JSON.stringify(rows[0]));
+  assert.throws(() => DataExportService.serialize(rows, 'parquet'), /Unknown export format "parquet"/);
+});
+
+test('brick export carries the rule indicator values of every brick', async () => {
+  const candles = Array.from({ length: 200 }, (_, i) => {
+    const close = 100 + 20 * Math.sin(i / 10);
+    return { timestamp: new Date(T0 + i * MINUTE), open: close, high: close + 1, low: close - 1, close, volume: 1 };
+  });
+  const strategy = new RenkoEMAStrategy({ brickSize: 2, logging: false });
+  await strategy.initialize(candles);
+
+  const rows = DataExportService.barRows(strategy);
+  const last = rows[rows.length - 1];
+
+  assert.equal(rows.length, strategy.renkoBricks.length);
+  assert.equal(last.close, strategy.getRuleValue('close'));
+  assert.equal(last.ema, strategy.getRuleValue('ema'));
+  assert.equal(last['st2.direction'], strategy.getRuleValue('st2.direction'));
+  assert.equal(last.timestamp, strategy.renkoBricks.at(-1).timestamp.toISOString());
+});
+
+test('imports accept third-party headers and only 1m candles', () => {
+  const header = 'unix,date,symbol,open,high,low,close,Volume BTC,Volume USDT';
+  const line = minute => `${(T0 + minute * MINUTE) / 1000},2025-01-01 00:0${minute}:00,BTC/USDT,1,2,0.5,1.5,3,4.5`;
+
+  // Newest first, as some vendors publish them
+  const candles = DataExportService.parseImport([header, line(2), line(1), line(0)].join('\n'));
+  assert.deepEqual(candles.map(candle => candle.timestamp.getTime()), [T0, T0 + MINUTE, T0 + 2 * MINUTE]);
+  assert.equal(candles[0].volume, 3);
+
+  assert.throws(() => DataExportService.parseImport([header, line(0), line(5)].join('\n')), /Only 1m candles.*5 minutes apart/);
+  assert.throws(() => DataExportService.parseImport([header, line(0), line(0)].join('\n')), /Duplicate candle/);
+  assert.throws(() => DataExportService.parseImport(header), /no candles/);
+});
@@ -0,0 +1,169 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import crypto from 'crypto';
+import MockDeltaServer from '../src/execution/MockDeltaServer.js';
+import DeltaExecutionAdapter from '../src/execution/DeltaExecutionAdapter.js';
+import DeltaAPIService from '../src/services/DeltaAPIService.js';
+import TradingService from '../src/services/TradingService.js';
+import RiskManager from '../src/risk/RiskManager.js';
+import RenkoEMAStrategy from '../src/strategies/RenkoEMAStrategy.js';
+
+const BTC = { id: 27, symbol: 'BTCUSD', contract_value: '0.001' };
+
+let exchange;
+let baseUrl;
+
+const createAPI = (overrides = {}) => new DeltaAPIService({ apiKey: 'mock-api-key', apiSecret: 'mock-api-secret', baseUrl, ...overrides });
+
+before(async () => {
+  // Every signed request and rejection is logged; keep the test output readable
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+
+  exchange = new MockDeltaServer();
+  baseUrl = await exchange.start();
+});
+
+after(() => exchange.stop());
+
+test('quantities become whole contracts, rounded down, and less than one contract is rejected', () => {
+  assert.equal(DeltaExecutionAdapter.toContracts(0.003, BTC), 3);
+  assert.equal(DeltaExecutionAdapter.toContracts(0.0029, BTC), 2);
+  assert.throws(() => DeltaExecutionAdapter.toContracts(0.0006, BTC), /below one BTCUSD contract/);
+  assert.throws(() => DeltaExecutionAdapter.toContracts(0, BTC), /below one BTCUSD contract/);
+});
+
+test('market orders fill at the mark price and move the exchange position', async () => {
+  exchange.positions.clear();
+  const adapter = new DeltaExecutionAdapter(createAPI());
+
+  const order = await adapter.submitOrder({ symbol: 'BTCUSD', side: 'buy', quantity: 0.002, price: 59990, clientOrderId: 'trade_1' });
+
+  assert.equal(order.status, 'filled');
+  assert.equal(order.size, 2);
+  assert.equal(order.quantity, 0.002);
+  assert.equal(order.filledQuantity, 0.002);
+  assert.equal(order.averagePrice, 60000);
+  assert.equal(order.clientOrderId, 'trade_1');
+  assert.equal(await adapter.getPositionQuantity('BTCUSD'), 0.002);
+
+  const exit = await adapter.submitOrder({ symbol: 'BTCUSD', side: 'sell', quantity: 0.002, price: 60010, reduceOnly: true });
+  assert.equal(exit.status, 'filled');
+  assert.equal(exit.reduceOnly, true);
+  assert.equal(await adapter.getPositionQuantity('BTCUSD'), 0);
+
+  await assert.rejects(
+    adapter.submitOrder({ symbol: 'BTCUSD', side: 'sell', quantity: 0.001, price: 60000, reduceOnly: true }),
+    /reduce_only_order_would_increase_position/
+  );
+});
+
+test('limit orders away from the mark rest open until cancelled', async () => {
+  const adapter = new DeltaExecutionAdapter(createAPI(), { orderType: 'limit_order' });
+
+  const order = await adapter.submitOrder({ symbol: 'BTCUSD', side: 'buy', quantity: 0.001, price: 59000 });
+  assert.equal(order.status, 'open');
+  assert.equal(order.filledQuantity, 0);
+  assert.deepEqual((await adapter.getOpenOrders('BTCUSD')).map(open => open.id), [order.id]);
+
+  const cancelled = await adapter.cancelOrder(order.id);
+  assert.equal(cancelled, order);
+  assert.equal(order.status, 'cancelled');
+  assert.deepEqual(await adapter.getOpenOrders('BTCUSD'), []);
+
+  await assert.rejects(adapter.cancelOrder(order.id), /order_already_closed/);
+  await assert.rejects(adapter.cancelOrder('999999'), /Order 999999 not found/);
+});
+
+test('signed requests cover method, timestamp, path, query and body', async () => {
+  const api = createAPI();
+  const body = JSON.stringify({ size: 1 });
+  const expected = crypto.createHmac('sha256', 'mock-api-secret').update('POST1700000000/v2/orders' + body).digest('hex');
+  assert.equal(api.generateSignature('POST', '/v2/orders', '1700000000', body), expected);
+
+  // The query string is part of the signed path
+  const orders = await api.getOrders({ productIds: 27, states: 'open' });
+  assert.equal(orders.success, true);
+
+  const order = { product_id: 27, size: 1, side: 'buy', order_type: 'market_order' };
+  await assert.rejects(createAPI({ apiSecret: 'wrong-secret' }).placeOrder(order), /Signature Mismatch/);
+  await assert.rejects(createAPI({ apiKey: 'wrong-key' }).placeOrder(order), /invalid_api_key/);
+});
+
+// Snapshots are not under test here
+const memoryStore = () => {
+  const snapshots = new Map();
+  return { save: async (key, snapshot) => snapshots.set(key, snapshot), load: async (key) => snapshots.get(key) || null };
+};
+
+const createLiveService = () => {
+  const service = new TradingService({ stateStore: memoryStore(), riskManager: new RiskManager() });
+  service.deltaAPI = createAPI();
+  service.setExecutionMode('live');
+  service.strategy = new RenkoEMAStrategy({ logging: false, defaultQuantity: 0.0005 });
+  service.strategy.start();
+  service.setupStrategyListeners();
+  return service;
+};
+
+test('a rejected live entry is rolled back when the exchange stayed flat', async () => {
+  exchange.positions.clear();
+  const service = createLiveService();
+  const { strategy } = service;
+
+  await strategy.enterPosition('long', 60000, new Date(), {});
+  assert.equal(strategy.position.isActive, true);
+
+  const [failed] = await once(service, 'orderFailed');
+  assert.match(failed.error, /below one BTCUSD contract/);
+  await service.candleQueue;
+
+  assert.equal(strategy.position.isActive, false);
+  assert.deepEqual(strategy.trades, []);
+  assert.equal(service.riskManager.getTotalOpenNotional(), 0);
+  assert.equal(service.riskManager.halted, false);
+});
+
+test('a rejected live entry trips the kill switch when the exchange holds a position', async () => {
+  exchange.positions.clear();
+  exchange.positions.set(BTC.id, 3);
+  const service = createLiveService();
+
+  // The entry fails, then the kill switch flattens the strategy and that exit is below one contract as well
+  const failures = [];
+  const bothFailed = new Promise(resolve => service.on('orderFailed', (failure) => {
+    if (failures.push(failure) === 2) resolve();
+  }));
+
+  await service.strategy.enterPosition('short', 60000, new Date(), {});
+  await bothFailed;
+  await service.candleQueue;
+
+  assert.equal(service.riskManager.halted, true);
+  assert.equal(service.riskManager.haltReason, 'order_rejected');
+  assert.deepEqual(failures.map(failure => failure.reduceOnly), [false, true]);
+  assert.equal(service.strategy.position.isActive, false);
+  exchange.positions.clear();
+});
+
+test('rolling back an entry whose trade record is missing leaves the trade history alone', async () => {
+  const strategy = new RenkoEMAStrategy({ logging: false, defaultQuantity: 1 });
+  strategy.start();
+
+  await strategy.enterPosition('long', 100, new Date(), {});
+  await strategy.exitPosition(110, new Date(), 'long_exit', {});
+  await strategy.enterPosition('short', 120, new Date(), {});
+  const { entryTradeId } = strategy.position;
+  const earlierTrades = strategy.trades.slice(0, 2);
+  strategy.trades = [...earlierTrades];  // e.g. restored from a snapshot without the entry
+
+  assert.equal(await strategy.rollbackEntry(entryTradeId, 'entry order rejected'), false);
+  assert.deepEqual(strategy.trades, earlierTrades);
+  assert.equal(strategy.position.isActive, true);
+
+  strategy.trades.push({ id: entryTradeId, type: 'entry' });
+  assert.equal(await strategy.rollbackEntry(entryTradeId, 'entry order rejected'), true);
+  assert.deepEqual(strategy.trades, earlierTrades);
+  assert.equal(strategy.position.isActive, false);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FillModel from '../src/execution/FillModel.js';
+import BaseStrategy from '../src/strategies/BaseStrategy.js';
+
+/**
+ * Strategy without signals of its own - orders are placed by the test
+ */
+class ManualStrategy extends BaseStrategy {
+  static strategyName = 'Manual';
+
+  async onCandle() {}
+}
+
+const candle = (minute, open, close = open) => ({
+  timestamp: new Date(Date.UTC(2025, 0, 1, 0, minute)),
+  open,
+  high: Math.max(open, close),
+  low: Math.min(open, close),
+  close
+});
+
+const createStrategy = (fillModel) => {
+  const strategy = new ManualStrategy({ defaultQuantity: 2, fillModel, logging: false });
+  strategy.start();
+  return strategy;
+};
+
+test('market orders pay the taker fee by default and limit orders the maker fee', () => {
+  const market = new FillModel().fill({ side: 'buy', quantity: 2, price: 100 });
+  assert.deepEqual(market, {
+    status: 'filled',
+    price: 100,
+    quantity: 2,
+    remainingQuantity: 0,
+    referencePrice: 100,
+    fee: 0.1,
+    feeRate: 0.0005,
+    liquidity: 'taker',
+    slippage: 0,
+    slippageCost: 0
+  });
+
+  const limit = new FillModel({ orderType: 'limit', slippage: 5 }).fill({ side: 'sell', quantity: 2, price: 100 });
+  assert.equal(limit.liquidity, 'maker');
+  assert.equal(limit.feeRate, 0.0002);
+  assert.equal(limit.price, 100);  // Limit orders do not slip
+
+  assert.equal(new FillModel({ takerFeeRate: 0 }).fill({ side: 'buy', quantity: 2, price: 100 }).fee, 0);
+});
+
+test('slippage moves the fill against the order, fixed or scaled by ATR', () => {
+  const fixed = new FillModel({ slippage: 2 });
+  const buy = fixed.fill({ side: 'buy', quantity: 3, price: 100 });
+  const sell = fixed.fill({ side: 'sell', quantity: 3, price: 100 });
+
+  assert.deepEqual([buy.price, buy.slippageCost, buy.fee], [102, 6, 102 * 3 * 0.0005]);
+  assert.deepEqual([sell.price, sell.slippageCost], [98, 6]);
+
+  const atr = new FillModel({ slippageMode: 'atr', slippageAtrMultiplier: 0.5 });
+  assert.equal(atr.fill({ side: 'buy', quantity: 1, price: 100, atr: 8 }).price, 104);
+  assert.equal(atr.fill({ side: 'buy', quantity: 1, price: 100 }).price, 100);  // No ATR yet
+});
+
+test('partial fills are capped at the top-of-book size on the opposite side', () => {
+  const model = new FillModel({ partialFills: true, bookSize: 0.5 });
+
+  const partial = model.fill({ side: 'buy', quantity: 2, price: 100 });
+  assert.deepEqual([partial.status, partial.quantity, partial.remainingQuantity], ['partial', 0.5, 1.5]);
+  assert.equal(partial.fee, 100 * 0.5 * 0.0005);
+
+  // Live quotes win over the configured book size
+  assert.equal(model.fill({ side: 'buy', quantity: 2, price: 100, book: { askSize: 1.5, bidSize: 0 } }).quantity, 1.5);
+  assert.equal(model.fill({ side: 'sell', quantity: 2, price: 100, book: { askSize: 1.5, bidSize: 0 } }).status, 'unfilled');
+  assert.equal(model.fill({ side: 'sell', quantity: 2, price: 100, book: { bidSize: 0 } }, { force: true }).status, 'filled');
+
+  assert.equal(new FillModel().fill({ side: 'buy', quantity: 2, price: 100, book: { askSize: 0.1 } }).status, 'filled');
+});
+
+test('unknown modes are rejected', () => {
+  assert.throws(() => new FillModel({ slippageMode: 'random' }), /Unknown slippage mode "random"/);
+  assert.throws(() => new FillModel({ fillTiming: 'close' }), /Unknown fill timing "close"/);
+  assert.throws(() => new FillModel({ remainder: 'keep' }), /Unknown remainder policy "keep"/);
+});
+
+test('next-candle fills queue the order and fill it at the next open', async () => {
+  const strategy = createStrategy({ fillTiming: 'next_candle_open', slippage: 1 });
+
+  await strategy.enterPosition('long', 100, candle(0, 100).timestamp, {});
+  assert.equal(strategy.position.isActive, false);
+  assert.equal(strategy.pendingOrder.kind, 'entry');
+
+  await strategy.processNewData(candle(1, 104, 106));
+  assert.equal(strategy.pendingOrder, null);
+  assert.equal(strategy.position.entryPrice, 105);
+  assert.equal(strategy.trades[0].signalPrice, 100);
+  assert.deepEqual(strategy.trades[0].timestamp, candle(1, 104).timestamp);
+
+  // A forced close-out (end of a backtest, kill switch) does not wait for the next candle
+  await strategy.exitPosition(110, candle(1, 110).timestamp, 'long_exit', {}, { force: true });
+  assert.equal(strategy.position.isActive, false);
+  assert.equal(strategy.trades[1].price, 109);
+});
+
+test('partial fill remainders keep working on the next candle or are cancelled', async () => {
+  const working = createStrategy({ partialFills: true, bookSize: 0.75 });
+
+  await working.enterPosition('short', 100, candle(0, 100).timestamp, {});
+  assert.deepEqual([working.position.quantity, working.pendingOrder.quantity], [0.75, 1.25]);
+
+  await working.processNewData(candle(1, 98));
+  await working.processNewData(candle(2, 96));
+  assert.equal(working.pendingOrder, null);
+  assert.equal(working.position.quantity, 2);
+  assert.equal(working.position.entryPrice, (100 * 0.75 + 98 * 0.75 + 96 * 0.5) / 2);
+  assert.deepEqual(working.trades.map(trade => trade.fillStatus), ['partial', 'partial', 'filled']);
+
+  const cancelled = createStrategy({ partialFills: true, bookSize: 0.75, remainder: 'cancel' });
+  await cancelled.enterPosition('long', 100, candle(0, 100).timestamp, {});
+  assert.equal(cancelled.pendingOrder, null);
+  assert.equal(cancelled.position.quantity, 0.75);
+  assert.equal(cancelled.trades[0].requestedQuantity, 2);
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import IndicatorCalculators from '../src/strategies/IndicatorCalculators.js';
+import RenkoCalculator from '../src/strategies/RenkoCalculator.js';
+import CandleLoader from '../src/backtest/CandleLoader.js';
+
+/**
+ * Indicator parity harness
+ * Every *.json manifest in fixtures/tradingview names a CSV in TradingView's "Export chart data" layout and
+ * the indicator columns to check against IndicatorCalculators / RenkoCalculator (see fixtures/tradingview/README.md).
+ * Only TradingView's own exports count: a manifest must say `"source": "TradingView export"`
+ */
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'tradingview');
+const EXPORT_SOURCE = 'TradingView export';
+// Warm-up may skip at most this share of the rows, so most of every export is compared
+const MAX_WARMUP_SHARE = 0.25;
+
+/**
+ * Rows of a TradingView export keyed by header (NaN / empty cells become null)
+ */
+const readColumns = async (file) => {
+  const [header, ...lines] = (await fs.readFile(path.join(FIXTURE_DIR, file), 'utf8'))
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '');
+  const names = header.split(',').map(name => name.trim().replace(/^"|"$/g, ''));
+
+  return lines.map(line => Object.fromEntries(line.split(',').map((cell, i) => {
+    const value = parseFloat(cell);
+    return [names[i], Number.isNaN(value) ? null : value];
+  })));
+};
+
+const column = (rows, name) => {
+  assert.ok(name in rows[0], `column "${name}" not found in the export`);
+  return rows.map(row => row[name]);
+};
+
+/**
+ * Compare two aligned series from `fromIndex`, relative tolerance, nulls must match
+ */
+const assertSeriesClose = (actual, expected, { tolerance, fromIndex = 0, label }) => {
+  assert.equal(actual.length, expected.length, `${label}: length`);
+
+  for (let i = fromIndex; i < expected.length; i++) {
+    if (expected[i] === null || actual[i] === null) {
+      assert.equal(actual[i], expected[i], `${label}[${i}]`);
+      continue;
+    }
+    const allowed = tolerance * Math.max(1, Math.abs(expected[i]));
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) <= allowed,
+      `${label}[${i}]: expected ${expected[i]}, got ${actual[i]} (tolerance ${allowed})`
+    );
+  }
+};
+
+const CHECKS = {
+  ema: async ({ candles, rows, check, options }) => {
+    const ema = IndicatorCalculators.calculateEMA(candles.map(candle => candle.close), check.period);
+    assertSeriesClose(ema, column(rows, check.column), options);
+  },
+
+  atr: async ({ candles, rows, check, options }) => {
+    const atr = IndicatorCalculators.calculateATR(candles, check.period);
+    assertSeriesClose(atr, column(rows, check.column), options);
+  },
+
+  // TradingView plots the line as "Up Trend" while bullish and "Down Trend" while bearish
+  supertrend: async ({ candles, rows, check, options }) => {
+    const up = column(rows, check.upColumn);
+    const down = column(rows, check.downColumn);
+    const { supertrend, direction } = IndicatorCalculators.calculateSuperTrend(candles, check.atrPeriod, check.multiplier);
+
+    assertSeriesClose(supertrend, up.map((value, i) => value ?? down[i]), { ...options, label: `${options.label} value` });
+    assert.deepEqual(
+      direction.slice(options.fromIndex),
+      up.map((value, i) => (value !== null ? 1 : down[i] !== null ? -1 : null)).slice(options.fromIndex),
+      `${options.label} direction`
+    );
+  },
+
+  // Bricks of a Renko chart export (traditional box size, close source unless `source` says otherwise)
+  renko: async ({ candles, check, options }) => {
+    const expected = await readColumns(check.bricks);
+    const renko = new RenkoCalculator(check.brickSize, { source: check.source ?? 'close' });
+    const bricks = renko.calculateRenko(candles.map(candle => ({ ...candle })));
+
+    assert.equal(bricks.length, expected.length, `${options.label}: brick count`);
+    assertSeriesClose(bricks.map(brick => brick.open), column(expected, 'open'), { ...options, fromIndex: 0, label: `${options.label} open` });
+    assertSeriesClose(bricks.map(brick => brick.close), column(expected, 'close'), { ...options, fromIndex: 0, label: `${options.label} close` });
+  }
+};
+
+const manifests = (await fs.readdir(FIXTURE_DIR)).filter(file => file.endsWith('.json')).sort();
+
+test('TradingView exports are present', { skip: manifests.length === 0 && `no TradingView exports in ${FIXTURE_DIR} - see its README.md` }, () => {
+  assert.ok(manifests.length > 0);
+});
+
+for (const manifestFile of manifests) {
+  const manifest = JSON.parse(await fs.readFile(path.join(FIXTURE_DIR, manifestFile), 'utf8'));
+  const rows = await readColumns(manifest.data);
+  const candles = CandleLoader.parseCSV(await fs.readFile(path.join(FIXTURE_DIR, manifest.data), 'utf8'));
+
+  test(`${manifestFile} is a TradingView export`, () => {
+    assert.equal(manifest.source, EXPORT_SOURCE, `${manifestFile}: parity is only checked against "${EXPORT_SOURCE}" data`);
+  });
+
+  for (const check of manifest.checks) {
+    const label = `${manifestFile} ${check.indicator}`;
+    const options = { tolerance: check.tolerance ?? manifest.tolerance ?? 1e-6, fromIndex: check.warmupBars ?? manifest.warmupBars ?? 0, label };
+
+    test(label, { todo: check.todo }, async () => {
+      assert.ok(CHECKS[check.indicator], `unknown indicator "${check.indicator}" - use ${Object.keys(CHECKS).join(', ')}`);
+      assert.equal(candles.length, rows.length, 'OHLC rows');
+      assert.ok(
+        options.fromIndex <= rows.length * MAX_WARMUP_SHARE,
+        `warmupBars ${options.fromIndex} skips more than ${MAX_WARMUP_SHARE * 100}% of ${rows.length} rows`
+      );
+      await CHECKS[check.indicator]({ candles, rows, check, options });
+    });
+  }
+}
@@ -0,0 +1,215 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import IndicatorCalculators, {
+  IncrementalATR,
+  IncrementalEMA,
+  IncrementalSuperTrend
+} from '../src/strategies/IndicatorCalculators.js';
+
+/**
+ * Deterministic random-walk candles (mulberry32 PRNG) with occasional gaps between bars
+ */
+const makeCandles = (count, seed = 42, start = 100000) => {
+  let state = seed;
+  const random = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const candles = [];
+  let close = start;
+  for (let i = 0; i < count; i++) {
+    const gap = random() < 0.05 ? (random() - 0.5) * 400 : 0;
+    const open = close + gap;
+    close = open + (random() - 0.5) * 200;
+    candles.push({
+      timestamp: new Date(Date.UTC(2025, 0, 1) + i * 60000),
+      open,
+      high: Math.max(open, close) + random() * 50,
+      low: Math.min(open, close) - random() * 50,
+      close
+    });
+  }
+  return candles;
+};
+
+const LENGTHS = [0, 1, 9, 10, 11, 500];
+
+test('IncrementalEMA matches calculateEMA exactly', () => {
+  for (const length of LENGTHS) {
+    for (const period of [1, 10, 21]) {
+      const prices = makeCandles(length).map(candle => candle.close);
+      const ema = new IncrementalEMA(period);
+
+      assert.deepEqual(
+        prices.map(price => ema.update(price)),
+        IndicatorCalculators.calculateEMA(prices, period),
+        `length ${length}, period ${period}`
+      );
+    }
+  }
+});
+
+test('IncrementalATR matches calculateATR exactly', () => {
+  for (const length of LENGTHS) {
+    for (const period of [1, 10, 14]) {
+      const candles = makeCandles(length, 7);
+      const atr = new IncrementalATR(period);
+
+      assert.deepEqual(
+        candles.map(candle => atr.update(candle)),
+        IndicatorCalculators.calculateATR(candles, period),
+        `length ${length}, period ${period}`
+      );
+    }
+  }
+});
+
+test('IncrementalSuperTrend matches calculateSuperTrend exactly', () => {
+  for (const length of LENGTHS.filter(length => length > 0)) {
+    for (const [atrPeriod, multiplier] of [[10, 2.1], [10, 4.1], [14, 3], [1, 0.5]]) {
+      const candles = makeCandles(length, 1234);
+      const supertrend = new IncrementalSuperTrend(atrPeriod, multiplier);
+      const streamed = { supertrend: [], direction: [], upperBand: [], lowerBand: [], atr: [] };
+
+      for (const candle of candles) {
+        const values = supertrend.update(candle);
+        for (const field of Object.keys(streamed)) {
+          streamed[field].push(values[field]);
+        }
+      }
+
+      const batch = IndicatorCalculators.calculateSuperTrend(candles, atrPeriod, multiplier);
+      // Batch ATR is all nulls (one per bar) when the series is shorter than the period, same as streamed
+      assert.deepEqual(streamed, batch, `length ${length}, ATR ${atrPeriod}, multiplier ${multiplier}`);
+    }
+  }
+});
+
+test('SuperTrend direction flips in both directions on the test series', () => {
+  const candles = makeCandles(500, 1234);
+  const { direction } = IndicatorCalculators.calculateSuperTrend(candles, 10, 2.1);
+
+  assert.ok(direction.includes(1) && direction.includes(-1));
+});
+
+test('createMultipleSuperTrend streams the same series as calculateMultipleSuperTrend', () => {
+  const candles = makeCandles(300, 99);
+  const multipliers = [2.1, 3.1, 4.1];
+  const streams = IndicatorCalculators.createMultipleSuperTrend(10, multipliers);
+  const batch = IndicatorCalculators.calculateMultipleSuperTrend(candles, 10, multipliers);
+
+  assert.deepEqual(Object.keys(streams), Object.keys(batch));
+  for (const [key, stream] of Object.entries(streams)) {
+    const supertrend = candles.map(candle => stream.update(candle).supertrend);
+    assert.deepEqual(supertrend, batch[key].supertrend, key);
+  }
+});
+
+const closeTo = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message ?? ''} expected ${expected}, got ${actual}`);
+};
+
+test('calculateRMA seeds with the SMA and skips leading nulls', () => {
+  const rma = IndicatorCalculators.calculateRMA([null, 1, 2, 3, 4, 5], 3);
+
+  assert.deepEqual(rma.slice(0, 3), [null, null, null]);
+  closeTo(rma[3], 2);
+  closeTo(rma[4], (2 * 2 + 4) / 3);
+  closeTo(rma[5], (rma[4] * 2 + 5) / 3);
+});
+
+test('calculateRSI uses RMA of gains and losses', () => {
+  const rsi = IndicatorCalculators.calculateRSI([10, 11, 10, 12], 2);
+
+  assert.deepEqual(rsi.slice(0, 2), [null, null]);
+  closeTo(rsi[2], 50);
+  closeTo(rsi[3], 100 - 100 / (1 + 1.25 / 0.25));
+
+  const rising = IndicatorCalculators.calculateRSI([1, 2, 3, 4, 5, 6], 3);
+  const falling = IndicatorCalculators.calculateRSI([6, 5, 4, 3, 2, 1], 3);
+  assert.equal(rising[5], 100);
+  assert.equal(falling[5], 0);
+});
+
+test('calculateMACD aligns macd, signal and histogram with the input', () => {
+  const prices = makeCandles(100, 5).map(candle => candle.close);
+  const { macd, signal, histogram } = IndicatorCalculators.calculateMACD(prices, 12, 26, 9);
+  const fast = IndicatorCalculators.calculateEMA(prices, 12);
+  const slow = IndicatorCalculators.calculateEMA(prices, 26);
+
+  assert.equal(macd.length, prices.length);
+  assert.equal(macd.findIndex(value => value !== null), 25);
+  assert.equal(signal.findIndex(value => value !== null), 25 + 8);
+  closeTo(macd[60], fast[60] - slow[60]);
+  closeTo(histogram[60], macd[60] - signal[60]);
+  closeTo(signal[33], macd.slice(25, 34).reduce((sum, value) => sum + value, 0) / 9);
+});
+
+test('calculateBollingerBands uses the population standard deviation', () => {
+  const { middle, upper, lower } = IndicatorCalculators.calculateBollingerBands([1, 2, 3, 4, 4], 4, 2);
+
+  assert.deepEqual(middle.slice(0, 3), [null, null, null]);
+  closeTo(middle[3], 2.5);
+  closeTo(upper[3], 2.5 + 2 * Math.sqrt(1.25));
+  closeTo(lower[3], 2.5 - 2 * Math.sqrt(1.25));
+  closeTo(middle[4], 3.25);
+});
+
+test('calculateADX starts one bar late and follows the dominant direction', () => {
+  const uptrend = Array.from({ length: 60 }, (_, i) => ({
+    open: 100 + i * 2,
+    high: 102 + i * 2 + (i % 3),
+    low: 99 + i * 2 - (i % 2),
+    close: 101 + i * 2
+  }));
+  const { adx, plusDI, minusDI } = IndicatorCalculators.calculateADX(uptrend, 14, 14);
+
+  assert.equal(plusDI.findIndex(value => value !== null), 14);
+  assert.equal(adx.findIndex(value => value !== null), 14 + 13);
+  assert.ok(plusDI[59] > minusDI[59]);
+  assert.ok(adx[59] > 20 && adx[59] <= 100);
+
+  const downtrend = uptrend.map(candle => ({ open: -candle.open, high: -candle.low, low: -candle.high, close: -candle.close }));
+  const mirrored = IndicatorCalculators.calculateADX(downtrend, 14, 14);
+  closeTo(mirrored.minusDI[59], plusDI[59]);
+  closeTo(mirrored.adx[59], adx[59]);
+});
+
+test('calculateVWAP restarts at each session and skips bars without volume', () => {
+  const bar = (time, price, volume) => ({ timestamp: new Date(time), high: price, low: price, close: price, volume });
+  const candles = [
+    bar('2025-01-05T23:58:00Z', 100, 0),
+    bar('2025-01-05T23:59:00Z', 100, 1),
+    bar('2025-01-06T00:00:00Z', 200, 3),  // Monday: new day and new week
+    bar('2025-01-06T00:01:00Z', 100, 1)
+  ];
+
+  assert.deepEqual(IndicatorCalculators.calculateVWAP(candles, 'day'), [null, 100, 200, 175]);
+  assert.deepEqual(IndicatorCalculators.calculateVWAP(candles, 'week'), [null, 100, 200, 175]);
+  assert.deepEqual(IndicatorCalculators.calculateVWAP(candles, 'month'), [null, 100, 175, 160]);
+  assert.throws(() => IndicatorCalculators.calculateVWAP(candles, 'hour'), /Unknown VWAP anchor/);
+});
+
+test('calculateDonchian tracks the highest high and lowest low', () => {
+  const candles = [5, 3, 8, 6, 2].map(close => ({ high: close + 1, low: close - 1, close }));
+  const { upper, middle, lower } = IndicatorCalculators.calculateDonchian(candles, 3);
+
+  assert.deepEqual(upper, [null, null, 9, 9, 9]);
+  assert.deepEqual(lower, [null, null, 2, 2, 1]);
+  assert.deepEqual(middle, [null, null, 5.5, 5.5, 5]);
+});
+
+test('calculateKeltner puts ATR bands around an EMA basis', () => {
+  const candles = makeCandles(80, 11);
+  const { middle, upper, lower } = IndicatorCalculators.calculateKeltner(candles, 20, 2, 10);
+  const ema = IndicatorCalculators.calculateEMA(candles.map(candle => candle.close), 20);
+  const atr = IndicatorCalculators.calculateATR(candles, 10);
+
+  assert.deepEqual(middle, ema);
+  assert.equal(upper[18], null);
+  closeTo(upper[50], ema[50] + 2 * atr[50]);
+  closeTo(lower[50], ema[50] - 2 * atr[50]);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import MarketDataFeed from '../src/services/MarketDataFeed.js';
+import DeltaAPIService from '../src/services/DeltaAPIService.js';
+
+const MINUTE = 60000;
+const T0 = Date.UTC(2025, 0, 1);
+
+class FakeDeltaAPI extends EventEmitter {
+  connectWebSocket() {}
+  unsubscribeMarketData() {}
+  getWebSocketStatus() { return { connected: true }; }
+}
+
+const createFeed = (options = {}) => {
+  const deltaAPI = new FakeDeltaAPI();
+  const feed = new MarketDataFeed(deltaAPI, { symbol: 'BTCUSD', closeGraceMs: 2000, staleAfterMs: 15000, ...options });
+  const closed = [];
+  feed.on('candle', candle => closed.push(candle));
+  feed.start();
+  clearInterval(feed.closeTimer);  // The tests drive closeMinutes with their own clock
+  return { deltaAPI, feed, closed };
+};
+
+const exchangeCandle = (minute, close) => ({
+  symbol: 'BTCUSD',
+  timestamp: new Date(T0 + minute * MINUTE),
+  open: close - 1, high: close + 1, low: close - 2, close, volume: 10
+});
+
+test('exchange candles close once the grace period after their minute has passed', () => {
+  const { deltaAPI, feed, closed } = createFeed();
+
+  deltaAPI.emit('candleUpdate', exchangeCandle(0, 100));
+  deltaAPI.emit('candleUpdate', exchangeCandle(0, 101));  // Later update of the same minute wins
+  deltaAPI.emit('candleUpdate', exchangeCandle(1, 102));
+  assert.equal(feed.mode, 'websocket');
+
+  feed.closeMinutes(T0 + MINUTE + 1000);
+  assert.equal(closed.length, 0);
+
+  feed.closeMinutes(T0 + MINUTE + 2000);
+  assert.deepEqual(closed.map(candle => candle.close), [101]);
+  assert.equal(closed[0].symbol, undefined);
+  assert.deepEqual(closed[0].timestamp, new Date(T0));
+
+  feed.stop();
+});
+
+test('minutes without exchange candles are built from trades, except the minute the stream joined', () => {
+  const { deltaAPI, feed, closed } = createFeed();
+  const trade = (ms, price, size = 1) => deltaAPI.emit('trade', { symbol: 'BTCUSD', price, size, timestamp: new Date(T0 + ms) });
+
+  trade(30000, 100);         // Joined mid-way through minute 0
+  trade(MINUTE + 1000, 105);
+  trade(MINUTE + 2000, 108, 2);
+  trade(MINUTE + 3000, 103);
+  trade(MINUTE + 4000, 104);
+  deltaAPI.emit('trade', { symbol: 'ETHUSD', price: 3000, size: 1, timestamp: new Date(T0 + MINUTE + 5000) });
+
+  feed.closeMinutes(T0 + 2 * MINUTE + 2000);
+
+  assert.deepEqual(closed, [{ timestamp: new Date(T0 + MINUTE), open: 105, high: 108, low: 103, close: 104, volume: 5 }]);
+  feed.stop();
+});
+
+test('higher timeframes are resampled from the closed 1m candles', () => {
+  const { deltaAPI, feed, closed } = createFeed({ timeframe: '5m' });
+  const minutes = [];
+  feed.on('minuteCandle', candle => minutes.push(candle));
+
+  for (let minute = 0; minute <= 5; minute++) {
+    deltaAPI.emit('candleUpdate', exchangeCandle(minute, 100 + minute));
+  }
+  feed.closeMinutes(T0 + 6 * MINUTE + 2000);
+
+  assert.equal(minutes.length, 6);
+  assert.equal(closed.length, 1);
+  assert.deepEqual(closed[0], {
+    timestamp: new Date(T0), open: 99, high: 105, low: 98, close: 104, volume: 50
+  });
+  feed.stop();
+});
+
+test('the feed falls back to REST when the socket goes quiet or drops', () => {
+  const { deltaAPI, feed } = createFeed();
+  const modes = [];
+  feed.on('modeChanged', ({ mode, reason }) => modes.push(`${mode}: ${reason}`));
+
+  deltaAPI.emit('candleUpdate', exchangeCandle(0, 100));
+  feed.closeMinutes(feed.lastDataAt + 15001);
+  deltaAPI.emit('candleUpdate', exchangeCandle(1, 101));
+  deltaAPI.emit('wsDisconnected');
+
+  assert.deepEqual(modes, [
+    'websocket: market data flowing',
+    'rest: no market data for 15s',
+    'websocket: market data flowing',
+    'rest: socket disconnected'
+  ]);
+  feed.stop();
+  assert.equal(deltaAPI.listenerCount('candleUpdate'), 0);
+});
+
+test('reconnect delays back off exponentially up to the cap', () => {
+  const options = { reconnectBaseMs: 1000, reconnectMaxMs: 60000 };
+  const delays = [0, 1, 2, 5, 10].map(attempt => DeltaAPIService.reconnectDelay(attempt, options));
+
+  assert.deepEqual(delays, [1000, 2000, 4000, 32000, 60000]);
+});
+
+test('ticker prices for the feed\'s symbol are forwarded as ticks', () => {
+  const { deltaAPI, feed } = createFeed();
+  const ticks = [];
+  feed.on('tick', tick => ticks.push(tick.price));
+
+  deltaAPI.emit('priceUpdate', { symbol: 'BTCUSD', close: 100.5, timestamp: new Date(T0) });
+  deltaAPI.emit('priceUpdate', { symbol: 'ETHUSD', close: 3000, timestamp: new Date(T0) });
+  deltaAPI.emit('priceUpdate', { symbol: 'BTCUSD', close: NaN, timestamp: new Date(T0) });
+
+  assert.deepEqual(ticks, [100.5]);
+  feed.stop();
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MonteCarloAnalyzer, { MAX_REQUEST_SIMULATIONS } from '../src/backtest/MonteCarloAnalyzer.js';
+
+const PNLS = [120, -80, 45, -150, 200, -30, 90, -60, 75, -20];
+
+const roundTrips = PNLS.map((pnl, i) => ({
+  side: 'long',
+  entryTime: new Date(Date.UTC(2025, 0, 1, i)),
+  exitTime: new Date(Date.UTC(2025, 0, 1, i, 30)),
+  entryPrice: 100,
+  exitPrice: 100 + pnl,
+  quantity: 1,
+  pnl
+}));
+
+// Same mulberry32 generator the analyzer seeds itself with
+const seeded = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+test('the same seed reproduces the report and another seed changes it', () => {
+  const run = (seed) => new MonteCarloAnalyzer({ simulations: 300, seed }).analyze(roundTrips);
+
+  assert.deepEqual(run(7), run(7));
+  assert.notDeepEqual(run(7).methods.bootstrap, run(8).methods.bootstrap);
+});
+
+test('shuffling keeps every final equity and only moves the drawdown', () => {
+  const report = new MonteCarloAnalyzer({ simulations: 200, methods: ['shuffle'], seed: 3 }).analyze(roundTrips);
+  const total = 10000 + PNLS.reduce((sum, pnl) => sum + pnl, 0);
+  const { finalEquity, maxDrawdown, probabilityOfLoss } = report.methods.shuffle;
+
+  assert.equal(report.trades, PNLS.length);
+  assert.equal(finalEquity.min, total);
+  assert.equal(finalEquity.max, total);
+  assert.equal(probabilityOfLoss, 0);
+
+  // Between the largest single loss and every loss in a row
+  assert.ok(maxDrawdown.max <= 340);
+  assert.ok(maxDrawdown.min >= 150);
+  assert.ok(maxDrawdown.max > maxDrawdown.min);
+});
+
+test('bootstrap paths resample the given PnLs with the seeded generator', () => {
+  const random = seeded(11);
+  const expected = PNLS.map(() => PNLS[Math.floor(random() * PNLS.length)]);
+
+  assert.deepEqual(MonteCarloAnalyzer.samplePath(PNLS, 'bootstrap', seeded(11)), expected);
+  assert.deepEqual(
+    [...MonteCarloAnalyzer.samplePath(PNLS, 'shuffle', seeded(11))].sort((a, b) => a - b),
+    [...PNLS].sort((a, b) => a - b)
+  );
+});
+
+test('percentiles interpolate between sorted values and ruin follows the drawdown threshold', () => {
+  const sorted = Float64Array.from([10, 20, 30, 40, 50]);
+  assert.equal(MonteCarloAnalyzer.percentile(sorted, 0), 10);
+  assert.equal(MonteCarloAnalyzer.percentile(sorted, 50), 30);
+  assert.equal(MonteCarloAnalyzer.percentile(sorted, 95), 48);
+  assert.equal(MonteCarloAnalyzer.percentile([], 50), 0);
+
+  // Losing every trade from 1000 capital: 50% drawdown is reached on every path
+  const losers = roundTrips.map(trip => ({ ...trip, pnl: -60 }));
+  const ruined = new MonteCarloAnalyzer({ simulations: 50, initialCapital: 1000, ruinDrawdownPct: 50 }).analyze(losers);
+  assert.equal(ruined.methods.shuffle.probabilityOfRuin, 100);
+  assert.equal(ruined.methods.bootstrap.probabilityOfLoss, 100);
+
+  const safe = new MonteCarloAnalyzer({ simulations: 50, initialCapital: 1000, ruinDrawdownPct: 70 }).analyze(losers);
+  assert.equal(safe.methods.shuffle.probabilityOfRuin, 0);
+});
+
+test('query parsing rejects non-numeric and out-of-range parameters', () => {
+  assert.deepEqual(MonteCarloAnalyzer.parseQuery({}), { simulations: 1000, ruinDrawdownPct: 50, initialCapital: 10000 });
+  assert.deepEqual(
+    MonteCarloAnalyzer.parseQuery({ simulations: '250', ruinDrawdownPct: '30', capital: '5000' }),
+    { simulations: 250, ruinDrawdownPct: 30, initialCapital: 5000 }
+  );
+
+  assert.throws(() => MonteCarloAnalyzer.parseQuery({ simulations: 'abc' }), /simulations must be/);
+  assert.throws(() => MonteCarloAnalyzer.parseQuery({ simulations: '2.5' }), /simulations must be/);
+  assert.throws(() => MonteCarloAnalyzer.parseQuery({ simulations: '0' }), /simulations must be/);
+  assert.throws(() => MonteCarloAnalyzer.parseQuery({ simulations: String(MAX_REQUEST_SIMULATIONS + 1) }), /simulations must be/);
+  assert.throws(() => MonteCarloAnalyzer.parseQuery({ simulations: ['10', '20'] }), /simulations must be/);
+  assert.throws(() => MonteCarloAnalyzer.parseQuery({ ruinDrawdownPct: 'half' }), /ruinDrawdownPct must be/);
+  assert.throws(() => MonteCarloAnalyzer.parseQuery({ ruinDrawdownPct: '150' }), /ruinDrawdownPct must be/);
+  assert.throws(() => MonteCarloAnalyzer.parseQuery({ capital: '' }), /capital must be/);
+  assert.throws(() => MonteCarloAnalyzer.parseQuery({ capital: '-100' }), /capital must be/);
+  assert.throws(() => MonteCarloAnalyzer.parseQuery({ capital: 'Infinity' }), /capital must be/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Optimizer from '../src/backtest/Optimizer.js';
+
+test('expandRange accepts value lists, single values and {min, max, step}', () => {
+  assert.deepEqual(Optimizer.expandRange([14, 21, 34]), [14, 21, 34]);
+  assert.deepEqual(Optimizer.expandRange(21), [21]);
+  assert.deepEqual(Optimizer.expandRange({ min: 20, max: 100, step: 20 }), [20, 40, 60, 80, 100]);
+  assert.deepEqual(Optimizer.expandRange({ min: 20, max: 90, step: 20 }), [20, 40, 60, 80]);
+
+  // Float steps land on clean values and include the max
+  assert.deepEqual(Optimizer.expandRange({ min: 1.5, max: 2.5, step: 0.1 }), [1.5, 1.6, 1.7, 1.8, 1.9, 2, 2.1, 2.2, 2.3, 2.4, 2.5]);
+
+  assert.throws(() => Optimizer.expandRange({ min: 10, max: 5, step: 1 }), /Invalid range/);
+  assert.throws(() => Optimizer.expandRange({ min: 1, max: 5, step: 0 }), /Invalid range/);
+  assert.throws(() => Optimizer.expandRange({ min: 1, max: 5 }), /Invalid range/);
+});
+
+test('buildGrid is the cartesian product of the ranges and sets the brick mode', () => {
+  const grid = Optimizer.buildGrid({ brickSize: [20, 40], emaLength: [14, 21, 34] });
+
+  assert.equal(grid.length, 6);
+  assert.deepEqual(grid[0], { brickSize: 20, emaLength: 14, brickMode: 'fixed' });
+  assert.deepEqual(grid[5], { brickSize: 40, emaLength: 34, brickMode: 'fixed' });
+  assert.equal(new Set(grid.map(params => JSON.stringify(params))).size, 6);
+
+  assert.deepEqual(Optimizer.buildGrid({ atrPeriod: { min: 10, max: 14, step: 2 } }), [
+    { atrPeriod: 10, brickMode: 'atr' },
+    { atrPeriod: 12, brickMode: 'atr' },
+    { atrPeriod: 14, brickMode: 'atr' }
+  ]);
+
+  assert.deepEqual(Optimizer.buildGrid({}), [{}]);
+  assert.throws(() => Optimizer.buildGrid({ brickSize: [20], atrPeriod: [14] }), /either brickSize .* or atrPeriod/);
+});
+
+test('buildGrid combines SuperTrend multipliers per line and drops sets that repeat a multiplier', () => {
+  const grid = Optimizer.buildGrid({
+    emaLength: 21,
+    supertrendMultipliers: [[2, 3], [3, 4], [4, 5]]
+  });
+
+  assert.deepEqual(grid.map(params => params.supertrendMultipliers), [[2, 3, 4], [2, 3, 5], [2, 4, 5], [3, 4, 5]]);
+  assert.ok(grid.every(params => params.emaLength === 21 && params.brickMode === undefined));
+});
+
+test('rankResults orders by the objective and leaves errored or under-traded runs unranked', () => {
+  const results = [
+    { index: 0, stats: { totalTrades: 10, netPnL: 50, maxDrawdown: 8 } },
+    { index: 1, stats: null, error: 'boom' },
+    { index: 2, stats: { totalTrades: 2, netPnL: 500, maxDrawdown: 1 } },
+    { index: 3, stats: { totalTrades: 12, netPnL: 120, maxDrawdown: 5 } }
+  ];
+
+  const ranked = Optimizer.rankResults(results, 'netPnL', 5);
+  assert.deepEqual(ranked.map(result => [result.index, result.rank, result.score]), [
+    [3, 1, 120],
+    [0, 2, 50],
+    [1, null, null],
+    [2, null, null]
+  ]);
+
+  // Drawdown is minimized
+  assert.deepEqual(Optimizer.rankResults(results, 'maxDrawdown', 5).map(result => [result.index, result.rank]).slice(0, 2), [[3, 1], [0, 2]]);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PositionSizer from '../src/risk/PositionSizer.js';
+import RenkoEMAStrategy from '../src/strategies/RenkoEMAStrategy.js';
+
+test('equity-based modes size off equity and round down to whole lots', () => {
+  const sizer = new PositionSizer({ mode: 'fixed_fractional', riskPercent: 1, contractValue: 0.001 });
+
+  // 1% of 10000 over a 50 stop = 2 BTC, capped by 10x leverage at 100000 / 50000
+  assert.equal(sizer.calculate({ price: 50000, equity: 10000, brickSize: 50 }).quantity, 2);
+  assert.equal(new PositionSizer({ mode: 'percent_equity', equityPercent: 10, contractValue: 0.001 })
+    .calculate({ price: 30000, equity: 10000 }).quantity, 0.033);
+});
+
+test('sizes are zero, not NaN, when equity or price is unusable', () => {
+  for (const mode of ['fixed_notional', 'percent_equity', 'fixed_fractional', 'kelly']) {
+    const sizer = new PositionSizer({ mode });
+    for (const equity of [undefined, NaN, 0, -5]) {
+      const sizing = sizer.calculate({ price: 50000, equity, brickSize: 50 });
+      assert.equal(sizing.quantity, 0, `${mode} with equity ${equity}`);
+      assert.match(sizing.reason, /equity unavailable/);
+    }
+  }
+  assert.equal(new PositionSizer().calculate({ price: NaN, equity: 10000 }).quantity, 0);
+});
+
+test('entries are skipped when the size comes out unusable', async () => {
+  const strategy = new RenkoEMAStrategy({ logging: false, positionSizing: { mode: 'percent_equity' } });
+  assert.equal(strategy.getEquity(), 10000);
+
+  strategy.calculatePositionSize = () => NaN;
+  await strategy.enterPosition('long', 50000, new Date(), {});
+
+  assert.equal(strategy.position.isActive, false);
+  assert.equal(strategy.trades.length, 0);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ProtectiveExits from '../src/strategies/ProtectiveExits.js';
+import RenkoEMAStrategy from '../src/strategies/RenkoEMAStrategy.js';
+
+const position = (type, fields = {}) => ({ isActive: true, type, entryPrice: 100, quantity: 1, ...fields });
+const bar = (open, high, low, close) => ({ timestamp: new Date(Date.UTC(2025, 0, 1)), open, high, low, close });
+
+test('stop-loss and take-profit are placed from the entry price in price units or ATRs', () => {
+  const long = position('long');
+  new ProtectiveExits({ stopLoss: { type: 'atr', value: 2 }, takeProfit: { type: 'fixed', value: 15 } }).initialize(long, { atr: 3 });
+  assert.equal(long.stopLoss, 94);
+  assert.equal(long.takeProfit, 115);
+
+  const short = position('short');
+  new ProtectiveExits({ stopLoss: { type: 'fixed', value: 5 } }).initialize(short, { atr: 3 });
+  assert.equal(short.stopLoss, 105);
+  assert.equal(short.takeProfit, null);
+
+  assert.throws(() => new ProtectiveExits({ stopLoss: { type: 'percent', value: 1 } }), /Unknown stopLoss type "percent"/);
+});
+
+test('the stop wins when a candle reaches both the stop and the target', () => {
+  const exits = new ProtectiveExits();
+
+  assert.deepEqual(exits.check(position('long', { stopLoss: 95, takeProfit: 110 }), bar(100, 112, 94, 105)), { reason: 'stop_loss', price: 95 });
+  assert.deepEqual(exits.check(position('short', { stopLoss: 105, takeProfit: 90 }), bar(100, 106, 89, 95)), { reason: 'stop_loss', price: 105 });
+  assert.deepEqual(exits.check(position('long', { stopLoss: 95, takeProfit: 110 }), bar(100, 111, 96, 108)), { reason: 'take_profit', price: 110 });
+  assert.equal(exits.check(position('long', { stopLoss: 95, takeProfit: 110 }), bar(100, 109, 96, 108)), null);
+});
+
+test('the tightest stop fires first and gaps through a level fill at the open', () => {
+  const exits = new ProtectiveExits();
+  const long = position('long', { stopLoss: 90, trailingBrickStop: 97, trailingSupertrendStop: 94, takeProfit: 110 });
+
+  assert.deepEqual(exits.check(long, bar(99, 100, 93, 95)), { reason: 'trailing_brick', price: 97 });
+  assert.deepEqual(exits.check(long, bar(92, 93, 88, 89)), { reason: 'trailing_brick', price: 92 });
+  assert.deepEqual(exits.check(long, bar(115, 118, 114, 116)), { reason: 'take_profit', price: 115 });
+
+  const short = position('short', { stopLoss: 105, takeProfit: 90 });
+  assert.deepEqual(exits.check(short, bar(108, 109, 107, 108)), { reason: 'stop_loss', price: 108 });
+  assert.deepEqual(exits.check(short, bar(85, 86, 84, 85)), { reason: 'take_profit', price: 85 });
+});
+
+test('trailing stops only ratchet in the position\'s favour and trail SuperTrend only on the protective side', () => {
+  const exits = new ProtectiveExits({ trailingBricks: 2, supertrendTrail: 0 });
+  const long = position('long');
+  exits.initialize(long, { brickClose: 100 });
+
+  exits.update(long, { brickClose: 110, brickSize: 5, supertrend: 104, price: 111 });
+  assert.equal(long.trailingBrickStop, 100);
+  assert.equal(long.trailingSupertrendStop, 104);
+
+  // A pullback and a SuperTrend line that dropped do not loosen the stops
+  exits.update(long, { brickClose: 105, brickSize: 5, supertrend: 101, price: 106 });
+  assert.equal(long.trailingBrickStop, 100);
+  assert.equal(long.trailingSupertrendStop, 104);
+
+  // A line above price (SuperTrend flipped bearish) is not a stop for a long
+  exits.update(long, { brickClose: 115, brickSize: 5, supertrend: 120, price: 116 });
+  assert.equal(long.trailingBrickStop, 105);
+  assert.equal(long.trailingSupertrendStop, 104);
+
+  const short = position('short');
+  exits.initialize(short, { brickClose: 100 });
+  exits.update(short, { brickClose: 90, brickSize: 5, supertrend: 96, price: 89 });
+  assert.equal(short.trailingBrickStop, 100);
+  assert.equal(short.trailingSupertrendStop, 96);
+  exits.update(short, { brickClose: 95, brickSize: 5, supertrend: 99, price: 94 });
+  assert.equal(short.trailingSupertrendStop, 96);
+});
+
+test('price updates between candles trigger the stop at the update price', async () => {
+  const strategy = new RenkoEMAStrategy({ brickSize: 10, logging: false, protectiveExits: { stopLoss: { type: 'fixed', value: 20 } } });
+  strategy.start();
+  await strategy.enterPosition('long', 1000, new Date(Date.UTC(2025, 0, 1)), {});
+  assert.equal(strategy.position.stopLoss, 980);
+
+  await strategy.onTick(985, new Date(Date.UTC(2025, 0, 1, 0, 0, 20)));
+  assert.equal(strategy.position.isActive, true);
+  assert.equal(strategy.marketData.length, 0);  // Ticks are not candles
+
+  await strategy.onTick(978, new Date(Date.UTC(2025, 0, 1, 0, 0, 40)));
+  assert.equal(strategy.position.isActive, false);
+
+  const exit = strategy.trades[strategy.trades.length - 1];
+  assert.equal(exit.exitReason, 'stop_loss');
+  assert.equal(exit.price, 978);
+});
@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RenkoCalculator from '../src/strategies/RenkoCalculator.js';
+import RenkoEMAStrategy from '../src/strategies/RenkoEMAStrategy.js';
+
+const candle = (minute, close, { high = close, low = close } = {}) => ({
+  timestamp: new Date(Date.UTC(2025, 0, 1, 0, minute)),
+  open: close,
+  high,
+  low,
+  close
+});
+
+test('close source ignores wicks that hl source turns into bricks', () => {
+  const candles = [candle(0, 100), candle(1, 104, { high: 112 }), candle(2, 105)];
+
+  const hl = new RenkoCalculator(10, { source: 'hl' }).calculateRenko(candles.map(c => ({ ...c })));
+  const close = new RenkoCalculator(10, { source: 'close' }).calculateRenko(candles.map(c => ({ ...c })));
+
+  assert.deepEqual(hl.map(brick => brick.close), [110]);
+  assert.deepEqual(close.map(brick => brick.close), []);
+});
+
+test('percentage mode sizes each box off the last brick close', () => {
+  const renko = new RenkoCalculator(null, { mode: 'percentage', percentage: 10, source: 'close' });
+  const bricks = renko.calculateRenko([candle(0, 100), candle(1, 125)]);
+
+  assert.deepEqual(bricks.map(brick => [brick.close, brick.brickSize]), [[110, 10], [121, 11]]);
+
+  assert.deepEqual(renko.addCandle(candle(2, 133)), []);
+  const [next] = renko.addCandle(candle(3, 134));
+  assert.equal(next.close, 133.1);
+  assert.ok(Math.abs(next.brickSize - 12.1) < 1e-9);
+});
+
+test('bricks record their size, mode and source', () => {
+  const [brick] = new RenkoCalculator(5, { mode: 'atr', source: 'close' }).calculateRenko([candle(0, 100), candle(1, 106)]);
+
+  assert.equal(brick.brickSize, 5);
+  assert.equal(brick.brickMode, 'atr');
+  assert.equal(brick.source, 'close');
+});
+
+test('addCandle continues the series calculateRenko would build', () => {
+  const candles = Array.from({ length: 200 }, (_, i) => {
+    const close = 1000 + Math.round(80 * Math.sin(i / 9) + 15 * Math.cos(i / 2));
+    return candle(i, close, { high: close + (i % 7), low: close - (i % 5) });
+  });
+
+  const streamed = new RenkoCalculator(12);
+  streamed.calculateRenko(candles.slice(0, 50).map(c => ({ ...c })));
+  for (const c of candles.slice(50)) streamed.addCandle(c);
+
+  const rebuilt = new RenkoCalculator(12).calculateRenko(candles.map(c => ({ ...c })));
+  assert.deepEqual(streamed.renkoBricks, rebuilt);
+});
+
+test('RenkoEMAStrategy resolves and validates brick modes', () => {
+  assert.equal(new RenkoEMAStrategy({}).config.brickMode, 'atr');
+  assert.equal(new RenkoEMAStrategy({ brickSize: 50 }).config.brickMode, 'fixed');
+  assert.equal(new RenkoEMAStrategy({ useDynamicBrickSize: true, brickSize: 50 }).config.brickMode, 'dynamic');
+  assert.equal(new RenkoEMAStrategy({ brickMode: 'percentage' }).config.brickPercentage, 0.1);
+
+  assert.throws(() => new RenkoEMAStrategy({ brickMode: 'fixed' }), /positive brickSize/);
+  assert.throws(() => new RenkoEMAStrategy({ brickMode: 'weekly' }), /Unknown brickMode/);
+  assert.throws(() => new RenkoEMAStrategy({ brickSource: 'open' }), /Unknown brickSource/);
+  assert.throws(() => new RenkoEMAStrategy({ atrAnchor: 'yesterday' }), /Invalid atrAnchor/);
+});
+
+test('ATR mode fixes the box size once at the anchor', async () => {
+  const candles = Array.from({ length: 120 }, (_, i) => {
+    const close = 1000 + i * (i < 60 ? 2 : 6);
+    return candle(i, close, { high: close + (i < 60 ? 3 : 20), low: close - 3 });
+  });
+  const strategy = new RenkoEMAStrategy({ atrPeriod: 14, atrAnchor: candles[59].timestamp.toISOString(), logging: false });
+
+  await strategy.initialize(candles.slice(0, 30).map(c => ({ ...c })));
+  assert.equal(strategy.brickAnchor, null);
+  assert.equal(strategy.renkoBricks.length, 0);
+
+  for (const c of candles.slice(30)) {
+    await strategy.processNewData({ ...c });
+  }
+
+  assert.equal(strategy.brickAnchor.time.getTime(), candles[59].timestamp.getTime());
+  assert.ok(strategy.renkoBricks.length > 0);
+  assert.ok(strategy.renkoBricks.every(brick => brick.brickSize === strategy.brickAnchor.atr));
+});
+
+test('bricks carry the wick, volume, ticks and times of the candles that formed them', () => {
+  const bar = (minute, open, high, low, close, volume) => ({
+    timestamp: new Date(Date.UTC(2025, 0, 1, 0, minute)), open, high, low, close, volume
+  });
+  const bricks = new RenkoCalculator(10, { source: 'close' }).calculateRenko([
+    bar(0, 100, 100, 100, 100, 1),
+    bar(1, 100, 104, 95, 102, 2),
+    bar(2, 102, 109, 97, 108, 3),
+    bar(3, 108, 125, 107, 124, 4)
+  ]);
+
+  assert.deepEqual(bricks.map(brick => brick.close), [110, 120]);
+
+  const [first, second] = bricks;
+  assert.equal(first.low, 95);
+  assert.equal(first.high, 110);
+  assert.equal(first.volume, 1 + 2 + 3 + 4 / 2);
+  assert.equal(first.ticks, 4);
+  assert.equal(first.startTime.getTime(), Date.UTC(2025, 0, 1, 0, 0));
+  assert.equal(first.endTime.getTime(), Date.UTC(2025, 0, 1, 0, 3));
+
+  assert.equal(second.low, 110);
+  assert.equal(second.volume, 4 / 2);
+  assert.equal(second.ticks, 1);
+  assert.equal(second.startTime.getTime(), second.endTime.getTime());
+});
+
+test('down bricks keep the highest price reached while they formed', () => {
+  const bricks = new RenkoCalculator(10, { source: 'close' }).calculateRenko([
+    candle(0, 100),
+    candle(1, 104, { high: 107 }),
+    candle(2, 89)
+  ]);
+
+  assert.equal(bricks[0].direction, -1);
+  assert.equal(bricks[0].high, 107);
+  assert.equal(bricks[0].low, 90);
+});
+
+test('the first close is the base price and reversal bricks start at the last brick open', () => {
+  const bricks = new RenkoCalculator(10, { source: 'close' }).calculateRenko(
+    [100, 125, 112, 101, 95, 79, 92, 101].map((close, minute) => candle(minute, close))
+  );
+
+  assert.deepEqual(bricks.map(brick => [brick.open, brick.close, brick.direction]), [
+    [100, 110, 1],
+    [110, 120, 1],
+    [110, 100, -1],  // 101 is not a reversal yet; 95 is, and the brick starts at the last open
+    [100, 90, -1],
+    [90, 80, -1],
+    [90, 100, 1]
+  ]);
+});
+
+test('Renko state from an older brick model is not resumed', async () => {
+  const renko = new RenkoCalculator(10, { source: 'close' });
+  renko.calculateRenko([100, 125].map((close, minute) => candle(minute, close)));
+  const { brickModel, lastBrickOpen, ...legacyState } = renko.getState();
+
+  assert.equal(brickModel, 'traditional');
+  assert.throws(() => new RenkoCalculator(10).restoreState(legacyState, renko.getLatestBrick()), /brick model "none"/);
+
+  const candles = Array.from({ length: 60 }, (_, i) => candle(i, 1000 + 40 * Math.sin(i / 6)));
+  const strategy = new RenkoEMAStrategy({ brickSize: 10, brickSource: 'close', logging: false });
+  await strategy.initialize(candles.map(c => ({ ...c })));
+  const rebuilt = structuredClone(strategy.renkoBricks);
+
+  const snapshot = JSON.parse(JSON.stringify(strategy.getSnapshot()));
+  delete snapshot.renko.brickModel;
+  snapshot.renkoBricks = snapshot.renkoBricks.slice(0, 3);
+
+  const reconciliation = strategy.restoreSnapshot(snapshot);
+
+  assert.deepEqual(strategy.renkoBricks, rebuilt);
+  assert.match(reconciliation.find(entry => entry.field === 'renkoBricks').note, /older brick model/);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Resampler from '../src/strategies/Resampler.js';
+import RuleEngine from '../src/strategies/RuleEngine.js';
+import RenkoEMAStrategy from '../src/strategies/RenkoEMAStrategy.js';
+import DeltaAPIService from '../src/services/DeltaAPIService.js';
+
+const minute = (time, close, volume = 1) => ({
+  timestamp: new Date(time),
+  open: close - 1,
+  high: close + 2,
+  low: close - 3,
+  close,
+  volume
+});
+
+const minutes = (start, closes) => closes.map((close, i) => minute(new Date(start).getTime() + i * 60000, close));
+
+test('resample aggregates OHLCV into UTC-aligned buckets', () => {
+  const candles = minutes('2025-01-01T03:58:00Z', [10, 11, 12, 13, 9]);
+  const bars = Resampler.resample(candles, '4h');
+
+  assert.deepEqual(bars, [
+    { timestamp: new Date('2025-01-01T00:00:00Z'), open: 9, high: 13, low: 7, close: 11, volume: 2 },
+    { timestamp: new Date('2025-01-01T04:00:00Z'), open: 11, high: 15, low: 6, close: 9, volume: 3 }
+  ]);
+  assert.equal(Resampler.resample(candles, '4h', { includePartial: false }).length, 1);
+
+  const [week] = Resampler.resample(minutes('2025-01-01T00:00:00Z', [1]), '1w');
+  assert.equal(week.timestamp.toISOString(), '2024-12-30T00:00:00.000Z');  // Monday
+});
+
+test('a bar completes on the last candle of its bucket, or when a later bucket starts', () => {
+  const resampler = new Resampler('5m');
+  const completed = minutes('2025-01-01T00:00:00Z', [1, 2, 3, 4, 5]).map(candle => resampler.addCandle(candle).length);
+  assert.deepEqual(completed, [0, 0, 0, 0, 1]);
+
+  resampler.addCandle(minute('2025-01-01T00:06:00Z', 6));
+  const [gapped, current] = [resampler.addCandle(minute('2025-01-01T00:12:00Z', 7)), resampler.current];
+  assert.deepEqual(gapped.map(bar => bar.timestamp.toISOString()), ['2025-01-01T00:05:00.000Z']);
+  assert.equal(current.timestamp.toISOString(), '2025-01-01T00:10:00.000Z');
+
+  assert.deepEqual(resampler.addCandle(minute('2025-01-01T00:12:00Z', 8)), []);
+  assert.equal(resampler.current.close, 7);
+});
+
+test('timeframes must be multiples of the source timeframe', () => {
+  assert.equal(Resampler.parseTimeframe('15m'), 15 * 60000);
+  assert.throws(() => Resampler.parseTimeframe('1hour'), /Invalid timeframe/);
+  assert.throws(() => new Resampler('7m', { sourceTimeframe: '5m' }), /Cannot resample 5m candles to 7m/);
+  assert.throws(() => new Resampler('1m', { sourceTimeframe: '5m' }), /Cannot resample/);
+});
+
+test('RuleEngine.variables lists every referenced name', () => {
+  const rule = { all: [{ left: 'close', op: '>', right: 'ema' }, { not: { cross: 'above', left: { ref: '1h:close', offset: 1 }, right: 5 } }] };
+  assert.deepEqual([...RuleEngine.variables(rule)], ['close', 'ema', '1h:close']);
+});
+
+test('higher-timeframe rule variables read the last completed candle', async () => {
+  const rules = { longEntry: { left: '1h:close', op: '>', right: 0 } };
+  assert.throws(() => new RenkoEMAStrategy({ rules: { longEntry: { left: '1h:rsi', op: '>', right: 50 } } }), /unknown variable "1h:rsi"/);
+  assert.throws(() => new RenkoEMAStrategy({ timeframe: '5m', rules: { longEntry: { left: '7m:close', op: '>', right: 0 } } }), /Cannot resample/);
+
+  const candles = minutes('2025-01-01T00:00:00Z', Array.from({ length: 150 }, (_, i) => 1000 + i));
+  const strategy = new RenkoEMAStrategy({ brickSize: 5, rules, logging: false });
+  await strategy.initialize(candles.slice(0, 59).map(c => ({ ...c })));
+  assert.equal(strategy.getRuleValue('1h:close'), null);
+
+  await strategy.processNewData({ ...candles[59] });
+  assert.equal(strategy.getRuleValue('1h:close'), 1059);
+  assert.equal(strategy.getRuleValue('1h:direction'), 1);
+
+  for (const candle of candles.slice(60, 130)) {
+    await strategy.processNewData({ ...candle });
+  }
+  assert.equal(strategy.getRuleValue('1h:close'), 1119);
+  assert.equal(strategy.getRuleValue('1h:open', 1), 999);
+});
+
+test('market data queries are validated and cover the last limit candles of the interval', () => {
+  const now = Date.UTC(2025, 0, 1, 12);
+  assert.deepEqual(DeltaAPIService.parseCandleQuery({ symbol: 'ETHUSD', interval: '15m', limit: '4' }, now), {
+    symbol: 'ETHUSD',
+    interval: '15m',
+    limit: 4,
+    start: now / 1000 - 3600,
+    end: now / 1000
+  });
+  assert.equal(DeltaAPIService.parseCandleQuery({}, now).start, now / 1000 - 100 * 60);
+
+  assert.throws(() => DeltaAPIService.parseCandleQuery({ interval: '1x' }), /Invalid timeframe "1x"/);
+  assert.throws(() => DeltaAPIService.parseCandleQuery({ interval: '0m' }), /Invalid timeframe/);
+  for (const limit of ['0', '-5', '2.5', 'abc', '2001']) {
+    assert.throws(() => DeltaAPIService.parseCandleQuery({ limit }), /limit must be an integer between 1 and 2000/, limit);
+  }
+});
@@ -0,0 +1,138 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import RiskManager from '../src/risk/RiskManager.js';
+
+mock.method(console, 'log', () => {});
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 0, 1, 12);
+
+const exit = (pnl, timestamp = T0, fields = {}) => ({ key: 'BTCUSD', pnl, closed: true, timestamp, ...fields });
+
+test('the kill switch trips once the day\'s realized loss reaches the limit', () => {
+  const risk = new RiskManager({ maxDailyLoss: 100 });
+  const halts = [];
+  risk.on('halt', event => halts.push(event));
+
+  risk.recordExit(exit(-60));
+  risk.recordExit(exit(20));
+  assert.equal(risk.halted, false);
+
+  // A new UTC day starts from zero
+  risk.recordExit(exit(-90, T0 + 12 * HOUR));
+  assert.equal(risk.dailyPnL, -90);
+  assert.equal(risk.halted, false);
+
+  risk.recordExit(exit(-10, T0 + 13 * HOUR));
+  risk.recordExit(exit(-5, T0 + 14 * HOUR));
+  assert.equal(risk.halted, true);
+  assert.equal(risk.haltReason, 'max_daily_loss');
+  assert.equal(halts.length, 1);
+  assert.equal(halts[0].status.dailyPnL, -100);
+
+  assert.deepEqual(risk.checkEntry({ key: 'BTCUSD', price: 100, quantity: 1, timestamp: T0 + 14 * HOUR }), {
+    allowed: false,
+    reason: 'trading halted (max_daily_loss)'
+  });
+});
+
+test('consecutive losing round trips trip the kill switch; wins reset the streak and partial exits do not count', () => {
+  const risk = new RiskManager({ maxConsecutiveLosses: 3 });
+
+  risk.recordExit(exit(-1));
+  risk.recordExit(exit(-1));
+  risk.recordExit(exit(5));
+  assert.equal(risk.consecutiveLosses, 0);
+
+  risk.recordExit(exit(-1));
+  risk.recordExit(exit(0));  // Breakeven leaves the streak as it is
+  risk.recordExit(exit(-3, T0, { closed: false, remainingNotional: 50 }));
+  risk.recordExit(exit(-1));
+  assert.equal(risk.consecutiveLosses, 2);
+  assert.equal(risk.halted, false);
+
+  // The round trip's PnL decides, not the last fill's
+  risk.recordExit(exit(2, T0, { roundTripPnL: -4 }));
+  assert.equal(risk.halted, true);
+  assert.equal(risk.haltReason, 'max_consecutive_losses');
+});
+
+test('entries per rolling hour are limited', () => {
+  const risk = new RiskManager({ maxTradesPerHour: 2 });
+  const entry = (timestamp, isNewTrade = true) => ({ key: 'BTCUSD', price: 100, quantity: 1, timestamp, isNewTrade });
+
+  risk.recordEntry(entry(T0));
+  risk.recordEntry(entry(T0 + 10 * 60000, false));  // Partial-fill remainder of the same trade
+  assert.equal(risk.checkEntry(entry(T0 + 20 * 60000)).allowed, true);
+
+  risk.recordEntry(entry(T0 + 20 * 60000));
+  assert.deepEqual(risk.checkEntry(entry(T0 + 30 * 60000)), { allowed: false, reason: 'max trades per hour reached (2)' });
+  assert.equal(risk.checkEntry(entry(T0 + HOUR)).allowed, true);
+});
+
+test('open notional is capped across positions and released as they close', () => {
+  const risk = new RiskManager({ maxOpenNotional: 1000 });
+
+  risk.recordEntry({ key: 'BTCUSD', price: 100, quantity: 6, timestamp: T0 });
+  assert.equal(risk.getTotalOpenNotional(), 600);
+
+  const eth = { key: 'ETHUSD', price: 50, quantity: 10, timestamp: T0 };
+  assert.deepEqual(risk.checkEntry(eth), { allowed: false, reason: 'max open notional exceeded (1100.00 > 1000)' });
+
+  // A symbol's own notional is replaced, not added to
+  assert.equal(risk.checkEntry({ key: 'BTCUSD', price: 100, quantity: 9, timestamp: T0 }).allowed, true);
+
+  risk.recordExit(exit(5, T0, { closed: false, remainingNotional: 300 }));
+  assert.equal(risk.checkEntry(eth).allowed, true);
+
+  risk.recordExit(exit(5));
+  assert.equal(risk.getTotalOpenNotional(), 0);
+
+  risk.setOpenNotional('ETHUSD', 400);
+  risk.setOpenNotional('BTCUSD', 0);
+  assert.equal(risk.getTotalOpenNotional(), 400);
+});
+
+test('reset clears the halt and the loss streak but keeps the day\'s PnL', () => {
+  const risk = new RiskManager({ maxConsecutiveLosses: 2 });
+  const resets = [];
+  risk.on('reset', status => resets.push(status));
+
+  risk.reset();
+  assert.equal(resets.length, 0);  // Nothing to reset
+
+  risk.recordExit(exit(-10));
+  risk.recordExit(exit(-10));
+  assert.equal(risk.halted, true);
+
+  const status = risk.reset();
+  assert.equal(status.halted, false);
+  assert.equal(status.haltReason, null);
+  assert.equal(status.consecutiveLosses, 0);
+  assert.equal(status.dailyPnL, -20);
+  assert.equal(resets.length, 1);
+  assert.equal(risk.checkEntry({ key: 'BTCUSD', price: 1, quantity: 1, timestamp: T0 }).allowed, true);
+});
+
+test('restoreState only applies snapshots newer than the last one restored', () => {
+  const tripped = new RiskManager({ maxDailyLoss: 50 });
+  tripped.recordExit(exit(-80));
+  const haltedState = JSON.parse(JSON.stringify(tripped.getState()));
+  const cleanState = new RiskManager().getState();
+
+  const risk = new RiskManager();
+  assert.equal(risk.restoreState(haltedState, '2025-01-01T12:05:00Z'), true);
+  assert.equal(risk.halted, true);
+  assert.equal(risk.haltReason, 'max_daily_loss');
+  assert.ok(risk.haltedAt instanceof Date);
+  assert.equal(risk.dailyPnL, -80);
+
+  // Another instance's older (or equally old) snapshot does not clear the halt
+  assert.equal(risk.restoreState(cleanState, '2025-01-01T12:00:00Z'), false);
+  assert.equal(risk.restoreState(cleanState, '2025-01-01T12:05:00Z'), false);
+  assert.equal(risk.halted, true);
+
+  assert.equal(risk.restoreState(cleanState, '2025-01-01T12:10:00Z'), true);
+  assert.equal(risk.halted, false);
+  assert.equal(risk.dailyPnL, 0);
+});
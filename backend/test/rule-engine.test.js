@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RuleEngine from '../src/strategies/RuleEngine.js';
+import RenkoEMAStrategy from '../src/strategies/RenkoEMAStrategy.js';
+
+// Series of values per variable, latest last - offset counts back from the end
+const resolverFor = series => (name, offset) => {
+  const values = series[name];
+  return values ? values[values.length - 1 - offset] : undefined;
+};
+
+test('condition trees combine comparisons with all, any, not and atLeast', () => {
+  const resolve = resolverFor({ close: [105], ema: [100], 'st1.direction': [1], 'st2.direction': [-1], 'st3.direction': [1] });
+  const evaluate = rule => RuleEngine.evaluate(rule, resolve);
+
+  assert.equal(evaluate({ left: 'close', op: '>', right: 'ema' }), true);
+  assert.equal(evaluate({ left: 'close', op: '<=', right: 104 }), false);
+  assert.equal(evaluate({ all: [{ left: 'close', op: '>', right: 'ema' }, { left: 'st2.direction', op: '==', right: 1 }] }), false);
+  assert.equal(evaluate({ any: [{ left: 'close', op: '<', right: 'ema' }, { left: 'st2.direction', op: '!=', right: 1 }] }), true);
+  assert.equal(evaluate({ not: { left: 'st1.direction', op: '==', right: 1 } }), false);
+
+  const agreement = of => ({ atLeast: 2, of: ['st1.direction', 'st2.direction', 'st3.direction'].map(left => ({ left, op: '==', right: of })) });
+  assert.equal(evaluate(agreement(1)), true);
+  assert.equal(evaluate(agreement(-1)), false);
+});
+
+test('offsets read earlier bars and crosses compare the latest bar with the one before', () => {
+  const resolve = resolverFor({ close: [98, 99, 103], ema: [100, 100, 101] });
+
+  assert.equal(RuleEngine.evaluate({ left: { ref: 'close', offset: 2 }, op: '==', right: 98 }, resolve), true);
+  assert.equal(RuleEngine.evaluate({ cross: 'above', left: 'close', right: 'ema' }, resolve), true);
+  assert.equal(RuleEngine.evaluate({ cross: 'below', left: 'close', right: 'ema' }, resolve), false);
+  // close[1] vs close[2] were both below the EMA - no cross one bar back
+  assert.equal(RuleEngine.evaluate({ cross: 'above', left: { ref: 'close', offset: 1 }, right: { ref: 'ema', offset: 1 } }, resolve), false);
+  // Not enough history for the previous bar
+  assert.equal(RuleEngine.evaluate({ cross: 'above', left: { ref: 'close', offset: 2 }, right: 'ema' }, resolve), false);
+});
+
+test('comparisons with missing values are false, so not() of them is true', () => {
+  const resolve = resolverFor({ close: [100], ema: [null], rsi: [NaN] });
+
+  assert.equal(RuleEngine.evaluate({ left: 'close', op: '>', right: 'ema' }, resolve), false);
+  assert.equal(RuleEngine.evaluate({ left: 'close', op: '<=', right: 'ema' }, resolve), false);
+  assert.equal(RuleEngine.evaluate({ left: 'rsi', op: '<', right: 30 }, resolve), false);
+  assert.equal(RuleEngine.evaluate({ not: { left: 'adx', op: '>', right: 20 } }, resolve), true);
+  assert.equal(RuleEngine.resolveOperand({ ref: 'close', offset: 1 }, resolve), null);
+});
+
+test('validation names the offending node and unknown variables', () => {
+  const isVariable = name => ['close', 'ema'].includes(name);
+  const validate = rule => RuleEngine.validate(rule, isVariable, 'rules.longEntry');
+
+  assert.doesNotThrow(() => validate({ any: [{ left: 'close', op: '>', right: 'ema' }, { not: { cross: 'below', left: 'close', right: 100 } }] }));
+  assert.throws(() => validate({ all: [{ left: 'close', op: '>', right: 'volume' }] }), /rules\.longEntry\.all\[0\]\.right references unknown variable "volume"/);
+  assert.throws(() => validate({ left: 'close', op: '=>', right: 'ema' }), /needs all\/any\/not\/atLeast, cross, or op/);
+  assert.throws(() => validate({ cross: 'over', left: 'close', right: 'ema' }), /cross must be one of: above, below/);
+  assert.throws(() => validate({ left: { ref: 'close', offset: -1 }, op: '>', right: 0 }), /offset must be a non-negative integer/);
+  assert.throws(() => validate({ any: [] }), /rules\.longEntry\.any must be a non-empty array/);
+  assert.throws(() => validate({ atLeast: 3, of: [{ left: 'close', op: '>', right: 0 }] }), /atLeast must be an integer between 1 and 1/);
+  assert.throws(() => new RenkoEMAStrategy({ rules: { longEntry: { left: 'st3.direction', op: '==', right: 1 } }, supertrendMultipliers: [2, 3] }),
+    /unknown variable "st3.direction"/);
+});
+
+test('variables() lists every name a tree reads and describe() prints it', () => {
+  const rule = { all: [{ left: 'close', op: '>', right: 'ema' }, { not: { cross: 'above', left: { ref: 'rsi', offset: 1 }, right: 70 } }] };
+
+  assert.deepEqual([...RuleEngine.variables(rule)], ['close', 'ema', 'rsi']);
+  assert.equal(RuleEngine.describe(rule), '(close > ema AND NOT rsi[1] CROSSES ABOVE 70)');
+});
+
+test('signals follow the configured SuperTrend count and only wait for the variables the rules read', async () => {
+  const candles = Array.from({ length: 400 }, (_, i) => {
+    const close = 1000 + 60 * Math.sin(i / 15) + i * 0.2;
+    return { timestamp: new Date(Date.UTC(2025, 0, 1, 0, i)), open: close, high: close + 1, low: close - 1, close, volume: 1 };
+  });
+  const trades = async config => {
+    const strategy = new RenkoEMAStrategy({ brickSize: 5, logging: false, ...config });
+    await strategy.initialize(candles.slice(0, 50));
+    for (const candle of candles.slice(50)) {
+      await strategy.processNewData(candle);
+    }
+    return strategy.trades.length;
+  };
+
+  assert.ok(await trades({ supertrendMultipliers: [2.1, 3.1, 4.1] }) > 0);
+  assert.ok(await trades({ supertrendMultipliers: [2.1, 3.1] }) > 0);
+  assert.ok(await trades({ supertrendMultipliers: [2.1] }) > 0);
+  // Rules without SuperTrends trade as soon as the EMA is there
+  assert.ok(await trades({
+    rules: {
+      longEntry: { cross: 'above', left: 'close', right: 'ema' },
+      shortEntry: { cross: 'below', left: 'close', right: 'ema' },
+      longExit: { left: 'close', op: '<', right: 'ema' },
+      shortExit: { left: 'close', op: '>', right: 'ema' }
+    }
+  }) > 0);
+});
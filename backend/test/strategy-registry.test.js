@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import StrategyRegistry, { DEFAULT_STRATEGY } from '../src/strategies/StrategyRegistry.js';
+import BaseStrategy from '../src/strategies/BaseStrategy.js';
+import RenkoEMAStrategy from '../src/strategies/RenkoEMAStrategy.js';
+
+const BASE_STRATEGY_URL = new URL('../src/strategies/BaseStrategy.js', import.meta.url).href;
+
+const strategyModule = (name) => `import BaseStrategy from '${BASE_STRATEGY_URL}';
+export default class extends BaseStrategy {
+  static strategyName = '${name}';
+  async onCandle() {}
+}
+`;
+
+test('discovery registers every strategy in the strategies directory', async () => {
+  const strategies = await StrategyRegistry.load();
+
+  assert.ok(strategies.some(strategy => strategy.name === DEFAULT_STRATEGY));
+  assert.equal(await StrategyRegistry.get('renkoema'), RenkoEMAStrategy);
+  assert.equal(await StrategyRegistry.get(), RenkoEMAStrategy);
+
+  const strategy = await StrategyRegistry.create('RenkoEMA', { symbol: 'ETHUSD', logging: false });
+  assert.ok(strategy instanceof RenkoEMAStrategy);
+  assert.equal(strategy.config.symbol, 'ETHUSD');
+  assert.deepEqual(StrategyRegistry.listFailures(), []);
+});
+
+test('unknown names are rejected with the available strategies', async () => {
+  await assert.rejects(StrategyRegistry.get('Martingale'), /Unknown strategy "Martingale"\. Available: .*RenkoEMA/);
+});
+
+test('classes that are not strategies and duplicate names are refused', () => {
+  class Unnamed extends BaseStrategy {}
+  class Copycat extends BaseStrategy {
+    static strategyName = 'renkoema';
+  }
+
+  assert.throws(() => StrategyRegistry.register(class {}), /does not extend BaseStrategy/);
+  assert.throws(() => StrategyRegistry.register(Unnamed), /Unnamed must define a static strategyName/);
+  assert.throws(() => StrategyRegistry.register(Copycat), /Strategy name "renkoema" is already registered by RenkoEMAStrategy/);
+
+  // Registering the same class again is harmless
+  assert.equal(StrategyRegistry.register(RenkoEMAStrategy), RenkoEMAStrategy);
+});
+
+test('modules that fail to load are listed with their error instead of vanishing', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'strategies-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'error', () => {});
+
+  await fs.writeFile(path.join(dir, 'GridStrategy.js'), strategyModule('Grid'));
+  await fs.writeFile(path.join(dir, 'BrokenStrategy.js'), `${strategyModule('Broken')}\nexport const = ;\n`);
+  await fs.writeFile(path.join(dir, 'TwinStrategy.js'), strategyModule('Grid'));
+  await fs.writeFile(path.join(dir, 'helpers.js'), 'export const ignored = true;\n');
+
+  const strategies = await StrategyRegistry.discover(dir);
+
+  assert.ok(strategies.some(strategy => strategy.name === 'Grid'));
+  assert.deepEqual(StrategyRegistry.listFailures().map(failure => failure.file), ['BrokenStrategy.js', 'TwinStrategy.js']);
+  assert.match(StrategyRegistry.listFailures()[1].error, /already registered/);
+  await assert.rejects(StrategyRegistry.get('Broken'), /Failed to load: BrokenStrategy\.js \(/);
+});
@@ -0,0 +1,148 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import StrategyStateStore from '../src/services/StrategyStateStore.js';
+import TradingService from '../src/services/TradingService.js';
+import RiskManager from '../src/risk/RiskManager.js';
+import RenkoEMAStrategy from '../src/strategies/RenkoEMAStrategy.js';
+import PerformanceAnalyzer from '../src/backtest/PerformanceAnalyzer.js';
+
+mock.method(console, 'log', () => {});
+
+const tempStore = async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'strategy-state-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return new StrategyStateStore(path.join(dir, 'state'));
+};
+
+const candles = Array.from({ length: 120 }, (_, i) => {
+  const close = 1000 + Math.round(40 * Math.sin(i / 8));
+  return { timestamp: new Date(Date.UTC(2025, 0, 1, 0, i)), open: close, high: close + 3, low: close - 3, close, volume: 1 };
+});
+
+const createStrategy = async () => {
+  const strategy = new RenkoEMAStrategy({ brickSize: 10, defaultQuantity: 1, fillModel: { takerFeeRate: 0.001 }, logging: false });
+  await strategy.initialize(candles.map(candle => ({ ...candle })));
+  return strategy;
+};
+
+test('the state store writes snapshots atomically and reads them back', async (t) => {
+  const store = await tempStore(t);
+
+  assert.equal(await store.load('BTCUSD'), null);
+  assert.deepEqual(await store.list(), []);
+
+  await store.save('BTCUSD', { symbol: 'BTCUSD', n: 1 });
+  assert.deepEqual(await store.load('BTCUSD'), { symbol: 'BTCUSD', n: 1 });
+
+  // Writes for one key are serialized, so the last save wins and no temp file is left behind
+  await Promise.all([1, 2, 3, 4].map(n => store.save('BTCUSD', { symbol: 'BTCUSD', n })));
+  assert.deepEqual(await store.load('BTCUSD'), { symbol: 'BTCUSD', n: 4 });
+  assert.deepEqual(await fs.readdir(store.stateDir), ['BTCUSD.json']);
+
+  assert.equal(path.basename(store.getPath('../ETH/USD')), '___ETH_USD.json');
+});
+
+test('the state store lists readable snapshots and removes them', async (t) => {
+  const store = await tempStore(t);
+  const errors = [];
+  t.mock.method(console, 'error', (...args) => errors.push(args.join(' ')));
+
+  await store.save('BTCUSD', { symbol: 'BTCUSD' });
+  await store.save('ETHUSD', { symbol: 'ETHUSD' });
+  await fs.writeFile(path.join(store.stateDir, 'SOLUSD.json'), '{"symbol": "SOL');  // Truncated by hand
+
+  assert.deepEqual((await store.list()).map(snapshot => snapshot.symbol).sort(), ['BTCUSD', 'ETHUSD']);
+  assert.match(errors[0], /Skipping unreadable state snapshot SOLUSD.json/);
+
+  await store.remove('BTCUSD');
+  await store.remove('BTCUSD');
+  assert.equal(await store.load('BTCUSD'), null);
+});
+
+test('a position restored from a snapshot exits into a round trip and keeps paper equity', async () => {
+  const before = await createStrategy();
+  await before.enterPosition('long', 1000, candles[100].timestamp, {});
+  await before.exitPosition(1020, candles[101].timestamp, 'long_exit', {});
+  await before.enterPosition('short', 1030, candles[102].timestamp, {});
+  const equity = before.getEquity();
+
+  const snapshot = JSON.parse(JSON.stringify(before.getSnapshot()));
+
+  const after = await createStrategy();
+  const reconciliation = after.restoreSnapshot(snapshot);
+
+  assert.ok(reconciliation.some(entry => entry.field === 'trades' && entry.after === 3));
+  assert.ok(after.trades.every(trade => trade.timestamp instanceof Date));
+  assert.equal(after.getEquity(), equity);
+  assert.equal(after.position.entryTradeId, before.position.entryTradeId);
+
+  await after.exitPosition(1010, candles[110].timestamp, 'short_exit', {});
+
+  const roundTrips = PerformanceAnalyzer.buildRoundTrips(after.trades);
+  assert.deepEqual(roundTrips.map(trip => [trip.side, trip.entryPrice, trip.exitPrice]), [['long', 1000, 1020], ['short', 1030, 1010]]);
+  assert.ok(Math.abs(after.getEquity() - (equity + 20 - 0.001 * (1030 + 1010))) < 1e-9);
+});
+
+test('an open position from a snapshot without trades gets its entry trade rebuilt', async () => {
+  const before = await createStrategy();
+  await before.enterPosition('long', 1000, candles[100].timestamp, {});
+
+  const { trades, ...snapshot } = JSON.parse(JSON.stringify({ ...before.getSnapshot(), version: 1 }));
+  assert.equal(trades.length, 1);
+
+  const after = await createStrategy();
+  const reconciliation = after.restoreSnapshot(snapshot);
+  assert.match(reconciliation.find(entry => entry.field === 'trades').note, /rebuilt the open entry trade/);
+
+  await after.exitPosition(1020, candles[110].timestamp, 'long_exit', {});
+
+  const [roundTrip] = PerformanceAnalyzer.buildRoundTrips(after.trades);
+  assert.equal(roundTrip.entryId, trades[0].id);
+  assert.equal(roundTrip.entryPrice, 1000);
+  assert.ok(Math.abs(roundTrip.pnl - (20 - 0.001 * (1000 + 1020))) < 1e-9);
+});
+
+const restoreLive = async (snapshot, getPositionQuantity) => {
+  const saved = new Map([['BTCUSD', snapshot]]);
+  const service = new TradingService({
+    stateStore: { save: async (key, value) => saved.set(key, value), load: async (key) => saved.get(key) || null },
+    riskManager: new RiskManager()
+  });
+  service.executionMode = 'live';
+  service.executor = { getPositionQuantity };
+  service.strategy = await createStrategy();
+  return { service, recovery: await service.restoreState() };
+};
+
+test('a live restore that matches the exchange position resumes without a halt', async () => {
+  const before = await createStrategy();
+  await before.enterPosition('short', 1000, candles[100].timestamp, {});
+  const snapshot = JSON.parse(JSON.stringify(before.getSnapshot()));
+
+  const { service, recovery } = await restoreLive(snapshot, async () => -1);
+
+  assert.equal(service.riskManager.halted, false);
+  assert.equal(recovery.position.type, 'short');
+  assert.equal(recovery.reconciliation.some(entry => entry.field === 'exchangePosition'), false);
+});
+
+test('a live restore that disagrees with the exchange trips the kill switch', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const before = await createStrategy();
+  await before.enterPosition('long', 1000, candles[100].timestamp, {});
+  const snapshot = JSON.parse(JSON.stringify(before.getSnapshot()));
+
+  const flat = await restoreLive(snapshot, async () => 0);
+  assert.equal(flat.service.riskManager.haltReason, 'position_mismatch');
+  assert.deepEqual(
+    flat.recovery.reconciliation.find(entry => entry.field === 'exchangePosition'),
+    { field: 'exchangePosition', before: 1, after: 0, note: 'restored position does not match the exchange - kill switch tripped' }
+  );
+
+  const unreadable = await restoreLive(snapshot, async () => { throw new Error('timeout'); });
+  assert.equal(unreadable.service.riskManager.haltReason, 'position_mismatch');
+  assert.equal(unreadable.recovery.reconciliation.find(entry => entry.field === 'exchangePosition').after, null);
+});
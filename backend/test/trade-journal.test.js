@@ -0,0 +1,160 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import TradeJournalService from '../src/services/TradeJournalService.js';
+import Trade from '../src/models/Trade.js';
+import Position from '../src/models/Position.js';
+import { Signal } from '../src/models/MarketData.js';
+
+/**
+ * In-memory stand-in for the queries TradeJournalService runs (equality and $gte/$lte filters, upserts)
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    return (condition.$gte === undefined || doc[key] >= condition.$gte) && (condition.$lte === undefined || doc[key] <= condition.$lte);
+  }
+  return doc[key] === condition;
+});
+
+const query = (docs) => {
+  let result = [...docs];
+  const chain = {
+    sort: (spec) => {
+      const [[key, order]] = Object.entries(spec);
+      result.sort((a, b) => (a[key] - b[key]) * order);
+      return chain;
+    },
+    skip: (n) => { result = result.slice(n); return chain; },
+    limit: (n) => { result = result.slice(0, n); return chain; },
+    lean: async () => result
+  };
+  return chain;
+};
+
+const fakeCollection = (model) => {
+  const docs = [];
+  mock.method(model, 'findOneAndUpdate', async (filter, update) => {
+    let doc = docs.find(existing => matches(existing, filter));
+    if (!doc) {
+      doc = { ...filter };
+      docs.push(doc);
+    }
+    const { $set, $inc, ...fields } = update;
+    Object.assign(doc, $set || {}, fields);
+    for (const [key, amount] of Object.entries($inc || {})) doc[key] = (doc[key] || 0) + amount;
+    return doc;
+  });
+  mock.method(model, 'find', (filter) => query(docs.filter(doc => matches(doc, filter))));
+  mock.method(model, 'countDocuments', async (filter) => docs.filter(doc => matches(doc, filter)).length);
+  mock.method(model, 'create', async (doc) => { docs.push(doc); return doc; });
+  return docs;
+};
+
+const trade = (symbol, id, fields = {}) => ({
+  id,
+  symbol,
+  side: 'buy',
+  type: 'entry',
+  price: 100,
+  quantity: 1,
+  timestamp: new Date('2025-01-01T00:00:00Z'),
+  pnl: 0,
+  strategy: 'RenkoEMA',
+  signalData: { ema21: 99, renkoBrick: { direction: 1, open: 90, close: 100, volume: 5, ticks: 3 } },
+  ...fields
+});
+
+let journal;
+let trades;
+let positions;
+let signals;
+
+beforeEach(() => {
+  journal = new TradeJournalService();
+  mock.method(journal, 'isEnabled', () => true);
+  trades = fakeCollection(Trade);
+  positions = fakeCollection(Position);
+  signals = fakeCollection(Signal);
+});
+
+afterEach(() => mock.restoreAll());
+
+test('recordTrade stores the trade under its symbol and id with a trimmed brick', async () => {
+  await journal.recordTrade(trade('BTCUSD', 'trade_1_1'));
+
+  assert.equal(trades.length, 1);
+  assert.equal(trades[0].tradeId, 'trade_1_1');
+  assert.equal(trades[0].symbol, 'BTCUSD');
+  assert.equal(trades[0].id, undefined);
+  assert.deepEqual(trades[0].signalData, { ema21: 99, renkoBrick: { direction: 1, close: 100, open: 90 } });
+  assert.ok(trades[0].executionTime instanceof Date);
+});
+
+test('recordTrade upserts per symbol so instances that reuse an id do not overwrite each other', async () => {
+  await journal.recordTrade(trade('BTCUSD', 'trade_1_1', { price: 100 }));
+  await journal.recordTrade(trade('ETHUSD', 'trade_1_1', { price: 3000 }));
+  await journal.recordTrade(trade('BTCUSD', 'trade_1_1', { price: 101, fillStatus: 'filled' }));
+
+  assert.deepEqual(trades.map(({ symbol, tradeId, price }) => [symbol, tradeId, price]), [
+    ['BTCUSD', 'trade_1_1', 101],
+    ['ETHUSD', 'trade_1_1', 3000]
+  ]);
+  assert.equal(trades[0].fillStatus, 'filled');
+});
+
+test('recordTrade logs write failures instead of throwing into the strategy', async () => {
+  mock.method(Trade, 'findOneAndUpdate', async () => { throw new Error('connection lost'); });
+  const errors = [];
+  mock.method(console, 'error', (...args) => errors.push(args.join(' ')));
+
+  assert.equal(await journal.recordTrade(trade('BTCUSD', 'trade_1_1')), null);
+  assert.match(errors[0], /Failed to journal trade: connection lost/);
+});
+
+test('recordSignal maps exits to the side being closed and keeps the rule', async () => {
+  const timestamp = new Date('2025-01-01T00:05:00Z');
+  await journal.recordSignal('BTCUSD', { signalType: 'buy_entry', price: 100, timestamp, indicators: { ema21: 99, st21: 95 } }, { strategy: 'RenkoEMA' });
+  await journal.recordSignal('BTCUSD', { signalType: 'long_exit', price: 110, timestamp, indicators: {}, rule: { all: [] } }, { side: 'long' });
+  await journal.recordSignal('BTCUSD', { signalType: 'short_exit', price: 90, timestamp, indicators: {} }, { side: 'short' });
+
+  assert.deepEqual(signals.map(signal => signal.signalType), ['buy_entry', 'sell_exit', 'buy_exit']);
+  assert.equal(signals[0].indicators.supertrend_2_1, 95);
+  assert.equal(signals[0].strategy, 'RenkoEMA');
+  assert.deepEqual(signals[1].rule, { all: [] });
+});
+
+test('savePosition upserts one position per symbol and accumulates realized PnL', async () => {
+  const entryTime = new Date('2025-01-01T00:00:00Z');
+  await journal.savePosition('BTCUSD', { isActive: true, type: 'long', entryPrice: 100, quantity: 2, entryTime }, { currentPrice: 100 });
+  await journal.savePosition('BTCUSD', { isActive: false, type: null, entryPrice: 0, quantity: 0 }, { currentPrice: 110, realizedPnL: 20 });
+  await journal.savePosition('BTCUSD', { isActive: true, type: 'short', entryPrice: 110, quantity: 1, entryTime }, { realizedPnL: -5 });
+
+  assert.equal(positions.length, 1);
+  assert.equal(positions[0].side, 'short');
+  assert.equal(positions[0].currentPrice, 110);
+  assert.equal(positions[0].realizedPnL, 15);
+});
+
+test('getTrades pages newest first and findTrades filters oldest first', async () => {
+  for (let i = 0; i < 5; i++) {
+    await journal.recordTrade(trade(i % 2 ? 'ETHUSD' : 'BTCUSD', `trade_${i}`, { timestamp: new Date(Date.UTC(2025, 0, 1, 0, i)) }));
+  }
+
+  const page = await journal.getTrades({ symbol: 'BTCUSD', page: 2, limit: 2 });
+  assert.equal(page.total, 3);
+  assert.deepEqual(page.trades.map(doc => doc.tradeId), ['trade_0']);
+
+  const found = await journal.findTrades({ start: '2025-01-01T00:01:00Z', end: '2025-01-01T00:03:00Z' });
+  assert.deepEqual(found.map(doc => doc.tradeId), ['trade_1', 'trade_2', 'trade_3']);
+  assert.deepEqual((await journal.findTrades({ symbol: 'ETHUSD' })).map(doc => doc.tradeId), ['trade_1', 'trade_3']);
+});
+
+test('every method is a no-op while the database is not connected', async () => {
+  mock.method(journal, 'isEnabled', () => false);
+
+  assert.equal(await journal.recordTrade(trade('BTCUSD', 'trade_1_1')), null);
+  assert.equal(await journal.recordSignal('BTCUSD', { signalType: 'buy_entry' }), null);
+  assert.equal(await journal.savePosition('BTCUSD', { isActive: false }), null);
+  assert.deepEqual(await journal.getTrades({ page: 1, limit: 50 }), { trades: [], total: 0, page: 1, limit: 50 });
+  assert.deepEqual(await journal.findTrades(), []);
+  assert.equal(trades.length + positions.length + signals.length, 0);
+});
@@ -0,0 +1,157 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import TradingInstanceManager, { DEFAULT_INSTANCE_ID } from '../src/services/TradingInstanceManager.js';
+import createTradingInstancesRouter from '../src/routes/tradingInstances.js';
+import RiskManager from '../src/risk/RiskManager.js';
+import RenkoEMAStrategy from '../src/strategies/RenkoEMAStrategy.js';
+
+mock.method(console, 'log', () => {});
+
+const memoryStore = () => {
+  const snapshots = new Map();
+  return {
+    save: async (key, snapshot) => snapshots.set(key, snapshot),
+    load: async (key) => snapshots.get(key) || null,
+    list: async () => [...snapshots.values()]
+  };
+};
+
+/**
+ * Manager whose instances start without market data: initialize only builds the strategy,
+ * after `startDelayMs` so concurrent starts overlap
+ */
+class OfflineInstanceManager extends TradingInstanceManager {
+  constructor(startDelayMs = 0) {
+    super({ stateStore: memoryStore(), riskManager: new RiskManager() });
+    this.startDelayMs = startDelayMs;
+  }
+
+  createInstance(id) {
+    const service = super.createInstance(id);
+    service.initialize = async (config) => {
+      await new Promise(resolve => setTimeout(resolve, this.startDelayMs));
+      service.strategy = new RenkoEMAStrategy({ ...config, logging: false });
+      service.currentSymbol = service.strategy.config.symbol;
+    };
+    service.start = async () => {
+      service.isRunning = true;
+    };
+    service.stop = () => {
+      service.isRunning = false;
+    };
+    return service;
+  }
+}
+
+test('instances are added, listed and removed, and ids are validated', async () => {
+  const manager = new OfflineInstanceManager();
+  manager.createInstance(DEFAULT_INSTANCE_ID);
+
+  await manager.addInstance('eth', { symbol: 'ETHUSD' });
+  assert.deepEqual(
+    manager.listInstances().map(({ id, symbol, isRunning }) => ({ id, symbol, isRunning })),
+    [{ id: 'default', symbol: 'BTCUSD', isRunning: false }, { id: 'eth', symbol: 'ETHUSD', isRunning: true }]
+  );
+
+  await assert.rejects(manager.addInstance('eth', { symbol: 'SOLUSD' }), /Instance "eth" already exists/);
+  await assert.rejects(manager.addInstance('bad id!', { symbol: 'SOLUSD' }), /Invalid instance id/);
+
+  assert.equal(manager.removeInstance('eth'), true);
+  assert.equal(manager.removeInstance('eth'), false);
+  assert.throws(() => manager.removeInstance(DEFAULT_INSTANCE_ID), /default instance cannot be removed/);
+  assert.deepEqual(manager.listInstances().map(instance => instance.id), ['default']);
+});
+
+test('a symbol belongs to one instance, also while instances start concurrently', async () => {
+  const manager = new OfflineInstanceManager(20);
+
+  const results = await Promise.allSettled([
+    manager.addInstance('eth-a', { symbol: 'ETHUSD' }),
+    manager.addInstance('eth-b', { symbol: 'ETHUSD' })
+  ]);
+
+  assert.equal(results[0].status, 'fulfilled');
+  assert.equal(results[1].status, 'rejected');
+  assert.match(results[1].reason.message, /ETHUSD is already traded by instance "eth-a"/);
+  assert.deepEqual(manager.listInstances().map(instance => instance.id), ['eth-a']);
+
+  // Still owned once started, and free again after removal
+  await assert.rejects(manager.addInstance('eth-c', { symbol: 'ETHUSD' }), /already traded by instance "eth-a"/);
+  manager.removeInstance('eth-a');
+  await manager.addInstance('eth-c', { symbol: 'ETHUSD' });
+});
+
+test('an instance cannot be started twice at once', async () => {
+  const manager = new OfflineInstanceManager(20);
+  manager.createInstance('btc');
+
+  const results = await Promise.allSettled([
+    manager.startInstance('btc', { symbol: 'BTCUSD' }),
+    manager.startInstance('btc', { symbol: 'XRPUSD' })
+  ]);
+
+  assert.equal(results[0].status, 'fulfilled');
+  assert.match(results[1].reason.message, /Instance "btc" is already starting/);
+  assert.equal(manager.getInstance('btc').currentSymbol, 'BTCUSD');
+});
+
+const withServer = async (manager, run) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/trading/instances', createTradingInstancesRouter(manager));
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api/trading/instances`;
+
+  const request = async (method, path = '', body) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    await run(request);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+test('instance routes add, list, guard and remove instances', async () => {
+  const manager = new OfflineInstanceManager();
+  manager.createInstance(DEFAULT_INSTANCE_ID);
+
+  await withServer(manager, async (request) => {
+    const added = await request('POST', '', { symbol: 'ETHUSD', brickSize: 5 });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.data.id, 'ETHUSD');
+    assert.equal(added.body.data.isRunning, true);
+
+    assert.equal((await request('POST', '', {})).status, 400);
+
+    const duplicateId = await request('POST', '', { id: 'ETHUSD', symbol: 'SOLUSD' });
+    assert.equal(duplicateId.status, 400);
+    assert.match(duplicateId.body.error, /already exists/);
+
+    const duplicateSymbol = await request('POST', '', { id: 'eth2', symbol: 'ETHUSD' });
+    assert.equal(duplicateSymbol.status, 400);
+    assert.match(duplicateSymbol.body.error, /already traded by instance "ETHUSD"/);
+
+    const listed = await request('GET');
+    assert.deepEqual(listed.body.data.map(instance => instance.id), ['default', 'ETHUSD']);
+    assert.equal((await request('GET', '/ETHUSD')).body.data.symbol, 'ETHUSD');
+    assert.equal((await request('GET', '/missing')).status, 404);
+
+    const removeDefault = await request('DELETE', '/default');
+    assert.equal(removeDefault.status, 400);
+    assert.match(removeDefault.body.error, /cannot be removed/);
+
+    assert.equal((await request('DELETE', '/ETHUSD')).status, 200);
+    assert.equal((await request('DELETE', '/ETHUSD')).status, 404);
+    assert.equal((await request('GET')).body.count, 1);
+  });
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WalkForwardAnalyzer from '../src/backtest/WalkForwardAnalyzer.js';
+
+const analyzer = (config = {}) => new WalkForwardAnalyzer({ inSampleCandles: 1000, outOfSampleCandles: 200, warmupCandles: 100, ...config });
+const bounds = windows => windows.map(({ inSample, outOfSample }) => [inSample.start, inSample.end, outOfSample.start, outOfSample.end]);
+
+test('rolling windows trade the candles right after their in-sample window without overlapping', () => {
+  const windows = analyzer().buildWindows(1750);
+
+  assert.deepEqual(bounds(windows), [
+    [0, 1000, 1000, 1200],
+    [200, 1200, 1200, 1400],
+    [400, 1400, 1400, 1600]   // 600 + 1200 > 1750: no partial last window
+  ]);
+  assert.deepEqual(windows.map(window => window.index), [0, 1, 2]);
+
+  for (const [i, window] of windows.entries()) {
+    // End indexes are exclusive, so in-sample and out-of-sample share no candle
+    assert.equal(window.inSample.end, window.outOfSample.start);
+    if (i > 0) assert.equal(windows[i - 1].outOfSample.end, window.outOfSample.start);
+  }
+});
+
+test('a larger step skips candles between out-of-sample windows and a smaller one is rejected', () => {
+  assert.deepEqual(bounds(analyzer({ stepCandles: 300 }).buildWindows(1750)), [
+    [0, 1000, 1000, 1200],
+    [300, 1300, 1300, 1500]
+  ]);
+
+  assert.throws(() => analyzer({ stepCandles: 100 }), /stepCandles must be at least outOfSampleCandles/);
+  assert.throws(() => analyzer({ warmupCandles: 1000 }), /inSampleCandles must be larger than warmupCandles/);
+});
+
+test('anchored windows keep the first candle and grow the in-sample window', () => {
+  assert.deepEqual(bounds(analyzer({ anchored: true }).buildWindows(1600)), [
+    [0, 1000, 1000, 1200],
+    [0, 1200, 1200, 1400],
+    [0, 1400, 1400, 1600]
+  ]);
+});
+
+test('too few candles give no window and the run explains why', async () => {
+  assert.deepEqual(analyzer().buildWindows(1199), []);
+  await assert.rejects(analyzer().run([]), /Not enough candles for one walk-forward window \(0 candles, need 1200\)/);
+});